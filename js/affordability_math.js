@@ -0,0 +1,322 @@
+import { computeMonthlyPayment } from './mortgage_math.js';
+
+const BUYER_TYPES = Object.freeze(['firstTime', 'secondTime']);
+const BUYER_TYPE_LABELS = Object.freeze({
+  firstTime: 'First-time buyer',
+  secondTime: 'Second and subsequent buyer'
+});
+
+// Central Bank of Ireland mortgage measures (from January 2023).
+const CENTRAL_BANK_LENDING_RULES = Object.freeze({
+  loanToIncome: { firstTime: 4, secondTime: 3.5 },
+  loanToValue: { firstTime: 0.9, secondTime: 0.8 }
+});
+
+// Residential stamp duty bands; a band with `upTo: null` is open-ended.
+const RESIDENTIAL_STAMP_DUTY_BANDS = Object.freeze([
+  { upTo: 1000000, rate: 0.01 },
+  { upTo: 1500000, rate: 0.02 },
+  { upTo: null, rate: 0.06 }
+]);
+
+const DEFAULT_STRESS_BUFFER = 0.02;
+const DEFAULT_MAX_REPAYMENT_TO_INCOME = 0.35;
+const MAX_TERM_YEARS = 35;
+const PRICE_SOLVER_TOLERANCE = 1;
+const PRICE_SOLVER_MAX_ITERATIONS = 80;
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function requireFiniteNumber(value, fieldName) {
+  if (!isFiniteNumber(value)) {
+    throw new Error(`generated.affordabilityInputs.${fieldName} must be a finite number.`);
+  }
+
+  return value;
+}
+
+function optionalFiniteNumber(value, fallback, fieldName) {
+  if (typeof value === 'undefined' || value === null) {
+    return fallback;
+  }
+
+  if (!isFiniteNumber(value)) {
+    throw new Error(`generated.affordabilityInputs.${fieldName} must be a finite number when provided.`);
+  }
+
+  return value;
+}
+
+function formatEuro(amount) {
+  return new Intl.NumberFormat('en-IE', {
+    style: 'currency',
+    currency: 'EUR',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(isFiniteNumber(amount) ? amount : 0);
+}
+
+function formatPercent(decimal) {
+  return `${(decimal * 100).toFixed(2)}%`;
+}
+
+function formatMultiple(value) {
+  return `${Number(value.toFixed(2))}x`;
+}
+
+export function normalizeAffordabilityInputs(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('generated.affordabilityInputs must be an object.');
+  }
+
+  const buyerType = typeof raw.buyerType === 'undefined' || raw.buyerType === null
+    ? 'firstTime'
+    : String(raw.buyerType).trim();
+  if (!BUYER_TYPES.includes(buyerType)) {
+    throw new Error('generated.affordabilityInputs.buyerType must be "firstTime" or "secondTime".');
+  }
+
+  const grossIncome = requireFiniteNumber(raw.grossIncome, 'grossIncome');
+  if (grossIncome <= 0) {
+    throw new Error('generated.affordabilityInputs.grossIncome must be greater than 0.');
+  }
+
+  const propertyPrice = requireFiniteNumber(raw.propertyPrice, 'propertyPrice');
+  if (propertyPrice <= 0) {
+    throw new Error('generated.affordabilityInputs.propertyPrice must be greater than 0.');
+  }
+
+  const savings = requireFiniteNumber(raw.savings, 'savings');
+  if (savings < 0) {
+    throw new Error('generated.affordabilityInputs.savings must be greater than or equal to 0.');
+  }
+
+  const annualInterestRate = requireFiniteNumber(raw.annualInterestRate, 'annualInterestRate');
+  if (annualInterestRate < 0) {
+    throw new Error('generated.affordabilityInputs.annualInterestRate must be greater than or equal to 0.');
+  }
+
+  const termYears = requireFiniteNumber(raw.termYears, 'termYears');
+  if (termYears <= 0 || termYears > MAX_TERM_YEARS) {
+    throw new Error(`generated.affordabilityInputs.termYears must be greater than 0 and at most ${MAX_TERM_YEARS}.`);
+  }
+
+  const stressBuffer = optionalFiniteNumber(raw.stressBuffer, DEFAULT_STRESS_BUFFER, 'stressBuffer');
+  if (stressBuffer < 0) {
+    throw new Error('generated.affordabilityInputs.stressBuffer must be greater than or equal to 0.');
+  }
+
+  const maxRepaymentToIncome = optionalFiniteNumber(
+    raw.maxRepaymentToIncome,
+    DEFAULT_MAX_REPAYMENT_TO_INCOME,
+    'maxRepaymentToIncome'
+  );
+  if (maxRepaymentToIncome <= 0 || maxRepaymentToIncome > 1) {
+    throw new Error('generated.affordabilityInputs.maxRepaymentToIncome must be greater than 0 and at most 1.');
+  }
+
+  const existingMonthlyDebts = optionalFiniteNumber(raw.existingMonthlyDebts, 0, 'existingMonthlyDebts');
+  if (existingMonthlyDebts < 0) {
+    throw new Error('generated.affordabilityInputs.existingMonthlyDebts must be greater than or equal to 0.');
+  }
+
+  const otherPurchaseCosts = optionalFiniteNumber(raw.otherPurchaseCosts, 0, 'otherPurchaseCosts');
+  if (otherPurchaseCosts < 0) {
+    throw new Error('generated.affordabilityInputs.otherPurchaseCosts must be greater than or equal to 0.');
+  }
+
+  return {
+    buyerType,
+    grossIncome,
+    propertyPrice,
+    savings,
+    annualInterestRate,
+    termYears,
+    stressBuffer,
+    maxRepaymentToIncome,
+    existingMonthlyDebts,
+    otherPurchaseCosts
+  };
+}
+
+export function computeStampDuty(price) {
+  let duty = 0;
+  let bandFloor = 0;
+
+  for (const band of RESIDENTIAL_STAMP_DUTY_BANDS) {
+    const bandCeiling = band.upTo === null ? Infinity : band.upTo;
+    const taxableInBand = Math.min(price, bandCeiling) - bandFloor;
+    if (taxableInBand <= 0) {
+      break;
+    }
+
+    duty += taxableInBand * band.rate;
+    bandFloor = bandCeiling;
+  }
+
+  return duty;
+}
+
+function resolveBorrowingLimits(inputs, propertyPrice) {
+  const ltiMultiple = CENTRAL_BANK_LENDING_RULES.loanToIncome[inputs.buyerType];
+  const ltvLimit = CENTRAL_BANK_LENDING_RULES.loanToValue[inputs.buyerType];
+  const termMonths = Math.round(inputs.termYears * 12);
+  const stressRate = inputs.annualInterestRate + inputs.stressBuffer;
+  const maxStressedPayment = Math.max(
+    0,
+    (inputs.grossIncome / 12) * inputs.maxRepaymentToIncome - inputs.existingMonthlyDebts
+  );
+  const paymentPerEuro = computeMonthlyPayment(1, stressRate, termMonths);
+
+  const limits = {
+    lti: inputs.grossIncome * ltiMultiple,
+    ltv: propertyPrice * ltvLimit,
+    stress: maxStressedPayment / paymentPerEuro
+  };
+  const bindingKey = Object.keys(limits).reduce((lowest, key) => (limits[key] < limits[lowest] ? key : lowest));
+
+  return {
+    ltiMultiple,
+    ltvLimit,
+    termMonths,
+    stressRate,
+    maxStressedPayment,
+    limits,
+    bindingKey,
+    maxLoan: limits[bindingKey]
+  };
+}
+
+function computeFundsShortfall(inputs, propertyPrice) {
+  const { maxLoan } = resolveBorrowingLimits(inputs, propertyPrice);
+  const purchaseCosts = computeStampDuty(propertyPrice) + inputs.otherPurchaseCosts;
+  return (propertyPrice + purchaseCosts) - maxLoan - inputs.savings;
+}
+
+// Highest price whose deposit and purchase costs the savings cover at the maximum loan.
+// The shortfall rises with price (the LTV loan grows by at most 90c per euro), so bisection is safe.
+function solveMaxPurchasePrice(inputs) {
+  let low = 0;
+  let high = Math.max(1, inputs.savings + (inputs.grossIncome * 10));
+  while (computeFundsShortfall(inputs, high) <= 0 && high < 1e9) {
+    high *= 2;
+  }
+
+  for (let iteration = 0; iteration < PRICE_SOLVER_MAX_ITERATIONS; iteration += 1) {
+    if (high - low <= PRICE_SOLVER_TOLERANCE) {
+      break;
+    }
+
+    const mid = (low + high) / 2;
+    if (computeFundsShortfall(inputs, mid) <= 0) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low;
+}
+
+export function computeAffordabilityProjection(rawInputs) {
+  const inputs = normalizeAffordabilityInputs(rawInputs);
+  const borrowing = resolveBorrowingLimits(inputs, inputs.propertyPrice);
+  const stampDuty = computeStampDuty(inputs.propertyPrice);
+  const purchaseCosts = stampDuty + inputs.otherPurchaseCosts;
+  const depositAvailable = Math.max(0, inputs.savings - purchaseCosts);
+  const loanNeeded = Math.max(0, inputs.propertyPrice - depositAvailable);
+  const loanUsed = Math.min(loanNeeded, borrowing.maxLoan);
+  const depositRequired = inputs.propertyPrice - borrowing.maxLoan;
+  const depositGap = Math.max(0, (inputs.propertyPrice + purchaseCosts) - borrowing.maxLoan - inputs.savings);
+  const canAfford = depositGap <= 0;
+  const monthlyPayment = computeMonthlyPayment(loanUsed, inputs.annualInterestRate, borrowing.termMonths);
+  const stressedPayment = computeMonthlyPayment(loanUsed, borrowing.stressRate, borrowing.termMonths);
+  const maxPurchasePrice = solveMaxPurchasePrice(inputs);
+
+  const limitLabels = {
+    lti: `Loan-to-income limit (${formatMultiple(borrowing.ltiMultiple)})`,
+    ltv: `Loan-to-value limit (${formatPercent(borrowing.ltvLimit)})`,
+    stress: `Stress-tested limit (${formatPercent(borrowing.stressRate)})`
+  };
+  const bindingLabel = limitLabels[borrowing.bindingKey];
+
+  const assumptionsTable = {
+    columns: ['Assumption', 'Value', 'Notes'],
+    rows: [
+      ['Buyer type', BUYER_TYPE_LABELS[inputs.buyerType], `LTI ${formatMultiple(borrowing.ltiMultiple)}, LTV ${formatPercent(borrowing.ltvLimit)} under Central Bank rules`],
+      ['Gross household income', formatEuro(inputs.grossIncome), 'Combined annual income of all applicants'],
+      ['Property price', formatEuro(inputs.propertyPrice), 'Purchase price used for the LTV limit'],
+      ['Savings available', formatEuro(inputs.savings), 'Funds for the deposit and purchase costs'],
+      ['Annual interest rate', formatPercent(inputs.annualInterestRate), 'Rate used for the expected repayment'],
+      ['Stress buffer', formatPercent(inputs.stressBuffer), `Repayments tested at ${formatPercent(borrowing.stressRate)}`],
+      ['Maximum repayment share', formatPercent(inputs.maxRepaymentToIncome), 'Of gross monthly income, after existing debts'],
+      ['Existing monthly debts', formatEuro(inputs.existingMonthlyDebts), 'Deducted from repayment capacity'],
+      ['Mortgage term', `${inputs.termYears} years`, `${borrowing.termMonths} monthly repayments`],
+      ['Other purchase costs', formatEuro(inputs.otherPurchaseCosts), 'Legal, survey and valuation fees']
+    ]
+  };
+
+  const outputsTable = {
+    columns: ['Metric', 'Value', 'Notes'],
+    rows: [
+      [limitLabels.lti, formatEuro(borrowing.limits.lti), 'Gross income times the LTI multiple'],
+      [limitLabels.ltv, formatEuro(borrowing.limits.ltv), 'Share of the property price'],
+      [limitLabels.stress, formatEuro(borrowing.limits.stress), `Stressed repayment capped at ${formatEuro(borrowing.maxStressedPayment)} per month`],
+      ['Maximum mortgage', formatEuro(borrowing.maxLoan), `Binding constraint: ${bindingLabel}`],
+      ['Loan needed', formatEuro(loanNeeded), 'Property price less savings left after purchase costs'],
+      ['Monthly repayment', formatEuro(monthlyPayment), `On ${formatEuro(loanUsed)} at ${formatPercent(inputs.annualInterestRate)}`],
+      ['Stressed monthly repayment', formatEuro(stressedPayment), `On ${formatEuro(loanUsed)} at ${formatPercent(borrowing.stressRate)}`],
+      ['Stamp duty', formatEuro(stampDuty), 'Residential rates: 1% to €1m, 2% to €1.5m, 6% above'],
+      ['Minimum deposit', formatEuro(depositRequired), 'Property price less the maximum mortgage'],
+      ['Total funds needed', formatEuro(depositRequired + purchaseCosts), 'Minimum deposit plus purchase costs'],
+      ['Deposit gap', formatEuro(depositGap), canAfford ? 'Savings cover the deposit and costs' : 'Additional savings needed at this price'],
+      ['Maximum purchase price with current savings', formatEuro(maxPurchasePrice), 'Highest price the savings and maximum mortgage cover']
+    ]
+  };
+
+  const charts = [
+    {
+      id: 'affordability-borrowing-limits',
+      title: 'Borrowing Limits vs Loan Needed',
+      type: 'bar',
+      labels: ['Loan-to-income', 'Loan-to-value', 'Stress test', 'Loan needed'],
+      datasets: [
+        {
+          label: 'Amount',
+          data: [borrowing.limits.lti, borrowing.limits.ltv, borrowing.limits.stress, loanNeeded]
+        }
+      ]
+    }
+  ];
+
+  const summarySentences = [
+    `As a ${BUYER_TYPE_LABELS[inputs.buyerType].toLowerCase()} on ${formatEuro(inputs.grossIncome)} gross income, the maximum mortgage is ${formatEuro(borrowing.maxLoan)}, set by the ${bindingLabel.toLowerCase()}.`,
+    `A ${formatEuro(inputs.propertyPrice)} purchase needs a deposit of at least ${formatEuro(depositRequired)} plus ${formatEuro(purchaseCosts)} in stamp duty and costs.`,
+    canAfford
+      ? `Savings of ${formatEuro(inputs.savings)} cover this, with repayments of ${formatEuro(monthlyPayment)} per month (${formatEuro(stressedPayment)} when stress-tested).`
+      : `Savings of ${formatEuro(inputs.savings)} leave a deposit gap of ${formatEuro(depositGap)}.`,
+    `With current savings the highest price within the lending rules is about ${formatEuro(maxPurchasePrice)}.`
+  ];
+
+  return {
+    assumptionsTable,
+    outputsTable,
+    charts,
+    summaryHtml: `<p>${summarySentences.join(' ')}</p>`,
+    debug: {
+      buyerType: inputs.buyerType,
+      limits: borrowing.limits,
+      bindingConstraint: borrowing.bindingKey,
+      maxLoan: borrowing.maxLoan,
+      loanNeeded,
+      stampDuty,
+      depositRequired,
+      depositGap,
+      monthlyPayment,
+      stressedPayment,
+      maxPurchasePrice
+    }
+  };
+}
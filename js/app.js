@@ -1,15 +1,25 @@
 import {
-  loadSession,
+  loadSessionWithReport,
   createStateManager,
   getModuleById,
   getOrderedModules,
   ensureActiveModule,
   createEmptyGenerated,
   normalizeGenerated,
+  ENGINE_INPUT_KEYS,
   exportSession,
   importSession,
-  newSession
+  importSessionWithReport,
+  describeMigrationReport,
+  keepSessionMigrationBackup,
+  getSessionMigrationBackup,
+  rollbackSessionMigration,
+  newSession,
+  copySessionAsNew,
+  createSessionHistory,
+  mergeSessions
 } from './state.js';
+import { createSessionLibrary } from './session_library.js';
 import { computeBestOverviewLayout } from './layout.js';
 import {
   zoomToModuleFromOverview,
@@ -35,11 +45,42 @@ import {
   updateSessionStatus,
   getFocusedCardElement,
   getOverviewCardElement,
-  ensureLayerVisibleForMeasure
+  ensureLayerVisibleForMeasure,
+  renderSessionLibraryList,
+  renderSessionHistoryList,
+  buildSnapshotDiffCard,
+  patchModuleSnapshotsCard,
+  renderSyncConflictList
 } from './render.js';
 import { normalizePensionInputs, computePensionProjection } from './pension_math.js';
 import { normalizeMortgageInputs, computeMortgageProjection } from './mortgage_math.js';
+import { normalizeAffordabilityInputs, computeAffordabilityProjection } from './affordability_math.js';
+import { normalizeRentVsBuyInputs, computeRentVsBuyProjection } from './rent_vs_buy_math.js';
+import { normalizeDebtPayoffInputs, computeDebtPayoffProjection } from './debt_payoff_math.js';
+import { normalizeSavingsInputs, computeSavingsProjection } from './savings_math.js';
+import { normalizeCashflowInputs, computeCashflowProjection } from './cashflow_math.js';
+import { normalizeProtectionInputs, computeProtectionProjection } from './protection_math.js';
+import { normalizeCatInputs, computeCatProjection } from './cat_math.js';
+import { goalSeek, listGoalSeekOptions, describeGoalSeekResult } from './goal_seek.js';
+import { SENSITIVITY_ENGINES, computeSensitivity, buildSensitivityChart } from './sensitivity.js';
+import {
+  createModuleSnapshot,
+  findModuleSnapshot,
+  buildSnapshotModule,
+  diffModuleVersions
+} from './module_snapshots.js';
 import { runMortgageMathTests } from './tests_mortgage_math.js';
+import { runSessionStateTests } from './tests_session_state.js';
+import { runSavingsMathTests } from './tests_savings_math.js';
+import { runCashflowMathTests } from './tests_cashflow_math.js';
+import { runProtectionMathTests } from './tests_protection_math.js';
+import { runCatMathTests } from './tests_cat_math.js';
+import { runGoalSeekTests } from './tests_goal_seek.js';
+import { runSensitivityTests } from './tests_sensitivity.js';
+import { runPensionMathTests } from './tests_pension_math.js';
+import { runAffordabilityMathTests } from './tests_affordability_math.js';
+import { runRentVsBuyMathTests } from './tests_rent_vs_buy_math.js';
+import { runDebtPayoffMathTests } from './tests_debt_payoff_math.js';
 import { encryptSessionJson } from './crypto_session.js';
 import { debugNormalizeComparisonGrid } from './education_svg.js';
 import { validateReportPayload } from './report.js';
@@ -78,7 +119,10 @@ const PUBLIC_BASE_URL = (() => {
   return raw.replace(/\/+$/, '');
 })();
 
+const sessionLibrary = createSessionLibrary();
+
 const stateManager = createStateManager(300, {
+  library: sessionLibrary,
   onDirtyChange: (isDirty) => {
     if (runtimeConfig.readOnly) {
       if (ui.sessionStatus) {
@@ -91,8 +135,18 @@ const stateManager = createStateManager(300, {
   }
 });
 
+const sessionHistory = createSessionHistory({ limit: 100 });
+let historyRestoreInFlight = false;
+// The latest save from another tab that could not be merged without asking.
+let pendingRemoteSession = null;
+// The other session another tab last wrote to the shared working slot, so it is flagged once.
+let notifiedRemoteSessionId = null;
+const REMOTE_SYNC_RETRY_MS = 300;
+const REMOTE_SWITCH_TOAST_SECONDS = 12;
+
 const ASSUMPTIONS_UPDATED_FEEDBACK_MS = 800;
 const OVERVIEW_UNDO_SECONDS = 15;
+const MIGRATION_TOAST_SECONDS = 12;
 const TABLE_HIGHLIGHT_KINDS = Object.freeze(['assumptions', 'outputs']);
 const MOBILE_LAYOUT_MEDIA_QUERY = '(max-width: 720px)';
 const MOBILE_SHEET_SWIPE_CLOSE_THRESHOLD = 72;
@@ -723,7 +777,8 @@ const EXAMPLE_PAYLOADS = [
           targetIncomeToday: 42000,
           currentYear: 2026,
           minDrawdownMode: false
-        }
+        },
+        sensitivity: {}
       }
     }
   },
@@ -751,6 +806,95 @@ const EXAMPLE_PAYLOADS = [
       }
     }
   },
+  {
+    id: 'pension-stochastic-demo',
+    label: 'Pension Stochastic (Monte Carlo) Demo',
+    payload: {
+      title: 'Pension Projection (Stochastic Returns Demo)',
+      generated: {
+        summaryHtml: '<p>Seeded market-return paths show the 10th, 50th and 90th percentile outcomes alongside the deterministic projection.</p>',
+        pensionInputs: {
+          currentAge: 42,
+          retirementAge: 67,
+          currentSalary: 85000,
+          currentPot: 180000,
+          personalPct: 0.08,
+          employerPct: 0.06,
+          growthRate: 0.05,
+          inflationRate: 0.02,
+          wageGrowthRate: 0.025,
+          horizonEndAge: 92,
+          targetIncomeToday: 42000,
+          currentYear: 2026,
+          stochastic: {
+            volatility: 0.12,
+            paths: 500,
+            seed: 42,
+            successAge: 90
+          }
+        }
+      }
+    }
+  },
+  {
+    id: 'pension-net-target-demo',
+    label: 'Pension Net Income Target Demo',
+    payload: {
+      title: 'Pension Projection (Net Income Target Demo)',
+      generated: {
+        summaryHtml: '<p>The target income is stated after income tax, USC and PRSI; the engine goal-seeks the gross drawdown needed at each age.</p>',
+        pensionInputs: {
+          currentAge: 45,
+          retirementAge: 65,
+          currentSalary: 90000,
+          currentPot: 220000,
+          personalPct: 0.1,
+          employerPct: 0.05,
+          growthRate: 0.05,
+          inflationRate: 0.02,
+          wageGrowthRate: 0.025,
+          horizonEndAge: 92,
+          targetIncomeToday: 40000,
+          currentYear: 2026,
+          statePension: {},
+          incomeTax: {
+            maritalStatus: 'single',
+            targetBasis: 'net'
+          }
+        }
+      }
+    }
+  },
+  {
+    id: 'pension-multi-pot-demo',
+    label: 'Pension Multi-Pot Demo',
+    payload: {
+      title: 'Pension Projection (Multiple Pots Demo)',
+      generated: {
+        summaryHtml: '<p>An occupational scheme, an AVC and a preserved PRB projected together; the SFT test and the max-relief limit apply to the combined total.</p>',
+        pensionInputs: {
+          currentAge: 44,
+          retirementAge: 65,
+          currentSalary: 95000,
+          growthRate: 0.05,
+          inflationRate: 0.02,
+          wageGrowthRate: 0.025,
+          horizonEndAge: 92,
+          targetIncomeToday: 45000,
+          currentYear: 2026,
+          charges: {
+            amc: 0.0075,
+            showGrossComparison: true
+          },
+          pots: [
+            { type: 'occupational', name: 'Employer DC scheme', balance: 140000, personalPct: 0.06, employerPct: 0.08 },
+            { type: 'avc', name: 'AVC', balance: 25000, personalPct: 0.04, charges: { amc: 0.01 } },
+            { type: 'prb', name: 'Previous employer PRB', balance: 60000, growthRate: 0.04 }
+          ]
+        }
+      }
+    }
+  },
   {
     id: 'mortgage-inline-assumptions-demo',
     label: 'Mortgage Inline Assumptions Demo',
@@ -771,6 +915,306 @@ const EXAMPLE_PAYLOADS = [
       }
     }
   },
+  {
+    id: 'mortgage-split-repayment-demo',
+    label: 'Mortgage Split (Part-and-Part) Demo',
+    payload: {
+      title: 'Mortgage Projection (Split Repayment Demo)',
+      generated: {
+        summaryHtml: '<p>Part of the balance is interest-only, so a bullet repayment falls due at term end.</p>',
+        mortgageInputs: {
+          currentBalance: 380000,
+          annualInterestRate: 0.045,
+          startDateIso: '2026-01-01',
+          remainingTermYears: 20,
+          repaymentType: 'split',
+          interestOnlyPortion: 120000,
+          fixedPaymentAmount: null,
+          oneOffOverpayment: 0,
+          annualOverpayment: 0
+        }
+      }
+    }
+  },
+  {
+    id: 'mortgage-rate-schedule-demo',
+    label: 'Mortgage Rate Schedule Demo',
+    payload: {
+      title: 'Mortgage Projection (Rate Schedule Demo)',
+      generated: {
+        summaryHtml: '<p>A three-year fixed rate rolls onto a higher variable rate, so the payment is recalculated.</p>',
+        mortgageInputs: {
+          currentBalance: 320000,
+          annualInterestRate: 0.0375,
+          startDateIso: '2026-01-01',
+          remainingTermYears: 30,
+          repaymentType: 'repayment',
+          rateSchedule: [
+            { fromDateIso: '2029-01-01', annualInterestRate: 0.0445 },
+            { fromDateIso: '2034-01-01', annualInterestRate: 0.04 }
+          ],
+          fixedPaymentAmount: null,
+          oneOffOverpayment: 0,
+          annualOverpayment: 0
+        },
+        sensitivity: {}
+      }
+    }
+  },
+  {
+    id: 'mortgage-overpayment-schedule-demo',
+    label: 'Mortgage Overpayment Schedule Demo',
+    payload: {
+      title: 'Mortgage Projection (Overpayment Schedule Demo)',
+      generated: {
+        summaryHtml: '<p>Scheduled overpayments compared with the same mortgage without them.</p>',
+        mortgageInputs: {
+          currentBalance: 310000,
+          annualInterestRate: 0.039,
+          startDateIso: '2026-01-01',
+          remainingTermYears: 28,
+          repaymentType: 'repayment',
+          fixedPaymentAmount: null,
+          oneOffOverpayment: 0,
+          annualOverpayment: 0,
+          overpayments: [
+            { type: 'monthly', fromDateIso: '2026-03-01', amount: 250, effect: 'reduceTerm' },
+            { type: 'lumpSum', dateIso: '2027-06-01', amount: 40000, effect: 'reducePayment' }
+          ],
+          earlyRepaymentCharge: {
+            fixedUntilDateIso: '2029-01-01',
+            chargeRate: 0.015,
+            allowancePct: 0.10
+          }
+        }
+      }
+    }
+  },
+  {
+    id: 'mortgage-switching-demo',
+    label: 'Mortgage Switching Demo',
+    payload: {
+      title: 'Mortgage Switching Comparison (Demo)',
+      generated: {
+        summaryHtml: '<p>Staying with the current lender compared with two switching offers.</p>',
+        mortgageInputs: {
+          currentBalance: 285000,
+          annualInterestRate: 0.0445,
+          startDateIso: '2026-01-01',
+          remainingTermYears: 24,
+          repaymentType: 'repayment',
+          fixedPaymentAmount: null,
+          oneOffOverpayment: 0,
+          annualOverpayment: 0,
+          switchOffers: [
+            {
+              name: 'Lender A 3-year fixed',
+              annualInterestRate: 0.0365,
+              rateSchedule: [{ fromDateIso: '2029-01-01', annualInterestRate: 0.042 }],
+              cashbackPct: 0.02,
+              legalCosts: 1500,
+              valuationCosts: 185
+            },
+            {
+              name: 'Lender B variable',
+              annualInterestRate: 0.0405,
+              legalCosts: 1200,
+              valuationCosts: 150
+            }
+          ]
+        }
+      }
+    }
+  },
+  {
+    id: 'mortgage-affordability-demo',
+    label: 'Mortgage Affordability Demo',
+    payload: {
+      title: 'Mortgage Affordability (First-Time Buyer Demo)',
+      generated: {
+        summaryHtml: '<p>How much a first-time buyer couple can borrow under the Central Bank rules.</p>',
+        affordabilityInputs: {
+          buyerType: 'firstTime',
+          grossIncome: 98000,
+          propertyPrice: 425000,
+          savings: 48000,
+          annualInterestRate: 0.0375,
+          termYears: 30,
+          stressBuffer: 0.02,
+          maxRepaymentToIncome: 0.35,
+          existingMonthlyDebts: 250,
+          otherPurchaseCosts: 3500
+        }
+      }
+    }
+  },
+  {
+    id: 'debt-payoff-demo',
+    label: 'Debt Payoff Planner Demo',
+    payload: {
+      title: 'Debt Payoff Planner (Avalanche vs Snowball Demo)',
+      generated: {
+        summaryHtml: '<p>Three debts cleared from one monthly budget, compared with a consolidation loan.</p>',
+        debtPayoffInputs: {
+          startDateIso: '2026-01-01',
+          monthlyBudget: 800,
+          debts: [
+            { name: 'Credit card', kind: 'creditCard', balance: 4000, annualInterestRate: 0.22, minimumPayment: 120 },
+            { name: 'Car loan', kind: 'loan', balance: 12000, annualInterestRate: 0.08, minimumPayment: 290 },
+            { name: 'Credit union loan', kind: 'loan', balance: 2500, annualInterestRate: 0.1, minimumPayment: 80 }
+          ],
+          consolidation: {
+            annualInterestRate: 0.085,
+            termYears: 5,
+            arrangementFee: 200
+          }
+        }
+      }
+    }
+  },
+  {
+    id: 'savings-goal-demo',
+    label: 'Savings Goal Demo',
+    payload: {
+      title: 'Savings Goal (School Fees Demo)',
+      generated: {
+        summaryHtml: '<p>Use the Assumptions pencil to edit the savings goal inline.</p>',
+        savingsInputs: {
+          goalName: 'Secondary school fees',
+          startDateIso: '2026-01-01',
+          targetDateIso: '2034-09-01',
+          targetAmount: 45000,
+          startingBalance: 6000,
+          monthlyContribution: 300,
+          contributionEscalation: 0.03,
+          growthRate: 0.05,
+          inflationRate: 0.02,
+          vehicle: 'fund'
+        }
+      }
+    }
+  },
+  {
+    id: 'cashflow-planner-demo',
+    label: 'Lifetime Cashflow Demo',
+    payload: {
+      title: 'Lifetime Cashflow Plan (Demo)',
+      generated: {
+        cashflowInputs: {
+          startYear: 2026,
+          currentAge: 40,
+          retirementAge: 66,
+          endAge: 90,
+          grossSalary: 75000,
+          salaryGrowth: 0.025,
+          maritalStatus: 'single',
+          inflationRate: 0.025,
+          livingExpenses: 30000,
+          retirementLivingExpenses: 32000,
+          startingCash: 20000,
+          cashReturn: 0.02,
+          propertyValue: 420000,
+          propertyGrowth: 0.03,
+          mortgage: {
+            currentBalance: 250000,
+            annualInterestRate: 0.038,
+            startDateIso: '2026-01-01',
+            remainingTermYears: 20,
+            repaymentType: 'repayment'
+          },
+          pension: {
+            currentPot: 90000,
+            personalPct: 0.08,
+            employerPct: 0.05,
+            growthRate: 0.05,
+            targetIncomeToday: 20000,
+            retirementEvent: {
+              lumpSumPct: 0.25
+            }
+          },
+          lifeEvents: [
+            { name: 'College fees', age: 50, amount: -30000 },
+            { name: 'Inheritance', age: 60, amount: 50000 }
+          ]
+        }
+      }
+    }
+  },
+  {
+    id: 'protection-needs-demo',
+    label: 'Protection Needs Demo',
+    payload: {
+      title: 'Protection Needs Review (Demo)',
+      generated: {
+        protectionInputs: {
+          grossSalary: 70000,
+          incomeReplacementPct: 0.6,
+          survivorIncome: 12000,
+          realDiscountRate: 0.01,
+          dependants: [
+            { name: 'Aoife', age: 6 },
+            { name: 'Cian', age: 3 }
+          ],
+          educationCostPerYear: 8000,
+          liquidAssets: 25000,
+          seriousIllnessYears: 1,
+          mortgage: {
+            currentBalance: 280000,
+            annualInterestRate: 0.038,
+            startDateIso: '2026-01-01',
+            remainingTermYears: 25,
+            repaymentType: 'repayment'
+          },
+          existingCover: {
+            lifeCover: 150000,
+            mortgageProtection: 280000,
+            incomeProtection: 20000,
+            seriousIllness: 0
+          }
+        }
+      }
+    }
+  },
+  {
+    id: 'cat-gifting-timeline-demo',
+    label: 'CAT Gifting Timeline Demo',
+    payload: {
+      title: 'Gift and Inheritance Tax Plan (Demo)',
+      generated: {
+        catInputs: {
+          beneficiaries: [
+            { name: 'Niamh', group: 'A', priorTaxableBenefits: 50000 },
+            { name: 'Sean', group: 'B' }
+          ],
+          scenarios: [
+            {
+              name: 'Everything on death',
+              benefits: [
+                { beneficiary: 'Niamh', donor: 'Parents', type: 'inheritance', amount: 500000, dateIso: '2040-06-01' },
+                { beneficiary: 'Sean', donor: 'Parents', type: 'inheritance', amount: 60000, dateIso: '2040-06-01' }
+              ]
+            },
+            {
+              name: 'Small gifts each year first',
+              benefits: [
+                { beneficiary: 'Niamh', donor: 'Mother', type: 'gift', amount: 3000, dateIso: '2026-12-01' },
+                { beneficiary: 'Niamh', donor: 'Father', type: 'gift', amount: 3000, dateIso: '2026-12-01' },
+                { beneficiary: 'Sean', donor: 'Mother', type: 'gift', amount: 3000, dateIso: '2026-12-01' },
+                { beneficiary: 'Niamh', donor: 'Mother', type: 'gift', amount: 3000, dateIso: '2027-12-01' },
+                { beneficiary: 'Niamh', donor: 'Father', type: 'gift', amount: 3000, dateIso: '2027-12-01' },
+                { beneficiary: 'Sean', donor: 'Mother', type: 'gift', amount: 3000, dateIso: '2027-12-01' },
+                { beneficiary: 'Niamh', donor: 'Mother', type: 'gift', amount: 3000, dateIso: '2028-12-01' },
+                { beneficiary: 'Niamh', donor: 'Father', type: 'gift', amount: 3000, dateIso: '2028-12-01' },
+                { beneficiary: 'Sean', donor: 'Mother', type: 'gift', amount: 3000, dateIso: '2028-12-01' },
+                { beneficiary: 'Niamh', donor: 'Parents', type: 'inheritance', amount: 482000, dateIso: '2040-06-01' },
+                { beneficiary: 'Sean', donor: 'Parents', type: 'inheritance', amount: 51000, dateIso: '2040-06-01' }
+              ]
+            }
+          ]
+        }
+      }
+    }
+  },
   {
     id: 'loan-inline-assumptions-demo',
     label: 'Loan Inputs Demo',
@@ -903,6 +1347,30 @@ const PLAYBOOKS = [
         ]
       }
     }
+  },
+  {
+    id: 'rent_vs_buy',
+    name: 'Rent vs Buy',
+    payload: {
+      title: 'Rent vs Buy',
+      generated: {
+        rentVsBuyInputs: {
+          propertyPrice: 400000,
+          deposit: 40000,
+          annualInterestRate: 0.04,
+          termYears: 30,
+          horizonYears: 25,
+          startDateIso: '2026-01-01',
+          monthlyRent: 2000,
+          rentInflation: 0.03,
+          housePriceGrowth: 0.03,
+          buyingCostsPct: 0.02,
+          sellingCostsPct: 0.02,
+          ownershipCostsPct: 0.01,
+          investmentReturn: 0.05
+        }
+      }
+    }
   }
 ];
 
@@ -940,6 +1408,7 @@ function createBlankModule() {
     title: '',
     notes: '',
     generated: createEmptyGenerated(),
+    snapshots: [],
     ui: {
       tableHighlights: {
         assumptions: {
@@ -1307,6 +1776,8 @@ function getAssumptionsEditorState(moduleId) {
       phase: 'idle',
       errors: {},
       draftValues: {},
+      solveForDraft: {},
+      solveForResult: null,
       phaseTimerId: 0
     });
   }
@@ -1336,6 +1807,8 @@ function resetAssumptionsEditorState(moduleId) {
   state.phase = 'idle';
   state.errors = {};
   state.draftValues = {};
+  state.solveForDraft = {};
+  state.solveForResult = null;
 }
 
 function clearAllAssumptionsEditorState() {
@@ -1360,7 +1833,45 @@ function getAssumptionsEditorRenderStatus(moduleId) {
     isEditing: Boolean(state.isEditing),
     phase: state.phase,
     errors: { ...state.errors },
-    draftValues: { ...state.draftValues }
+    draftValues: { ...state.draftValues },
+    solveFor: getSolveForRenderStatus(moduleId, state)
+  };
+}
+
+function getGoalSeekCalculator(module) {
+  if (module?.generated?.pensionInputs) {
+    return 'pension';
+  }
+  if (module?.generated?.savingsInputs) {
+    return 'savings';
+  }
+  if (getLoanEngineInputs(module)) {
+    return 'mortgage';
+  }
+  return null;
+}
+
+function getGoalSeekInputs(module, calculator) {
+  return calculator === 'mortgage'
+    ? getLoanEngineInputs(module)
+    : module?.generated?.[`${calculator}Inputs`];
+}
+
+function getSolveForRenderStatus(moduleId, state) {
+  const module = getModuleById(appState.session, moduleId);
+  const calculator = getGoalSeekCalculator(module);
+  const options = listGoalSeekOptions(calculator, getGoalSeekInputs(module, calculator));
+  if (!options || options.fields.length === 0) {
+    return null;
+  }
+
+  const draft = state?.solveForDraft || {};
+  return {
+    options,
+    field: options.fields.some((entry) => entry.key === draft.field) ? draft.field : options.fields[0].key,
+    metric: options.metrics.some((entry) => entry.key === draft.metric) ? draft.metric : options.metrics[0].key,
+    target: typeof draft.target === 'string' ? draft.target : '',
+    result: state?.solveForResult ? { ...state.solveForResult } : null
   };
 }
 
@@ -1665,6 +2176,31 @@ function mapPensionNormalizationErrorToField(message) {
   return null;
 }
 
+function mapSavingsNormalizationErrorToField(message) {
+  if (message.includes('.targetAmount')) {
+    return 'targetAmount';
+  }
+  if (message.includes('.targetDateIso') || message.includes('.startDateIso')) {
+    return 'targetDateIso';
+  }
+  if (message.includes('.startingBalance')) {
+    return 'startingBalance';
+  }
+  if (message.includes('.monthlyContribution')) {
+    return 'monthlyContribution';
+  }
+  if (message.includes('.contributionEscalation')) {
+    return 'contributionEscalation';
+  }
+  if (message.includes('.growthRate')) {
+    return 'growthRate';
+  }
+  if (message.includes('.inflationRate')) {
+    return 'inflationRate';
+  }
+  return null;
+}
+
 function mapMortgageNormalizationErrorToField(message) {
   if (message.includes('.currentBalance')) {
     return 'currentBalance';
@@ -1744,6 +2280,40 @@ function parsePensionFieldInput(field, rawValue) {
   }
 }
 
+function parseIsoDateInput(rawValue, { label }) {
+  const trimmed = String(rawValue ?? '').trim();
+  if (!trimmed) {
+    return { error: `${label} is required.` };
+  }
+
+  if (!parseIsoDateToMonthDate(trimmed)) {
+    return { error: `${label} must be a valid date (YYYY-MM-DD).` };
+  }
+
+  return { value: trimmed };
+}
+
+function parseSavingsFieldInput(field, rawValue) {
+  switch (field) {
+    case 'targetAmount':
+      return parsePositiveNumberInput(rawValue, { label: 'Target amount' });
+    case 'targetDateIso':
+      return parseIsoDateInput(rawValue, { label: 'Target date' });
+    case 'startingBalance':
+      return parseNonNegativeNumberInput(rawValue, { label: 'Starting balance' });
+    case 'monthlyContribution':
+      return parseNonNegativeNumberInput(rawValue, { label: 'Monthly contribution' });
+    case 'contributionEscalation':
+      return parseRateInput(rawValue, { label: 'Contribution escalation' });
+    case 'growthRate':
+      return parseRateInput(rawValue, { label: 'Growth rate' });
+    case 'inflationRate':
+      return parseRateInput(rawValue, { label: 'Inflation' });
+    default:
+      return { error: 'Unsupported savings assumption field.' };
+  }
+}
+
 function parseMortgageFieldInput(field, rawValue) {
   switch (field) {
     case 'currentBalance':
@@ -1799,6 +2369,12 @@ function applyUpdatedProjectionToModule({
     return;
   }
 
+  if (calculator === 'savings') {
+    module.generated.savingsInputs = normalizedInputs;
+    applyEngineProjectionToModule(module, 'savingsInputs');
+    return;
+  }
+
   if (calculator === 'mortgage') {
     const existingSource = getLoanEngineSource(module);
     const targetSource = existingSource === 'loanInputs' || normalizedInputs?.loanKind === 'loan'
@@ -1861,38 +2437,88 @@ function commitPensionAssumptionField({
   };
 }
 
-function getMortgagePaymentModeForCommit({ state, baseInputs, modeOverride = null }) {
-  if (modeOverride === 'fixed' || modeOverride === 'calculated') {
-    return modeOverride;
-  }
-
-  const draftMode = String(state?.draftValues?.fixedPaymentMode || '').trim().toLowerCase();
-  if (draftMode === 'fixed' || draftMode === 'calculated') {
-    return draftMode;
-  }
-
-  return Number.isFinite(baseInputs?.fixedPaymentAmount) && baseInputs.fixedPaymentAmount > 0
-    ? 'fixed'
-    : 'calculated';
-}
-
-function commitMortgageAssumptionField({
+function commitSavingsAssumptionField({
   module,
   state,
   field,
-  rawValue,
-  modeOverride = null
+  rawValue
 }) {
-  const baseInputs = getLoanEngineInputs(module);
+  const baseInputs = module?.generated?.savingsInputs;
   if (!baseInputs) {
     return {
       ok: false,
-      field: field || 'currentBalance',
-      message: 'Loan inputs are unavailable for this module.'
+      field,
+      message: 'Savings inputs are unavailable for this module.'
     };
   }
 
-  const candidate = { ...baseInputs, repaymentType: 'repayment' };
+  const candidate = { ...baseInputs };
+  const parsed = parseSavingsFieldInput(field, rawValue);
+  if (parsed.error) {
+    return {
+      ok: false,
+      field,
+      message: parsed.error
+    };
+  }
+  candidate[field] = parsed.value;
+
+  let normalizedInputs;
+  try {
+    normalizedInputs = normalizeSavingsInputs(candidate);
+  } catch (error) {
+    const message = error?.message || 'Invalid savings assumptions.';
+    const mappedField = mapSavingsNormalizationErrorToField(message) || field;
+    return {
+      ok: false,
+      field: mappedField,
+      message
+    };
+  }
+
+  applyUpdatedProjectionToModule({
+    module,
+    calculator: 'savings',
+    normalizedInputs
+  });
+  clearAssumptionsDraftFields(state, [field]);
+  return {
+    ok: true
+  };
+}
+
+function getMortgagePaymentModeForCommit({ state, baseInputs, modeOverride = null }) {
+  if (modeOverride === 'fixed' || modeOverride === 'calculated') {
+    return modeOverride;
+  }
+
+  const draftMode = String(state?.draftValues?.fixedPaymentMode || '').trim().toLowerCase();
+  if (draftMode === 'fixed' || draftMode === 'calculated') {
+    return draftMode;
+  }
+
+  return Number.isFinite(baseInputs?.fixedPaymentAmount) && baseInputs.fixedPaymentAmount > 0
+    ? 'fixed'
+    : 'calculated';
+}
+
+function commitMortgageAssumptionField({
+  module,
+  state,
+  field,
+  rawValue,
+  modeOverride = null
+}) {
+  const baseInputs = getLoanEngineInputs(module);
+  if (!baseInputs) {
+    return {
+      ok: false,
+      field: field || 'currentBalance',
+      message: 'Loan inputs are unavailable for this module.'
+    };
+  }
+
+  const candidate = { ...baseInputs, repaymentType: baseInputs.repaymentType || 'repayment' };
   let nextMode = getMortgagePaymentModeForCommit({
     state,
     baseInputs,
@@ -1978,6 +2604,39 @@ function commitMortgageAssumptionField({
   };
 }
 
+function getSensitivityCalculator(module) {
+  if (module?.generated?.pensionInputs) {
+    return 'pension';
+  }
+
+  return module?.generated?.mortgageInputs || module?.generated?.loanInputs ? 'mortgage' : null;
+}
+
+// Reruns the projection with each input nudged down and up and appends the tornado chart.
+// Only modules that asked for it (generated.sensitivity set, even to {}) pay for the reruns.
+// A failed run drops the card rather than the projection it sits beside.
+function applySensitivityToModule(module, calculator, inputs) {
+  if (!module.generated.sensitivity) {
+    return;
+  }
+
+  const shocks = module.generated.sensitivity?.shocks || {};
+  try {
+    const result = computeSensitivity({ calculator, inputs, shocks });
+    module.generated.sensitivity = {
+      shocks,
+      metricLabel: result.metricLabel,
+      metricKind: result.metricKind,
+      baseValue: result.baseValue,
+      rows: result.rows
+    };
+    module.generated.charts.push(buildSensitivityChart(result));
+  } catch (error) {
+    console.warn('[CallCanvas] sensitivity analysis skipped', error);
+    module.generated.sensitivity = { shocks };
+  }
+}
+
 function applyPensionProjectionToModule(module, { updateSummary = true } = {}) {
   const projection = computePensionProjection(module.generated.pensionInputs);
   const currentScenario = projection.debug?.currentScenario || {
@@ -1992,6 +2651,7 @@ function applyPensionProjectionToModule(module, { updateSummary = true } = {}) {
     ...chart,
     id: chart.id || makeChartId(module.id, chart.title, index)
   }));
+  applySensitivityToModule(module, 'pension', module.generated.pensionInputs);
 
   if (updateSummary) {
     module.generated.summaryHtml = injectAutoPensionSummarySentences(
@@ -2011,7 +2671,9 @@ function applyPensionProjectionToModule(module, { updateSummary = true } = {}) {
     retirementYear: projection.debug.retirementYear,
     sftValue: projection.debug.sftValue,
     sftYearUsed: projection.debug.sftYearUsed,
-    heldConstantBeyond2029: projection.debug.sftHeldConstantBeyond2029,
+    heldConstantBeyondSchedule: projection.debug.sftHeldConstantBeyondSchedule,
+    indexationRate: projection.debug.sftIndexationRate,
+    rulesVersion: projection.debug.rulesVersion,
     breaches: projection.debug.sftBreaches
   });
   console.info('[pension] chart1 dataset labels', projection.charts[0].datasets.map((dataset) => dataset.label));
@@ -2054,6 +2716,7 @@ function applyMortgageProjectionToModule(module, { updateSummary = true } = {})
     ...chart,
     id: chart.id || makeChartId(module.id, chart.title, index)
   }));
+  applySensitivityToModule(module, 'mortgage', normalizedInputs);
 
   if (updateSummary) {
     module.generated.summaryHtml = projection.summaryHtml;
@@ -2079,6 +2742,161 @@ function applyMortgageProjectionToModule(module, { updateSummary = true } = {})
   return projection;
 }
 
+// Every calculator a module can carry, keyed by the generated input it reads. `normalize`
+// validates a payload's inputs; `apply` is set where an engine writes its projection its own
+// way, and the rest normalize, compute, then replace the tables, charts and summary.
+// `inlineAssumptions` engines have an assumptions editor to reset when their inputs change, and
+// `sensitivity` engines rerun when only the sensitivity shocks change.
+const ENGINE_PROJECTIONS = Object.freeze({
+  pensionInputs: {
+    normalize: normalizePensionInputs,
+    apply: applyPensionProjectionToModule,
+    inlineAssumptions: true,
+    sensitivity: true
+  },
+  mortgageInputs: {
+    normalize: (inputs) => normalizeMortgageInputs(inputs, { defaultLoanKind: 'mortgage' }),
+    apply: applyMortgageProjectionToModule,
+    inlineAssumptions: true,
+    sensitivity: true
+  },
+  loanInputs: {
+    normalize: (inputs) => normalizeMortgageInputs(inputs, { defaultLoanKind: 'loan' }),
+    apply: applyMortgageProjectionToModule,
+    inlineAssumptions: true,
+    sensitivity: true
+  },
+  affordabilityInputs: {
+    calculator: 'affordability',
+    label: 'affordability',
+    normalize: normalizeAffordabilityInputs,
+    compute: computeAffordabilityProjection,
+    describe: (inputs, debug) => ({
+      inputs,
+      maxLoan: debug?.maxLoan,
+      bindingConstraint: debug?.bindingConstraint,
+      depositGap: debug?.depositGap,
+      maxPurchasePrice: debug?.maxPurchasePrice
+    })
+  },
+  rentVsBuyInputs: {
+    calculator: 'rentVsBuy',
+    label: 'rent vs buy',
+    normalize: normalizeRentVsBuyInputs,
+    compute: computeRentVsBuyProjection,
+    describe: (inputs, debug) => ({
+      inputs,
+      monthlyPayment: debug?.monthlyPayment,
+      crossoverYear: debug?.crossoverYear,
+      finalBuyNetWealth: debug?.finalBuyNetWealth,
+      finalRentNetWealth: debug?.finalRentNetWealth
+    })
+  },
+  debtPayoffInputs: {
+    calculator: 'debtPayoff',
+    label: 'debt payoff',
+    normalize: normalizeDebtPayoffInputs,
+    compute: computeDebtPayoffProjection,
+    describe: (inputs, debug) => ({
+      debtCount: inputs.debts.length,
+      monthlyBudget: inputs.monthlyBudget,
+      cheapestStrategy: debug?.cheapestStrategy,
+      avalancheInterest: debug?.avalanche?.totalInterest,
+      snowballInterest: debug?.snowball?.totalInterest,
+      consolidationInterest: debug?.consolidation?.totalInterest ?? null
+    })
+  },
+  savingsInputs: {
+    calculator: 'savings',
+    label: 'savings',
+    normalize: normalizeSavingsInputs,
+    compute: computeSavingsProjection,
+    inlineAssumptions: true,
+    describe: (inputs, debug) => ({
+      inputs,
+      netBalance: debug?.netBalance,
+      targetNominal: debug?.targetNominal,
+      requiredMonthlyContribution: debug?.requiredMonthlyContribution,
+      taxPaid: debug?.taxPaid
+    })
+  },
+  cashflowInputs: {
+    calculator: 'cashflow',
+    label: 'cashflow',
+    normalize: normalizeCashflowInputs,
+    compute: computeCashflowProjection,
+    describe: (inputs, debug) => ({
+      inputs,
+      netWorthAtRetirement: debug?.netWorthAtRetirement,
+      finalNetWorth: debug?.finalNetWorth,
+      cashRunsOutYear: debug?.cashRunsOutYear
+    })
+  },
+  protectionInputs: {
+    calculator: 'protection',
+    label: 'protection',
+    normalize: normalizeProtectionInputs,
+    compute: computeProtectionProjection,
+    describe: (inputs, debug) => ({
+      inputs,
+      lifeCoverGap: debug?.lifeCover?.gap,
+      incomeProtectionGap: debug?.incomeProtection?.gap,
+      seriousIllnessGap: debug?.seriousIllness?.gap
+    })
+  },
+  catInputs: {
+    calculator: 'cat',
+    label: 'CAT',
+    normalize: normalizeCatInputs,
+    compute: computeCatProjection,
+    describe: (inputs, debug) => ({
+      inputs,
+      cheapestScenario: debug?.cheapestScenario,
+      totalTaxByScenario: debug?.scenarios?.map((scenario) => scenario.totalTax)
+    })
+  }
+});
+
+function applyEngineProjectionToModule(module, engineKey, { updateSummary = true } = {}) {
+  const engine = ENGINE_PROJECTIONS[engineKey];
+  if (!engine) {
+    throw new Error(`No projection engine reads generated.${engineKey}.`);
+  }
+
+  if (engine.apply) {
+    return engine.apply(module, { updateSummary });
+  }
+
+  const normalizedInputs = engine.normalize(module.generated[engineKey]);
+  module.generated[engineKey] = normalizedInputs;
+  const projection = engine.compute(normalizedInputs);
+
+  module.generated.assumptions = projection.assumptionsTable;
+  module.generated.outputs = projection.outputsTable;
+  module.generated.outputsBucketed = null;
+  if (projection.tables) {
+    module.generated.tables = projection.tables;
+  }
+  module.generated.charts = projection.charts.map((chart, index) => ({
+    ...chart,
+    id: chart.id || makeChartId(module.id, chart.title, index)
+  }));
+
+  if (updateSummary) {
+    module.generated.summaryHtml = projection.summaryHtml;
+  }
+
+  console.info(`[CallCanvas] ${engine.label} projection computed`, engine.describe(normalizedInputs, projection.debug));
+
+  appState.lastValidProjectionByModuleId.set(module.id, {
+    calculator: engine.calculator,
+    inputs: { ...normalizedInputs },
+    debug: projection.debug
+  });
+
+  return projection;
+}
+
 function clearCompareScrollSyncCleanup() {
   if (typeof appState.compareScrollCleanup === 'function') {
     appState.compareScrollCleanup();
@@ -2276,6 +3094,7 @@ function startDeleteUndoSnackbar({
       await restoreDeletedBatch(batch.snapshot);
       markSessionDirty();
       saveSessionNow();
+      recordSessionHistory('Restore deleted modules');
     } catch (error) {
       console.error('[CallCanvas] failed to restore deleted modules batch', error);
       showToast('Could not restore deleted modules.', 'error');
@@ -2317,12 +3136,12 @@ function showToast(message, type = 'success') {
   }, 2600);
 }
 
-function saveSessionNow() {
+function saveSessionNow(saveOptions = {}) {
   if (!runtimeConfig.persistLocalSession) {
     return;
   }
 
-  stateManager.saveNow(appState.session);
+  stateManager.saveNow(appState.session, saveOptions);
 }
 
 function scheduleSessionSave() {
@@ -2333,6 +3152,101 @@ function scheduleSessionSave() {
   stateManager.scheduleSave(appState.session);
 }
 
+function recordSessionHistory(label, options = {}) {
+  if (runtimeConfig.readOnly || historyRestoreInFlight) {
+    return;
+  }
+
+  if (sessionHistory.record(appState.session, { label, ...options })) {
+    refreshSessionHistoryPanel();
+  }
+}
+
+function isSessionHistoryOpen() {
+  return Boolean(ui.sessionHistoryModal && !ui.sessionHistoryModal.classList.contains('is-hidden'));
+}
+
+function refreshSessionHistoryPanel() {
+  if (!isSessionHistoryOpen()) {
+    return;
+  }
+
+  renderSessionHistoryList(ui, {
+    entries: sessionHistory.getEntries(),
+    canUndo: sessionHistory.canUndo(),
+    canRedo: sessionHistory.canRedo()
+  });
+}
+
+function setSessionHistoryOpen(open) {
+  if (!ui.sessionHistoryModal) {
+    return;
+  }
+
+  ui.sessionHistoryModal.classList.toggle('is-hidden', !open);
+  ui.sessionHistoryModal.setAttribute('aria-hidden', open ? 'false' : 'true');
+  refreshSessionHistoryPanel();
+}
+
+// Brings the module the step touched into view, so the advisor sees what was undone.
+async function restoreSessionHistoryStep(moveHistory) {
+  if (runtimeConfig.readOnly || historyRestoreInFlight || appState.transitionLock || getIsZoomAnimating()) {
+    return;
+  }
+
+  const step = moveHistory();
+  if (!step) {
+    return;
+  }
+
+  historyRestoreInFlight = true;
+  try {
+    const restored = importSession(step.session);
+    if (restored.sessionId !== appState.session.sessionId) {
+      // History never spans sessions; a step from another one means the boundary was missed.
+      sessionHistory.reset(appState.session);
+      refreshSessionHistoryPanel();
+      return;
+    }
+
+    const focusModuleId = restored.order.includes(step.entry.moduleId)
+      ? step.entry.moduleId
+      : appState.session.activeModuleId;
+    if (restored.order.includes(focusModuleId)) {
+      restored.activeModuleId = focusModuleId;
+    }
+
+    await replaceSession(restored, { markClean: false, keepOverview: true });
+    markSessionDirty();
+  } catch (error) {
+    console.error('[CallCanvas] failed to restore history step', error);
+    showToast('Could not restore that step.', 'error');
+  } finally {
+    historyRestoreInFlight = false;
+  }
+
+  refreshSessionHistoryPanel();
+  return step.entry;
+}
+
+async function undoSessionChange() {
+  const entry = await restoreSessionHistoryStep(() => sessionHistory.undo());
+  if (entry) {
+    showToast(`Undid ${entry.label.toLowerCase()}.`);
+  }
+}
+
+async function redoSessionChange() {
+  const entry = await restoreSessionHistoryStep(() => sessionHistory.redo());
+  if (entry) {
+    showToast(`Redid ${entry.label.toLowerCase()}.`);
+  }
+}
+
+async function jumpToSessionHistoryEntry(index) {
+  await restoreSessionHistoryStep(() => sessionHistory.goTo(index));
+}
+
 function markSessionDirty() {
   if (!runtimeConfig.persistLocalSession) {
     return;
@@ -2453,6 +3367,7 @@ function syncMobileActionState() {
   syncButton(ui.mobileActionZoomButton, ui.zoomButton);
   syncButton(ui.mobileOverflowPublishButton, ui.publishSessionButton);
   syncButton(ui.mobileOverflowLoadButton, ui.loadSessionButton);
+  syncButton(ui.mobileOverflowHistoryButton, ui.historyButton);
   syncButton(ui.mobileOverflowResetButton, ui.resetButton);
 
   if (ui.mobileActionZoomLabel && ui.zoomButton) {
@@ -3034,7 +3949,14 @@ function applyRuntimeChrome() {
       ui.clientNameInput.readOnly = true;
       ui.clientNameInput.setAttribute('aria-readonly', 'true');
     }
-    [ui.playbookSelect, ui.newCallButton, ui.loadSessionButton, ui.newModuleButton, ui.resetButton].forEach((element) => {
+    [
+      ui.playbookSelect,
+      ui.newCallButton,
+      ui.loadSessionButton,
+      ui.historyButton,
+      ui.newModuleButton,
+      ui.resetButton
+    ].forEach((element) => {
       if (!element) {
         return;
       }
@@ -3160,8 +4082,18 @@ async function handleRevokePublishedAccess() {
   }
 }
 
+// historyLabel records the replacement as an undoable step; undo and redo pass none because
+// they are already moving through the history. historyStart marks a switch to another session
+// (open, new, load): history starts over there, so undo can never step back into, and re-save,
+// a session that was closed or deleted since.
 async function replaceSession(nextSession, options = {}) {
-  const { markClean = true } = options;
+  const { markClean = true, touch = true, historyLabel = null, historyStart = null, keepOverview = false } = options;
+  const wasOverview = appState.mode === 'overview';
+  const switchedSession = nextSession.sessionId !== appState.session?.sessionId;
+
+  if (runtimeConfig.persistLocalSession) {
+    stateManager.flush();
+  }
 
   destroySortable();
   destroyAllCharts();
@@ -3178,15 +4110,27 @@ async function replaceSession(nextSession, options = {}) {
   appState.lastValidProjectionByModuleId = new Map();
 
   ensureActiveModule(appState.session);
-  saveSessionNow();
+  saveSessionNow({ touch });
 
   if (markClean) {
     markSessionClean();
   }
 
+  if (historyStart || (switchedSession && !historyRestoreInFlight)) {
+    sessionHistory.reset(appState.session, historyStart || 'Session opened');
+    refreshSessionHistoryPanel();
+  } else if (historyLabel) {
+    recordSessionHistory(historyLabel);
+  }
+
   renderGreeting(ui, appState.session.clientName);
 
-  if (appState.session.modules.length > 0) {
+  if (appState.session.modules.length > 0 && keepOverview && wasOverview) {
+    appState.mode = 'overview';
+    setMode(ui, 'overview');
+    refreshOverview({ enableSortable: true });
+    updateUiChrome();
+  } else if (appState.session.modules.length > 0) {
     appState.mode = 'focused';
     await renderFocused({ useSwipe: false, revealMode: true });
   } else {
@@ -3375,6 +4319,9 @@ function validateChartsPayload(charts) {
         return {
           label: typeof dataset.label === 'string' ? dataset.label : `Series ${datasetIndex + 1}`,
           data: dataset.data.map((value) => {
+            if (value === null) {
+              return null;
+            }
             if (typeof value !== 'number' || !Number.isFinite(value)) {
               throw new Error(`Chart ${index + 1} contains non-numeric data.`);
             }
@@ -3564,16 +4511,32 @@ function validateEducationPayload(education) {
   return normalized;
 }
 
-function validatePensionInputsPayload(pensionInputs) {
-  return normalizePensionInputs(pensionInputs);
-}
+// Only the shock overrides come from a payload; the tornado itself is always recomputed.
+function validateSensitivityPayload(sensitivity) {
+  if (sensitivity === null) {
+    return null;
+  }
 
-function validateMortgageInputsPayload(mortgageInputs) {
-  return normalizeMortgageInputs(mortgageInputs, { defaultLoanKind: 'mortgage' });
-}
+  if (!sensitivity || typeof sensitivity !== 'object' || Array.isArray(sensitivity)) {
+    throw new Error('generated.sensitivity must be an object or null.');
+  }
+
+  const shocks = sensitivity.shocks ?? {};
+  if (!shocks || typeof shocks !== 'object' || Array.isArray(shocks)) {
+    throw new Error('generated.sensitivity.shocks must be an object.');
+  }
+
+  const knownFields = new Set(Object.values(SENSITIVITY_ENGINES).flatMap((engine) => Object.keys(engine.fields)));
+  Object.entries(shocks).forEach(([field, amount]) => {
+    if (!knownFields.has(field)) {
+      throw new Error(`generated.sensitivity.shocks.${field} is not an input sensitivity analysis can move.`);
+    }
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+      throw new Error(`generated.sensitivity.shocks.${field} must be a non-negative number.`);
+    }
+  });
 
-function validateLoanInputsPayload(loanInputs) {
-  return normalizeMortgageInputs(loanInputs, { defaultLoanKind: 'loan' });
+  return { shocks: { ...shocks } };
 }
 
 function normalizePayload(payload) {
@@ -3633,16 +4596,14 @@ function normalizePayload(payload) {
       generatedPatch.charts = validateChartsPayload(payload.generated.charts);
     }
 
-    if ('pensionInputs' in payload.generated) {
-      generatedPatch.pensionInputs = validatePensionInputsPayload(payload.generated.pensionInputs);
-    }
-
-    if ('mortgageInputs' in payload.generated) {
-      generatedPatch.mortgageInputs = validateMortgageInputsPayload(payload.generated.mortgageInputs);
-    }
+    ENGINE_INPUT_KEYS.forEach((key) => {
+      if (key in payload.generated) {
+        generatedPatch[key] = ENGINE_PROJECTIONS[key].normalize(payload.generated[key]);
+      }
+    });
 
-    if ('loanInputs' in payload.generated) {
-      generatedPatch.loanInputs = validateLoanInputsPayload(payload.generated.loanInputs);
+    if ('sensitivity' in payload.generated) {
+      generatedPatch.sensitivity = validateSensitivityPayload(payload.generated.sensitivity);
     }
 
     if ('education' in payload.generated) {
@@ -3858,7 +4819,8 @@ function setPensionShowMaxForModule(moduleId, value) {
   }
 }
 
-function updateModule(moduleId, patch) {
+// Edits to the same fields of a module coalesce in the history, so typing a title is one step.
+function updateModule(moduleId, patch, { historyLabel = 'Edit module' } = {}) {
   if (runtimeConfig.readOnly) {
     return;
   }
@@ -3872,6 +4834,10 @@ function updateModule(moduleId, patch) {
   Object.assign(module, patch);
   module.updatedAt = nowIso();
   scheduleSessionSave();
+  recordSessionHistory(historyLabel, {
+    coalesceKey: `${moduleId}:${Object.keys(patch).sort().join(',')}`,
+    moduleId
+  });
 
   if (appState.mode === 'overview') {
     refreshOverview({ enableSortable: true });
@@ -3885,6 +4851,8 @@ function toggleAssumptionsEditMode(moduleId) {
   state.phase = 'idle';
   state.errors = {};
   state.draftValues = {};
+  state.solveForDraft = {};
+  state.solveForResult = null;
   clearAssumptionsEditorTimers(state);
   refreshInlineAssumptionsCard(moduleId);
 }
@@ -3948,6 +4916,14 @@ async function commitInlineAssumption({
       field,
       rawValue
     });
+  } else if (calculator === 'savings') {
+    const rawValue = hasOwnPropertyValue(state.draftValues, field) ? state.draftValues[field] : value;
+    result = commitSavingsAssumptionField({
+      module,
+      state,
+      field,
+      rawValue
+    });
   } else if (calculator === 'mortgage') {
     const rawValue = field && hasOwnPropertyValue(state.draftValues, field) ? state.draftValues[field] : value;
     result = commitMortgageAssumptionField({
@@ -3989,6 +4965,94 @@ async function commitInlineAssumption({
 
   markSessionDirty();
   saveSessionNow();
+  recordSessionHistory('Change assumptions', {
+    coalesceKey: `${moduleId}:assumption:${field || modeOverride || ''}`,
+    moduleId
+  });
+}
+
+function setSolveForDraftValue(moduleId, key, value) {
+  if (!['field', 'metric', 'target'].includes(key)) {
+    return;
+  }
+
+  const state = getAssumptionsEditorState(moduleId);
+  state.solveForDraft = {
+    ...(state.solveForDraft || {}),
+    [key]: String(value ?? '')
+  };
+  state.solveForResult = null;
+  if (key !== 'target') {
+    refreshInlineAssumptionsCard(moduleId);
+  }
+}
+
+// Goal-seeks the chosen input, then commits the answer through the normal inline edit path so
+// validation, projection and saving behave exactly as if the value had been typed.
+async function solveInlineAssumption({ moduleId, calculator }) {
+  if (runtimeConfig.readOnly || !moduleId || !calculator) {
+    return;
+  }
+
+  const module = getModuleById(appState.session, moduleId);
+  if (!module) {
+    return;
+  }
+
+  ensureGenerated(module);
+  const state = getAssumptionsEditorState(moduleId);
+  const solveFor = getSolveForRenderStatus(moduleId, state);
+  if (!solveFor) {
+    return;
+  }
+
+  const metricOption = solveFor.options.metrics.find((entry) => entry.key === solveFor.metric);
+  const parsedTarget = metricOption?.kind === 'year'
+    ? parseIntegerInput(solveFor.target, { label: 'Target year' })
+    : parseNonNegativeNumberInput(solveFor.target, { label: 'Target' });
+  if (parsedTarget.error) {
+    state.solveForResult = { ok: false, message: parsedTarget.error };
+    refreshInlineAssumptionsCard(moduleId);
+    return;
+  }
+
+  const inputs = getGoalSeekInputs(module, calculator);
+  let result;
+  try {
+    result = goalSeek({
+      calculator,
+      inputs,
+      field: solveFor.field,
+      metric: solveFor.metric,
+      target: parsedTarget.value
+    });
+  } catch (error) {
+    state.solveForResult = { ok: false, message: error?.message || 'Could not solve for this assumption.' };
+    refreshInlineAssumptionsCard(moduleId);
+    return;
+  }
+
+  console.info('[CallCanvas] goal seek finished', result);
+
+  if (!result.converged) {
+    state.solveForResult = { ok: false, message: describeGoalSeekResult(result) };
+    refreshInlineAssumptionsCard(moduleId);
+    return;
+  }
+
+  await commitInlineAssumption({
+    moduleId,
+    calculator,
+    field: result.field,
+    value: result.value,
+    modeOverride: result.field === 'fixedPaymentAmount' ? 'fixed' : null
+  });
+
+  const commitError = getAssumptionsEditorState(moduleId).errors?.[result.field];
+  state.solveForResult = commitError
+    ? { ok: false, message: commitError }
+    : { ok: true, message: describeGoalSeekResult(result) };
+  refreshInlineAssumptionsCard(moduleId);
 }
 
 function handleAssumptionsEditorPatch(action) {
@@ -4044,18 +5108,113 @@ function handleAssumptionsEditorPatch(action) {
         value
       });
       return;
+    case 'solve-for-draft':
+      setSolveForDraftValue(moduleId, field, value);
+      return;
+    case 'solve-for':
+      void solveInlineAssumption({
+        moduleId,
+        calculator
+      });
+      return;
+    case 'snapshot-save':
+      saveModuleSnapshot(moduleId, value);
+      return;
+    case 'snapshot-delete':
+      deleteModuleSnapshot(moduleId, value);
+      return;
+    case 'snapshot-compare':
+      void compareModuleSnapshots(moduleId, value);
+      return;
     default:
       return;
   }
 }
 
-function updateUiChrome() {
-  const activeIndex = getActiveIndex();
-  updateControls(ui, {
-    mode: appState.mode,
-    moduleCount: appState.session.modules.length,
-    hasPrevious: activeIndex > 0,
-    hasNext: hasNextModule(),
+function refreshModuleSnapshotsCard(moduleId) {
+  const module = getModuleById(appState.session, moduleId);
+  const focusedCard = getActiveFocusedModuleCard(moduleId);
+  if (!module || !focusedCard) {
+    return;
+  }
+
+  patchModuleSnapshotsCard(focusedCard, module, {
+    onPatchInputs: (action) => handleAssumptionsEditorPatch(action)
+  });
+}
+
+function saveModuleSnapshot(moduleId, name) {
+  const module = getModuleById(appState.session, moduleId);
+  if (!module) {
+    return;
+  }
+
+  let snapshot;
+  try {
+    snapshot = createModuleSnapshot(module, name);
+  } catch (error) {
+    showToast(error.message, 'error');
+    return;
+  }
+
+  module.snapshots = [...(module.snapshots || []), snapshot];
+  markSessionDirty();
+  saveSessionNow();
+  recordSessionHistory(`Save snapshot "${snapshot.name}"`, { moduleId });
+  refreshModuleSnapshotsCard(moduleId);
+  showToast(`Snapshot "${snapshot.name}" saved.`);
+}
+
+function deleteModuleSnapshot(moduleId, snapshotId) {
+  const module = getModuleById(appState.session, moduleId);
+  const snapshot = module ? findModuleSnapshot(module, snapshotId) : null;
+  if (!snapshot) {
+    return;
+  }
+
+  module.snapshots = module.snapshots.filter((entry) => entry.id !== snapshotId);
+  markSessionDirty();
+  saveSessionNow();
+  recordSessionHistory(`Delete snapshot "${snapshot.name}"`, { moduleId });
+  refreshModuleSnapshotsCard(moduleId);
+}
+
+// A null snapshot id stands for the module as it is now.
+async function compareModuleSnapshots(moduleId, { leftSnapshotId = null, rightSnapshotId = null } = {}) {
+  if (appState.transitionLock || getIsZoomAnimating()) {
+    return;
+  }
+
+  if (leftSnapshotId === rightSnapshotId) {
+    showToast('Pick two different versions to compare.', 'error');
+    return;
+  }
+
+  appState.compare = {
+    leftId: moduleId,
+    rightId: moduleId,
+    leftSnapshotId,
+    rightSnapshotId,
+    syncScroll: true
+  };
+  await renderCompareView();
+}
+
+function isSnapshotCompare(compare = appState.compare) {
+  return Boolean(compare && compare.leftId === compare.rightId);
+}
+
+function getCompareSideLabel(snapshotId, module) {
+  return findModuleSnapshot(module, snapshotId)?.name || 'Current';
+}
+
+function updateUiChrome() {
+  const activeIndex = getActiveIndex();
+  updateControls(ui, {
+    mode: appState.mode,
+    moduleCount: appState.session.modules.length,
+    hasPrevious: activeIndex > 0,
+    hasNext: hasNextModule(),
     readOnly: runtimeConfig.readOnly
   });
 
@@ -4089,8 +5248,8 @@ function getFocusedPaneForModule(module, {
   return buildFocusedPane({
     module,
     moduleNumber,
-    onTitleInput: (moduleId, value) => updateModule(moduleId, { title: value }),
-    onNotesInput: (moduleId, value) => updateModule(moduleId, { notes: value }),
+    onTitleInput: (moduleId, value) => updateModule(moduleId, { title: value }, { historyLabel: 'Edit title' }),
+    onNotesInput: (moduleId, value) => updateModule(moduleId, { notes: value }, { historyLabel: 'Edit notes' }),
     onPatchInputs: (patch) => handleAssumptionsEditorPatch(patch),
     assumptionsEditorStatus,
     readOnly,
@@ -4110,7 +5269,22 @@ function getComparePairModules() {
     return null;
   }
 
-  return [left, right];
+  // Each side of a snapshot comparison is either the live module or one of its snapshots.
+  const resolveSide = (module, snapshotId) => {
+    if (!snapshotId) {
+      return module;
+    }
+    const snapshot = findModuleSnapshot(module, snapshotId);
+    return snapshot ? buildSnapshotModule(module, snapshot) : null;
+  };
+
+  const leftSide = resolveSide(left, appState.compare.leftSnapshotId);
+  const rightSide = resolveSide(right, appState.compare.rightSnapshotId);
+  if (!leftSide || !rightSide) {
+    return null;
+  }
+
+  return [leftSide, rightSide];
 }
 
 function bindCompareScrollSync(leftScrollable, rightScrollable) {
@@ -4193,9 +5367,16 @@ async function renderCompareView() {
   const leftTitle = leftModule.title?.trim() || 'Untitled Module';
   const rightTitle = rightModule.title?.trim() || 'Untitled Module';
 
+  const snapshotCompare = isSnapshotCompare();
+  const baseModule = snapshotCompare ? getModuleById(appState.session, appState.compare.leftId) : null;
+  const leftSideLabel = snapshotCompare ? getCompareSideLabel(appState.compare.leftSnapshotId, baseModule) : '';
+  const rightSideLabel = snapshotCompare ? getCompareSideLabel(appState.compare.rightSnapshotId, baseModule) : '';
+
   const compareLabel = document.createElement('div');
   compareLabel.className = 'compare-label';
-  compareLabel.textContent = 'Compare (2)';
+  compareLabel.textContent = snapshotCompare
+    ? `${baseModule.title?.trim() || 'Untitled Module'}: ${leftSideLabel} vs ${rightSideLabel}`
+    : 'Compare (2)';
   controls.appendChild(compareLabel);
 
   const buttons = document.createElement('div');
@@ -4220,8 +5401,11 @@ async function renderCompareView() {
       return;
     }
     const previousLeftId = appState.compare.leftId;
+    const previousLeftSnapshotId = appState.compare.leftSnapshotId || null;
     appState.compare.leftId = appState.compare.rightId;
     appState.compare.rightId = previousLeftId;
+    appState.compare.leftSnapshotId = appState.compare.rightSnapshotId || null;
+    appState.compare.rightSnapshotId = previousLeftSnapshotId;
     await renderCompareView();
   });
 
@@ -4243,6 +5427,13 @@ async function renderCompareView() {
   controls.appendChild(buttons);
   root.appendChild(controls);
 
+  if (snapshotCompare) {
+    root.appendChild(buildSnapshotDiffCard(diffModuleVersions(leftModule, rightModule), {
+      beforeLabel: leftSideLabel,
+      afterLabel: rightSideLabel
+    }));
+  }
+
   const panes = document.createElement('div');
   panes.className = 'compare-panes';
 
@@ -4294,11 +5485,20 @@ async function renderCompareView() {
 }
 
 async function exitCompareView({ preserveSelection = true } = {}) {
+  const returnToModuleId = isSnapshotCompare() ? appState.compare.leftId : null;
   clearCompareScrollSyncCleanup();
   destroyAllCharts();
   appState.compare = null;
   ui.swipeStage.classList.remove('is-compare');
 
+  // Snapshot comparisons start from the focused module, so go back there.
+  if (returnToModuleId && getModuleById(appState.session, returnToModuleId)) {
+    appState.session.activeModuleId = returnToModuleId;
+    appState.mode = 'focused';
+    await renderFocused({ useSwipe: false, revealMode: true });
+    return;
+  }
+
   if (!preserveSelection) {
     clearSelection();
   }
@@ -4517,6 +5717,7 @@ async function deleteSelectedModulesWithUndo() {
   restoreSessionModeAfterDeletion();
   markSessionDirty();
   saveSessionNow();
+  recordSessionHistory(`Delete ${selectedIds.length} module${selectedIds.length === 1 ? '' : 's'}`);
 
   startDeleteUndoSnackbar({
     deletedCount: selectedIds.length,
@@ -4649,6 +5850,7 @@ function initSortable() {
         appState.session.order = nextOrder;
         ensureActiveModule(appState.session);
         scheduleSessionSave();
+        recordSessionHistory('Reorder modules');
       }
 
       refreshOverview({ enableSortable: true });
@@ -4757,7 +5959,8 @@ async function toggleOverview() {
   await zoomOutToOverviewMode();
 }
 
-async function createNewModule() {
+// Callers that fill the new module straight away record one history step for both.
+async function createNewModule({ recordHistory = true } = {}) {
   if (runtimeConfig.readOnly || appState.transitionLock || getIsZoomAnimating()) {
     return null;
   }
@@ -4768,6 +5971,9 @@ async function createNewModule() {
   appState.session.activeModuleId = module.id;
 
   scheduleSessionSave();
+  if (recordHistory) {
+    recordSessionHistory('New module', { moduleId: module.id });
+  }
 
   if (appState.mode === 'overview') {
     refreshOverview({ enableSortable: false });
@@ -4796,7 +6002,10 @@ async function createModuleFromPlaybook(playbookId) {
     throw new Error(`Playbook not found: ${playbookId}`);
   }
 
-  await applyModuleUpdateInternal(playbook.payload, { createNewModule: true });
+  await applyModuleUpdateInternal(playbook.payload, {
+    createNewModule: true,
+    historyLabel: `New ${playbook.name} module`
+  });
   return playbook;
 }
 
@@ -4815,54 +6024,28 @@ function mergeGeneratedPatch(module, generatedPatch) {
     module.generated.outputs = generatedPatch.outputs;
   }
 
-  if ('pensionInputs' in generatedPatch) {
-    module.generated.pensionInputs = generatedPatch.pensionInputs;
-    if (generatedPatch.pensionInputs) {
-      module.generated.mortgageInputs = null;
-      module.generated.loanInputs = null;
-      module.generated.education = null;
-      module.generated.report = null;
-    }
-  }
-
-  if ('mortgageInputs' in generatedPatch) {
-    module.generated.mortgageInputs = generatedPatch.mortgageInputs;
-    if (generatedPatch.mortgageInputs) {
-      module.generated.pensionInputs = null;
-      module.generated.loanInputs = null;
-      module.generated.education = null;
-      module.generated.report = null;
+  // Calculator inputs, education and report are mutually exclusive sources for a module.
+  [...ENGINE_INPUT_KEYS, 'education', 'report'].forEach((key, _index, sourceKeys) => {
+    if (!(key in generatedPatch)) {
+      return;
     }
-  }
 
-  if ('loanInputs' in generatedPatch) {
-    module.generated.loanInputs = generatedPatch.loanInputs;
-    if (generatedPatch.loanInputs) {
-      module.generated.pensionInputs = null;
-      module.generated.mortgageInputs = null;
-      module.generated.education = null;
-      module.generated.report = null;
+    module.generated[key] = generatedPatch[key];
+    if (generatedPatch[key]) {
+      sourceKeys.forEach((otherKey) => {
+        if (otherKey !== key) {
+          module.generated[otherKey] = null;
+        }
+      });
     }
-  }
+  });
 
-  if ('education' in generatedPatch) {
-    module.generated.education = generatedPatch.education;
-    if (generatedPatch.education) {
-      module.generated.pensionInputs = null;
-      module.generated.mortgageInputs = null;
-      module.generated.loanInputs = null;
-      module.generated.report = null;
-    }
+  if ('sensitivity' in generatedPatch) {
+    module.generated.sensitivity = generatedPatch.sensitivity;
   }
 
-  if ('report' in generatedPatch) {
-    module.generated.report = generatedPatch.report;
-    if (generatedPatch.report) {
-      module.generated.pensionInputs = null;
-      module.generated.mortgageInputs = null;
-      module.generated.loanInputs = null;
-      module.generated.education = null;
-    }
+  if (!getSensitivityCalculator(module)) {
+    module.generated.sensitivity = null;
   }
 
   if ('outputsBucketed' in generatedPatch) {
@@ -4898,7 +6081,7 @@ async function applyModuleUpdateInternal(payload, options = {}) {
   let targetModuleId = options.targetModuleId || normalizedPayload.moduleId || appState.session.activeModuleId;
 
   if (options.createNewModule) {
-    const newModuleId = await createNewModule();
+    const newModuleId = await createNewModule({ recordHistory: false });
     if (!newModuleId) {
       throw new Error('Unable to create a new module while a transition is active.');
     }
@@ -4921,19 +6104,18 @@ async function applyModuleUpdateInternal(payload, options = {}) {
   if (normalizedPayload.generated) {
     mergeGeneratedPatch(module, normalizedPayload.generated);
 
-    const hasPensionInputsPatch = 'pensionInputs' in normalizedPayload.generated;
-    const hasMortgageInputsPatch = 'mortgageInputs' in normalizedPayload.generated;
-    const hasLoanInputsPatch = 'loanInputs' in normalizedPayload.generated;
+    const patchedEngineKey = ENGINE_INPUT_KEYS.find((key) => key in normalizedPayload.generated && module.generated[key]);
+    const sensitivityEngineKey = 'sensitivity' in normalizedPayload.generated
+      ? ENGINE_INPUT_KEYS.find((key) => module.generated[key] && ENGINE_PROJECTIONS[key].sensitivity)
+      : null;
 
-    if (hasLoanInputsPatch && module.generated.loanInputs) {
-      applyMortgageProjectionToModule(module, { updateSummary: true });
-      resetAssumptionsEditorState(module.id);
-    } else if (hasMortgageInputsPatch && module.generated.mortgageInputs) {
-      applyMortgageProjectionToModule(module, { updateSummary: true });
-      resetAssumptionsEditorState(module.id);
-    } else if (hasPensionInputsPatch && module.generated.pensionInputs) {
-      applyPensionProjectionToModule(module, { updateSummary: true });
-      resetAssumptionsEditorState(module.id);
+    if (patchedEngineKey) {
+      applyEngineProjectionToModule(module, patchedEngineKey);
+      if (ENGINE_PROJECTIONS[patchedEngineKey].inlineAssumptions) {
+        resetAssumptionsEditorState(module.id);
+      }
+    } else if (sensitivityEngineKey) {
+      applyEngineProjectionToModule(module, sensitivityEngineKey, { updateSummary: false });
     }
   }
 
@@ -4949,6 +6131,9 @@ async function applyModuleUpdateInternal(payload, options = {}) {
 
   markSessionDirty();
   saveSessionNow();
+  recordSessionHistory(options.historyLabel || (options.createNewModule ? 'New module from payload' : 'Apply payload'), {
+    moduleId: module.id
+  });
 
   const activeModule = getModuleById(appState.session, appState.session.activeModuleId);
   if (activeModule?.generated) {
@@ -5076,14 +6261,245 @@ async function handleLoadSessionFromFile(file) {
     return;
   }
 
+  let imported;
+  let migration;
   try {
     const text = await file.text();
-    const imported = importSession(text);
-    await replaceSession(imported, { markClean: true });
-    showToast('Session loaded.');
-  } catch (_error) {
-    showToast('Invalid session file.', 'error');
+    ({ session: imported, migration } = importSessionWithReport(text));
+  } catch (error) {
+    showToast(error instanceof SyntaxError || !error?.message ? 'Invalid session file.' : error.message, 'error');
+    return;
+  }
+
+  try {
+    // Importing the same export twice, or a file of the open session, must not overwrite
+    // the library copy, which may have moved on since the file was saved.
+    if (isSessionLibraryEnabled() && await sessionLibrary.hasSession(imported.sessionId)) {
+      imported = copySessionAsNew(imported);
+    }
+  } catch (error) {
+    console.warn('[CallCanvas] session library lookup failed', error);
+  }
+
+  setSessionLibraryOpen(false);
+  await replaceSession(imported, { markClean: true, touch: false, historyStart: 'Loaded session file' });
+  reportSessionMigration(migration);
+  showToast(migration?.migrated ? `Session loaded. ${describeMigrationReport(migration)}` : 'Session loaded.');
+}
+
+function reportSessionMigration(migration) {
+  if (!migration?.migrated) {
+    return;
+  }
+
+  console.info('[CallCanvas] session migrated', {
+    fromVersion: migration.fromVersion,
+    toVersion: migration.toVersion,
+    steps: migration.steps
+  });
+}
+
+function downloadSessionMigrationBackup(backup) {
+  const clientToken = String(backup.payload?.clientName || '')
+    .trim()
+    .replace(/[^a-z0-9]+/gi, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase() || 'session';
+  const blob = new Blob([JSON.stringify(backup.payload, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${clientToken}-v${backup.fromVersion ?? 'original'}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// This build only reads a session by upgrading it, so the way back is the untouched original
+// as a file, which the build that saved it can load.
+function showMigrationBackupToast(message, backupRef, type = 'success') {
+  if (!ui.toastHost || !backupRef) {
+    showToast(message, type);
+    return;
+  }
+
+  const toast = document.createElement('div');
+  toast.className = `toast toast-undo${type === 'error' ? ' error' : ''}`;
+
+  const messageEl = document.createElement('span');
+  messageEl.className = 'toast-undo-message';
+  messageEl.textContent = message;
+  toast.appendChild(messageEl);
+
+  const downloadButton = document.createElement('button');
+  downloadButton.type = 'button';
+  downloadButton.className = 'toast-undo-btn';
+  downloadButton.textContent = 'Download original';
+  toast.appendChild(downloadButton);
+  ui.toastHost.appendChild(toast);
+
+  downloadButton.addEventListener('click', () => {
+    const backup = getSessionMigrationBackup(backupRef.sessionId, backupRef.fromVersion);
+    toast.remove();
+    if (!backup?.payload) {
+      showToast('The original copy of this session is no longer available.', 'error');
+      return;
+    }
+
+    try {
+      downloadSessionMigrationBackup(backup);
+    } catch (error) {
+      console.error('[CallCanvas] could not download the pre-migration session', error);
+      showToast('Could not download the original session.', 'error');
+    }
+  });
+
+  window.setTimeout(() => {
+    toast.remove();
+  }, MIGRATION_TOAST_SECONDS * 1000);
+}
+
+// Tabs share one working slot, so once another tab opens a different session each save
+// replaces the other tab's copy there, and a reload opens whichever saved last. Say so, and
+// let the advisor put this tab's session back in the slot.
+function showRemoteSessionSwitchToast(theirs) {
+  if (notifiedRemoteSessionId === theirs.sessionId) {
+    return;
+  }
+  notifiedRemoteSessionId = theirs.sessionId;
+
+  const otherClient = theirs.clientName || 'another session';
+  const message = isSessionLibraryEnabled()
+    ? `Another tab opened ${otherClient}. Both sessions are kept in the library, but reloading opens whichever tab saved last.`
+    : `Another tab opened ${otherClient}. Both tabs now save over the same copy, so changes in one will replace the other.`;
+  if (!ui.toastHost) {
+    console.warn('[CallCanvas] another tab switched sessions', { sessionId: theirs.sessionId });
+    return;
+  }
+
+  const toast = document.createElement('div');
+  toast.className = 'toast toast-undo error';
+
+  const messageEl = document.createElement('span');
+  messageEl.className = 'toast-undo-message';
+  messageEl.textContent = message;
+  toast.appendChild(messageEl);
+
+  const keepButton = document.createElement('button');
+  keepButton.type = 'button';
+  keepButton.className = 'toast-undo-btn';
+  keepButton.textContent = 'Keep this session';
+  toast.appendChild(keepButton);
+  ui.toastHost.appendChild(toast);
+
+  keepButton.addEventListener('click', () => {
+    toast.remove();
+    notifiedRemoteSessionId = null;
+    saveSessionNow({ touch: false });
+  });
+
+  window.setTimeout(() => {
+    toast.remove();
+  }, REMOTE_SWITCH_TOAST_SECONDS * 1000);
+}
+
+function isSyncConflictOpen() {
+  return Boolean(ui.syncConflictModal && !ui.syncConflictModal.classList.contains('is-hidden'));
+}
+
+function setSyncConflictOpen(open, conflicts = []) {
+  if (!ui.syncConflictModal) {
+    return;
   }
+
+  renderSyncConflictList(ui, conflicts);
+  ui.syncConflictModal.classList.toggle('is-hidden', !open);
+  ui.syncConflictModal.setAttribute('aria-hidden', open ? 'false' : 'true');
+  if (open) {
+    ui.syncConflictKeepMineButton?.focus();
+  }
+}
+
+async function applyMergedSession(session, historyLabel) {
+  await replaceSession(session, {
+    markClean: false,
+    touch: false,
+    keepOverview: true,
+    historyLabel
+  });
+}
+
+// Another tab saved this session. Changes that do not overlap with ours are taken straight
+// away; overlapping ones wait for the advisor to choose.
+async function handleRemoteSession(remote) {
+  if (remote.theirs.sessionId !== appState.session.sessionId) {
+    showRemoteSessionSwitchToast(remote.theirs);
+    return;
+  }
+  notifiedRemoteSessionId = null;
+
+  if (appState.transitionLock || getIsZoomAnimating() || historyRestoreInFlight) {
+    pendingRemoteSession = remote;
+    window.setTimeout(() => {
+      if (pendingRemoteSession === remote && !isSyncConflictOpen()) {
+        pendingRemoteSession = null;
+        void handleRemoteSession(remote);
+      }
+    }, REMOTE_SYNC_RETRY_MS);
+    return;
+  }
+
+  const result = mergeSessions({
+    base: remote.base,
+    mine: appState.session,
+    theirs: remote.theirs
+  });
+
+  if (result.conflicts.length > 0) {
+    pendingRemoteSession = remote;
+    setSyncConflictOpen(true, result.conflicts);
+    return;
+  }
+
+  pendingRemoteSession = null;
+  if (isSyncConflictOpen()) {
+    setSyncConflictOpen(false);
+  }
+  stateManager.setSyncBase(remote.theirs);
+  if (result.changed) {
+    await applyMergedSession(result.session, 'Changes from another tab');
+  }
+}
+
+async function resolveSyncConflict(resolution) {
+  const remote = pendingRemoteSession;
+  pendingRemoteSession = null;
+  setSyncConflictOpen(false);
+  if (!remote) {
+    return;
+  }
+
+  const result = mergeSessions({
+    base: remote.base,
+    mine: appState.session,
+    theirs: remote.theirs,
+    resolution
+  });
+
+  stateManager.setSyncBase(remote.theirs);
+  if (result.changed) {
+    await applyMergedSession(result.session, resolution === 'mine'
+      ? 'Changes from another tab'
+      : resolution === 'theirs' ? 'Take changes from another tab' : 'Merge changes from another tab');
+  } else {
+    // Write our version back so the other tab picks up the outcome.
+    saveSessionNow();
+  }
+}
+
+function isSessionLibraryEnabled() {
+  return runtimeConfig.persistLocalSession && sessionLibrary.isAvailable();
 }
 
 async function handleNewCall() {
@@ -5091,14 +6507,127 @@ async function handleNewCall() {
     return;
   }
 
-  const confirmed = window.confirm('Start a new call? Unsaved changes will be lost.');
+  // Without the library the current session only lives in the working slot, so warn first.
+  if (!isSessionLibraryEnabled()) {
+    const confirmed = window.confirm('Start a new call? Unsaved changes will be lost.');
+    if (!confirmed) {
+      return;
+    }
+  }
+
+  const fresh = newSession('Client');
+  await replaceSession(fresh, { markClean: true, historyStart: 'New call' });
+  showToast(isSessionLibraryEnabled()
+    ? 'New call started. The previous session is in Load Session.'
+    : 'New call started.');
+}
+
+function setSessionLibraryOpen(open) {
+  if (!ui.sessionLibraryModal) {
+    return;
+  }
+
+  ui.sessionLibraryModal.classList.toggle('is-hidden', !open);
+  ui.sessionLibraryModal.setAttribute('aria-hidden', open ? 'false' : 'true');
+}
+
+async function refreshSessionLibrary() {
+  const includeArchived = Boolean(ui.sessionLibraryShowArchived?.checked);
+  try {
+    const entries = await sessionLibrary.listSessions({ includeArchived });
+    renderSessionLibraryList(ui, {
+      entries,
+      currentSessionId: appState.session.sessionId
+    });
+  } catch (error) {
+    console.warn('[CallCanvas] session library list failed', error);
+    renderSessionLibraryList(ui, { error: 'The session library could not be read.' });
+  }
+}
+
+async function openSessionLibrary() {
+  if (!isSessionLibraryEnabled()) {
+    ui.loadSessionInput?.click();
+    return;
+  }
+
+  // Write pending edits first so the open session's entry is current.
+  stateManager.flush();
+  setSessionLibraryOpen(true);
+  await refreshSessionLibrary();
+}
+
+async function openLibrarySession(sessionId) {
+  const stored = await sessionLibrary.getSession(sessionId);
+  if (!stored) {
+    throw new Error('That session is no longer in the library.');
+  }
+
+  const { session, migration } = importSessionWithReport(stored);
+  // The library entry is overwritten on the next save, so keep the stored version aside.
+  const backup = migration.migrated ? keepSessionMigrationBackup(migration) : null;
+  setSessionLibraryOpen(false);
+  await replaceSession(session, {
+    markClean: true,
+    touch: false,
+    historyStart: `Opened ${session.clientName}`
+  });
+  reportSessionMigration(migration);
+  if (migration.migrated) {
+    showMigrationBackupToast(`Opened ${session.clientName}. ${describeMigrationReport(migration)}`, backup);
+  } else {
+    showToast(`Opened ${session.clientName}.`);
+  }
+}
+
+async function duplicateLibrarySession(sessionId) {
+  const source = sessionId === appState.session.sessionId
+    ? appState.session
+    : await sessionLibrary.getSession(sessionId);
+  if (!source) {
+    throw new Error('That session is no longer in the library.');
+  }
+
+  const copy = copySessionAsNew(importSession(source), {
+    clientName: `${source.clientName || 'Client'} (copy)`
+  });
+  await sessionLibrary.saveSession(copy);
+  showToast('Session duplicated.');
+}
+
+async function deleteLibrarySession(sessionId) {
+  const confirmed = window.confirm('Delete this session? This cannot be undone.');
   if (!confirmed) {
     return;
   }
 
-  const fresh = newSession('Client');
-  await replaceSession(fresh, { markClean: true });
-  showToast('New call started.');
+  await sessionLibrary.deleteSession(sessionId);
+  showToast('Session deleted.');
+}
+
+async function handleSessionLibraryAction(action, sessionId) {
+  if (runtimeConfig.readOnly || !sessionId) {
+    return;
+  }
+
+  try {
+    if (action === 'open') {
+      await openLibrarySession(sessionId);
+      return;
+    }
+
+    if (action === 'duplicate') {
+      await duplicateLibrarySession(sessionId);
+    } else if (action === 'archive' || action === 'unarchive') {
+      await sessionLibrary.setArchived(sessionId, action === 'archive');
+    } else if (action === 'delete') {
+      await deleteLibrarySession(sessionId);
+    }
+  } catch (error) {
+    showToast(error.message || 'Session library action failed.', 'error');
+  }
+
+  await refreshSessionLibrary();
 }
 
 function bindEvents() {
@@ -5107,6 +6636,7 @@ function bindEvents() {
       appState.session.clientName = normalizeClientName(event.target.value);
       renderGreeting(ui, appState.session.clientName);
       scheduleSessionSave();
+      recordSessionHistory('Rename client', { coalesceKey: 'clientName' });
     });
   }
 
@@ -5163,7 +6693,97 @@ function bindEvents() {
   }
 
   if (!runtimeConfig.readOnly && ui.loadSessionButton) {
-    ui.loadSessionButton.addEventListener('click', () => {
+    ui.loadSessionButton.addEventListener('click', async () => {
+      if (ui.loadSessionInput) {
+        ui.loadSessionInput.value = '';
+      }
+      await openSessionLibrary();
+    });
+  }
+
+  if (ui.sessionLibraryCloseButton) {
+    ui.sessionLibraryCloseButton.addEventListener('click', () => {
+      setSessionLibraryOpen(false);
+    });
+  }
+
+  if (ui.sessionLibraryModal) {
+    ui.sessionLibraryModal.addEventListener('click', (event) => {
+      if (event.target === ui.sessionLibraryModal) {
+        setSessionLibraryOpen(false);
+      }
+    });
+  }
+
+  if (!runtimeConfig.readOnly && ui.historyButton) {
+    ui.historyButton.addEventListener('click', () => {
+      setSessionHistoryOpen(true);
+    });
+  }
+
+  if (ui.sessionHistoryCloseButton) {
+    ui.sessionHistoryCloseButton.addEventListener('click', () => {
+      setSessionHistoryOpen(false);
+    });
+  }
+
+  if (ui.sessionHistoryModal) {
+    ui.sessionHistoryModal.addEventListener('click', (event) => {
+      if (event.target === ui.sessionHistoryModal) {
+        setSessionHistoryOpen(false);
+      }
+    });
+  }
+
+  if (ui.sessionHistoryUndoButton) {
+    ui.sessionHistoryUndoButton.addEventListener('click', async () => {
+      await undoSessionChange();
+    });
+  }
+
+  if (ui.sessionHistoryRedoButton) {
+    ui.sessionHistoryRedoButton.addEventListener('click', async () => {
+      await redoSessionChange();
+    });
+  }
+
+  if (ui.sessionHistoryList) {
+    ui.sessionHistoryList.addEventListener('click', async (event) => {
+      const button = event.target.closest('[data-history-index]');
+      if (!button || button.disabled) {
+        return;
+      }
+
+      await jumpToSessionHistoryEntry(Number(button.dataset.historyIndex));
+    });
+  }
+
+  if (ui.syncConflictKeepMineButton) {
+    ui.syncConflictKeepMineButton.addEventListener('click', async () => {
+      await resolveSyncConflict('mine');
+    });
+  }
+
+  if (ui.syncConflictKeepTheirsButton) {
+    ui.syncConflictKeepTheirsButton.addEventListener('click', async () => {
+      await resolveSyncConflict('theirs');
+    });
+  }
+
+  if (ui.syncConflictMergeButton) {
+    ui.syncConflictMergeButton.addEventListener('click', async () => {
+      await resolveSyncConflict('both');
+    });
+  }
+
+  if (ui.sessionLibraryShowArchived) {
+    ui.sessionLibraryShowArchived.addEventListener('change', async () => {
+      await refreshSessionLibrary();
+    });
+  }
+
+  if (ui.sessionLibraryImportButton) {
+    ui.sessionLibraryImportButton.addEventListener('click', () => {
       if (ui.loadSessionInput) {
         ui.loadSessionInput.value = '';
         ui.loadSessionInput.click();
@@ -5171,6 +6791,17 @@ function bindEvents() {
     });
   }
 
+  if (ui.sessionLibraryList) {
+    ui.sessionLibraryList.addEventListener('click', async (event) => {
+      const button = event.target.closest('[data-library-action]');
+      if (!button || button.disabled) {
+        return;
+      }
+
+      await handleSessionLibraryAction(button.dataset.libraryAction, button.dataset.sessionId);
+    });
+  }
+
   if (ui.loadSessionInput) {
     ui.loadSessionInput.addEventListener('change', async (event) => {
       const fileInput = event.target;
@@ -5260,6 +6891,12 @@ function bindEvents() {
     });
   }
 
+  if (ui.mobileOverflowHistoryButton) {
+    ui.mobileOverflowHistoryButton.addEventListener('click', () => {
+      triggerDesktopAction(ui.historyButton, { closeOverflow: true });
+    });
+  }
+
   if (ui.mobileOverflowResetButton) {
     ui.mobileOverflowResetButton.addEventListener('click', () => {
       triggerDesktopAction(ui.resetButton, { closeOverflow: true });
@@ -5382,6 +7019,11 @@ function bindEvents() {
       return;
     }
 
+    // The conflict prompt needs an answer; shortcuts would change the session underneath it.
+    if (isSyncConflictOpen()) {
+      return;
+    }
+
     if (!typing && runtimeConfig.allowDevPanel && appState.mode !== 'compare' && lower === 'd') {
       event.preventDefault();
       setDevPanelOpen(!appState.devPanelOpen);
@@ -5392,6 +7034,20 @@ function bindEvents() {
       return;
     }
 
+    // Inside a text field the browser's own undo applies; elsewhere Ctrl/Cmd+Z walks the session history.
+    if ((event.ctrlKey || event.metaKey) && lower === 'z') {
+      if (runtimeConfig.readOnly) {
+        return;
+      }
+      event.preventDefault();
+      if (event.shiftKey) {
+        await redoSessionChange();
+      } else {
+        await undoSessionChange();
+      }
+      return;
+    }
+
     if (lower === 'n') {
       if (appState.mode === 'compare') {
         return;
@@ -5440,6 +7096,18 @@ function bindEvents() {
       return;
     }
 
+    if (key === 'Escape' && ui.sessionLibraryModal && !ui.sessionLibraryModal.classList.contains('is-hidden')) {
+      event.preventDefault();
+      setSessionLibraryOpen(false);
+      return;
+    }
+
+    if (key === 'Escape' && isSessionHistoryOpen()) {
+      event.preventDefault();
+      setSessionHistoryOpen(false);
+      return;
+    }
+
     if (runtimeConfig.allowDevPanel && key === 'Escape' && appState.devPanelOpen) {
       event.preventDefault();
       setDevPanelOpen(false);
@@ -5515,14 +7183,38 @@ export async function initApp(options = {}) {
       runtimeConfig.allowPublish = false;
     }
 
+    let startupMigration = null;
+    let startupLoadError = null;
+    let startupKeptOriginal = false;
+    let startupBackup = null;
     if ('initialSession' in options && options.initialSession != null) {
       appState.session = importSession(options.initialSession);
     } else {
-      appState.session = loadSession();
+      ({
+        session: appState.session,
+        migration: startupMigration,
+        error: startupLoadError,
+        keptOriginal: startupKeptOriginal,
+        backup: startupBackup
+      } = loadSessionWithReport());
     }
 
     ensureActiveModule(appState.session);
     appState.mode = hasModules() ? 'focused' : 'greeting';
+    sessionHistory.reset(appState.session);
+    stateManager.setSyncBase(appState.session);
+    if (runtimeConfig.persistLocalSession && !runtimeConfig.readOnly) {
+      stateManager.watchRemoteChanges((remote) => {
+        void handleRemoteSession(remote);
+      });
+    }
+
+    // Sessions saved before the library existed only live in the working slot; file them now.
+    if (isSessionLibraryEnabled() && hasModules()) {
+      sessionLibrary.saveSession(appState.session).catch((error) => {
+        console.warn('[CallCanvas] session library seed failed', error);
+      });
+    }
 
     applyRuntimeChrome();
     resetPublishResult();
@@ -5538,6 +7230,16 @@ export async function initApp(options = {}) {
     }
 
     renderGreeting(ui, appState.session.clientName);
+    reportSessionMigration(startupMigration);
+    if (startupMigration?.migrated) {
+      showMigrationBackupToast(describeMigrationReport(startupMigration), startupBackup);
+    }
+    if (startupLoadError) {
+      console.warn('[CallCanvas] saved session could not be loaded', startupLoadError);
+      showMigrationBackupToast(startupKeptOriginal
+        ? 'The saved session could not be opened, so a new one was started. The original has been kept.'
+        : 'The saved session could not be opened, so a new one was started.', startupBackup, 'error');
+    }
     if (!runtimeConfig.readOnly && workerMissing) {
       showToast('Publishing is disabled: worker URL is not configured for this environment.', 'error');
     }
@@ -5564,6 +7266,21 @@ export async function initApp(options = {}) {
   };
   window.__getPensionShowMaxForModule = (moduleId) => getPensionShowMaxForModule(moduleId);
   window.__runMortgageMathTests = () => runMortgageMathTests();
+  window.__runSessionStateTests = () => runSessionStateTests();
+  window.__runSavingsMathTests = () => runSavingsMathTests();
+  window.__runCashflowMathTests = () => runCashflowMathTests();
+  window.__runProtectionMathTests = () => runProtectionMathTests();
+  window.__runCatMathTests = () => runCatMathTests();
+  window.__runGoalSeekTests = () => runGoalSeekTests();
+  window.__runSensitivityTests = () => runSensitivityTests();
+  window.__runPensionMathTests = () => runPensionMathTests();
+  window.__runAffordabilityMathTests = () => runAffordabilityMathTests();
+  window.__runRentVsBuyMathTests = () => runRentVsBuyMathTests();
+  window.__runDebtPayoffMathTests = () => runDebtPayoffMathTests();
+  window.__rollbackSessionMigration = (sessionId = appState.session.sessionId, fromVersion) => {
+    rollbackSessionMigration(sessionId, fromVersion);
+    window.location.reload();
+  };
 
     if (appState.mode === 'focused') {
       await renderFocused({ useSwipe: false, revealMode: true });
@@ -0,0 +1,515 @@
+import { computeAmortizationMonthlySchedule } from './mortgage_math.js';
+import { computePensionCashflowSeries } from './pension_math.js';
+import { computeIrishIncomeTax, normalizeMaritalStatus } from './irish_tax_math.js';
+
+const DEFAULTS = Object.freeze({
+  endAge: 90,
+  salaryGrowth: 0.025,
+  inflationRate: 0.025,
+  startingCash: 0,
+  cashReturn: 0.02,
+  propertyValue: 0,
+  propertyGrowth: 0.03
+});
+const MAX_LIFE_EVENTS = 50;
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function requireFiniteNumber(value, fieldName) {
+  if (!isFiniteNumber(value)) {
+    throw new Error(`generated.cashflowInputs.${fieldName} must be a finite number.`);
+  }
+
+  return value;
+}
+
+function optionalFiniteNumber(value, fallback, fieldName) {
+  if (typeof value === 'undefined' || value === null) {
+    return fallback;
+  }
+
+  if (!isFiniteNumber(value)) {
+    throw new Error(`generated.cashflowInputs.${fieldName} must be a finite number when provided.`);
+  }
+
+  return value;
+}
+
+function requireWholeNumber(value, fieldName, { min, max }) {
+  const number = requireFiniteNumber(value, fieldName);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`generated.cashflowInputs.${fieldName} must be a whole number between ${min} and ${max}.`);
+  }
+
+  return number;
+}
+
+function requireRate(value, fallback, fieldName, { min = -0.5, max = 1 } = {}) {
+  const rate = optionalFiniteNumber(value, fallback, fieldName);
+  if (rate < min || rate > max) {
+    throw new Error(`generated.cashflowInputs.${fieldName} must be between ${min} and ${max}.`);
+  }
+
+  return rate;
+}
+
+function requireNonNegative(value, fallback, fieldName) {
+  const amount = optionalFiniteNumber(value, fallback, fieldName);
+  if (amount < 0) {
+    throw new Error(`generated.cashflowInputs.${fieldName} must be greater than or equal to 0.`);
+  }
+
+  return amount;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function formatEuro(amount) {
+  return new Intl.NumberFormat('en-IE', {
+    style: 'currency',
+    currency: 'EUR',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(isFiniteNumber(amount) ? amount : 0);
+}
+
+function formatPercent(decimal) {
+  return `${(decimal * 100).toFixed(2)}%`;
+}
+
+function normalizeCashflowMaritalStatus(value) {
+  try {
+    return normalizeMaritalStatus(value);
+  } catch (error) {
+    throw new Error(`generated.cashflowInputs.${error.message}`);
+  }
+}
+
+function normalizeLifeEvents(rawEvents, { currentAge, endAge }) {
+  if (typeof rawEvents === 'undefined' || rawEvents === null) {
+    return [];
+  }
+
+  if (!Array.isArray(rawEvents)) {
+    throw new Error('generated.cashflowInputs.lifeEvents must be an array when provided.');
+  }
+
+  if (rawEvents.length > MAX_LIFE_EVENTS) {
+    throw new Error(`generated.cashflowInputs.lifeEvents supports at most ${MAX_LIFE_EVENTS} entries.`);
+  }
+
+  return rawEvents.map((entry, index) => {
+    const fieldPrefix = `lifeEvents[${index}]`;
+    if (!isPlainObject(entry)) {
+      throw new Error(`generated.cashflowInputs.${fieldPrefix} must be an object.`);
+    }
+
+    const name = typeof entry.name === 'string' && entry.name.trim()
+      ? entry.name.trim()
+      : `Event ${index + 1}`;
+    const age = requireWholeNumber(entry.age, `${fieldPrefix}.age`, { min: currentAge, max: endAge });
+    const amount = requireFiniteNumber(entry.amount, `${fieldPrefix}.amount`);
+    if (amount === 0) {
+      throw new Error(`generated.cashflowInputs.${fieldPrefix}.amount must not be 0.`);
+    }
+
+    if (typeof entry.inTodaysMoney !== 'undefined' && typeof entry.inTodaysMoney !== 'boolean') {
+      throw new Error(`generated.cashflowInputs.${fieldPrefix}.inTodaysMoney must be a boolean when provided.`);
+    }
+
+    return {
+      name,
+      age,
+      amount,
+      inTodaysMoney: entry.inTodaysMoney !== false
+    };
+  });
+}
+
+export function normalizeCashflowInputs(raw) {
+  if (!isPlainObject(raw)) {
+    throw new Error('generated.cashflowInputs must be an object.');
+  }
+
+  const startYear = requireWholeNumber(raw.startYear, 'startYear', { min: 1900, max: 2200 });
+  const currentAge = requireWholeNumber(raw.currentAge, 'currentAge', { min: 16, max: 100 });
+  const retirementAge = requireWholeNumber(raw.retirementAge, 'retirementAge', { min: currentAge, max: 100 });
+  const endAge = requireWholeNumber(
+    typeof raw.endAge === 'undefined' || raw.endAge === null ? DEFAULTS.endAge : raw.endAge,
+    'endAge',
+    { min: Math.max(retirementAge, currentAge + 1), max: 110 }
+  );
+
+  const livingExpenses = requireNonNegative(raw.livingExpenses, undefined, 'livingExpenses');
+  if (!isFiniteNumber(livingExpenses)) {
+    throw new Error('generated.cashflowInputs.livingExpenses must be a finite number.');
+  }
+
+  const inflationRate = requireRate(raw.inflationRate, DEFAULTS.inflationRate, 'inflationRate', { min: -0.1, max: 0.5 });
+  const salaryGrowth = requireRate(raw.salaryGrowth, DEFAULTS.salaryGrowth, 'salaryGrowth', { min: -0.5, max: 0.5 });
+
+  if (typeof raw.mortgage !== 'undefined' && raw.mortgage !== null && !isPlainObject(raw.mortgage)) {
+    throw new Error('generated.cashflowInputs.mortgage must be an object when provided.');
+  }
+
+  if (typeof raw.pension !== 'undefined' && raw.pension !== null && !isPlainObject(raw.pension)) {
+    throw new Error('generated.cashflowInputs.pension must be an object when provided.');
+  }
+
+  return {
+    startYear,
+    currentAge,
+    retirementAge,
+    endAge,
+    grossSalary: requireNonNegative(raw.grossSalary, 0, 'grossSalary'),
+    salaryGrowth,
+    maritalStatus: normalizeCashflowMaritalStatus(raw.maritalStatus),
+    inflationRate,
+    livingExpenses,
+    retirementLivingExpenses: requireNonNegative(raw.retirementLivingExpenses, livingExpenses, 'retirementLivingExpenses'),
+    startingCash: optionalFiniteNumber(raw.startingCash, DEFAULTS.startingCash, 'startingCash'),
+    cashReturn: requireRate(raw.cashReturn, DEFAULTS.cashReturn, 'cashReturn'),
+    propertyValue: requireNonNegative(raw.propertyValue, DEFAULTS.propertyValue, 'propertyValue'),
+    propertyGrowth: requireRate(raw.propertyGrowth, DEFAULTS.propertyGrowth, 'propertyGrowth'),
+    mortgage: isPlainObject(raw.mortgage) ? { ...raw.mortgage } : null,
+    pension: isPlainObject(raw.pension) ? { ...raw.pension } : null,
+    lifeEvents: normalizeLifeEvents(raw.lifeEvents, { currentAge, endAge })
+  };
+}
+
+// Ages, salary and inflation come from the cashflow so the pension runs on the same timeline.
+function resolvePensionSeries(inputs) {
+  if (!inputs.pension) {
+    return null;
+  }
+
+  try {
+    return computePensionCashflowSeries({
+      ...inputs.pension,
+      currentAge: inputs.currentAge,
+      retirementAge: inputs.retirementAge,
+      horizonEndAge: inputs.endAge,
+      currentYear: inputs.startYear,
+      currentSalary: inputs.grossSalary,
+      wageGrowthRate: inputs.salaryGrowth,
+      inflationRate: inputs.inflationRate,
+      incomeMode: 'target',
+      stochastic: undefined
+    });
+  } catch (error) {
+    throw new Error(String(error?.message || error).replace('generated.pensionInputs', 'generated.cashflowInputs.pension'));
+  }
+}
+
+function resolveMortgageSchedule(inputs) {
+  if (!inputs.mortgage) {
+    return null;
+  }
+
+  try {
+    return computeAmortizationMonthlySchedule(inputs.mortgage);
+  } catch (error) {
+    throw new Error(String(error?.message || error).replace('generated.mortgageInputs', 'generated.cashflowInputs.mortgage'));
+  }
+}
+
+// Income tax is assessed in today's money, as the pension engine does. Personal pension
+// contributions get income tax relief but not USC or PRSI relief.
+function computeSalaryDeductions(inputs, { age, salary, personalContribution, inflationFactor }) {
+  if (salary <= 0) {
+    return 0;
+  }
+
+  const taxOptions = {
+    age,
+    maritalStatus: inputs.maritalStatus,
+    payeCreditEligible: true,
+    taxYear: inputs.startYear
+  };
+  const afterRelief = computeIrishIncomeTax({
+    ...taxOptions,
+    pensionIncome: Math.max(0, salary - personalContribution) / inflationFactor
+  });
+  const onFullSalary = computeIrishIncomeTax({
+    ...taxOptions,
+    pensionIncome: salary / inflationFactor
+  });
+
+  return (afterRelief.incomeTax + onFullSalary.usc + onFullSalary.prsi) * inflationFactor;
+}
+
+function computeRetirementIncomeDeductions(inputs, { age, privateIncome, statePension, inflationFactor }) {
+  if (privateIncome + statePension <= 0) {
+    return 0;
+  }
+
+  return computeIrishIncomeTax({
+    age,
+    maritalStatus: inputs.maritalStatus,
+    payeCreditEligible: false,
+    taxYear: inputs.startYear,
+    pensionIncome: privateIncome / inflationFactor,
+    statePensionIncome: statePension / inflationFactor
+  }).totalDeductions * inflationFactor;
+}
+
+function simulateCashflow(inputs) {
+  const pensionSeries = resolvePensionSeries(inputs);
+  const mortgageSchedule = resolveMortgageSchedule(inputs);
+  const mortgageYears = new Map((mortgageSchedule?.annualSchedule || []).map((row) => [row.year, row]));
+  const mortgageFirstYear = mortgageSchedule?.annualSchedule?.[0]?.year ?? null;
+  const mortgageLastYear = mortgageSchedule?.annualSchedule?.at(-1)?.year ?? null;
+
+  const years = [];
+  let cash = inputs.startingCash;
+
+  for (let age = inputs.currentAge; age <= inputs.endAge; age += 1) {
+    const yearIndex = age - inputs.currentAge;
+    const year = inputs.startYear + yearIndex;
+    const inflationFactor = Math.pow(1 + inputs.inflationRate, yearIndex);
+    const isRetired = age >= inputs.retirementAge;
+    const pensionRow = pensionSeries?.rows[yearIndex] || null;
+
+    const salary = isRetired ? 0 : inputs.grossSalary * Math.pow(1 + inputs.salaryGrowth, yearIndex);
+    const personalContribution = pensionRow?.personalContribution || 0;
+    const salaryDeductions = computeSalaryDeductions(inputs, { age, salary, personalContribution, inflationFactor });
+    const netSalary = salary - salaryDeductions - personalContribution;
+
+    const privatePensionIncome = (pensionRow?.drawdown || 0) + (pensionRow?.annuityIncome || 0);
+    const statePension = pensionRow?.statePension || 0;
+    const pensionDeductions = computeRetirementIncomeDeductions(inputs, {
+      age,
+      privateIncome: privatePensionIncome,
+      statePension,
+      inflationFactor
+    });
+    const netPensionIncome = privatePensionIncome + statePension - pensionDeductions;
+
+    const mortgageRow = mortgageYears.get(year) || null;
+    let mortgageRepayments = mortgageRow ? mortgageRow.totalPaid : 0;
+    if (year === mortgageLastYear) {
+      mortgageRepayments += mortgageSchedule.bulletBalanceDue;
+    }
+    let mortgageBalance = 0;
+    if (mortgageRow && year !== mortgageLastYear) {
+      mortgageBalance = mortgageRow.balanceEnd;
+    } else if (mortgageFirstYear !== null && year < mortgageFirstYear) {
+      mortgageBalance = mortgageSchedule.openingBalance;
+    }
+
+    const livingExpenses = (isRetired ? inputs.retirementLivingExpenses : inputs.livingExpenses) * inflationFactor;
+    let eventInflows = pensionRow?.netLumpSum || 0;
+    let eventOutflows = 0;
+    const eventNames = [];
+    inputs.lifeEvents.forEach((event) => {
+      if (event.age !== age) {
+        return;
+      }
+      const amount = event.inTodaysMoney ? event.amount * inflationFactor : event.amount;
+      if (amount > 0) {
+        eventInflows += amount;
+      } else {
+        eventOutflows += -amount;
+      }
+      eventNames.push(event.name);
+    });
+
+    const totalIncome = netSalary + netPensionIncome + eventInflows;
+    const totalOutgoings = livingExpenses + mortgageRepayments + eventOutflows;
+    const surplus = totalIncome - totalOutgoings;
+    cash = (cash * (1 + inputs.cashReturn)) + surplus;
+
+    const propertyValue = inputs.propertyValue * Math.pow(1 + inputs.propertyGrowth, yearIndex + 1);
+    const pensionPot = pensionSeries
+      ? (pensionSeries.rows[yearIndex + 1]?.potBalance ?? 0)
+      : 0;
+
+    years.push({
+      age,
+      year,
+      salary,
+      netSalary,
+      personalContribution,
+      netPensionIncome,
+      eventInflows,
+      livingExpenses,
+      mortgageRepayments,
+      eventOutflows,
+      eventNames,
+      totalIncome,
+      totalOutgoings,
+      surplus,
+      cash,
+      propertyValue,
+      pensionPot,
+      mortgageBalance,
+      netWorth: cash + propertyValue + pensionPot - mortgageBalance
+    });
+  }
+
+  return {
+    years,
+    pensionSeries,
+    mortgageSchedule
+  };
+}
+
+function findRowByAge(years, age) {
+  return years.find((row) => row.age === age) || years[years.length - 1];
+}
+
+function describeAge(row) {
+  return `${row.year} (age ${row.age})`;
+}
+
+export function computeCashflowProjection(rawInputs) {
+  const inputs = normalizeCashflowInputs(rawInputs);
+  const { years, pensionSeries, mortgageSchedule } = simulateCashflow(inputs);
+  const lastRow = years[years.length - 1];
+  const lastWorkingRow = findRowByAge(years, inputs.retirementAge - 1);
+  const peakRow = years.reduce((best, row) => (row.netWorth > best.netWorth ? row : best));
+  const lowestCashRow = years.reduce((lowest, row) => (row.cash < lowest.cash ? row : lowest));
+  const deficitYears = years.filter((row) => row.surplus < 0);
+  const cashRunsOutRow = years.find((row) => row.cash < 0) || null;
+  const lifetimeIncome = years.reduce((sum, row) => sum + row.totalIncome, 0);
+  const lifetimeOutgoings = years.reduce((sum, row) => sum + row.totalOutgoings, 0);
+
+  const assumptionRows = [
+    ['Current age', String(inputs.currentAge), `In ${inputs.startYear}`],
+    ['Retirement age', String(inputs.retirementAge), 'Salary stops and pension income starts'],
+    ['Plan to age', String(inputs.endAge), `${years.length} years projected`],
+    ['Gross salary', formatEuro(inputs.grossSalary), `Rising ${formatPercent(inputs.salaryGrowth)} a year; taxed with ${inputs.startYear} Irish rates`],
+    ['Living expenses', formatEuro(inputs.livingExpenses), "A year in today's money while working"],
+    ['Living expenses in retirement', formatEuro(inputs.retirementLivingExpenses), "A year in today's money"],
+    ['Inflation', formatPercent(inputs.inflationRate), 'Applied to expenses, events and tax bands'],
+    ['Starting cash', formatEuro(inputs.startingCash), `Earning ${formatPercent(inputs.cashReturn)} a year; surpluses are added and deficits drawn`]
+  ];
+
+  if (inputs.propertyValue > 0) {
+    assumptionRows.push(['Property value', formatEuro(inputs.propertyValue), `Growing ${formatPercent(inputs.propertyGrowth)} a year`]);
+  }
+
+  if (mortgageSchedule) {
+    assumptionRows.push([
+      'Mortgage',
+      formatEuro(mortgageSchedule.openingBalance),
+      `${formatEuro(mortgageSchedule.monthlyPaymentUsed)} a month from ${mortgageSchedule.startMonthIso}`
+    ]);
+  }
+
+  if (pensionSeries) {
+    assumptionRows.push([
+      'Pension',
+      formatEuro(pensionSeries.inputs.currentPot),
+      `Personal ${formatPercent(pensionSeries.inputs.personalPct)}, employer ${formatPercent(pensionSeries.inputs.employerPct)}; drawdown targets ${formatEuro(pensionSeries.inputs.targetIncomeToday)} a year in today's money`
+    ]);
+  }
+
+  inputs.lifeEvents.forEach((event) => {
+    assumptionRows.push([
+      `Life event: ${event.name}`,
+      formatEuro(event.amount),
+      `At age ${event.age}${event.inTodaysMoney ? ", in today's money" : ''}; ${event.amount > 0 ? 'inflow' : 'outflow'}`
+    ]);
+  });
+
+  const assumptionsTable = {
+    columns: ['Assumption', 'Value', 'Notes'],
+    rows: assumptionRows
+  };
+
+  const outputRows = [
+    [`Net worth at retirement`, formatEuro(lastWorkingRow.netWorth), `End of ${describeAge(lastWorkingRow)}`],
+    [`Net worth at age ${lastRow.age}`, formatEuro(lastRow.netWorth), `End of ${lastRow.year}`],
+    ['Peak net worth', formatEuro(peakRow.netWorth), describeAge(peakRow)],
+    [
+      'Years in deficit',
+      String(deficitYears.length),
+      deficitYears.length > 0 ? `First in ${describeAge(deficitYears[0])}` : 'Income covers outgoings every year'
+    ],
+    ['Lowest cash balance', formatEuro(lowestCashRow.cash), describeAge(lowestCashRow)],
+    [
+      'Cash runs out',
+      cashRunsOutRow ? String(cashRunsOutRow.year) : 'Never',
+      cashRunsOutRow ? `Age ${cashRunsOutRow.age}; later deficits are borrowed` : `Cash stays positive to age ${lastRow.age}`
+    ],
+    ['Lifetime income after tax', formatEuro(lifetimeIncome), 'Net salary, pension income and inflows'],
+    ['Lifetime outgoings', formatEuro(lifetimeOutgoings), 'Living expenses, mortgage repayments and one-off costs']
+  ];
+
+  if (pensionSeries) {
+    outputRows.push(['Pension pot at retirement', formatEuro(pensionSeries.retirementPot), `Net lump sum ${formatEuro(pensionSeries.split.netLumpSum)}`]);
+  }
+
+  if (mortgageSchedule) {
+    // The schedule can leave a sub-cent residual, so read the cleared year off the rounded balances.
+    const clearedRow = mortgageSchedule.annualSchedule.find((row) => row.balanceEnd <= 0) || null;
+    outputRows.push([
+      'Mortgage cleared',
+      clearedRow ? String(clearedRow.year) : 'Not within the term',
+      `Total interest ${formatEuro(mortgageSchedule.totalInterestLifetime)}`
+    ]);
+  }
+
+  const outputsTable = {
+    columns: ['Metric', 'Value', 'Notes'],
+    rows: outputRows
+  };
+
+  const labels = years.map((row) => String(row.year));
+  const charts = [
+    {
+      id: 'cashflow-income-expenses',
+      title: 'Income and Outgoings by Year',
+      type: 'bar',
+      labels,
+      datasets: [
+        { label: 'Net salary', data: years.map((row) => row.netSalary) },
+        { label: 'Pension income', data: years.map((row) => row.netPensionIncome) },
+        { label: 'Lump sums and other inflows', data: years.map((row) => row.eventInflows) },
+        { label: 'Living expenses', data: years.map((row) => -row.livingExpenses) },
+        { label: 'Mortgage repayments', data: years.map((row) => -row.mortgageRepayments) },
+        { label: 'One-off costs', data: years.map((row) => -row.eventOutflows) }
+      ]
+    },
+    {
+      id: 'cashflow-net-worth',
+      title: 'Net Worth Over Time',
+      type: 'line',
+      labels,
+      datasets: [
+        { label: 'Net worth', data: years.map((row) => row.netWorth) },
+        { label: 'Cash savings', data: years.map((row) => row.cash) },
+        { label: 'Pension pot', data: years.map((row) => row.pensionPot) },
+        { label: 'Property value', data: years.map((row) => row.propertyValue) },
+        { label: 'Mortgage balance', data: years.map((row) => row.mortgageBalance) }
+      ]
+    }
+  ];
+
+  const summarySentences = [
+    `Net worth reaches ${formatEuro(lastWorkingRow.netWorth)} by retirement at ${inputs.retirementAge} and ${formatEuro(lastRow.netWorth)} by age ${lastRow.age}.`,
+    cashRunsOutRow
+      ? `Cash savings run out in ${describeAge(cashRunsOutRow)}, so later outgoings would need borrowing or other assets.`
+      : `Cash savings stay positive throughout, with ${deficitYears.length} year${deficitYears.length === 1 ? '' : 's'} of deficit covered from savings.`
+  ];
+
+  return {
+    assumptionsTable,
+    outputsTable,
+    charts,
+    summaryHtml: `<p>${summarySentences.join(' ')}</p>`,
+    debug: {
+      years,
+      peakNetWorth: peakRow.netWorth,
+      netWorthAtRetirement: lastWorkingRow.netWorth,
+      finalNetWorth: lastRow.netWorth,
+      cashRunsOutYear: cashRunsOutRow ? cashRunsOutRow.year : null,
+      deficitYearCount: deficitYears.length
+    }
+  };
+}
@@ -0,0 +1,420 @@
+// Capital Acquisitions Tax group thresholds for benefits taken on or after 2 October 2024.
+const CAT_GROUP_THRESHOLDS = Object.freeze({
+  A: 400000,
+  B: 40000,
+  C: 20000
+});
+const CAT_GROUP_LABELS = Object.freeze({
+  A: 'Group A (child)',
+  B: 'Group B (sibling, niece, nephew, grandchild)',
+  C: 'Group C (anyone else)'
+});
+const CAT_RATE = 0.33;
+// Gifts from one donor to one beneficiary are exempt up to this amount each calendar year.
+const SMALL_GIFT_EXEMPTION = 3000;
+// Only benefits taken on or after this date aggregate against the group threshold.
+const AGGREGATION_START_DATE_ISO = '1991-12-05';
+const BENEFIT_TYPES = Object.freeze(['gift', 'inheritance']);
+const MAX_BENEFICIARIES = 12;
+const MAX_SCENARIOS = 6;
+const MAX_BENEFITS_PER_SCENARIO = 200;
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function requireFiniteNumber(value, fieldName) {
+  if (!isFiniteNumber(value)) {
+    throw new Error(`generated.catInputs.${fieldName} must be a finite number.`);
+  }
+
+  return value;
+}
+
+function optionalFiniteNumber(value, fallback, fieldName) {
+  if (typeof value === 'undefined' || value === null) {
+    return fallback;
+  }
+
+  if (!isFiniteNumber(value)) {
+    throw new Error(`generated.catInputs.${fieldName} must be a finite number when provided.`);
+  }
+
+  return value;
+}
+
+function requireNonNegative(value, fallback, fieldName) {
+  const amount = optionalFiniteNumber(value, fallback, fieldName);
+  if (amount < 0) {
+    throw new Error(`generated.catInputs.${fieldName} must be greater than or equal to 0.`);
+  }
+
+  return amount;
+}
+
+function requireIsoDate(value, fieldName) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+    throw new Error(`generated.catInputs.${fieldName} must be a YYYY-MM-DD string.`);
+  }
+
+  return value.trim();
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function formatEuro(amount) {
+  return new Intl.NumberFormat('en-IE', {
+    style: 'currency',
+    currency: 'EUR',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(isFiniteNumber(amount) ? amount : 0);
+}
+
+function formatPercent(decimal) {
+  return `${(decimal * 100).toFixed(2)}%`;
+}
+
+function normalizeGroupThresholds(rawThresholds) {
+  if (typeof rawThresholds === 'undefined' || rawThresholds === null) {
+    return { ...CAT_GROUP_THRESHOLDS };
+  }
+
+  if (!isPlainObject(rawThresholds)) {
+    throw new Error('generated.catInputs.groupThresholds must be an object when provided.');
+  }
+
+  return Object.fromEntries(Object.keys(CAT_GROUP_THRESHOLDS).map((group) => [
+    group,
+    requireNonNegative(rawThresholds[group], CAT_GROUP_THRESHOLDS[group], `groupThresholds.${group}`)
+  ]));
+}
+
+function normalizeBeneficiaries(rawBeneficiaries) {
+  if (!Array.isArray(rawBeneficiaries) || rawBeneficiaries.length === 0) {
+    throw new Error('generated.catInputs.beneficiaries must be a non-empty array.');
+  }
+
+  if (rawBeneficiaries.length > MAX_BENEFICIARIES) {
+    throw new Error(`generated.catInputs.beneficiaries supports at most ${MAX_BENEFICIARIES} entries.`);
+  }
+
+  const seenNames = new Set();
+  return rawBeneficiaries.map((entry, index) => {
+    const fieldPrefix = `beneficiaries[${index}]`;
+    if (!isPlainObject(entry)) {
+      throw new Error(`generated.catInputs.${fieldPrefix} must be an object.`);
+    }
+
+    const name = typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : '';
+    if (!name) {
+      throw new Error(`generated.catInputs.${fieldPrefix}.name must be a non-empty string.`);
+    }
+
+    if (seenNames.has(name)) {
+      throw new Error(`generated.catInputs.${fieldPrefix}.name must be unique; "${name}" is repeated.`);
+    }
+    seenNames.add(name);
+
+    const group = typeof entry.group === 'string' ? entry.group.trim().toUpperCase() : '';
+    if (!Object.keys(CAT_GROUP_THRESHOLDS).includes(group)) {
+      throw new Error(`generated.catInputs.${fieldPrefix}.group must be "A", "B" or "C".`);
+    }
+
+    return {
+      name,
+      group,
+      priorTaxableBenefits: requireNonNegative(entry.priorTaxableBenefits, 0, `${fieldPrefix}.priorTaxableBenefits`)
+    };
+  });
+}
+
+function normalizeBenefits(rawBenefits, { beneficiaryNames, fieldPrefix }) {
+  if (!Array.isArray(rawBenefits)) {
+    throw new Error(`generated.catInputs.${fieldPrefix}.benefits must be an array.`);
+  }
+
+  if (rawBenefits.length > MAX_BENEFITS_PER_SCENARIO) {
+    throw new Error(`generated.catInputs.${fieldPrefix}.benefits supports at most ${MAX_BENEFITS_PER_SCENARIO} entries.`);
+  }
+
+  return rawBenefits.map((entry, index) => {
+    const benefitPrefix = `${fieldPrefix}.benefits[${index}]`;
+    if (!isPlainObject(entry)) {
+      throw new Error(`generated.catInputs.${benefitPrefix} must be an object.`);
+    }
+
+    const beneficiary = typeof entry.beneficiary === 'string' ? entry.beneficiary.trim() : '';
+    if (!beneficiaryNames.has(beneficiary)) {
+      throw new Error(`generated.catInputs.${benefitPrefix}.beneficiary must name one of the beneficiaries.`);
+    }
+
+    const type = typeof entry.type === 'undefined' || entry.type === null ? 'gift' : String(entry.type).trim();
+    if (!BENEFIT_TYPES.includes(type)) {
+      throw new Error(`generated.catInputs.${benefitPrefix}.type must be "gift" or "inheritance".`);
+    }
+
+    const amount = requireFiniteNumber(entry.amount, `${benefitPrefix}.amount`);
+    if (amount <= 0) {
+      throw new Error(`generated.catInputs.${benefitPrefix}.amount must be greater than 0.`);
+    }
+
+    const dateIso = requireIsoDate(entry.dateIso, `${benefitPrefix}.dateIso`);
+    if (dateIso < AGGREGATION_START_DATE_ISO) {
+      throw new Error(`generated.catInputs.${benefitPrefix}.dateIso must be on or after ${AGGREGATION_START_DATE_ISO}.`);
+    }
+
+    return {
+      beneficiary,
+      donor: typeof entry.donor === 'string' && entry.donor.trim() ? entry.donor.trim() : 'Donor',
+      type,
+      amount,
+      dateIso
+    };
+  });
+}
+
+function normalizeScenarios(rawScenarios, beneficiaries) {
+  if (!Array.isArray(rawScenarios) || rawScenarios.length === 0) {
+    throw new Error('generated.catInputs.scenarios must be a non-empty array.');
+  }
+
+  if (rawScenarios.length > MAX_SCENARIOS) {
+    throw new Error(`generated.catInputs.scenarios supports at most ${MAX_SCENARIOS} entries.`);
+  }
+
+  const beneficiaryNames = new Set(beneficiaries.map((entry) => entry.name));
+  return rawScenarios.map((entry, index) => {
+    const fieldPrefix = `scenarios[${index}]`;
+    if (!isPlainObject(entry)) {
+      throw new Error(`generated.catInputs.${fieldPrefix} must be an object.`);
+    }
+
+    return {
+      name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : `Scenario ${index + 1}`,
+      benefits: normalizeBenefits(entry.benefits, { beneficiaryNames, fieldPrefix })
+    };
+  });
+}
+
+export function normalizeCatInputs(raw) {
+  if (!isPlainObject(raw)) {
+    throw new Error('generated.catInputs must be an object.');
+  }
+
+  const beneficiaries = normalizeBeneficiaries(raw.beneficiaries);
+
+  return {
+    groupThresholds: normalizeGroupThresholds(raw.groupThresholds),
+    beneficiaries,
+    scenarios: normalizeScenarios(raw.scenarios, beneficiaries)
+  };
+}
+
+function taxOnAggregate(aggregate, threshold) {
+  return Math.max(0, aggregate - threshold) * CAT_RATE;
+}
+
+// Each benefit is taxed as the tax on everything received to date in its group less the tax
+// on what came before, both measured against the current threshold.
+function simulateScenario(inputs, scenario) {
+  const beneficiaryStates = new Map(inputs.beneficiaries.map((beneficiary) => [beneficiary.name, {
+    ...beneficiary,
+    threshold: inputs.groupThresholds[beneficiary.group],
+    grossBenefits: 0,
+    smallGiftExemption: 0,
+    taxableBenefits: 0,
+    aggregate: beneficiary.priorTaxableBenefits,
+    taxDue: 0
+  }]));
+  const smallGiftUsage = new Map();
+
+  const sortedBenefits = scenario.benefits
+    .map((benefit, index) => ({ ...benefit, index }))
+    .sort((left, right) => left.dateIso.localeCompare(right.dateIso) || left.index - right.index);
+
+  const events = sortedBenefits.map((benefit) => {
+    const state = beneficiaryStates.get(benefit.beneficiary);
+    let exemption = 0;
+    if (benefit.type === 'gift') {
+      const usageKey = `${benefit.donor}|${benefit.beneficiary}|${benefit.dateIso.slice(0, 4)}`;
+      const used = smallGiftUsage.get(usageKey) || 0;
+      exemption = Math.min(benefit.amount, SMALL_GIFT_EXEMPTION - used);
+      smallGiftUsage.set(usageKey, used + exemption);
+    }
+
+    const taxable = benefit.amount - exemption;
+    const taxDue = taxOnAggregate(state.aggregate + taxable, state.threshold) - taxOnAggregate(state.aggregate, state.threshold);
+    state.grossBenefits += benefit.amount;
+    state.smallGiftExemption += exemption;
+    state.taxableBenefits += taxable;
+    state.aggregate += taxable;
+    state.taxDue += taxDue;
+
+    return {
+      ...benefit,
+      year: Number(benefit.dateIso.slice(0, 4)),
+      exemption,
+      taxable,
+      taxDue,
+      aggregateAfter: state.aggregate
+    };
+  });
+
+  const beneficiaries = [...beneficiaryStates.values()].map((state) => ({
+    ...state,
+    thresholdUsed: Math.min(state.aggregate, state.threshold),
+    thresholdRemaining: Math.max(0, state.threshold - state.aggregate),
+    excessOverThreshold: Math.max(0, state.aggregate - state.threshold)
+  }));
+
+  return {
+    name: scenario.name,
+    events,
+    beneficiaries,
+    totalGross: beneficiaries.reduce((sum, entry) => sum + entry.grossBenefits, 0),
+    totalExemption: beneficiaries.reduce((sum, entry) => sum + entry.smallGiftExemption, 0),
+    totalTax: beneficiaries.reduce((sum, entry) => sum + entry.taxDue, 0)
+  };
+}
+
+function buildCumulativeTaxSeries(scenario, years) {
+  let cumulative = 0;
+  let eventIndex = 0;
+  return years.map((year) => {
+    while (eventIndex < scenario.events.length && scenario.events[eventIndex].year <= year) {
+      cumulative += scenario.events[eventIndex].taxDue;
+      eventIndex += 1;
+    }
+    return cumulative;
+  });
+}
+
+export function computeCatProjection(rawInputs) {
+  const inputs = normalizeCatInputs(rawInputs);
+  const scenarios = inputs.scenarios.map((scenario) => simulateScenario(inputs, scenario));
+  const cheapest = scenarios.reduce((best, scenario) => (scenario.totalTax < best.totalTax ? scenario : best));
+  const multipleScenarios = scenarios.length > 1;
+
+  const assumptionsTable = {
+    columns: ['Assumption', 'Value', 'Notes'],
+    rows: [
+      ...Object.keys(CAT_GROUP_THRESHOLDS).map((group) => [
+        `${CAT_GROUP_LABELS[group]} threshold`,
+        formatEuro(inputs.groupThresholds[group]),
+        'Lifetime tax-free amount from all donors in the group'
+      ]),
+      ['CAT rate', formatPercent(CAT_RATE), 'On the excess over the group threshold'],
+      ['Small gift exemption', formatEuro(SMALL_GIFT_EXEMPTION), 'Per donor, per beneficiary, per calendar year; gifts only'],
+      ['Aggregation', `Since ${AGGREGATION_START_DATE_ISO}`, 'Earlier benefits in the same group use up the threshold'],
+      ...inputs.beneficiaries.map((beneficiary) => [
+        `Beneficiary: ${beneficiary.name}`,
+        `Group ${beneficiary.group}`,
+        beneficiary.priorTaxableBenefits > 0
+          ? `${formatEuro(beneficiary.priorTaxableBenefits)} already received in this group`
+          : 'No earlier benefits in this group'
+      ]),
+      ...inputs.scenarios.map((scenario) => [
+        `Scenario: ${scenario.name}`,
+        `${scenario.benefits.length} benefit${scenario.benefits.length === 1 ? '' : 's'}`,
+        formatEuro(scenario.benefits.reduce((sum, benefit) => sum + benefit.amount, 0))
+      ])
+    ]
+  };
+
+  const outputRows = scenarios.map((scenario) => [
+    `Total CAT: ${scenario.name}`,
+    formatEuro(scenario.totalTax),
+    `On ${formatEuro(scenario.totalGross)} of benefits; ${formatEuro(scenario.totalExemption)} small gift exemption`
+  ]);
+
+  if (multipleScenarios) {
+    const dearest = scenarios.reduce((worst, scenario) => (scenario.totalTax > worst.totalTax ? scenario : worst));
+    outputRows.push([
+      'Lowest-tax timeline',
+      cheapest.name,
+      `Saves ${formatEuro(dearest.totalTax - cheapest.totalTax)} against ${dearest.name}`
+    ]);
+  }
+
+  const outputsTable = {
+    columns: ['Metric', 'Value', 'Notes'],
+    rows: outputRows
+  };
+
+  const beneficiaryColumns = multipleScenarios
+    ? ['Scenario', 'Beneficiary', 'Group threshold', 'Benefits', 'Small gift exemption', 'Taxable', 'Threshold remaining', 'CAT due']
+    : ['Beneficiary', 'Group threshold', 'Benefits', 'Small gift exemption', 'Taxable', 'Threshold remaining', 'CAT due'];
+  const beneficiaryRows = scenarios.flatMap((scenario) => scenario.beneficiaries.map((beneficiary) => {
+    const row = [
+      beneficiary.name,
+      `${formatEuro(beneficiary.threshold)} (Group ${beneficiary.group})`,
+      formatEuro(beneficiary.grossBenefits),
+      formatEuro(beneficiary.smallGiftExemption),
+      formatEuro(beneficiary.taxableBenefits),
+      formatEuro(beneficiary.thresholdRemaining),
+      formatEuro(beneficiary.taxDue)
+    ];
+    return multipleScenarios ? [scenario.name, ...row] : row;
+  }));
+
+  const tables = [
+    {
+      title: 'CAT by Beneficiary',
+      columns: beneficiaryColumns,
+      rows: beneficiaryRows
+    }
+  ];
+
+  const usageLabels = scenarios.flatMap((scenario) => scenario.beneficiaries.map((beneficiary) => (
+    multipleScenarios ? `${beneficiary.name} (${scenario.name})` : beneficiary.name
+  )));
+  const allBeneficiaryResults = scenarios.flatMap((scenario) => scenario.beneficiaries);
+  const years = [...new Set(scenarios.flatMap((scenario) => scenario.events.map((event) => event.year)))].sort((a, b) => a - b);
+  const charts = [
+    {
+      id: 'cat-threshold-usage',
+      title: 'Group Threshold Usage',
+      type: 'bar',
+      labels: usageLabels,
+      datasets: [
+        { label: 'Threshold used', data: allBeneficiaryResults.map((entry) => entry.thresholdUsed) },
+        { label: 'Threshold remaining', data: allBeneficiaryResults.map((entry) => entry.thresholdRemaining) },
+        { label: 'Taxable above threshold', data: allBeneficiaryResults.map((entry) => entry.excessOverThreshold) }
+      ]
+    }
+  ];
+
+  if (years.length > 0) {
+    charts.push({
+      id: 'cat-cumulative-tax',
+      title: 'Cumulative CAT by Timeline',
+      type: 'line',
+      labels: years.map(String),
+      datasets: scenarios.map((scenario) => ({
+        label: scenario.name,
+        data: buildCumulativeTaxSeries(scenario, years)
+      }))
+    });
+  }
+
+  const summaryHtml = multipleScenarios
+    ? `<p>${cheapest.name} gives the lowest CAT bill at ${formatEuro(cheapest.totalTax)} across ${scenarios.length} timelines. `
+      + "Each beneficiary's benefits since 1991 aggregate against their group threshold.</p>"
+    : `<p>${cheapest.name} leads to ${formatEuro(cheapest.totalTax)} of CAT on ${formatEuro(cheapest.totalGross)} of gifts and inheritances, `
+      + `after ${formatEuro(cheapest.totalExemption)} of small gift exemption.</p>`;
+
+  return {
+    assumptionsTable,
+    outputsTable,
+    tables,
+    charts,
+    summaryHtml,
+    debug: {
+      scenarios,
+      cheapestScenario: cheapest.name
+    }
+  };
+}
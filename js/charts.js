@@ -14,12 +14,37 @@ const PENSION_DATASET_LABELS = {
   sustainabilityCurrent: 'Balance (current)',
   sustainabilityMax: 'Balance (max)',
   requiredReference: 'Required pot path',
-  withdrawals: 'Withdrawals'
+  withdrawals: 'Withdrawals',
+  statePension: 'State pension',
+  annuityIncome: 'Annuity income',
+  potP10: 'Pot 10th percentile (current)',
+  potP50: 'Pot median (current)',
+  potP90: 'Pot 90th percentile (current)',
+  balanceP10: 'Balance 10th percentile (current)',
+  balanceP50: 'Balance median (current)',
+  balanceP90: 'Balance 90th percentile (current)'
+};
+const PENSION_POT_BREAKDOWN_PREFIX = 'Pot: ';
+const PENSION_POT_BREAKDOWN_COLORS = ['#2ea3ff', '#00BFA6', '#ffd166', '#b28dff', '#ff8fa3', '#7bffbf'];
+const RETIREMENT_INCOME_BAR_COLORS = {
+  [PENSION_DATASET_LABELS.withdrawals]: '#6FE6D8',
+  [PENSION_DATASET_LABELS.annuityIncome]: '#b28dff',
+  [PENSION_DATASET_LABELS.statePension]: '#ffd166'
+};
+const PENSION_PERCENTILE_COLORS = {
+  [PENSION_DATASET_LABELS.potP10]: '#ff8fa3',
+  [PENSION_DATASET_LABELS.potP50]: '#cfe6ff',
+  [PENSION_DATASET_LABELS.potP90]: '#7bffbf',
+  [PENSION_DATASET_LABELS.balanceP10]: '#ff8fa3',
+  [PENSION_DATASET_LABELS.balanceP50]: '#cfe6ff',
+  [PENSION_DATASET_LABELS.balanceP90]: '#7bffbf'
 };
 const MORTGAGE_DATASET_LABELS = {
   balance: 'Remaining balance',
   principal: 'Principal repaid (annual)',
-  interest: 'Interest paid (annual)'
+  interest: 'Interest paid (annual)',
+  bullet: 'Bullet repayment due (term end)',
+  rateChange: 'Rate change (%)'
 };
 const EURO_FORMATTER = new Intl.NumberFormat('en-IE', {
   style: 'currency',
@@ -525,6 +550,15 @@ function clampNumber(value) {
   return Number.isFinite(number) ? number : 0;
 }
 
+// Like clampNumber, but keeps a gap (null) as a gap instead of reading it as zero.
+function toNullableNumber(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
 function formatEuro(value) {
   return EURO_FORMATTER.format(clampNumber(value));
 }
@@ -577,6 +611,20 @@ function isMortgageMixedChart(chartData) {
     || chartData?.meta?.kind === 'mortgageMixed';
 }
 
+// Charts whose series stack to a running total: line charts as areas (balances per debt),
+// bar charts as columns with inflows above the axis and outflows below.
+const STACKED_CHART_ID_PREFIXES = Object.freeze(['debt-payoff-balances', 'cashflow-income-expenses', 'cat-threshold-usage']);
+
+function isStackedChart(chartData) {
+  const chartId = normalizeLabel(chartData?.id).toLowerCase();
+  return STACKED_CHART_ID_PREFIXES.some((prefix) => chartId.startsWith(prefix));
+}
+
+// Sensitivity tornado: horizontal bars of the change from the base case, one row per input.
+function isTornadoChart(chartData) {
+  return normalizeLabel(chartData?.id).toLowerCase().startsWith('sensitivity-tornado');
+}
+
 function chartToCsv(chartData, _module) {
   const datasets = Array.isArray(chartData.datasets) ? chartData.datasets : [];
   const labels = Array.isArray(chartData.labels) ? chartData.labels : [];
@@ -595,8 +643,13 @@ function chartToCsv(chartData, _module) {
     const balanceEndValues = getValues(MORTGAGE_DATASET_LABELS.balance);
     const principalValues = getValues(MORTGAGE_DATASET_LABELS.principal);
     const interestValues = getValues(MORTGAGE_DATASET_LABELS.interest);
+    const hasBullet = datasets.some((entry) => normalizeLabel(entry?.label) === MORTGAGE_DATASET_LABELS.bullet);
+    const bulletValues = getValues(MORTGAGE_DATASET_LABELS.bullet);
 
     const header = ['Year', 'BalanceStart', 'PrincipalPaid', 'InterestPaid', 'TotalPaid', 'BalanceEnd'];
+    if (hasBullet) {
+      header.push('BulletDue');
+    }
     const lines = [header.map(csvEscape).join(',')];
 
     labels.forEach((label, index) => {
@@ -614,6 +667,9 @@ function chartToCsv(chartData, _module) {
         totalPaidRounded.toFixed(2),
         balanceEndRounded.toFixed(2)
       ];
+      if (hasBullet) {
+        row.push(round2(bulletValues[index]).toFixed(2));
+      }
       lines.push(row.map(csvEscape).join(','));
     });
 
@@ -740,6 +796,10 @@ function isRequiredReferenceLabel(label) {
     || normalized.includes('required pot path');
 }
 
+function isRetirementIncomeBarLabel(label) {
+  return Object.prototype.hasOwnProperty.call(RETIREMENT_INCOME_BAR_COLORS, label);
+}
+
 function isCurrentScenarioLabel(label) {
   const normalized = normalizeLabel(label).toLowerCase();
   return normalized.includes('(current)')
@@ -765,7 +825,7 @@ function hasSustainabilityLabels(datasets) {
     return isRequiredReferenceLabel(label)
       || label === PENSION_DATASET_LABELS.sustainabilityCurrent
       || label === PENSION_DATASET_LABELS.sustainabilityMax
-      || label === PENSION_DATASET_LABELS.withdrawals
+      || isRetirementIncomeBarLabel(label)
       || label === 'Balance with target income (current start pot)'
       || label === 'Balance with target income (max start pot)'
       || normalized.startsWith('affordable income (');
@@ -808,7 +868,7 @@ function applySustainabilityLegendFilter(chart, showMax) {
     }
 
     const label = normalizeLabel(dataset.label);
-    if (label === PENSION_DATASET_LABELS.withdrawals) {
+    if (isRetirementIncomeBarLabel(label)) {
       return false;
     }
     if (
@@ -920,8 +980,61 @@ function isContributionOrGrowthLabel(label) {
     || normalized.startsWith('growth (');
 }
 
-function buildPensionAccumulationDataset(dataset, index, showMax) {
+function buildPensionPercentileDataset(dataset, index, showMax) {
   const label = normalizeLabel(dataset?.label);
+  const color = PENSION_PERCENTILE_COLORS[label] || '#cfe6ff';
+  const base = buildDatasetStyle(dataset, index, 'line');
+
+  return {
+    ...base,
+    type: 'line',
+    yAxisID: 'y',
+    order: 0,
+    borderColor: color,
+    backgroundColor: hexToRgba(color, 0.12),
+    pointBackgroundColor: color,
+    pointBorderColor: color,
+    pointRadius: 0,
+    borderWidth: 1.6,
+    borderDash: [6, 4],
+    hidden: showMax
+  };
+}
+
+function isPotBreakdownLabel(label) {
+  return normalizeLabel(label).startsWith(PENSION_POT_BREAKDOWN_PREFIX);
+}
+
+function buildPensionPotBreakdownDataset(dataset, index, potIndex, showMax) {
+  const color = PENSION_POT_BREAKDOWN_COLORS[potIndex % PENSION_POT_BREAKDOWN_COLORS.length];
+  return {
+    ...buildDatasetStyle(dataset, index, 'line'),
+    type: 'line',
+    yAxisID: 'y',
+    stack: 'pot-breakdown',
+    fill: 'stack',
+    order: 2,
+    borderColor: color,
+    backgroundColor: hexToRgba(color, 0.22),
+    pointRadius: 0,
+    borderWidth: 1,
+    hidden: showMax
+  };
+}
+
+function buildPensionAccumulationDataset(dataset, index, showMax, potIndex = -1) {
+  const label = normalizeLabel(dataset?.label);
+  if (potIndex >= 0) {
+    return buildPensionPotBreakdownDataset(dataset, index, potIndex, showMax);
+  }
+
+  if (PENSION_PERCENTILE_COLORS[label]) {
+    return {
+      ...buildPensionPercentileDataset(dataset, index, showMax),
+      stack: label
+    };
+  }
+
   const isLine = label === PENSION_DATASET_LABELS.currentPath || label === PENSION_DATASET_LABELS.maxPath;
 
   if (isLine) {
@@ -930,6 +1043,7 @@ function buildPensionAccumulationDataset(dataset, index, showMax) {
       ...baseLine,
       type: 'line',
       yAxisID: 'y',
+      stack: label,
       order: 0,
       borderWidth: label === PENSION_DATASET_LABELS.maxPath ? 2.4 : 2,
       hidden: label === PENSION_DATASET_LABELS.maxPath ? !showMax : showMax
@@ -952,6 +1066,7 @@ function buildPensionAccumulationDataset(dataset, index, showMax) {
       ...buildDatasetStyle(dataset, index, 'line'),
       type: 'line',
       yAxisID: 'y',
+      stack: label,
       order: 0
     };
   }
@@ -975,13 +1090,14 @@ function buildPensionAccumulationDataset(dataset, index, showMax) {
 
 function buildPensionSustainabilityDataset(dataset, index, showMax) {
   const label = normalizeLabel(dataset?.label);
-  if (label === PENSION_DATASET_LABELS.withdrawals) {
+  if (isRetirementIncomeBarLabel(label)) {
     const barBase = buildDatasetStyle(dataset, index, 'bar');
-    const color = '#6FE6D8';
+    const color = RETIREMENT_INCOME_BAR_COLORS[label];
     return {
       ...barBase,
       type: 'bar',
       yAxisID: 'y1',
+      stack: 'retirement-income',
       order: 1,
       borderColor: color,
       backgroundColor: hexToRgba(color, 0.5),
@@ -990,6 +1106,10 @@ function buildPensionSustainabilityDataset(dataset, index, showMax) {
     };
   }
 
+  if (PENSION_PERCENTILE_COLORS[label]) {
+    return buildPensionPercentileDataset(dataset, index, showMax);
+  }
+
   const base = applyLineColorOverrides(buildDatasetStyle(dataset, index, 'line'));
 
   if (label === PENSION_DATASET_LABELS.requiredReference) {
@@ -1098,7 +1218,12 @@ function computeAccumulationAxisMaxes(chartData) {
 
   const potCurrentValues = getRawDatasetValues(chartData, PENSION_DATASET_LABELS.currentPath, labelsLength);
   const potMaxValues = getRawDatasetValues(chartData, PENSION_DATASET_LABELS.maxPath, labelsLength);
-  const potMax = Math.max(maxArrayValue(potCurrentValues), maxArrayValue(potMaxValues));
+  const potP90Values = getRawDatasetValues(chartData, PENSION_DATASET_LABELS.potP90, labelsLength);
+  const potMax = Math.max(
+    maxArrayValue(potCurrentValues),
+    maxArrayValue(potMaxValues),
+    maxArrayValue(potP90Values)
+  );
 
   const personalCurrentValues = getRawDatasetValues(chartData, PENSION_DATASET_LABELS.personalCurrent, labelsLength);
   const employerCurrentValues = getRawDatasetValues(chartData, PENSION_DATASET_LABELS.employerCurrent, labelsLength);
@@ -1126,8 +1251,12 @@ function computeSustainabilityWithdrawalMax(chartData) {
     return 0;
   }
 
-  const withdrawalsValues = getRawDatasetValues(chartData, PENSION_DATASET_LABELS.withdrawals, labelsLength);
-  return maxArrayValue(withdrawalsValues);
+  const stackedValues = Object.keys(RETIREMENT_INCOME_BAR_COLORS).map((label) => (
+    getRawDatasetValues(chartData, label, labelsLength)
+  ));
+  return maxArrayValue(stackedValues[0].map((_value, index) => (
+    stackedValues.reduce((sum, values) => sum + values[index], 0)
+  )));
 }
 
 function buildMortgageMixedDataset(dataset, index) {
@@ -1163,12 +1292,104 @@ function buildMortgageMixedDataset(dataset, index) {
     };
   }
 
+  if (label === MORTGAGE_DATASET_LABELS.rateChange) {
+    // Marker-only series on its own percent axis: null means "no rate change that year".
+    const color = '#c9a7ff';
+    const data = Array.isArray(dataset?.data) ? dataset.data.map((value) => toNullableNumber(value)) : [];
+    const pointRadius = data.map((value) => (value !== null ? 7 : 0));
+    return {
+      label,
+      data,
+      type: 'line',
+      yAxisID: 'yRate',
+      order: -1,
+      showLine: false,
+      pointStyle: 'triangle',
+      pointRadius,
+      pointHoverRadius: pointRadius.map((radius) => (radius > 0 ? 9 : 0)),
+      pointHitRadius: pointRadius,
+      borderColor: color,
+      backgroundColor: color,
+      pointBackgroundColor: color,
+      pointBorderColor: '#061020'
+    };
+  }
+
+  if (label === MORTGAGE_DATASET_LABELS.bullet) {
+    const bar = buildDatasetStyle(dataset, index, 'bar');
+    const color = '#ff8fa3';
+    return {
+      ...bar,
+      type: 'bar',
+      yAxisID: 'y',
+      stack: 'mortgage-bullet',
+      order: 1,
+      borderColor: color,
+      backgroundColor: hexToRgba(color, 0.52)
+    };
+  }
+
   return buildDatasetStyle(dataset, index, 'bar');
 }
 
+function buildStackedDataset(dataset, index, type) {
+  if (type === 'bar') {
+    return {
+      ...buildDatasetStyle(dataset, index, 'bar'),
+      stack: 'stacked-bars',
+      borderRadius: 2
+    };
+  }
+
+  const style = buildDatasetStyle(dataset, index, 'line');
+  return {
+    ...style,
+    stack: 'stacked-area',
+    fill: index === 0 ? 'origin' : '-1',
+    backgroundColor: hexToRgba(style.borderColor, 0.32),
+    borderWidth: 1.2,
+    pointRadius: 0,
+    tension: 0.18
+  };
+}
+
+// Dashed vertical guide through each year in which the mortgage rate changes. It reads
+// the marker series from the live chart so in-place updates keep the guides in step.
+const MORTGAGE_RATE_CHANGE_GUIDE_PLUGIN = {
+  id: 'mortgageRateChangeGuides',
+  beforeDatasetsDraw(chart) {
+    const xScale = chart?.scales?.x;
+    const area = chart?.chartArea;
+    const rateDataset = chart?.data?.datasets?.find((dataset) => dataset?.label === MORTGAGE_DATASET_LABELS.rateChange);
+    if (!xScale || !area || !Array.isArray(rateDataset?.data)) {
+      return;
+    }
+
+    const { ctx } = chart;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(201, 167, 255, 0.55)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    rateDataset.data.forEach((value, index) => {
+      if (toNullableNumber(value) === null) {
+        return;
+      }
+
+      const x = xScale.getPixelForValue(index);
+      ctx.beginPath();
+      ctx.moveTo(x, area.top);
+      ctx.lineTo(x, area.bottom);
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+};
+
 function buildChartConfig(chartData, { module } = {}) {
   const isMortgageMixed = isMortgageMixedChart(chartData);
-  const chartType = isMortgageMixed
+  const isStacked = !isMortgageMixed && isStackedChart(chartData);
+  const isTornado = isTornadoChart(chartData);
+  const chartType = isMortgageMixed || isTornado
     ? 'bar'
     : (chartData.type === 'bar' ? 'bar' : 'line');
   const labels = Array.isArray(chartData.labels) ? chartData.labels.map((value) => String(value)) : [];
@@ -1176,7 +1397,7 @@ function buildChartConfig(chartData, { module } = {}) {
   const accumulationByTitleOrLabels = isPensionAccumulationChart(chartData);
   const sustainabilityByTitleOrLabels = isPensionSustainabilityChart(chartData);
   const fallbackPensionDetection = !module && (accumulationByTitleOrLabels || sustainabilityByTitleOrLabels);
-  const isPensionChart = pensionModule || fallbackPensionDetection;
+  const isPensionChart = !isTornado && (pensionModule || fallbackPensionDetection);
   const showMax = pensionModule ? getPensionShowMax(module?.id) : false;
   const isAccumulation = isPensionChart && accumulationByTitleOrLabels;
   const isSustainability = isPensionChart && sustainabilityByTitleOrLabels;
@@ -1186,8 +1407,15 @@ function buildChartConfig(chartData, { module } = {}) {
         return buildMortgageMixedDataset(dataset, index);
       }
 
+      if (isStacked || isTornado) {
+        return buildStackedDataset(dataset, index, chartType);
+      }
+
       if (isAccumulation) {
-        return buildPensionAccumulationDataset(dataset, index, showMax);
+        const potIndex = isPotBreakdownLabel(dataset?.label)
+          ? chartData.datasets.slice(0, index).filter((entry) => isPotBreakdownLabel(entry?.label)).length
+          : -1;
+        return buildPensionAccumulationDataset(dataset, index, showMax, potIndex);
       }
 
       if (isSustainability) {
@@ -1277,6 +1505,10 @@ function buildChartConfig(chartData, { module } = {}) {
     config.options.scales.x.stacked = true;
     const { potMax, cashflowMax } = computeAccumulationAxisMaxes(chartData);
     config.options.scales.y.suggestedMax = potMax > 0 ? potMax * 1.05 : 1;
+    if (datasets.some((dataset) => isPotBreakdownLabel(dataset?.label))) {
+      // Each non-breakdown line carries its own stack id, so only the per-pot areas add up.
+      config.options.scales.y.stacked = true;
+    }
     config.options.scales.y1 = {
       beginAtZero: true,
       stacked: true,
@@ -1341,10 +1573,17 @@ function buildChartConfig(chartData, { module } = {}) {
 
   if (isSustainability) {
     const hasRightAxisDataset = datasets.some((dataset) => dataset?.yAxisID === 'y1');
+    const hasStatePensionDataset = chartHasDatasetLabel(chartData, PENSION_DATASET_LABELS.statePension);
+    const hasAnnuityIncomeDataset = chartHasDatasetLabel(chartData, PENSION_DATASET_LABELS.annuityIncome);
+    const hasStackedIncomeBars = hasStatePensionDataset || hasAnnuityIncomeDataset;
     if (hasRightAxisDataset) {
       const withdrawalsMax = computeSustainabilityWithdrawalMax(chartData);
+      if (hasStackedIncomeBars) {
+        config.options.scales.x.stacked = true;
+      }
       config.options.scales.y1 = {
         beginAtZero: true,
+        stacked: hasStackedIncomeBars,
         position: 'right',
         suggestedMax: withdrawalsMax > 0 ? withdrawalsMax * 1.10 : 1,
         ticks: {
@@ -1366,7 +1605,7 @@ function buildChartConfig(chartData, { module } = {}) {
       }
 
       const label = normalizeLabel(dataset.label);
-      if (label === PENSION_DATASET_LABELS.withdrawals) {
+      if (isRetirementIncomeBarLabel(label)) {
         return false;
       }
       if (label === PENSION_DATASET_LABELS.sustainabilityCurrent || isCurrentScenarioLabel(label)) {
@@ -1379,7 +1618,9 @@ function buildChartConfig(chartData, { module } = {}) {
     };
 
     if (hasRightAxisDataset) {
-      const subtitleText = 'Bars (right axis): withdrawals per year';
+      const subtitleText = hasStackedIncomeBars
+        ? 'Bars (right axis): pension withdrawals, annuity and State Pension income per year'
+        : 'Bars (right axis): withdrawals per year';
       const subtitlePluginAvailable = Boolean(
         window.Chart?.defaults?.plugins
         && Object.prototype.hasOwnProperty.call(window.Chart.defaults.plugins, 'subtitle')
@@ -1450,12 +1691,57 @@ function buildChartConfig(chartData, { module } = {}) {
         const value = typeof context?.parsed?.y === 'number'
           ? context.parsed.y
           : context?.raw;
+        if (label === MORTGAGE_DATASET_LABELS.rateChange) {
+          return `Rate changes to ${clampNumber(value).toFixed(2)}%`;
+        }
         return `${label}: ${formatEuro(value)}`;
       }
     };
+
+    const rateChangeDataset = (Array.isArray(chartData.datasets) ? chartData.datasets : []).find((dataset) => normalizeLabel(dataset?.label) === MORTGAGE_DATASET_LABELS.rateChange);
+    const rateChangeValues = Array.isArray(rateChangeDataset?.data)
+      ? rateChangeDataset.data.map((value) => toNullableNumber(value)).filter((value) => value !== null)
+      : [];
+    if (rateChangeValues.length > 0) {
+      config.options.scales.yRate = {
+        display: false,
+        beginAtZero: true,
+        suggestedMax: Math.max(maxArrayValue(rateChangeValues) * 1.25, 1)
+      };
+      config.options.plugins.tooltip.filter = (context) => (
+        context?.dataset?.label !== MORTGAGE_DATASET_LABELS.rateChange || toNullableNumber(context?.raw) !== null
+      );
+    }
+    config.plugins = [MORTGAGE_RATE_CHANGE_GUIDE_PLUGIN];
+  }
+
+  if (isStacked) {
+    config.options.scales.x.stacked = chartType === 'bar';
+    config.options.interaction = { mode: 'index', intersect: false, axis: 'x' };
+    config.options.hover = { mode: 'index', intersect: false };
+    config.options.plugins.tooltip.mode = 'index';
+    config.options.plugins.tooltip.intersect = false;
+    config.options.scales.y.stacked = true;
+    config.options.scales.y.ticks.callback = (value) => formatEuroTick(value);
+  }
+
+  if (isTornado) {
+    // Both directions share a row, so stacking keeps each input's bars on one line.
+    config.options.indexAxis = 'y';
+    config.options.interaction = { mode: 'index', intersect: false, axis: 'y' };
+    config.options.hover = { mode: 'index', intersect: false };
+    config.options.plugins.tooltip.mode = 'index';
+    config.options.plugins.tooltip.intersect = false;
+    config.options.plugins.tooltip.callbacks = {
+      label: (context) => `${context?.dataset?.label || 'Series'}: ${formatEuro(context?.parsed?.x)}`
+    };
+    config.options.scales.x.stacked = true;
+    config.options.scales.x.ticks.callback = (value) => formatEuroTick(value);
+    config.options.scales.y.stacked = true;
+    config.options.scales.y.beginAtZero = false;
   }
 
-  if (isAccumulation || isSustainability) {
+  if (isAccumulation || isSustainability || isStacked) {
     config.options.plugins.tooltip.callbacks = {
       label: (context) => {
         const label = context?.dataset?.label || 'Series';
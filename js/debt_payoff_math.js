@@ -0,0 +1,474 @@
+import { computeAmortizationMonthlySchedule } from './mortgage_math.js';
+
+const DEBT_KINDS = Object.freeze(['loan', 'creditCard']);
+const DEBT_KIND_LABELS = Object.freeze({
+  loan: 'Loan',
+  creditCard: 'Credit card'
+});
+const STRATEGY_LABELS = Object.freeze({
+  avalanche: 'Avalanche',
+  snowball: 'Snowball',
+  consolidation: 'Consolidation'
+});
+const MAX_DEBTS = 20;
+const MAX_SIMULATION_MONTHS = 600;
+const BALANCE_EPSILON = 0.005;
+// Month-to-month spare budget differs by rounding noise while no debt clears.
+const EXTRA_PAYMENT_TOLERANCE = 1e-9;
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function requireFiniteNumber(value, fieldName) {
+  if (!isFiniteNumber(value)) {
+    throw new Error(`generated.debtPayoffInputs.${fieldName} must be a finite number.`);
+  }
+
+  return value;
+}
+
+function optionalFiniteNumber(value, fallback, fieldName) {
+  if (typeof value === 'undefined' || value === null) {
+    return fallback;
+  }
+
+  if (!isFiniteNumber(value)) {
+    throw new Error(`generated.debtPayoffInputs.${fieldName} must be a finite number when provided.`);
+  }
+
+  return value;
+}
+
+function formatEuro(amount) {
+  return new Intl.NumberFormat('en-IE', {
+    style: 'currency',
+    currency: 'EUR',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(isFiniteNumber(amount) ? amount : 0);
+}
+
+function formatPercent(decimal) {
+  return `${(decimal * 100).toFixed(2)}%`;
+}
+
+function formatMonthSpan(monthCount) {
+  const years = Math.floor(monthCount / 12);
+  const months = monthCount % 12;
+  const parts = [];
+  if (years > 0) {
+    parts.push(`${years} year${years === 1 ? '' : 's'}`);
+  }
+  if (months > 0 || years === 0) {
+    parts.push(`${months} month${months === 1 ? '' : 's'}`);
+  }
+  return parts.join(' ');
+}
+
+function addMonthsIso(startDateIso, monthOffset) {
+  const [year, month] = startDateIso.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1 + monthOffset, 1));
+  return date.toISOString().slice(0, 10);
+}
+
+function normalizeDebts(rawDebts) {
+  if (!Array.isArray(rawDebts) || rawDebts.length === 0) {
+    throw new Error('generated.debtPayoffInputs.debts must be a non-empty array.');
+  }
+
+  if (rawDebts.length > MAX_DEBTS) {
+    throw new Error(`generated.debtPayoffInputs.debts supports at most ${MAX_DEBTS} entries.`);
+  }
+
+  const seenNames = new Set();
+  return rawDebts.map((entry, index) => {
+    const fieldPrefix = `debts[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`generated.debtPayoffInputs.${fieldPrefix} must be an object.`);
+    }
+
+    const name = typeof entry.name === 'string' && entry.name.trim()
+      ? entry.name.trim()
+      : `Debt ${index + 1}`;
+    if (seenNames.has(name.toLowerCase())) {
+      throw new Error(`generated.debtPayoffInputs.${fieldPrefix}.name "${name}" is used by more than one debt.`);
+    }
+    seenNames.add(name.toLowerCase());
+
+    const kind = typeof entry.kind === 'undefined' || entry.kind === null
+      ? 'loan'
+      : String(entry.kind).trim();
+    if (!DEBT_KINDS.includes(kind)) {
+      throw new Error(`generated.debtPayoffInputs.${fieldPrefix}.kind must be "loan" or "creditCard".`);
+    }
+
+    const balance = requireFiniteNumber(entry.balance, `${fieldPrefix}.balance`);
+    if (balance <= 0) {
+      throw new Error(`generated.debtPayoffInputs.${fieldPrefix}.balance must be greater than 0.`);
+    }
+
+    const annualInterestRate = requireFiniteNumber(entry.annualInterestRate, `${fieldPrefix}.annualInterestRate`);
+    if (annualInterestRate < 0 || annualInterestRate > 1) {
+      throw new Error(`generated.debtPayoffInputs.${fieldPrefix}.annualInterestRate must be between 0 and 1.`);
+    }
+
+    const minimumPayment = requireFiniteNumber(entry.minimumPayment, `${fieldPrefix}.minimumPayment`);
+    if (minimumPayment <= 0) {
+      throw new Error(`generated.debtPayoffInputs.${fieldPrefix}.minimumPayment must be greater than 0.`);
+    }
+
+    // As on the amortisation schedule, a payment that does not cover the interest is rejected.
+    const firstMonthInterest = balance * (annualInterestRate / 12);
+    if (minimumPayment <= firstMonthInterest) {
+      throw new Error(`generated.debtPayoffInputs.${fieldPrefix}.minimumPayment must be more than the monthly interest of ${formatEuro(firstMonthInterest)}.`);
+    }
+
+    return { name, kind, balance, annualInterestRate, minimumPayment };
+  });
+}
+
+function normalizeConsolidation(rawConsolidation) {
+  if (typeof rawConsolidation === 'undefined' || rawConsolidation === null) {
+    return null;
+  }
+
+  if (typeof rawConsolidation !== 'object' || Array.isArray(rawConsolidation)) {
+    throw new Error('generated.debtPayoffInputs.consolidation must be an object when provided.');
+  }
+
+  const annualInterestRate = requireFiniteNumber(rawConsolidation.annualInterestRate, 'consolidation.annualInterestRate');
+  if (annualInterestRate < 0 || annualInterestRate > 1) {
+    throw new Error('generated.debtPayoffInputs.consolidation.annualInterestRate must be between 0 and 1.');
+  }
+
+  const termYears = requireFiniteNumber(rawConsolidation.termYears, 'consolidation.termYears');
+  if (termYears <= 0 || termYears > 30) {
+    throw new Error('generated.debtPayoffInputs.consolidation.termYears must be greater than 0 and at most 30.');
+  }
+
+  const arrangementFee = optionalFiniteNumber(rawConsolidation.arrangementFee, 0, 'consolidation.arrangementFee');
+  if (arrangementFee < 0) {
+    throw new Error('generated.debtPayoffInputs.consolidation.arrangementFee must be greater than or equal to 0.');
+  }
+
+  return { annualInterestRate, termYears, arrangementFee };
+}
+
+export function normalizeDebtPayoffInputs(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('generated.debtPayoffInputs must be an object.');
+  }
+
+  const debts = normalizeDebts(raw.debts);
+  const totalMinimumPayments = debts.reduce((sum, debt) => sum + debt.minimumPayment, 0);
+
+  const monthlyBudget = requireFiniteNumber(raw.monthlyBudget, 'monthlyBudget');
+  if (monthlyBudget < totalMinimumPayments) {
+    throw new Error(`generated.debtPayoffInputs.monthlyBudget must cover the minimum payments of ${formatEuro(totalMinimumPayments)}.`);
+  }
+
+  if (typeof raw.startDateIso !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(raw.startDateIso.trim())) {
+    throw new Error('generated.debtPayoffInputs.startDateIso must be a YYYY-MM-DD string.');
+  }
+
+  return {
+    debts,
+    monthlyBudget,
+    startDateIso: `${raw.startDateIso.trim().slice(0, 7)}-01`,
+    consolidation: normalizeConsolidation(raw.consolidation)
+  };
+}
+
+// Order in which spare budget is thrown at the debts. Avalanche targets the dearest rate,
+// snowball the smallest starting balance; each breaks ties on the other key.
+function resolvePayoffOrder(debts, strategy) {
+  const indexes = debts.map((_debt, index) => index);
+  return indexes.sort((a, b) => {
+    const left = debts[a];
+    const right = debts[b];
+    if (strategy === 'avalanche') {
+      return (right.annualInterestRate - left.annualInterestRate) || (left.balance - right.balance) || (a - b);
+    }
+    return (left.balance - right.balance) || (right.annualInterestRate - left.annualInterestRate) || (a - b);
+  });
+}
+
+// The spare budget only moves when another debt clears, so it goes to the loan engine as a
+// few monthly overpayments, one per stretch of months it holds steady, rather than a dated
+// lump sum for every month of the simulation.
+function groupExtraPayments(extraPayments) {
+  const runs = [];
+  extraPayments.forEach((amount, monthIndex) => {
+    const run = runs[runs.length - 1];
+    if (run && run.lastMonthIndex === monthIndex - 1 && Math.abs(run.amount - amount) <= EXTRA_PAYMENT_TOLERANCE) {
+      run.lastMonthIndex = monthIndex;
+    } else if (amount > BALANCE_EPSILON) {
+      runs.push({ amount, firstMonthIndex: monthIndex, lastMonthIndex: monthIndex });
+    }
+  });
+  return runs;
+}
+
+function buildDebtLoanInputs(debt, startDateIso, extraPayments = []) {
+  return {
+    loanKind: 'loan',
+    currentBalance: debt.balance,
+    annualInterestRate: debt.annualInterestRate,
+    startDateIso,
+    endDateIso: addMonthsIso(startDateIso, MAX_SIMULATION_MONTHS - 1),
+    repaymentType: 'repayment',
+    fixedPaymentAmount: debt.minimumPayment,
+    overpayments: groupExtraPayments(extraPayments).map((run) => ({
+      type: 'monthly',
+      fromDateIso: addMonthsIso(startDateIso, run.firstMonthIndex),
+      toDateIso: addMonthsIso(startDateIso, run.lastMonthIndex),
+      amount: run.amount,
+      effect: 'reduceTerm'
+    }))
+  };
+}
+
+function paidInMonth(schedule, monthIndex) {
+  return schedule.monthlySchedule[monthIndex]?.totalPaid || 0;
+}
+
+// Each debt runs on the amortisation schedule as a fixed payment of its minimum, with the
+// spare budget landing as an overpayment after the regular payment. Debts are settled in
+// payoff order: until a debt clears, every debt behind it is still on its minimum, so its
+// spare is the budget less what the debts ahead of it took and the minimums behind it.
+function simulateStrategy(inputs, strategy) {
+  const { debts, monthlyBudget, startDateIso } = inputs;
+  const order = resolvePayoffOrder(debts, strategy);
+  const minimumOnly = debts.map((debt) => (
+    computeAmortizationMonthlySchedule(buildDebtLoanInputs(debt, startDateIso), { defaultLoanKind: 'loan' })
+  ));
+  const schedules = debts.map(() => null);
+
+  order.forEach((debtIndex, position) => {
+    const ahead = order.slice(0, position).map((index) => schedules[index]);
+    const behind = order.slice(position + 1).map((index) => minimumOnly[index]);
+    const extraPayments = Array.from({ length: MAX_SIMULATION_MONTHS }, (_value, monthIndex) => (
+      monthlyBudget
+      - debts[debtIndex].minimumPayment
+      - ahead.reduce((sum, schedule) => sum + paidInMonth(schedule, monthIndex), 0)
+      - behind.reduce((sum, schedule) => sum + paidInMonth(schedule, monthIndex), 0)
+    ));
+    schedules[debtIndex] = computeAmortizationMonthlySchedule(
+      buildDebtLoanInputs(debts[debtIndex], startDateIso, extraPayments),
+      { defaultLoanKind: 'loan' }
+    );
+  });
+
+  if (schedules.some((schedule) => schedule.balanceRemaining > BALANCE_EPSILON)) {
+    throw new Error(`generated.debtPayoffInputs.monthlyBudget of ${formatEuro(monthlyBudget)} does not clear the debts within ${MAX_SIMULATION_MONTHS / 12} years using the ${STRATEGY_LABELS[strategy].toLowerCase()} strategy.`);
+  }
+
+  const monthsToClear = Math.max(...schedules.map((schedule) => schedule.monthsSimulated));
+  const balanceHistory = [debts.map((debt) => debt.balance)];
+  for (let monthIndex = 0; monthIndex < monthsToClear; monthIndex += 1) {
+    balanceHistory.push(schedules.map((schedule) => Math.max(0, schedule.monthlySchedule[monthIndex]?.balanceEnd ?? 0)));
+  }
+
+  const interestByDebt = schedules.map((schedule) => schedule.totalInterestLifetime);
+  const totalInterest = interestByDebt.reduce((sum, value) => sum + value, 0);
+  return {
+    strategy,
+    order,
+    monthsToClear,
+    debtFreeDateIso: addMonthsIso(startDateIso, monthsToClear - 1),
+    totalInterest,
+    totalPaid: schedules.reduce((sum, schedule) => sum + schedule.totalPaidLifetime, 0),
+    interestByDebt,
+    payoffDatesIso: schedules.map((schedule) => schedule.payoffDateIso),
+    balanceHistory
+  };
+}
+
+// One new loan clears every debt on day one; any budget above its repayment is overpaid
+// monthly so the comparison spends the same amount each month as the other strategies.
+function simulateConsolidation(inputs) {
+  const { consolidation, monthlyBudget, startDateIso } = inputs;
+  const totalBalance = inputs.debts.reduce((sum, debt) => sum + debt.balance, 0);
+  const loanInputs = {
+    loanKind: 'loan',
+    currentBalance: totalBalance + consolidation.arrangementFee,
+    annualInterestRate: consolidation.annualInterestRate,
+    startDateIso,
+    remainingTermYears: consolidation.termYears,
+    repaymentType: 'repayment'
+  };
+  const scheduledPayment = computeAmortizationMonthlySchedule(loanInputs, { defaultLoanKind: 'loan' }).monthlyPaymentUsed;
+  const overpayment = monthlyBudget - scheduledPayment;
+  const schedule = overpayment > BALANCE_EPSILON
+    ? computeAmortizationMonthlySchedule({
+      ...loanInputs,
+      overpayments: [{ type: 'monthly', amount: overpayment, effect: 'reduceTerm' }]
+    }, { defaultLoanKind: 'loan' })
+    : computeAmortizationMonthlySchedule(loanInputs, { defaultLoanKind: 'loan' });
+
+  return {
+    strategy: 'consolidation',
+    scheduledPayment,
+    monthlyOutgoing: scheduledPayment + Math.max(0, overpayment),
+    exceedsBudget: overpayment < -BALANCE_EPSILON,
+    loanAmount: loanInputs.currentBalance,
+    monthsToClear: schedule.monthsSimulated,
+    debtFreeDateIso: schedule.payoffDateIso,
+    totalInterest: schedule.totalInterestLifetime,
+    totalPaid: schedule.totalPaidLifetime,
+    balanceHistory: [
+      [loanInputs.currentBalance],
+      ...schedule.monthlySchedule.map((month) => [Math.max(0, month.balanceEnd)])
+    ]
+  };
+}
+
+function sumBalances(balances) {
+  return balances.reduce((sum, value) => sum + value, 0);
+}
+
+function buildMonthLabels(startDateIso, monthCount) {
+  const labels = ['Start'];
+  for (let monthIndex = 0; monthIndex < monthCount; monthIndex += 1) {
+    labels.push(addMonthsIso(startDateIso, monthIndex).slice(0, 7));
+  }
+  return labels;
+}
+
+function padSeries(values, length) {
+  return Array.from({ length }, (_value, index) => (index < values.length ? values[index] : 0));
+}
+
+function buildStackedBalanceChart(inputs, result, labels) {
+  return {
+    id: `debt-payoff-balances-${result.strategy}`,
+    title: `Balances by Debt: ${STRATEGY_LABELS[result.strategy]}`,
+    type: 'line',
+    labels,
+    datasets: inputs.debts.map((debt, index) => ({
+      label: debt.name,
+      data: padSeries(result.balanceHistory.map((balances) => balances[index]), labels.length)
+    }))
+  };
+}
+
+export function computeDebtPayoffProjection(rawInputs) {
+  const inputs = normalizeDebtPayoffInputs(rawInputs);
+  const avalanche = simulateStrategy(inputs, 'avalanche');
+  const snowball = simulateStrategy(inputs, 'snowball');
+  const consolidation = inputs.consolidation ? simulateConsolidation(inputs) : null;
+  const strategies = [avalanche, snowball, consolidation].filter(Boolean);
+  const cheapest = strategies.reduce((best, result) => (
+    result.totalPaid < best.totalPaid - BALANCE_EPSILON ? result : best
+  ));
+  const totalBalance = inputs.debts.reduce((sum, debt) => sum + debt.balance, 0);
+  const totalMinimumPayments = inputs.debts.reduce((sum, debt) => sum + debt.minimumPayment, 0);
+
+  const assumptionRows = inputs.debts.map((debt) => [
+    debt.name,
+    formatEuro(debt.balance),
+    `${DEBT_KIND_LABELS[debt.kind]} at ${formatPercent(debt.annualInterestRate)}, minimum ${formatEuro(debt.minimumPayment)}/month`
+  ]);
+  assumptionRows.push(
+    ['Total owed', formatEuro(totalBalance), `Minimum payments ${formatEuro(totalMinimumPayments)}/month`],
+    ['Monthly budget', formatEuro(inputs.monthlyBudget), 'Paid every month until all debts are cleared'],
+    ['Start date', inputs.startDateIso, 'First payment month']
+  );
+  if (inputs.consolidation) {
+    assumptionRows.push([
+      'Consolidation loan',
+      `${formatPercent(inputs.consolidation.annualInterestRate)} over ${inputs.consolidation.termYears} years`,
+      inputs.consolidation.arrangementFee > 0
+        ? `Arrangement fee ${formatEuro(inputs.consolidation.arrangementFee)} added to the loan`
+        : 'No arrangement fee'
+    ]);
+  }
+
+  const assumptionsTable = {
+    columns: ['Assumption', 'Value', 'Notes'],
+    rows: assumptionRows
+  };
+
+  const outputRows = [];
+  strategies.forEach((result) => {
+    const label = STRATEGY_LABELS[result.strategy];
+    outputRows.push(
+      [`${label}: debt-free date`, result.debtFreeDateIso, `${formatMonthSpan(result.monthsToClear)} of payments`],
+      [`${label}: total interest`, formatEuro(result.totalInterest), `Total repaid ${formatEuro(result.totalPaid)}${result.strategy === 'consolidation' ? ' including fees' : ''}`]
+    );
+  });
+
+  if (consolidation) {
+    outputRows.push([
+      'Consolidation loan repayment',
+      formatEuro(consolidation.scheduledPayment),
+      consolidation.exceedsBudget
+        ? `Exceeds the ${formatEuro(inputs.monthlyBudget)} budget`
+        : `Loan of ${formatEuro(consolidation.loanAmount)}; budget above this is overpaid`
+    ]);
+  }
+
+  const avalancheSaving = snowball.totalInterest - avalanche.totalInterest;
+  outputRows.push([
+    'Avalanche saving vs snowball',
+    formatEuro(avalancheSaving),
+    avalancheSaving > BALANCE_EPSILON
+      ? 'Interest saved by targeting the highest rate first'
+      : 'Both orders cost the same interest'
+  ]);
+
+  inputs.debts.forEach((debt, index) => {
+    outputRows.push([
+      `Cleared: ${debt.name}`,
+      avalanche.payoffDatesIso[index],
+      `Avalanche; snowball clears it ${snowball.payoffDatesIso[index]}`
+    ]);
+  });
+
+  const outputsTable = {
+    columns: ['Metric', 'Value', 'Notes'],
+    rows: outputRows
+  };
+
+  const longestMonths = Math.max(...strategies.map((result) => result.monthsToClear));
+  const labels = buildMonthLabels(inputs.startDateIso, longestMonths);
+  const charts = [
+    buildStackedBalanceChart(inputs, avalanche, labels),
+    buildStackedBalanceChart(inputs, snowball, labels),
+    {
+      id: 'debt-payoff-strategy-comparison',
+      title: 'Total Balance by Strategy',
+      type: 'line',
+      labels,
+      datasets: strategies.map((result) => ({
+        label: STRATEGY_LABELS[result.strategy],
+        data: padSeries(result.balanceHistory.map(sumBalances), labels.length)
+      }))
+    }
+  ];
+
+  const summarySentences = [
+    `Paying ${formatEuro(inputs.monthlyBudget)} a month against ${formatEuro(totalBalance)} of debt, the avalanche clears everything by ${avalanche.debtFreeDateIso} with ${formatEuro(avalanche.totalInterest)} interest and the snowball by ${snowball.debtFreeDateIso} with ${formatEuro(snowball.totalInterest)}.`
+  ];
+  if (consolidation) {
+    summarySentences.push(
+      `A consolidation loan at ${formatPercent(inputs.consolidation.annualInterestRate)} would be repaid by ${consolidation.debtFreeDateIso} with ${formatEuro(consolidation.totalInterest)} interest.`
+    );
+  }
+  summarySentences.push(`The ${STRATEGY_LABELS[cheapest.strategy].toLowerCase()} strategy repays the least in total, at ${formatEuro(cheapest.totalPaid)}.`);
+
+  return {
+    assumptionsTable,
+    outputsTable,
+    charts,
+    summaryHtml: `<p>${summarySentences.join(' ')}</p>`,
+    debug: {
+      totalBalance,
+      cheapestStrategy: cheapest.strategy,
+      avalanche,
+      snowball,
+      consolidation
+    }
+  };
+}
@@ -0,0 +1,353 @@
+import { computePensionProjection } from './pension_math.js';
+import { computeMortgageProjection } from './mortgage_math.js';
+import { computeSavingsProjection } from './savings_math.js';
+
+const DEFAULT_MAX_ITERATIONS = 80;
+const GOALS = Object.freeze(['atLeast', 'atMost']);
+
+const PERCENT_STEP = 0.0001;
+const EURO_STEP = 0.01;
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function formatEuro(amount) {
+  return new Intl.NumberFormat('en-IE', {
+    style: 'currency',
+    currency: 'EUR',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(isFiniteNumber(amount) ? amount : 0);
+}
+
+function formatPercent(decimal) {
+  return `${(decimal * 100).toFixed(2)}%`;
+}
+
+function formatByKind(value, kind) {
+  if (kind === 'euro') {
+    return formatEuro(value);
+  }
+
+  if (kind === 'percent') {
+    return formatPercent(value);
+  }
+
+  return String(value);
+}
+
+// First calendar year with a zero closing balance; the payoff year in the projection can miss
+// a schedule that ends on a sub-cent residual.
+function readClearedYear(projection) {
+  const clearedRow = (projection.debug?.annualSchedule || []).find((row) => row.balanceEnd <= 0);
+  return clearedRow ? clearedRow.year : Number.POSITIVE_INFINITY;
+}
+
+// On a multi-pot pension the engine rebuilds the total pot and contribution rates from the
+// pots, so a top-level value the solver moved would be ignored.
+function hasPensionPots(inputs) {
+  return Array.isArray(inputs?.pots) && inputs.pots.length > 0;
+}
+
+// Whether the engine reads a top-level input at all for these inputs. Sensitivity analysis
+// uses the same checks so neither offers a field that cannot move the projection.
+export function pensionReadsTopLevelContributions(inputs) {
+  return !hasPensionPots(inputs);
+}
+
+// Pots with their own rate ignore the top-level one.
+export function pensionReadsTopLevelGrowthRate(inputs) {
+  return !hasPensionPots(inputs) || inputs.pots.some((pot) => typeof pot?.growthRate !== 'number');
+}
+
+// An end date fixes the term, and the remaining term is then ignored.
+export function mortgageReadsRemainingTerm(inputs) {
+  return !(typeof inputs?.endDateIso === 'string' && inputs.endDateIso.trim().length > 0);
+}
+
+// Engines the solver can drive. Bounds are functions of the current inputs so a field such as a
+// fixed payment can scale with the balance; each metric states which side of the target is a hit.
+export const GOAL_SEEK_ENGINES = Object.freeze({
+  pension: {
+    compute: computePensionProjection,
+    fields: {
+      personalPct: {
+        label: 'Personal contribution',
+        kind: 'percent',
+        bounds: () => [0, 0.4],
+        available: pensionReadsTopLevelContributions
+      },
+      employerPct: {
+        label: 'Employer contribution',
+        kind: 'percent',
+        bounds: () => [0, 0.4],
+        available: pensionReadsTopLevelContributions
+      },
+      currentPot: {
+        label: 'Current pension value',
+        kind: 'euro',
+        bounds: (inputs) => [0, Math.max(1000000, (inputs.currentSalary || 0) * 20)],
+        available: pensionReadsTopLevelContributions
+      },
+      growthRate: {
+        label: 'Growth rate',
+        kind: 'percent',
+        bounds: () => [-0.05, 0.15],
+        available: pensionReadsTopLevelGrowthRate
+      },
+      retirementAge: {
+        label: 'Retirement age',
+        kind: 'integer',
+        bounds: (inputs) => [Math.min(75, (inputs.currentAge || 18) + 1), 75]
+      }
+    },
+    metrics: {
+      retirementPot: {
+        label: 'Pension pot at retirement',
+        kind: 'euro',
+        goal: 'atLeast',
+        tolerance: 1,
+        read: (projection) => projection.debug.projectedPotCurrent
+      }
+    }
+  },
+  mortgage: {
+    compute: computeMortgageProjection,
+    fields: {
+      fixedPaymentAmount: { label: 'Fixed monthly payment', kind: 'euro', bounds: (inputs) => [0, inputs.currentBalance || 0] },
+      annualOverpayment: { label: 'Annual overpayment', kind: 'euro', bounds: (inputs) => [0, inputs.currentBalance || 0] },
+      oneOffOverpayment: { label: 'One-off overpayment', kind: 'euro', bounds: (inputs) => [0, inputs.currentBalance || 0] }
+    },
+    metrics: {
+      payoffYear: {
+        label: 'Clearance year',
+        kind: 'year',
+        goal: 'atMost',
+        read: readClearedYear
+      },
+      totalInterestLifetime: {
+        label: 'Total interest',
+        kind: 'euro',
+        goal: 'atMost',
+        tolerance: 1,
+        read: (projection) => projection.debug.totalInterestLifetime
+      }
+    }
+  },
+  savings: {
+    compute: computeSavingsProjection,
+    fields: {
+      monthlyContribution: { label: 'Monthly contribution', kind: 'euro', bounds: (inputs) => [0, Math.max(1000, inputs.targetAmount || 0)] },
+      startingBalance: { label: 'Starting balance', kind: 'euro', bounds: (inputs) => [0, Math.max(1000, (inputs.targetAmount || 0) * 2)] },
+      growthRate: { label: 'Growth rate', kind: 'percent', bounds: () => [-0.05, 0.2] }
+    },
+    metrics: {
+      netBalance: {
+        label: 'Balance at target date',
+        kind: 'euro',
+        goal: 'atLeast',
+        tolerance: 1,
+        read: (projection) => projection.debug.netBalance
+      }
+    }
+  }
+});
+
+function getInputStep(kind) {
+  if (kind === 'integer') {
+    return 1;
+  }
+
+  return kind === 'percent' ? PERCENT_STEP : EURO_STEP;
+}
+
+// Bisection on whether the metric meets the target. This needs no derivative and copes with
+// stepped metrics such as a payoff year, where it homes in on the smallest change that hits;
+// a `tolerance` lets continuous metrics stop once they are close enough to the target.
+// With a `step` the search runs on that grid (cents, basis points, whole years) so the answer
+// is a value a user could type and still meets the target.
+export function solveForTarget({
+  evaluate,
+  low,
+  high,
+  target,
+  goal = 'atLeast',
+  tolerance = null,
+  step = null,
+  inputTolerance = 1e-6,
+  maxIterations = DEFAULT_MAX_ITERATIONS
+}) {
+  if (typeof evaluate !== 'function') {
+    throw new Error('Goal seek needs an evaluate function.');
+  }
+
+  if (!isFiniteNumber(low) || !isFiniteNumber(high) || low >= high) {
+    throw new Error('Goal seek bounds must be finite with low below high.');
+  }
+
+  if (!isFiniteNumber(target)) {
+    throw new Error('Goal seek target must be a finite number.');
+  }
+
+  if (!GOALS.includes(goal)) {
+    throw new Error('Goal seek goal must be "atLeast" or "atMost".');
+  }
+
+  if (step !== null && (!isFiniteNumber(step) || step <= 0)) {
+    throw new Error('Goal seek step must be a positive number when provided.');
+  }
+
+  const toInput = (position) => (step === null ? position : Number((position * step).toFixed(10)));
+  // A trial value the calculator rejects counts as a miss, but the first rejection is kept so
+  // a validation error is not passed off as an unreachable target.
+  let firstError = null;
+  const probe = (position) => {
+    const input = toInput(position);
+    try {
+      const metricValue = evaluate(input);
+      const meets = typeof metricValue === 'number' && !Number.isNaN(metricValue)
+        && (goal === 'atLeast' ? metricValue >= target : metricValue <= target);
+      return { position, input, metricValue, meets };
+    } catch (error) {
+      firstError = firstError || { input, message: error?.message || String(error) };
+      return { position, input, metricValue: null, meets: false, failed: true };
+    }
+  };
+  const buildResult = (status, best, iterations, message) => ({
+    status,
+    converged: status === 'converged',
+    value: best ? best.input : null,
+    metricValue: best ? best.metricValue : null,
+    iterations,
+    bounds: { low, high },
+    message,
+    error: firstError
+  });
+
+  const atLow = probe(step === null ? low : Math.ceil(low / step));
+  const atHigh = probe(step === null ? high : Math.floor(high / step));
+
+  if (!atLow.meets && !atHigh.meets && (atLow.failed || atHigh.failed)) {
+    return buildResult('error', null, 0, `The calculator rejected a trial value of ${firstError.input}: ${firstError.message}`);
+  }
+
+  if (atLow.meets && atHigh.meets) {
+    return buildResult('alreadyMet', null, 0, 'The target is met across the whole range, so there is no single answer.');
+  }
+
+  if (!atLow.meets && !atHigh.meets) {
+    return buildResult('unreachable', null, 0, 'The target is not reached anywhere between the bounds.');
+  }
+
+  let hit = atLow.meets ? atLow : atHigh;
+  let miss = atLow.meets ? atHigh : atLow;
+  const positionTolerance = step === null ? inputTolerance : 1;
+
+  for (let iteration = 0; iteration < maxIterations; iteration += 1) {
+    const withinTolerance = tolerance !== null
+      && isFiniteNumber(hit.metricValue)
+      && Math.abs(hit.metricValue - target) <= tolerance;
+    if (withinTolerance || Math.abs(hit.position - miss.position) <= positionTolerance) {
+      return buildResult('converged', hit, iteration, 'Converged.');
+    }
+
+    const midpoint = (hit.position + miss.position) / 2;
+    const atMid = probe(step === null ? midpoint : Math.floor(midpoint));
+    if (atMid.meets) {
+      hit = atMid;
+    } else {
+      miss = atMid;
+    }
+  }
+
+  return buildResult(
+    'maxIterations',
+    hit,
+    maxIterations,
+    `Stopped after ${maxIterations} iterations; the value shown meets the target but may not be the closest.`
+  );
+}
+
+function isFieldAvailable(spec, inputs) {
+  return typeof spec.available !== 'function' || spec.available(inputs || {});
+}
+
+// Fields are filtered against the module's inputs, so only values the engine reads are offered.
+export function listGoalSeekOptions(calculator, inputs = {}) {
+  const engine = GOAL_SEEK_ENGINES[calculator];
+  if (!engine) {
+    return null;
+  }
+
+  return {
+    fields: Object.entries(engine.fields)
+      .filter(([, spec]) => isFieldAvailable(spec, inputs))
+      .map(([key, spec]) => ({ key, label: spec.label, kind: spec.kind })),
+    metrics: Object.entries(engine.metrics).map(([key, spec]) => ({ key, label: spec.label, kind: spec.kind, goal: spec.goal }))
+  };
+}
+
+// Varies one input of a calculator until a chosen output reaches the target.
+export function goalSeek({ calculator, inputs, field, metric, target, bounds = null, maxIterations }) {
+  const engine = GOAL_SEEK_ENGINES[calculator];
+  if (!engine) {
+    throw new Error(`Goal seek is not available for the ${calculator} calculator.`);
+  }
+
+  const fieldSpec = engine.fields[field];
+  if (!fieldSpec) {
+    throw new Error(`Goal seek cannot vary ${field} for the ${calculator} calculator.`);
+  }
+
+  if (!isFieldAvailable(fieldSpec, inputs)) {
+    throw new Error(`${fieldSpec.label} comes from the individual pots on this module, so it cannot be solved for directly.`);
+  }
+
+  const metricSpec = engine.metrics[metric];
+  if (!metricSpec) {
+    throw new Error(`Goal seek cannot target ${metric} for the ${calculator} calculator.`);
+  }
+
+  const [low, high] = Array.isArray(bounds) ? bounds : fieldSpec.bounds(inputs || {});
+  const result = solveForTarget({
+    evaluate: (value) => metricSpec.read(engine.compute({ ...inputs, [field]: value })),
+    low,
+    high,
+    target,
+    goal: metricSpec.goal,
+    tolerance: metricSpec.tolerance ?? null,
+    step: getInputStep(fieldSpec.kind),
+    maxIterations
+  });
+
+  return {
+    ...result,
+    calculator,
+    field,
+    fieldLabel: fieldSpec.label,
+    fieldKind: fieldSpec.kind,
+    metric,
+    metricLabel: metricSpec.label,
+    metricKind: metricSpec.kind,
+    goal: metricSpec.goal,
+    target
+  };
+}
+
+export function describeGoalSeekResult(result) {
+  const comparison = result.goal === 'atLeast'
+    ? 'at least'
+    : (result.metricKind === 'year' ? 'no later than' : 'at most');
+  const targetText = `${comparison} ${formatByKind(result.target, result.metricKind)}`;
+  if (result.value === null) {
+    return `${result.metricLabel} ${targetText}: ${result.message}`;
+  }
+
+  const iterationText = `${result.iterations} iteration${result.iterations === 1 ? '' : 's'}`;
+  const outcome = `${result.fieldLabel} of ${formatByKind(result.value, result.fieldKind)} gives `
+    + `${result.metricLabel.toLowerCase()} of ${formatByKind(result.metricValue, result.metricKind)}`;
+  return result.converged
+    ? `${outcome} (target ${targetText}; ${iterationText}).`
+    : `${outcome}. ${result.message}`;
+}
@@ -0,0 +1,206 @@
+import { IRISH_TAX_TABLES } from './irish_tax_tables.js';
+
+const MARITAL_STATUSES = Object.freeze(['single', 'married']);
+const GROSS_FOR_NET_TOLERANCE = 0.5;
+const GROSS_FOR_NET_MAX_ITERATIONS = 60;
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function clampToZero(value) {
+  return isFiniteNumber(value) ? Math.max(0, value) : 0;
+}
+
+function applyBands(income, bands) {
+  let total = 0;
+  let bandFloor = 0;
+
+  for (const band of bands) {
+    const bandCeiling = band.upTo === null ? Infinity : band.upTo;
+    const taxableInBand = Math.min(income, bandCeiling) - bandFloor;
+    if (taxableInBand <= 0) {
+      break;
+    }
+
+    total += taxableInBand * band.rate;
+    bandFloor = bandCeiling;
+  }
+
+  return total;
+}
+
+export function listIrishTaxYears(tables = IRISH_TAX_TABLES) {
+  return Object.keys(tables)
+    .map((key) => Number(key))
+    .filter((year) => Number.isInteger(year))
+    .sort((left, right) => left - right);
+}
+
+export function resolveIrishTaxTable(taxYear, tables = IRISH_TAX_TABLES) {
+  const years = listIrishTaxYears(tables);
+  if (years.length === 0) {
+    throw new Error('Irish tax tables must include at least one year.');
+  }
+
+  const latestYear = years[years.length - 1];
+  let taxYearUsed = years[0];
+  years.forEach((year) => {
+    if (year <= taxYear) {
+      taxYearUsed = year;
+    }
+  });
+
+  return {
+    table: tables[taxYearUsed],
+    taxYearUsed,
+    heldConstantBeyondLatest: taxYear > latestYear
+  };
+}
+
+export function normalizeMaritalStatus(value) {
+  if (typeof value === 'undefined' || value === null) {
+    return 'single';
+  }
+
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!MARITAL_STATUSES.includes(normalized)) {
+    throw new Error('maritalStatus must be "single" or "married".');
+  }
+
+  return normalized;
+}
+
+function computeIncomeTaxComponent(table, { totalIncome, payeIncome, age, maritalStatus, payeCreditEligible }) {
+  const rules = table.incomeTax;
+  const band = rules.standardRateBand[maritalStatus];
+  const taxBeforeCredits = (Math.min(totalIncome, band) * rules.standardRate)
+    + (Math.max(0, totalIncome - band) * rules.higherRate);
+
+  let credits = rules.personalCredit[maritalStatus];
+  if (payeCreditEligible) {
+    credits += Math.min(rules.employeeCredit, payeIncome * rules.standardRate);
+  }
+  if (age >= rules.ageCreditFromAge) {
+    credits += rules.ageCredit[maritalStatus];
+  }
+
+  const standardTax = Math.max(0, taxBeforeCredits - credits);
+  if (age < rules.exemptionFromAge) {
+    return { incomeTax: standardTax, exemptionApplied: false, marginalReliefApplied: false };
+  }
+
+  const exemptionLimit = rules.exemptionLimit[maritalStatus];
+  if (totalIncome <= exemptionLimit) {
+    return { incomeTax: 0, exemptionApplied: standardTax > 0, marginalReliefApplied: false };
+  }
+
+  const marginalReliefTax = (totalIncome - exemptionLimit) * rules.marginalReliefRate;
+  return marginalReliefTax < standardTax
+    ? { incomeTax: marginalReliefTax, exemptionApplied: false, marginalReliefApplied: true }
+    : { incomeTax: standardTax, exemptionApplied: false, marginalReliefApplied: false };
+}
+
+function computeUscComponent(table, { uscIncome, age }) {
+  const rules = table.usc;
+  if (uscIncome <= rules.exemptionThreshold) {
+    return { usc: 0, reducedUscApplied: false };
+  }
+
+  const reducedUscApplied = age >= rules.reducedFromAge && uscIncome <= rules.reducedIncomeLimit;
+  return {
+    usc: applyBands(uscIncome, reducedUscApplied ? rules.reducedBands : rules.bands),
+    reducedUscApplied
+  };
+}
+
+function computePrsiComponent(table, { prsiIncome, age }) {
+  const rules = table.prsi;
+  if (age >= rules.exemptFromAge || prsiIncome <= rules.unearnedIncomeThreshold) {
+    return 0;
+  }
+
+  return prsiIncome * rules.rate;
+}
+
+// `pensionIncome` is private pension income (ARF drawdown, annuity, occupational
+// pension); it is liable to income tax, USC and PRSI. `statePensionIncome` is a
+// social welfare payment: liable to income tax only.
+export function computeIrishIncomeTax({
+  pensionIncome = 0,
+  statePensionIncome = 0,
+  age,
+  maritalStatus = 'single',
+  payeCreditEligible = false,
+  taxYear,
+  tables = IRISH_TAX_TABLES
+}) {
+  const { table, taxYearUsed, heldConstantBeyondLatest } = resolveIrishTaxTable(taxYear, tables);
+  const safePensionIncome = clampToZero(pensionIncome);
+  const safeStatePensionIncome = clampToZero(statePensionIncome);
+  const grossIncome = safePensionIncome + safeStatePensionIncome;
+  const status = normalizeMaritalStatus(maritalStatus);
+
+  const { incomeTax, exemptionApplied, marginalReliefApplied } = computeIncomeTaxComponent(table, {
+    totalIncome: grossIncome,
+    payeIncome: safePensionIncome,
+    age,
+    maritalStatus: status,
+    payeCreditEligible: Boolean(payeCreditEligible)
+  });
+  const { usc, reducedUscApplied } = computeUscComponent(table, { uscIncome: safePensionIncome, age });
+  const prsi = computePrsiComponent(table, { prsiIncome: safePensionIncome, age });
+  const totalDeductions = incomeTax + usc + prsi;
+
+  return {
+    taxYearUsed,
+    heldConstantBeyondLatest,
+    grossIncome,
+    incomeTax,
+    usc,
+    prsi,
+    totalDeductions,
+    netIncome: grossIncome - totalDeductions,
+    effectiveRate: grossIncome > 0 ? totalDeductions / grossIncome : 0,
+    exemptionApplied,
+    marginalReliefApplied,
+    reducedUscApplied
+  };
+}
+
+// Smallest private pension income whose net (with the given State Pension) reaches
+// `netIncome`. Net income is not strictly monotonic around the USC exemption and the
+// age 70+ reduced-rate limit, so this bisects on "net >= target" rather than on the gap.
+export function solvePensionIncomeForNet({ netIncome, statePensionIncome = 0, ...taxOptions }) {
+  const targetNet = clampToZero(netIncome);
+  const netAt = (pensionIncome) => computeIrishIncomeTax({
+    ...taxOptions,
+    pensionIncome,
+    statePensionIncome
+  }).netIncome;
+
+  if (netAt(0) >= targetNet) {
+    return 0;
+  }
+
+  let low = 0;
+  let high = Math.max(1, targetNet * 2);
+  while (netAt(high) < targetNet && high < 1e9) {
+    high *= 2;
+  }
+
+  for (let iteration = 0; iteration < GROSS_FOR_NET_MAX_ITERATIONS; iteration += 1) {
+    if (high - low <= GROSS_FOR_NET_TOLERANCE) {
+      break;
+    }
+
+    const mid = (low + high) / 2;
+    if (netAt(mid) >= targetNet) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+
+  return high;
+}
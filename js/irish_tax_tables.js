@@ -0,0 +1,74 @@
+// Irish income tax, USC and PRSI parameters keyed by tax year.
+// Add a new year by copying the latest entry and editing the figures; the
+// calculator picks the closest available year and holds the latest constant.
+// A band with `upTo: null` is open-ended.
+export const IRISH_TAX_TABLES = Object.freeze({
+  2025: {
+    incomeTax: {
+      standardRate: 0.20,
+      higherRate: 0.40,
+      standardRateBand: { single: 44000, married: 53000 },
+      personalCredit: { single: 2000, married: 4000 },
+      employeeCredit: 2000,
+      ageCredit: { single: 245, married: 490 },
+      ageCreditFromAge: 65,
+      exemptionFromAge: 65,
+      exemptionLimit: { single: 18000, married: 36000 },
+      marginalReliefRate: 0.40
+    },
+    usc: {
+      exemptionThreshold: 13000,
+      bands: [
+        { upTo: 12012, rate: 0.005 },
+        { upTo: 27382, rate: 0.02 },
+        { upTo: 70044, rate: 0.03 },
+        { upTo: null, rate: 0.08 }
+      ],
+      reducedFromAge: 70,
+      reducedIncomeLimit: 60000,
+      reducedBands: [
+        { upTo: 12012, rate: 0.005 },
+        { upTo: null, rate: 0.02 }
+      ]
+    },
+    prsi: {
+      rate: 0.041,
+      exemptFromAge: 66,
+      unearnedIncomeThreshold: 5000
+    }
+  },
+  2026: {
+    incomeTax: {
+      standardRate: 0.20,
+      higherRate: 0.40,
+      standardRateBand: { single: 44000, married: 53000 },
+      personalCredit: { single: 2000, married: 4000 },
+      employeeCredit: 2000,
+      ageCredit: { single: 245, married: 490 },
+      ageCreditFromAge: 65,
+      exemptionFromAge: 65,
+      exemptionLimit: { single: 18000, married: 36000 },
+      marginalReliefRate: 0.40
+    },
+    usc: {
+      exemptionThreshold: 13000,
+      bands: [
+        { upTo: 12012, rate: 0.005 },
+        { upTo: 28700, rate: 0.02 },
+        { upTo: 70044, rate: 0.03 },
+        { upTo: null, rate: 0.08 }
+      ],
+      reducedFromAge: 70,
+      reducedIncomeLimit: 60000,
+      reducedBands: [
+        { upTo: 12012, rate: 0.005 },
+        { upTo: null, rate: 0.02 }
+      ]
+    },
+    prsi: {
+      rate: 0.042,
+      exemptFromAge: 66,
+      unearnedIncomeThreshold: 5000
+    }
+  }
+});
@@ -0,0 +1,328 @@
+import { ENGINE_INPUT_KEYS, MODULE_SNAPSHOT_LIMIT } from './state.js';
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cloneSerializable(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function makeSnapshotId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return `snapshot-${window.crypto.randomUUID()}`;
+  }
+
+  return `snapshot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function createModuleSnapshot(module, name, { id = makeSnapshotId(), createdAt = new Date().toISOString() } = {}) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName) {
+    throw new Error('Give the snapshot a name.');
+  }
+
+  const existing = Array.isArray(module.snapshots) ? module.snapshots : [];
+  if (existing.length >= MODULE_SNAPSHOT_LIMIT) {
+    throw new Error(`A module keeps at most ${MODULE_SNAPSHOT_LIMIT} snapshots. Delete one first.`);
+  }
+
+  if (existing.some((snapshot) => snapshot.name.toLowerCase() === trimmedName.toLowerCase())) {
+    throw new Error(`There is already a snapshot called "${trimmedName}".`);
+  }
+
+  return {
+    id,
+    name: trimmedName,
+    createdAt,
+    title: module.title || '',
+    generated: cloneSerializable(module.generated)
+  };
+}
+
+export function findModuleSnapshot(module, snapshotId) {
+  if (!snapshotId || !Array.isArray(module?.snapshots)) {
+    return null;
+  }
+
+  return module.snapshots.find((snapshot) => snapshot.id === snapshotId) || null;
+}
+
+// A read-only stand-in for the module as it was, so the focused pane renderer can show a
+// snapshot without knowing snapshots exist. It keeps the module id so numbering still works.
+export function buildSnapshotModule(module, snapshot) {
+  const baseTitle = (snapshot.title || module.title || '').trim() || 'Untitled Module';
+  return {
+    ...module,
+    title: `${baseTitle} · ${snapshot.name}`,
+    generated: cloneSerializable(snapshot.generated)
+  };
+}
+
+// Reads numbers the tables already formatted for display (€1,234.50, 4.50%, 12 years) and
+// keeps the surrounding text so a delta can be written the same way.
+function parseDisplayNumber(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return { value, prefix: '', suffix: '', decimals: Number.isInteger(value) ? 0 : 2 };
+  }
+
+  const match = String(value ?? '').trim().match(/^(-)?([^\d\-.]*?)(-)?(\d[\d,]*(?:\.\d+)?|\.\d+)(\D*)$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, leadingMinus, prefix, innerMinus, digits, suffix] = match;
+  const parsed = Number(digits.replace(/,/g, ''));
+  if (!Number.isFinite(parsed)) {
+    return null;
+  }
+
+  const decimalPart = digits.split('.')[1];
+  return {
+    value: leadingMinus || innerMinus ? -parsed : parsed,
+    prefix,
+    suffix,
+    decimals: decimalPart ? decimalPart.length : 0
+  };
+}
+
+function formatDisplayDelta(delta, template) {
+  const sign = delta > 0 ? '+' : delta < 0 ? '-' : '';
+  const amount = Math.abs(delta).toLocaleString('en-IE', {
+    minimumFractionDigits: template.decimals,
+    maximumFractionDigits: template.decimals
+  });
+  // A change between two percentages is in percentage points, not percent.
+  const suffix = template.suffix.trim() === '%' ? ' pp' : template.suffix;
+  return `${sign}${template.prefix}${amount}${suffix}`;
+}
+
+function describeCellChange(before, after) {
+  const parsedBefore = parseDisplayNumber(before);
+  const parsedAfter = parseDisplayNumber(after);
+  if (!parsedBefore || !parsedAfter || parsedBefore.prefix !== parsedAfter.prefix || parsedBefore.suffix !== parsedAfter.suffix) {
+    return null;
+  }
+
+  return formatDisplayDelta(parsedAfter.value - parsedBefore.value, parsedAfter);
+}
+
+function keyTableRows(table) {
+  const rows = Array.isArray(table?.rows) ? table.rows : [];
+  const seen = new Map();
+  return rows.map((row, rowIndex) => {
+    const label = row.length > 1 ? String(row[0] ?? '') : `Row ${rowIndex + 1}`;
+    const occurrence = seen.get(label) || 0;
+    seen.set(label, occurrence + 1);
+    return {
+      key: `${label}\u0000${occurrence}`,
+      label,
+      values: row.length > 1 ? row.slice(1) : row
+    };
+  });
+}
+
+// Rows are matched on their first cell, so a value that moved keeps its row; every other
+// column is compared cell by cell.
+function diffTableRows(beforeTable, afterTable) {
+  const columns = (afterTable?.columns?.length ? afterTable.columns : beforeTable?.columns) || [];
+  const valueColumns = columns.length > 1 ? columns.slice(1) : columns;
+  const beforeRows = keyTableRows(beforeTable);
+  const afterRows = keyTableRows(afterTable);
+  const beforeByKey = new Map(beforeRows.map((row) => [row.key, row]));
+  const afterKeys = new Set(afterRows.map((row) => row.key));
+  const changes = [];
+
+  afterRows.forEach((row) => {
+    const previous = beforeByKey.get(row.key);
+    const width = Math.max(row.values.length, previous?.values.length || 0);
+    for (let index = 0; index < width; index += 1) {
+      const before = previous ? previous.values[index] ?? '' : '';
+      const after = row.values[index] ?? '';
+      if (previous && String(before) === String(after)) {
+        continue;
+      }
+
+      changes.push({
+        label: row.label,
+        column: valueColumns.length > 1 ? String(valueColumns[index] ?? '') : '',
+        status: previous ? 'changed' : 'added',
+        before: previous ? before : '',
+        after,
+        delta: previous ? describeCellChange(before, after) : null
+      });
+    }
+  });
+
+  beforeRows
+    .filter((row) => !afterKeys.has(row.key))
+    .forEach((row) => {
+      row.values.forEach((before, index) => {
+        changes.push({
+          label: row.label,
+          column: valueColumns.length > 1 ? String(valueColumns[index] ?? '') : '',
+          status: 'removed',
+          before,
+          after: '',
+          delta: null
+        });
+      });
+    });
+
+  return changes;
+}
+
+function flattenInputs(value, path, into) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => flattenInputs(item, `${path}[${index}]`, into));
+    return into;
+  }
+
+  if (isPlainObject(value)) {
+    Object.keys(value).forEach((key) => flattenInputs(value[key], path ? `${path}.${key}` : key, into));
+    return into;
+  }
+
+  into.set(path, value);
+  return into;
+}
+
+function humanizeInputPath(path) {
+  const text = path
+    .split('.')
+    .map((segment) => segment
+      .replace(/\[(\d+)\]/g, (_match, index) => ` ${Number(index) + 1}`)
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase())
+    .join(' · ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function diffEngineInputs(beforeGenerated, afterGenerated) {
+  const changes = [];
+  ENGINE_INPUT_KEYS.forEach((engineKey) => {
+    const beforeInputs = beforeGenerated?.[engineKey];
+    const afterInputs = afterGenerated?.[engineKey];
+    if (!beforeInputs && !afterInputs) {
+      return;
+    }
+
+    const beforeFields = flattenInputs(beforeInputs || {}, '', new Map());
+    const afterFields = flattenInputs(afterInputs || {}, '', new Map());
+    const paths = [...new Set([...afterFields.keys(), ...beforeFields.keys()])];
+    paths.forEach((path) => {
+      const before = beforeFields.has(path) ? beforeFields.get(path) : null;
+      const after = afterFields.has(path) ? afterFields.get(path) : null;
+      if (before === after) {
+        return;
+      }
+
+      const numeric = typeof before === 'number' && typeof after === 'number';
+      changes.push({
+        engine: engineKey,
+        field: path,
+        label: humanizeInputPath(path),
+        status: !beforeFields.has(path) ? 'added' : !afterFields.has(path) ? 'removed' : 'changed',
+        before,
+        after,
+        delta: numeric ? after - before : null
+      });
+    });
+  });
+
+  return changes;
+}
+
+function lastValue(data) {
+  return Array.isArray(data) && data.length > 0 ? data[data.length - 1] : null;
+}
+
+function diffChartSeries(beforeChart, afterChart) {
+  const labels = afterChart?.labels || beforeChart?.labels || [];
+  const beforeByLabel = new Map((beforeChart?.datasets || []).map((dataset) => [dataset.label, dataset]));
+  const afterLabels = new Set((afterChart?.datasets || []).map((dataset) => dataset.label));
+  const series = [];
+
+  (afterChart?.datasets || []).forEach((dataset) => {
+    const previous = beforeByLabel.get(dataset.label);
+    if (!previous) {
+      series.push({ label: dataset.label, status: 'added', beforeEnd: null, afterEnd: lastValue(dataset.data), endDelta: null, maxShift: 0, maxShiftAt: '' });
+      return;
+    }
+
+    let maxShift = 0;
+    let maxShiftAt = '';
+    const sharedLength = Math.min(previous.data.length, dataset.data.length);
+    for (let index = 0; index < sharedLength; index += 1) {
+      const shift = dataset.data[index] - previous.data[index];
+      if (Math.abs(shift) > Math.abs(maxShift)) {
+        maxShift = shift;
+        maxShiftAt = String(labels[index] ?? index + 1);
+      }
+    }
+
+    const beforeEnd = lastValue(previous.data);
+    const afterEnd = lastValue(dataset.data);
+    if (maxShift === 0 && previous.data.length === dataset.data.length) {
+      return;
+    }
+
+    series.push({
+      label: dataset.label,
+      status: 'changed',
+      beforeEnd,
+      afterEnd,
+      endDelta: beforeEnd !== null && afterEnd !== null ? afterEnd - beforeEnd : null,
+      maxShift,
+      maxShiftAt
+    });
+  });
+
+  (beforeChart?.datasets || [])
+    .filter((dataset) => !afterLabels.has(dataset.label))
+    .forEach((dataset) => {
+      series.push({ label: dataset.label, status: 'removed', beforeEnd: lastValue(dataset.data), afterEnd: null, endDelta: null, maxShift: 0, maxShiftAt: '' });
+    });
+
+  return series;
+}
+
+// Charts are matched on id first, since ids are derived from the module and chart title,
+// then on title for charts that were supplied without one.
+function diffCharts(beforeCharts = [], afterCharts = []) {
+  const unmatched = [...beforeCharts];
+  const takeMatch = (chart) => {
+    const index = unmatched.findIndex((candidate) => candidate.id === chart.id);
+    const fallback = index >= 0 ? index : unmatched.findIndex((candidate) => candidate.title === chart.title);
+    return fallback >= 0 ? unmatched.splice(fallback, 1)[0] : null;
+  };
+
+  const charts = afterCharts.map((chart) => ({
+    title: chart.title,
+    series: diffChartSeries(takeMatch(chart), chart)
+  }));
+
+  unmatched.forEach((chart) => {
+    charts.push({ title: chart.title, series: diffChartSeries(chart, null) });
+  });
+
+  return charts.filter((chart) => chart.series.length > 0);
+}
+
+// Field-by-field changes from `before` to `after`, both modules or snapshot stand-ins. Table
+// rows keep their display text; calculator inputs and chart series carry numeric deltas.
+export function diffModuleVersions(before, after) {
+  const assumptions = diffTableRows(before?.generated?.assumptions, after?.generated?.assumptions);
+  const inputs = diffEngineInputs(before?.generated, after?.generated);
+  const outputs = diffTableRows(before?.generated?.outputs, after?.generated?.outputs);
+  const charts = diffCharts(before?.generated?.charts, after?.generated?.charts);
+
+  return {
+    assumptions,
+    inputs,
+    outputs,
+    charts,
+    changeCount: assumptions.length + inputs.length + outputs.length
+      + charts.reduce((total, chart) => total + chart.series.length, 0)
+  };
+}
@@ -1,3 +1,17 @@
+const REPAYMENT_TYPES = Object.freeze(['repayment', 'interestOnly', 'split']);
+const REPAYMENT_TYPE_LABELS = Object.freeze({
+  repayment: 'Repayment (capital and interest)',
+  interestOnly: 'Interest only',
+  split: 'Split (part-and-part)'
+});
+const OVERPAYMENT_TYPES = Object.freeze(['lumpSum', 'monthly']);
+const OVERPAYMENT_EFFECTS = Object.freeze(['reduceTerm', 'reducePayment']);
+const OVERPAYMENT_EFFECT_LABELS = Object.freeze({
+  reduceTerm: 'reduce term',
+  reducePayment: 'reduce payment'
+});
+const DEFAULT_ERC_ALLOWANCE_PCT = 0.10;
+
 function isFiniteNumber(value) {
   return typeof value === 'number' && Number.isFinite(value);
 }
@@ -93,6 +107,222 @@ function formatPercent(decimal) {
   return `${(decimal * 100).toFixed(2)}%`;
 }
 
+function normalizeRateSchedule(rawSchedule, fieldName = 'rateSchedule') {
+  if (typeof rawSchedule === 'undefined' || rawSchedule === null) {
+    return [];
+  }
+
+  if (!Array.isArray(rawSchedule)) {
+    throw new Error(`generated.mortgageInputs.${fieldName} must be an array when provided.`);
+  }
+
+  const entries = rawSchedule.map((entry, index) => {
+    const fieldPrefix = `${fieldName}[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`generated.mortgageInputs.${fieldPrefix} must be an object.`);
+    }
+
+    const fromMonthDate = toMonthStartUtc(parseIsoDateStrict(entry.fromDateIso, `${fieldPrefix}.fromDateIso`));
+    const annualInterestRate = requireFiniteNumber(entry.annualInterestRate, `${fieldPrefix}.annualInterestRate`);
+    if (annualInterestRate < 0) {
+      throw new Error(`generated.mortgageInputs.${fieldPrefix}.annualInterestRate must be greater than or equal to 0.`);
+    }
+
+    return { fromMonthDate, annualInterestRate };
+  });
+
+  entries.sort((left, right) => left.fromMonthDate.getTime() - right.fromMonthDate.getTime());
+  for (let index = 1; index < entries.length; index += 1) {
+    if (entries[index].fromMonthDate.getTime() === entries[index - 1].fromMonthDate.getTime()) {
+      throw new Error(`generated.mortgageInputs.${fieldName} must not contain two rate changes in the same month.`);
+    }
+  }
+
+  return entries.map((entry) => ({
+    fromDateIso: formatIsoDateUtc(entry.fromMonthDate),
+    annualInterestRate: entry.annualInterestRate
+  }));
+}
+
+// A lump sum has to land in a month the schedule runs through, or it would never be paid.
+function normalizeOverpayments(rawOverpayments, fixedPaymentAmount, { startMonthDate, termEndMonthDate }) {
+  if (typeof rawOverpayments === 'undefined' || rawOverpayments === null) {
+    return [];
+  }
+
+  if (!Array.isArray(rawOverpayments)) {
+    throw new Error('generated.mortgageInputs.overpayments must be an array when provided.');
+  }
+
+  return rawOverpayments.map((entry, index) => {
+    const fieldPrefix = `overpayments[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`generated.mortgageInputs.${fieldPrefix} must be an object.`);
+    }
+
+    const type = String(entry.type || '').trim();
+    if (!OVERPAYMENT_TYPES.includes(type)) {
+      throw new Error(`generated.mortgageInputs.${fieldPrefix}.type must be "lumpSum" or "monthly".`);
+    }
+
+    const amount = requireFiniteNumber(entry.amount, `${fieldPrefix}.amount`);
+    if (amount <= 0) {
+      throw new Error(`generated.mortgageInputs.${fieldPrefix}.amount must be greater than 0.`);
+    }
+
+    const effect = typeof entry.effect === 'undefined' || entry.effect === null
+      ? 'reduceTerm'
+      : String(entry.effect).trim();
+    if (!OVERPAYMENT_EFFECTS.includes(effect)) {
+      throw new Error(`generated.mortgageInputs.${fieldPrefix}.effect must be "reduceTerm" or "reducePayment".`);
+    }
+
+    if (effect === 'reducePayment' && fixedPaymentAmount !== null) {
+      throw new Error(`generated.mortgageInputs.${fieldPrefix}.effect cannot be "reducePayment" when fixedPaymentAmount is set.`);
+    }
+
+    if (type === 'lumpSum') {
+      const dateIso = formatIsoDateUtc(toMonthStartUtc(parseIsoDateStrict(entry.dateIso, `${fieldPrefix}.dateIso`)));
+      if (dateIso < formatIsoDateUtc(startMonthDate)) {
+        throw new Error(`generated.mortgageInputs.${fieldPrefix}.dateIso must be in or after startDateIso.`);
+      }
+      if (dateIso > formatIsoDateUtc(termEndMonthDate)) {
+        throw new Error(`generated.mortgageInputs.${fieldPrefix}.dateIso must be in or before the last month of the term (${formatIsoDateUtc(termEndMonthDate)}).`);
+      }
+      return { type, dateIso, amount, effect };
+    }
+
+    const fromDateIso = typeof entry.fromDateIso === 'undefined' || entry.fromDateIso === null
+      ? null
+      : formatIsoDateUtc(toMonthStartUtc(parseIsoDateStrict(entry.fromDateIso, `${fieldPrefix}.fromDateIso`)));
+    const toDateIso = typeof entry.toDateIso === 'undefined' || entry.toDateIso === null
+      ? null
+      : formatIsoDateUtc(toMonthStartUtc(parseIsoDateStrict(entry.toDateIso, `${fieldPrefix}.toDateIso`)));
+    if (fromDateIso && toDateIso && toDateIso < fromDateIso) {
+      throw new Error(`generated.mortgageInputs.${fieldPrefix}.toDateIso must be in or after fromDateIso.`);
+    }
+
+    return { type, fromDateIso, toDateIso, amount, effect };
+  });
+}
+
+function normalizeEarlyRepaymentCharge(rawCharge) {
+  if (typeof rawCharge === 'undefined' || rawCharge === null) {
+    return null;
+  }
+
+  if (typeof rawCharge !== 'object' || Array.isArray(rawCharge)) {
+    throw new Error('generated.mortgageInputs.earlyRepaymentCharge must be an object when provided.');
+  }
+
+  const fixedUntilDateIso = formatIsoDateUtc(toMonthStartUtc(
+    parseIsoDateStrict(rawCharge.fixedUntilDateIso, 'earlyRepaymentCharge.fixedUntilDateIso')
+  ));
+
+  const chargeRate = requireFiniteNumber(rawCharge.chargeRate, 'earlyRepaymentCharge.chargeRate');
+  if (chargeRate < 0 || chargeRate > 1) {
+    throw new Error('generated.mortgageInputs.earlyRepaymentCharge.chargeRate must be between 0 and 1.');
+  }
+
+  const allowancePct = optionalFiniteNumber(
+    rawCharge.allowancePct,
+    DEFAULT_ERC_ALLOWANCE_PCT,
+    'earlyRepaymentCharge.allowancePct'
+  );
+  if (allowancePct < 0 || allowancePct > 1) {
+    throw new Error('generated.mortgageInputs.earlyRepaymentCharge.allowancePct must be between 0 and 1.');
+  }
+
+  return { fixedUntilDateIso, chargeRate, allowancePct };
+}
+
+function formatMonthSpan(monthCount) {
+  const years = Math.floor(monthCount / 12);
+  const months = monthCount % 12;
+  const parts = [];
+  if (years > 0) {
+    parts.push(`${years} year${years === 1 ? '' : 's'}`);
+  }
+  if (months > 0 || parts.length === 0) {
+    parts.push(`${months} month${months === 1 ? '' : 's'}`);
+  }
+  return parts.join(' ');
+}
+
+function describeOverpayment(entry) {
+  if (entry.type === 'lumpSum') {
+    return {
+      label: `Lump sum overpayment ${entry.dateIso}`,
+      note: `Applied after that month's payment; ${OVERPAYMENT_EFFECT_LABELS[entry.effect]}`
+    };
+  }
+
+  const period = entry.toDateIso
+    ? `${entry.fromDateIso || 'start'} to ${entry.toDateIso}`
+    : `from ${entry.fromDateIso || 'start'}`;
+  return {
+    label: 'Monthly overpayment',
+    note: `${period}; ${OVERPAYMENT_EFFECT_LABELS[entry.effect]}`
+  };
+}
+
+function normalizeSwitchOffers(rawOffers) {
+  if (typeof rawOffers === 'undefined' || rawOffers === null) {
+    return [];
+  }
+
+  if (!Array.isArray(rawOffers)) {
+    throw new Error('generated.mortgageInputs.switchOffers must be an array when provided.');
+  }
+
+  const offers = rawOffers.map((offer, index) => {
+    const fieldPrefix = `switchOffers[${index}]`;
+    if (!offer || typeof offer !== 'object' || Array.isArray(offer)) {
+      throw new Error(`generated.mortgageInputs.${fieldPrefix} must be an object.`);
+    }
+
+    const name = typeof offer.name === 'string' && offer.name.trim() ? offer.name.trim() : `Offer ${index + 1}`;
+    const annualInterestRate = requireFiniteNumber(offer.annualInterestRate, `${fieldPrefix}.annualInterestRate`);
+    if (annualInterestRate < 0) {
+      throw new Error(`generated.mortgageInputs.${fieldPrefix}.annualInterestRate must be greater than or equal to 0.`);
+    }
+
+    const amounts = {};
+    ['cashback', 'cashbackPct', 'legalCosts', 'valuationCosts'].forEach((key) => {
+      amounts[key] = optionalFiniteNumber(offer[key], 0, `${fieldPrefix}.${key}`);
+      if (amounts[key] < 0) {
+        throw new Error(`generated.mortgageInputs.${fieldPrefix}.${key} must be greater than or equal to 0.`);
+      }
+    });
+    if (amounts.cashbackPct > 1) {
+      throw new Error(`generated.mortgageInputs.${fieldPrefix}.cashbackPct must be between 0 and 1.`);
+    }
+
+    const rateSchedule = normalizeRateSchedule(offer.rateSchedule, `${fieldPrefix}.rateSchedule`);
+    const fixedUntilDateIso = typeof offer.fixedUntilDateIso === 'undefined' || offer.fixedUntilDateIso === null
+      ? (rateSchedule[0]?.fromDateIso || null)
+      : formatIsoDateUtc(toMonthStartUtc(parseIsoDateStrict(offer.fixedUntilDateIso, `${fieldPrefix}.fixedUntilDateIso`)));
+
+    return {
+      name,
+      annualInterestRate,
+      rateSchedule,
+      fixedUntilDateIso,
+      ...amounts
+    };
+  });
+
+  const names = new Set();
+  offers.forEach((offer) => {
+    if (names.has(offer.name)) {
+      throw new Error(`generated.mortgageInputs.switchOffers names must be unique ("${offer.name}" repeats).`);
+    }
+    names.add(offer.name);
+  });
+
+  return offers;
+}
+
 function normalizeLoanKind(rawLoanKind, defaultLoanKind = 'mortgage') {
   const fallback = String(defaultLoanKind || 'mortgage').trim().toLowerCase() || 'mortgage';
   if (fallback !== 'mortgage' && fallback !== 'loan') {
@@ -162,12 +392,16 @@ export function normalizeMortgageInputs(raw, { defaultLoanKind = 'mortgage' } =
   }
 
   const repaymentType = String(raw.repaymentType || '').trim();
-  if (repaymentType !== 'repayment' && repaymentType !== 'interestOnly') {
-    throw new Error('generated.mortgageInputs.repaymentType must be "repayment" or "interestOnly".');
+  if (!REPAYMENT_TYPES.includes(repaymentType)) {
+    throw new Error('generated.mortgageInputs.repaymentType must be "repayment", "interestOnly" or "split".');
   }
 
-  if (repaymentType === 'interestOnly') {
-    throw new Error('Interest-only mortgages are not supported in v1.');
+  let interestOnlyPortion = null;
+  if (repaymentType === 'split') {
+    interestOnlyPortion = requireFiniteNumber(raw.interestOnlyPortion, 'interestOnlyPortion');
+    if (interestOnlyPortion <= 0 || interestOnlyPortion >= currentBalance) {
+      throw new Error('generated.mortgageInputs.interestOnlyPortion must be greater than 0 and less than currentBalance.');
+    }
   }
 
   let fixedPaymentAmount = null;
@@ -176,6 +410,10 @@ export function normalizeMortgageInputs(raw, { defaultLoanKind = 'mortgage' } =
     if (fixedPaymentAmount <= 0) {
       throw new Error('generated.mortgageInputs.fixedPaymentAmount must be greater than 0 when provided.');
     }
+
+    if (repaymentType !== 'repayment') {
+      throw new Error('generated.mortgageInputs.fixedPaymentAmount is only supported for repayment mortgages.');
+    }
   }
 
   const oneOffOverpayment = optionalFiniteNumber(raw.oneOffOverpayment, 0, 'oneOffOverpayment');
@@ -188,19 +426,31 @@ export function normalizeMortgageInputs(raw, { defaultLoanKind = 'mortgage' } =
     throw new Error('generated.mortgageInputs.annualOverpayment must be greater than or equal to 0.');
   }
 
+  const rateSchedule = normalizeRateSchedule(raw.rateSchedule);
+  // Same term end as resolveTermMonths: an explicit end date wins over the term in years.
+  const termEndMonthDate = endMonthDate
+    || addUtcMonths(startMonthDate, Math.max(1, Math.round(remainingTermYears * 12)) - 1);
+  const overpayments = normalizeOverpayments(raw.overpayments, fixedPaymentAmount, { startMonthDate, termEndMonthDate });
+  const earlyRepaymentCharge = normalizeEarlyRepaymentCharge(raw.earlyRepaymentCharge);
+  const switchOffers = normalizeSwitchOffers(raw.switchOffers);
   const loanKind = normalizeLoanKind(raw.loanKind, defaultLoanKind);
 
   return {
     loanKind,
     currentBalance,
     annualInterestRate,
+    rateSchedule,
     startDateIso: formatIsoDateUtc(startDate),
     endDateIso: endMonthDate ? formatIsoDateUtc(endMonthDate) : null,
     remainingTermYears,
     repaymentType,
+    interestOnlyPortion,
     fixedPaymentAmount,
     oneOffOverpayment,
-    annualOverpayment
+    annualOverpayment,
+    overpayments,
+    earlyRepaymentCharge,
+    switchOffers
   };
 }
 
@@ -225,6 +475,30 @@ function resolveTermMonths(inputs) {
   };
 }
 
+function getMonthOffset(startMonthDate, monthDate) {
+  return ((monthDate.getUTCFullYear() - startMonthDate.getUTCFullYear()) * 12)
+    + (monthDate.getUTCMonth() - startMonthDate.getUTCMonth());
+}
+
+// Month index at which each rate applies. annualInterestRate applies from the start
+// month; a schedule entry dated in or before the start month replaces it.
+function resolveRateStages(inputs, startMonthDate) {
+  const stages = [{ startMonthIndex: 0, annualInterestRate: inputs.annualInterestRate }];
+
+  inputs.rateSchedule.forEach((entry) => {
+    const fromMonthDate = toMonthStartUtc(parseIsoDateStrict(entry.fromDateIso, 'rateSchedule.fromDateIso'));
+    const startMonthIndex = Math.max(0, getMonthOffset(startMonthDate, fromMonthDate));
+
+    if (startMonthIndex === 0) {
+      stages[0] = { startMonthIndex: 0, annualInterestRate: entry.annualInterestRate };
+    } else {
+      stages.push({ startMonthIndex, annualInterestRate: entry.annualInterestRate });
+    }
+  });
+
+  return stages;
+}
+
 export function computeMonthlyPayment(principal, annualInterestRate, monthCount) {
   if (!isFiniteNumber(principal) || principal < 0) {
     throw new Error('principal must be a finite number greater than or equal to 0.');
@@ -301,57 +575,218 @@ function aggregateAnnualSchedule(monthlySchedule) {
   });
 }
 
-export function computeAmortizationMonthlySchedule(rawInputs, options = {}) {
-  const inputs = normalizeMortgageInputs(rawInputs, options);
-  const term = resolveTermMonths(inputs);
-  const monthlyRate = inputs.annualInterestRate / 12;
+// Whole months needed to clear `principal` at `monthlyPayment`.
+function computeRemainingMonths(principal, monthlyRate, monthlyPayment) {
+  if (principal <= 0) {
+    return 0;
+  }
+
+  const months = monthlyRate === 0
+    ? principal / monthlyPayment
+    : -Math.log(1 - (principal * monthlyRate / monthlyPayment)) / Math.log(1 + monthlyRate);
+  return Math.max(1, Math.ceil(months - 1e-9));
+}
+
+function resolveOverpaymentWindows(inputs, startMonthDate) {
+  return inputs.overpayments.map((entry) => {
+    const offsetOf = (dateIso) => getMonthOffset(startMonthDate, parseIsoDateStrict(dateIso, 'overpayments.dateIso'));
+    if (entry.type === 'lumpSum') {
+      const monthIndex = offsetOf(entry.dateIso);
+      return { ...entry, firstMonthIndex: monthIndex, lastMonthIndex: monthIndex };
+    }
+
+    return {
+      ...entry,
+      firstMonthIndex: entry.fromDateIso ? Math.max(0, offsetOf(entry.fromDateIso)) : 0,
+      lastMonthIndex: entry.toDateIso ? offsetOf(entry.toDateIso) : Infinity
+    };
+  });
+}
 
-  const openingBalance = Math.max(0, inputs.currentBalance - inputs.oneOffOverpayment);
-  const monthlyPaymentUsed = inputs.fixedPaymentAmount === null
-    ? computeMonthlyPayment(openingBalance, inputs.annualInterestRate, term.monthCount)
+function simulateAmortization(inputs) {
+  const term = resolveTermMonths(inputs);
+  const rateStages = resolveRateStages(inputs, term.startMonthDate)
+    .filter((stage) => stage.startMonthIndex < term.monthCount);
+  const overpaymentWindows = resolveOverpaymentWindows(inputs, term.startMonthDate);
+  const erc = inputs.earlyRepaymentCharge;
+  const ercFixedUntilIndex = erc
+    ? getMonthOffset(term.startMonthDate, parseIsoDateStrict(erc.fixedUntilDateIso, 'earlyRepaymentCharge.fixedUntilDateIso'))
+    : 0;
+  const initialRate = rateStages[0].annualInterestRate;
+  const monthlyRate = initialRate / 12;
+
+  const interestOnlyPortion = inputs.repaymentType === 'interestOnly'
+    ? inputs.currentBalance
+    : (inputs.interestOnlyPortion || 0);
+  const amortisingPortion = inputs.currentBalance - interestOnlyPortion;
+  // Overpayments clear the amortising portion first, then the interest-only capital.
+  const amortisingOpening = Math.max(0, amortisingPortion - inputs.oneOffOverpayment);
+  const interestOnlyOpening = Math.max(
+    0,
+    interestOnlyPortion - Math.max(0, inputs.oneOffOverpayment - amortisingPortion)
+  );
+  const openingBalance = amortisingOpening + interestOnlyOpening;
+  const oneOffOverpaymentApplied = inputs.currentBalance - openingBalance;
+  const amortisingPaymentUsed = inputs.fixedPaymentAmount === null
+    ? computeMonthlyPayment(amortisingOpening, initialRate, term.monthCount)
     : inputs.fixedPaymentAmount;
+  const monthlyPaymentUsed = amortisingPaymentUsed + (interestOnlyOpening * monthlyRate);
 
   const monthlySchedule = [];
+  const paymentStages = [];
+  let amortisingBalance = amortisingOpening;
+  let interestOnlyBalance = interestOnlyOpening;
   let balance = openingBalance;
+  let stageAnnualRate = initialRate;
+  let stageMonthlyRate = monthlyRate;
+  let stageAmortisingPayment = amortisingPaymentUsed;
+  let nextStageIndex = 0;
+  // Month index (exclusive) by which the current payment clears the amortising balance.
+  // Reduce-term overpayments pull it in; payment recalculations keep to it.
+  let effectiveEndIndex = term.monthCount;
+  let ercYear = null;
+  let ercAllowance = 0;
+  let ercOverpaidInYear = 0;
+
+  const applyOverpayment = (amount) => {
+    const applied = Math.min(amount, amortisingBalance + interestOnlyBalance);
+    const toAmortising = Math.min(applied, amortisingBalance);
+    amortisingBalance -= toAmortising;
+    interestOnlyBalance -= applied - toAmortising;
+    return applied;
+  };
 
   for (let monthIndex = 0; monthIndex < term.monthCount && balance > 0; monthIndex += 1) {
     const periodDate = addUtcMonths(term.startMonthDate, monthIndex);
     const year = periodDate.getUTCFullYear();
 
+    // At each rate change the amortising payment is re-derived over the remaining term,
+    // unless the borrower pays a fixed amount.
+    if (nextStageIndex < rateStages.length && rateStages[nextStageIndex].startMonthIndex === monthIndex) {
+      const stage = rateStages[nextStageIndex];
+      stageAnnualRate = stage.annualInterestRate;
+      stageMonthlyRate = stageAnnualRate / 12;
+      if (monthIndex > 0 && inputs.fixedPaymentAmount === null) {
+        stageAmortisingPayment = computeMonthlyPayment(
+          amortisingBalance,
+          stage.annualInterestRate,
+          Math.max(1, effectiveEndIndex - monthIndex)
+        );
+      }
+
+      paymentStages.push({
+        reason: 'rateChange',
+        fromDateIso: formatIsoDateUtc(periodDate),
+        startMonthIndex: monthIndex,
+        annualInterestRate: stage.annualInterestRate,
+        monthlyPayment: stageAmortisingPayment + (interestOnlyBalance * stageMonthlyRate)
+      });
+      nextStageIndex += 1;
+    }
+
     const balanceStart = balance;
-    const interestPaid = balanceStart * monthlyRate;
-    let principalPaid = monthlyPaymentUsed - interestPaid;
+    const amortisingInterest = amortisingBalance * stageMonthlyRate;
+    const interestPaid = amortisingInterest + (interestOnlyBalance * stageMonthlyRate);
+    let principalPaid = 0;
+
+    if (amortisingBalance > 0) {
+      principalPaid = stageAmortisingPayment - amortisingInterest;
+      if (principalPaid <= 0) {
+        throw new Error('Negative amortisation: payment is too low to cover monthly interest.');
+      }
 
-    if (principalPaid <= 0) {
-      throw new Error('Negative amortisation: payment is too low to cover monthly interest.');
+      principalPaid = Math.min(principalPaid, amortisingBalance);
+      amortisingBalance -= principalPaid;
     }
 
-    principalPaid = Math.min(principalPaid, balanceStart);
     let totalPaid = interestPaid + principalPaid;
-    balance = balanceStart - principalPaid;
 
     const nextDate = monthIndex + 1 < term.monthCount
       ? addUtcMonths(term.startMonthDate, monthIndex + 1)
       : null;
     const isYearEnd = !nextDate || nextDate.getUTCFullYear() !== year;
 
+    // Scheduled overpayments land after the month's regular payment. Reduce-term amounts
+    // (including the annual overpayment) go first so a reduce-payment lump in the same
+    // month is spread over the already-shortened term.
+    const scheduledThisMonth = (effect) => overpaymentWindows
+      .filter((entry) => entry.effect === effect && monthIndex >= entry.firstMonthIndex && monthIndex <= entry.lastMonthIndex)
+      .reduce((sum, entry) => sum + applyOverpayment(entry.amount), 0);
+
+    let reduceTermApplied = scheduledThisMonth('reduceTerm');
     let annualOverpaymentApplied = 0;
-    if (isYearEnd && inputs.annualOverpayment > 0 && balance > 0) {
-      annualOverpaymentApplied = Math.min(inputs.annualOverpayment, balance);
-      principalPaid += annualOverpaymentApplied;
-      totalPaid += annualOverpaymentApplied;
-      balance -= annualOverpaymentApplied;
+    if (isYearEnd && inputs.annualOverpayment > 0 && amortisingBalance + interestOnlyBalance > 0) {
+      annualOverpaymentApplied = applyOverpayment(inputs.annualOverpayment);
+      reduceTermApplied += annualOverpaymentApplied;
+    }
+
+    if (reduceTermApplied > 0 && inputs.fixedPaymentAmount === null && amortisingBalance > 0) {
+      effectiveEndIndex = Math.min(
+        effectiveEndIndex,
+        monthIndex + 1 + computeRemainingMonths(amortisingBalance, stageMonthlyRate, stageAmortisingPayment)
+      );
+    }
+
+    const reducePaymentApplied = scheduledThisMonth('reducePayment');
+    if (
+      reducePaymentApplied > 0
+      && inputs.fixedPaymentAmount === null
+      && amortisingBalance > 0
+      && monthIndex + 1 < term.monthCount
+    ) {
+      stageAmortisingPayment = computeMonthlyPayment(
+        amortisingBalance,
+        stageAnnualRate,
+        Math.max(1, effectiveEndIndex - (monthIndex + 1))
+      );
+      const lumpSumReducedPayment = overpaymentWindows.some((entry) => (
+        entry.type === 'lumpSum' && entry.effect === 'reducePayment' && entry.firstMonthIndex === monthIndex
+      ));
+      if (lumpSumReducedPayment) {
+        paymentStages.push({
+          reason: 'overpayment',
+          fromDateIso: formatIsoDateUtc(nextDate),
+          startMonthIndex: monthIndex + 1,
+          annualInterestRate: stageAnnualRate,
+          monthlyPayment: stageAmortisingPayment + (interestOnlyBalance * stageMonthlyRate)
+        });
+      }
     }
 
+    const overpaymentApplied = reduceTermApplied + reducePaymentApplied;
+    principalPaid += overpaymentApplied;
+    totalPaid += overpaymentApplied;
+
+    // Estimated early repayment charge: overpayments made during the fixed period beyond
+    // the yearly allowance (a share of the balance at the start of the calendar year).
+    let earlyRepaymentCharge = 0;
+    if (erc && monthIndex < ercFixedUntilIndex) {
+      if (year !== ercYear) {
+        ercYear = year;
+        ercAllowance = erc.allowancePct * (monthIndex === 0 ? inputs.currentBalance : balanceStart);
+        ercOverpaidInYear = 0;
+      }
+
+      const excessBefore = Math.max(0, ercOverpaidInYear - ercAllowance);
+      ercOverpaidInYear += overpaymentApplied + (monthIndex === 0 ? oneOffOverpaymentApplied : 0);
+      earlyRepaymentCharge = (Math.max(0, ercOverpaidInYear - ercAllowance) - excessBefore) * erc.chargeRate;
+    }
+
+    balance = amortisingBalance + interestOnlyBalance;
+
     monthlySchedule.push({
       monthIndex,
       dateIso: formatIsoDateUtc(periodDate),
       year,
+      annualInterestRate: stageAnnualRate,
       balanceStart,
       interestPaid,
       principalPaid,
       totalPaid,
       annualOverpaymentApplied,
+      overpaymentApplied,
+      earlyRepaymentCharge,
+      interestOnlyBalanceEnd: interestOnlyBalance,
       balanceEnd: balance
     });
   }
@@ -359,6 +794,9 @@ export function computeAmortizationMonthlySchedule(rawInputs, options = {}) {
   const totalInterestLifetime = monthlySchedule.reduce((sum, month) => sum + month.interestPaid, 0);
   const totalPrincipalLifetime = monthlySchedule.reduce((sum, month) => sum + month.principalPaid, 0);
   const totalPaidLifetime = monthlySchedule.reduce((sum, month) => sum + month.totalPaid, 0);
+  const overpaymentsTotal = oneOffOverpaymentApplied
+    + monthlySchedule.reduce((sum, month) => sum + month.overpaymentApplied, 0);
+  const earlyRepaymentChargeTotal = monthlySchedule.reduce((sum, month) => sum + month.earlyRepaymentCharge, 0);
 
   const payoffMonth = balance <= 0 && monthlySchedule.length > 0
     ? monthlySchedule[monthlySchedule.length - 1]
@@ -371,19 +809,162 @@ export function computeAmortizationMonthlySchedule(rawInputs, options = {}) {
     termMonthsPlanned: term.monthCount,
     monthlyRate,
     monthlyPaymentUsed,
+    amortisingPaymentUsed,
+    finalMonthlyPayment: stageAmortisingPayment + (interestOnlyBalance * stageMonthlyRate),
+    paymentStages,
     openingBalance,
+    interestOnlyOpening,
     balanceRemaining: balance,
+    bulletBalanceDue: inputs.repaymentType === 'repayment' ? 0 : balance,
     monthsSimulated: monthlySchedule.length,
     payoffDateIso: payoffMonth ? payoffMonth.dateIso : null,
     payoffYear: payoffMonth ? payoffMonth.year : null,
     totalInterestLifetime,
     totalPrincipalLifetime,
     totalPaidLifetime,
+    overpaymentsTotal,
+    earlyRepaymentChargeTotal,
     monthlySchedule,
     annualSchedule: aggregateAnnualSchedule(monthlySchedule)
   };
 }
 
+function hasAnyOverpayments(inputs) {
+  return inputs.oneOffOverpayment > 0 || inputs.annualOverpayment > 0 || inputs.overpayments.length > 0;
+}
+
+export function computeAmortizationMonthlySchedule(rawInputs, options = {}) {
+  const inputs = normalizeMortgageInputs(rawInputs, options);
+  const schedule = simulateAmortization(inputs);
+
+  // Same loan with every overpayment removed, for interest and term saved.
+  const baseline = hasAnyOverpayments(inputs)
+    ? simulateAmortization({
+      ...inputs,
+      oneOffOverpayment: 0,
+      annualOverpayment: 0,
+      overpayments: []
+    })
+    : schedule;
+
+  return {
+    ...schedule,
+    baseline: {
+      monthsSimulated: baseline.monthsSimulated,
+      payoffDateIso: baseline.payoffDateIso,
+      totalInterestLifetime: baseline.totalInterestLifetime,
+      monthlyPaymentUsed: baseline.monthlyPaymentUsed
+    },
+    interestSaved: baseline.totalInterestLifetime - schedule.totalInterestLifetime,
+    monthsSaved: baseline.monthsSimulated - schedule.monthsSimulated
+  };
+}
+
+function buildCumulativeCostSeries(schedule, upfrontCost, monthCount) {
+  const series = [];
+  let running = upfrontCost;
+  for (let monthIndex = 0; monthIndex < monthCount; monthIndex += 1) {
+    const month = schedule.monthlySchedule[monthIndex];
+    if (month) {
+      running += month.interestPaid + month.earlyRepaymentCharge;
+    }
+    series.push(running);
+  }
+  return series;
+}
+
+// Estimated charge for redeeming the whole balance at switch time, if the current
+// mortgage is still inside its fixed period.
+function computeSwitchRedemptionCharge(inputs, schedule) {
+  const erc = inputs.earlyRepaymentCharge;
+  if (!erc || schedule.startMonthIso >= erc.fixedUntilDateIso) {
+    return 0;
+  }
+
+  return Math.max(0, schedule.openingBalance - (erc.allowancePct * inputs.currentBalance)) * erc.chargeRate;
+}
+
+function compareSwitchOffers(inputs, currentSchedule) {
+  const startMonthDate = toMonthStartUtc(parseIsoDateStrict(inputs.startDateIso, 'startDateIso'));
+  const redemptionCharge = computeSwitchRedemptionCharge(inputs, currentSchedule);
+
+  const offers = inputs.switchOffers.map((offer) => {
+    const schedule = simulateAmortization({
+      ...inputs,
+      annualInterestRate: offer.annualInterestRate,
+      rateSchedule: offer.rateSchedule,
+      fixedPaymentAmount: null,
+      earlyRepaymentCharge: null,
+      switchOffers: []
+    });
+    const cashbackTotal = offer.cashback + (offer.cashbackPct * currentSchedule.openingBalance);
+    const upfrontCost = offer.legalCosts + offer.valuationCosts + redemptionCharge - cashbackTotal;
+    return { offer, schedule, cashbackTotal, upfrontCost };
+  });
+
+  const monthCount = Math.max(
+    currentSchedule.monthsSimulated,
+    ...offers.map((entry) => entry.schedule.monthsSimulated)
+  );
+  const currentCumulative = buildCumulativeCostSeries(currentSchedule, 0, monthCount);
+
+  const results = offers.map(({ offer, schedule, cashbackTotal, upfrontCost }) => {
+    const cumulative = buildCumulativeCostSeries(schedule, upfrontCost, monthCount);
+    const breakEvenMonthIndex = cumulative.findIndex((cost, monthIndex) => cost <= currentCumulative[monthIndex]);
+    const fixedEndIndex = offer.fixedUntilDateIso
+      ? Math.min(monthCount, getMonthOffset(startMonthDate, parseIsoDateStrict(offer.fixedUntilDateIso, 'fixedUntilDateIso')))
+      : null;
+    const savingOverFixedPeriod = fixedEndIndex && fixedEndIndex > 0
+      ? currentCumulative[fixedEndIndex - 1] - cumulative[fixedEndIndex - 1]
+      : null;
+
+    return {
+      name: offer.name,
+      annualInterestRate: offer.annualInterestRate,
+      fixedUntilDateIso: offer.fixedUntilDateIso,
+      cashbackTotal,
+      switchingCosts: offer.legalCosts + offer.valuationCosts + redemptionCharge,
+      upfrontCost,
+      monthlyPayment: schedule.monthlyPaymentUsed,
+      totalInterestLifetime: schedule.totalInterestLifetime,
+      breakEvenMonthIndex: breakEvenMonthIndex >= 0 ? breakEvenMonthIndex : null,
+      breakEvenDateIso: breakEvenMonthIndex >= 0
+        ? formatIsoDateUtc(addUtcMonths(startMonthDate, breakEvenMonthIndex))
+        : null,
+      savingOverFixedPeriod,
+      savingOverLife: currentCumulative[monthCount - 1] - cumulative[monthCount - 1],
+      cumulative
+    };
+  });
+
+  return {
+    redemptionCharge,
+    monthCount,
+    currentCumulative,
+    offers: results
+  };
+}
+
+export function computeMortgageSwitchComparison(rawInputs, options = {}) {
+  const inputs = normalizeMortgageInputs(rawInputs, options);
+  return compareSwitchOffers(inputs, simulateAmortization(inputs));
+}
+
+function describeBreakEven(result) {
+  if (result.breakEvenMonthIndex === null) {
+    return { value: 'Does not break even', note: 'Cumulative cost stays above the current mortgage' };
+  }
+
+  if (result.breakEvenMonthIndex === 0) {
+    return { value: 'Immediate', note: 'Cashback covers the switching costs from the first month' };
+  }
+
+  return {
+    value: `Month ${result.breakEvenMonthIndex + 1}`,
+    note: `Cumulative cost falls below staying put in ${result.breakEvenDateIso.slice(0, 7)}`
+  };
+}
+
 export function computeMortgageProjection(rawInputs, options = {}) {
   const projection = computeAmortizationMonthlySchedule(rawInputs, options);
   const annualSchedule = projection.annualSchedule;
@@ -408,6 +989,47 @@ export function computeMortgageProjection(rawInputs, options = {}) {
   const interestSeries = annualSchedule.length > 0
     ? annualSchedule.map((row) => row.interestPaidRaw)
     : [0];
+  const repaymentType = projection.inputs.repaymentType;
+  const hasBullet = projection.bulletBalanceDue > 0;
+  const bulletSeries = labels.map((_label, index) => (
+    hasBullet && index === labels.length - 1 ? projection.bulletBalanceDue : 0
+  ));
+  const paymentStages = projection.paymentStages;
+  const laterStages = paymentStages.slice(1);
+  const rateChangeStages = laterStages.filter((stage) => stage.reason === 'rateChange');
+  const hasOverpayments = hasAnyOverpayments(projection.inputs);
+  const erc = projection.inputs.earlyRepaymentCharge;
+  const hasReducePayment = projection.inputs.overpayments.some((entry) => entry.effect === 'reducePayment');
+  const switchComparison = projection.inputs.switchOffers.length > 0
+    ? compareSwitchOffers(projection.inputs, projection)
+    : null;
+  const initialRate = paymentStages.length > 0
+    ? paymentStages[0].annualInterestRate
+    : projection.inputs.annualInterestRate;
+  // Percent value in the year each rate change takes effect; null leaves the other years
+  // empty so a change down to 0% still plots.
+  const rateChangeSeries = labels.map((label) => {
+    const stagesInYear = rateChangeStages.filter((stage) => stage.fromDateIso.slice(0, 4) === label);
+    return stagesInYear.length > 0
+      ? stagesInYear[stagesInYear.length - 1].annualInterestRate * 100
+      : null;
+  });
+  let repaymentTypeNote = 'Capital and interest repaid monthly';
+  if (repaymentType === 'interestOnly') {
+    repaymentTypeNote = 'Interest paid monthly; capital due in full at term end';
+  } else if (repaymentType === 'split') {
+    repaymentTypeNote = `${formatEuro(projection.inputs.interestOnlyPortion)} interest-only, `
+      + `${formatEuro(projection.inputs.currentBalance - projection.inputs.interestOnlyPortion)} amortising`;
+  }
+  let paymentNote = projection.inputs.fixedPaymentAmount === null
+    ? 'Derived from amortisation formula'
+    : 'Provided via fixedPaymentAmount';
+  if (repaymentType === 'interestOnly') {
+    paymentNote = 'Interest on the outstanding balance';
+  } else if (repaymentType === 'split') {
+    paymentNote = `${formatEuro(projection.amortisingPaymentUsed)} amortising + `
+      + `${formatEuro(projection.monthlyPaymentUsed - projection.amortisingPaymentUsed)} interest-only interest`;
+  }
 
   const assumptionsTable = {
     columns: ['Assumption', 'Value', 'Notes'],
@@ -415,10 +1037,39 @@ export function computeMortgageProjection(rawInputs, options = {}) {
       [currentBalanceLabel, formatEuro(projection.inputs.currentBalance), 'Balance before any overpayment'],
       ['One-off overpayment', formatEuro(projection.inputs.oneOffOverpayment), 'Applied immediately at start'],
       ['Opening balance used', formatEuro(projection.openingBalance), 'Starting balance for amortisation maths'],
-      ['Annual interest rate', formatPercent(projection.inputs.annualInterestRate), 'Monthly compounding used internally'],
+      ['Annual interest rate', formatPercent(initialRate), 'Monthly compounding used internally'],
+      ...(rateChangeStages.length > 0
+        ? [[
+          'Rate schedule',
+          `${rateChangeStages.length} rate change${rateChangeStages.length === 1 ? '' : 's'}`,
+          rateChangeStages.map((stage) => `${formatPercent(stage.annualInterestRate)} from ${stage.fromDateIso}`).join('; ')
+        ]]
+        : []),
       [termLabel, `${projection.termMonthsPlanned} months`, `${projection.startMonthIso} to ${projection.endMonthIso}`],
-      ['Repayment type', projection.inputs.repaymentType, 'V1 supports amortising repayment only'],
+      ['Repayment type', REPAYMENT_TYPE_LABELS[repaymentType], repaymentTypeNote],
       ['Annual overpayment', formatEuro(projection.inputs.annualOverpayment), 'Applied at each calendar year-end'],
+      ...projection.inputs.overpayments.map((entry) => {
+        const { label, note } = describeOverpayment(entry);
+        return [label, formatEuro(entry.amount), note];
+      }),
+      ...projection.inputs.switchOffers.map((offer) => {
+        const costs = [
+          `cashback ${formatEuro(offer.cashback + (offer.cashbackPct * projection.openingBalance))}`,
+          `legal ${formatEuro(offer.legalCosts)}`,
+          `valuation ${formatEuro(offer.valuationCosts)}`
+        ];
+        if (offer.fixedUntilDateIso) {
+          costs.push(`fixed to ${offer.fixedUntilDateIso}`);
+        }
+        return [`Switch offer: ${offer.name}`, formatPercent(offer.annualInterestRate), costs.join('; ')];
+      }),
+      ...(erc
+        ? [[
+          'Early repayment charge',
+          `${formatPercent(erc.chargeRate)} of excess`,
+          `Fixed period to ${erc.fixedUntilDateIso}; ${formatPercent(erc.allowancePct)} of balance overpayable each year`
+        ]]
+        : []),
       ['Monthly payment source', projection.inputs.fixedPaymentAmount === null ? 'Calculated' : 'Fixed input', 'Payment frequency fixed to monthly']
     ]
   };
@@ -427,11 +1078,66 @@ export function computeMortgageProjection(rawInputs, options = {}) {
   const outputsTable = {
     columns: ['Metric', 'Value', 'Notes'],
     rows: [
-      ['Monthly payment used', formatEuro(projection.monthlyPaymentUsed), projection.inputs.fixedPaymentAmount === null ? 'Derived from amortisation formula' : 'Provided via fixedPaymentAmount'],
+      ['Monthly payment used', formatEuro(projection.monthlyPaymentUsed), paymentNote],
+      ...laterStages.map((stage) => {
+        let note = `At ${formatPercent(stage.annualInterestRate)}, recalculated over the remaining term`;
+        if (stage.reason === 'overpayment') {
+          note = 'Recalculated after a reduce-payment lump sum';
+        } else if (projection.inputs.fixedPaymentAmount !== null) {
+          note = `At ${formatPercent(stage.annualInterestRate)}, fixed payment unchanged`;
+        }
+        return [`Monthly payment from ${stage.fromDateIso}`, formatEuro(stage.monthlyPayment), note];
+      }),
+      ...(hasReducePayment
+        ? [['Final monthly payment', formatEuro(projection.finalMonthlyPayment), 'Payment in the last modelled month']]
+        : []),
       ['Payoff year', payoffLabel, projection.payoffYear ? 'Based on modelled schedule' : 'Balance remains after final modelled month'],
       ['Total interest (lifetime)', formatEuro(projection.totalInterestLifetime), `${projection.monthsSimulated} simulated months`],
-      ['Total paid (lifetime)', formatEuro(projection.totalPaidLifetime), 'Principal + interest + annual overpayments'],
-      [termEndLabel, formatEuro(projection.balanceRemaining), projection.balanceRemaining > 0 ? 'Outstanding after modelled term' : `${wording.titleCase} fully repaid`]
+      ['Total paid (lifetime)', formatEuro(projection.totalPaidLifetime), 'Principal + interest + overpayments'],
+      ...(hasOverpayments
+        ? [
+          ['Total overpayments', formatEuro(projection.overpaymentsTotal), 'One-off, scheduled and annual overpayments'],
+          ['Interest saved vs no overpayments', formatEuro(projection.interestSaved), `Baseline interest ${formatEuro(projection.baseline.totalInterestLifetime)}`],
+          [
+            'Term saved vs no overpayments',
+            formatMonthSpan(Math.max(0, projection.monthsSaved)),
+            `${projection.monthsSimulated} months vs ${projection.baseline.monthsSimulated} without overpayments`
+          ]
+        ]
+        : []),
+      ...(erc
+        ? [
+          ['Early repayment charges (estimate)', formatEuro(projection.earlyRepaymentChargeTotal), `Overpayments above the allowance before ${erc.fixedUntilDateIso}`],
+          ['Net saving after charges', formatEuro(projection.interestSaved - projection.earlyRepaymentChargeTotal), 'Interest saved less early repayment charges']
+        ]
+        : []),
+      [termEndLabel, formatEuro(projection.balanceRemaining), projection.balanceRemaining > 0 ? 'Outstanding after modelled term' : `${wording.titleCase} fully repaid`],
+      ...(repaymentType !== 'repayment'
+        ? [[
+          'Bullet repayment due at term end',
+          formatEuro(projection.bulletBalanceDue),
+          `Interest-only capital repayable in ${projection.endMonthIso}`
+        ]]
+        : []),
+      ...(switchComparison && switchComparison.redemptionCharge > 0
+        ? [['Early repayment charge on switching', formatEuro(switchComparison.redemptionCharge), 'Estimated charge for leaving during the fixed period']]
+        : []),
+      ...(switchComparison
+        ? switchComparison.offers.flatMap((result) => {
+          const breakEven = describeBreakEven(result);
+          return [
+            [`${result.name}: monthly payment`, formatEuro(result.monthlyPayment), `At ${formatPercent(result.annualInterestRate)} over the same term`],
+            [`${result.name}: net switching cost`, formatEuro(result.upfrontCost), `${formatEuro(result.switchingCosts)} costs less ${formatEuro(result.cashbackTotal)} cashback`],
+            [`${result.name}: break-even`, breakEven.value, breakEven.note],
+            [
+              `${result.name}: saving over fixed period`,
+              result.savingOverFixedPeriod === null ? 'Not applicable' : formatEuro(result.savingOverFixedPeriod),
+              result.savingOverFixedPeriod === null ? 'Offer has no fixed period end date' : `Interest and costs to ${result.fixedUntilDateIso}`
+            ],
+            [`${result.name}: saving over loan life`, formatEuro(result.savingOverLife), 'Interest and costs versus staying put']
+          ];
+        })
+        : [])
     ]
   };
 
@@ -453,18 +1159,85 @@ export function computeMortgageProjection(rawInputs, options = {}) {
         {
           label: 'Interest paid (annual)',
           data: interestSeries
-        }
+        },
+        ...(hasBullet
+          ? [{
+            label: 'Bullet repayment due (term end)',
+            data: bulletSeries
+          }]
+          : []),
+        ...(rateChangeStages.length > 0
+          ? [{
+            label: 'Rate change (%)',
+            data: rateChangeSeries
+          }]
+          : [])
       ]
     }
   ];
 
+  if (switchComparison) {
+    const switchStartMonthDate = toMonthStartUtc(parseIsoDateStrict(projection.startMonthIso, 'startDateIso'));
+    const yearEndIndices = [];
+    const switchLabels = [];
+    for (let monthIndex = 0; monthIndex < switchComparison.monthCount; monthIndex += 1) {
+      const year = addUtcMonths(switchStartMonthDate, monthIndex).getUTCFullYear();
+      const isLastMonth = monthIndex === switchComparison.monthCount - 1;
+      if (isLastMonth || addUtcMonths(switchStartMonthDate, monthIndex + 1).getUTCFullYear() !== year) {
+        yearEndIndices.push(monthIndex);
+        switchLabels.push(String(year));
+      }
+    }
+    const pick = (series) => yearEndIndices.map((monthIndex) => series[monthIndex]);
+
+    charts.push({
+      id: 'mortgage-switch-cumulative-cost',
+      title: 'Cumulative Cost: Stay vs Switch',
+      type: 'line',
+      labels: switchLabels,
+      datasets: [
+        {
+          label: `Stay with current ${wording.noun}`,
+          data: pick(switchComparison.currentCumulative)
+        },
+        ...switchComparison.offers.map((result) => ({
+          label: result.name,
+          data: pick(result.cumulative)
+        }))
+      ]
+    });
+  }
+
+  const bestSwitch = switchComparison
+    ? switchComparison.offers.reduce((best, result) => (
+      !best || result.savingOverLife > best.savingOverLife ? result : best
+    ), null)
+    : null;
+
   const summarySentences = [
-    `Monthly repayments are modelled from an opening ${wording.noun} balance of ${formatEuro(projection.openingBalance)} at ${formatPercent(projection.inputs.annualInterestRate)} interest.`,
+    `Monthly repayments are modelled from an opening ${wording.noun} balance of ${formatEuro(projection.openingBalance)} at ${formatPercent(initialRate)} interest.`,
     `The payment used is ${formatEuro(projection.monthlyPaymentUsed)} per month, with annual overpayments of ${formatEuro(projection.inputs.annualOverpayment)} applied at each year-end.`,
+    ...rateChangeStages.map((stage) => (
+      `From ${stage.fromDateIso} the rate moves to ${formatPercent(stage.annualInterestRate)} and the payment to ${formatEuro(stage.monthlyPayment)} per month.`
+    )),
     projection.payoffYear
       ? `On this path the ${wording.noun} is projected to be fully repaid in ${projection.payoffYear}.`
       : `On this path the ${wording.noun} is not fully repaid by ${projection.endMonthIso}, leaving ${formatEuro(projection.balanceRemaining)} outstanding.`,
-    `Total lifetime interest is ${formatEuro(projection.totalInterestLifetime)} and total paid is ${formatEuro(projection.totalPaidLifetime)}.`
+    ...(hasBullet
+      ? [`Interest-only capital of ${formatEuro(projection.bulletBalanceDue)} falls due as a bullet repayment at term end.`]
+      : []),
+    `Total lifetime interest is ${formatEuro(projection.totalInterestLifetime)} and total paid is ${formatEuro(projection.totalPaidLifetime)}.`,
+    ...(hasOverpayments
+      ? [`Against the same ${wording.noun} with no overpayments, this saves ${formatEuro(projection.interestSaved)} of interest and ${formatMonthSpan(Math.max(0, projection.monthsSaved))} of term.`]
+      : []),
+    ...(erc && projection.earlyRepaymentChargeTotal > 0
+      ? [`Overpaying above the allowance during the fixed period is estimated to cost ${formatEuro(projection.earlyRepaymentChargeTotal)} in early repayment charges.`]
+      : []),
+    ...(bestSwitch
+      ? [bestSwitch.savingOverLife > 0
+        ? `Switching to ${bestSwitch.name} saves an estimated ${formatEuro(bestSwitch.savingOverLife)} over the life of the ${wording.noun}${bestSwitch.breakEvenMonthIndex === null ? '' : `, breaking even ${bestSwitch.breakEvenMonthIndex === 0 ? 'immediately' : `in month ${bestSwitch.breakEvenMonthIndex + 1}`}`}.`
+        : `None of the switch offers beats staying with the current ${wording.noun} over its remaining life.`]
+      : [])
   ];
 
   return {
@@ -478,6 +1251,18 @@ export function computeMortgageProjection(rawInputs, options = {}) {
       paymentUsedMonthly: projection.monthlyPaymentUsed,
       openingBalance: projection.openingBalance,
       payoffYear: projection.payoffYear,
+      repaymentType,
+      bulletBalanceDue: projection.bulletBalanceDue,
+      paymentStages,
+      interestSaved: projection.interestSaved,
+      monthsSaved: projection.monthsSaved,
+      earlyRepaymentChargeTotal: projection.earlyRepaymentChargeTotal,
+      switchComparison: switchComparison
+        ? {
+          redemptionCharge: switchComparison.redemptionCharge,
+          offers: switchComparison.offers.map(({ cumulative, ...result }) => result)
+        }
+        : null,
       totalInterestLifetime: projection.totalInterestLifetime,
       totalPaidLifetime: projection.totalPaidLifetime,
       annualSchedule
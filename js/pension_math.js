@@ -1,8 +1,35 @@
+import { computeIrishIncomeTax, resolveIrishTaxTable, solvePensionIncomeForNet } from './irish_tax_math.js';
+import { DEFAULT_PENSION_RULES_VERSION, PENSION_RULES } from './pension_rules.js';
+
 const DEFAULT_INFLATION_RATE = 0.025;
 const DEFAULT_WAGE_GROWTH_RATE = 0.025;
 const DEFAULT_HORIZON_END_AGE = 100;
 const DEFAULT_INCOME_MODE = 'target';
 const DEFAULT_AFFORDABLE_END_AGES = Object.freeze([100]);
+const DEFAULT_STOCHASTIC_PATHS = 500;
+const DEFAULT_STOCHASTIC_SEED = 1;
+const MAX_STOCHASTIC_PATHS = 5000;
+const STOCHASTIC_SUCCESS_EPSILON = 1e-6;
+const DEFAULT_STATE_PENSION_WEEKLY_RATE = 299.30;
+const DEFAULT_STATE_PENSION_START_AGE = 66;
+const WEEKS_PER_YEAR = 52;
+const INCOME_TAX_MARITAL_STATUSES = Object.freeze(['single', 'married']);
+const INCOME_TAX_TARGET_BASES = Object.freeze(['gross', 'net']);
+const NET_INCOME_MILESTONE_AGES = Object.freeze([70]);
+const PENSION_POT_TYPE_LABELS = Object.freeze({
+  occupational: 'Occupational',
+  prsa: 'PRSA',
+  avc: 'AVC',
+  prb: 'PRB',
+  rac: 'RAC'
+});
+const DEFAULT_RETIREMENT_LUMP_SUM_PCT = 0.25;
+const MAX_RETIREMENT_LUMP_SUM_PCT = 0.25;
+const RETIREMENT_LUMP_SUM_TAX_BANDS = Object.freeze([
+  Object.freeze({ upTo: 200000, rate: 0 }),
+  Object.freeze({ upTo: 500000, rate: 0.20 }),
+  Object.freeze({ upTo: Infinity, rate: 0.40 })
+]);
 
 function isFiniteNumber(value) {
   return typeof value === 'number' && Number.isFinite(value);
@@ -82,6 +109,288 @@ function normalizeAffordableEndAges(rawValue, retirementAge) {
   return [...unique].sort((left, right) => left - right);
 }
 
+function normalizeStochasticInputs(rawValue, { retirementAge, defaultSuccessAge }) {
+  if (typeof rawValue === 'undefined' || rawValue === null) {
+    return null;
+  }
+
+  if (typeof rawValue !== 'object' || Array.isArray(rawValue)) {
+    throw new Error('generated.pensionInputs.stochastic must be an object when provided.');
+  }
+
+  const volatility = requireFiniteNumber(rawValue.volatility, 'stochastic.volatility');
+  if (volatility < 0 || volatility > 1) {
+    throw new Error('generated.pensionInputs.stochastic.volatility must be between 0 and 1.');
+  }
+
+  const paths = typeof rawValue.paths === 'undefined'
+    ? DEFAULT_STOCHASTIC_PATHS
+    : requireFiniteInteger(rawValue.paths, 'stochastic.paths');
+  if (paths < 1 || paths > MAX_STOCHASTIC_PATHS) {
+    throw new Error(`generated.pensionInputs.stochastic.paths must be between 1 and ${MAX_STOCHASTIC_PATHS}.`);
+  }
+
+  const seed = typeof rawValue.seed === 'undefined'
+    ? DEFAULT_STOCHASTIC_SEED
+    : requireFiniteInteger(rawValue.seed, 'stochastic.seed');
+
+  const successAge = typeof rawValue.successAge === 'undefined'
+    ? defaultSuccessAge
+    : requireFiniteInteger(rawValue.successAge, 'stochastic.successAge');
+  if (successAge <= retirementAge || successAge > defaultSuccessAge) {
+    throw new Error(
+      `generated.pensionInputs.stochastic.successAge must be between ${retirementAge + 1} and ${defaultSuccessAge}.`
+    );
+  }
+
+  return {
+    volatility,
+    paths,
+    seed,
+    successAge
+  };
+}
+
+function normalizeStatePensionInputs(rawValue, { inflationRate }) {
+  if (typeof rawValue === 'undefined' || rawValue === null) {
+    return null;
+  }
+
+  if (typeof rawValue !== 'object' || Array.isArray(rawValue)) {
+    throw new Error('generated.pensionInputs.statePension must be an object when provided.');
+  }
+
+  const weeklyRate = optionalFiniteNumber(
+    rawValue.weeklyRate,
+    DEFAULT_STATE_PENSION_WEEKLY_RATE,
+    'statePension.weeklyRate'
+  );
+  if (weeklyRate < 0) {
+    throw new Error('generated.pensionInputs.statePension.weeklyRate must be greater than or equal to 0.');
+  }
+
+  const startAge = typeof rawValue.startAge === 'undefined'
+    ? DEFAULT_STATE_PENSION_START_AGE
+    : requireFiniteInteger(rawValue.startAge, 'statePension.startAge');
+  if (startAge < 60 || startAge > 80) {
+    throw new Error('generated.pensionInputs.statePension.startAge must be between 60 and 80.');
+  }
+
+  const indexationRate = optionalFiniteNumber(rawValue.indexationRate, inflationRate, 'statePension.indexationRate');
+  if (indexationRate <= -1) {
+    throw new Error('generated.pensionInputs.statePension.indexationRate must be greater than -1.');
+  }
+
+  const qualifyingFraction = optionalFiniteNumber(rawValue.qualifyingFraction, 1, 'statePension.qualifyingFraction');
+  if (qualifyingFraction < 0 || qualifyingFraction > 1) {
+    throw new Error('generated.pensionInputs.statePension.qualifyingFraction must be between 0 and 1.');
+  }
+
+  return {
+    weeklyRate,
+    startAge,
+    indexationRate,
+    qualifyingFraction
+  };
+}
+
+function normalizeRetirementEventInputs(rawValue) {
+  if (typeof rawValue === 'undefined' || rawValue === null) {
+    return null;
+  }
+
+  if (typeof rawValue !== 'object' || Array.isArray(rawValue)) {
+    throw new Error('generated.pensionInputs.retirementEvent must be an object when provided.');
+  }
+
+  const lumpSumPct = optionalFiniteNumber(
+    rawValue.lumpSumPct,
+    DEFAULT_RETIREMENT_LUMP_SUM_PCT,
+    'retirementEvent.lumpSumPct'
+  );
+  if (lumpSumPct < 0 || lumpSumPct > MAX_RETIREMENT_LUMP_SUM_PCT) {
+    throw new Error(
+      `generated.pensionInputs.retirementEvent.lumpSumPct must be between 0 and ${MAX_RETIREMENT_LUMP_SUM_PCT}.`
+    );
+  }
+
+  const annuityFraction = optionalFiniteNumber(rawValue.annuityFraction, 0, 'retirementEvent.annuityFraction');
+  if (annuityFraction < 0 || annuityFraction > 1) {
+    throw new Error('generated.pensionInputs.retirementEvent.annuityFraction must be between 0 and 1.');
+  }
+
+  const annuityRate = annuityFraction > 0
+    ? requireFiniteNumber(rawValue.annuityRate, 'retirementEvent.annuityRate')
+    : optionalFiniteNumber(rawValue.annuityRate, 0, 'retirementEvent.annuityRate');
+  if (annuityRate < 0 || annuityRate >= 1) {
+    throw new Error('generated.pensionInputs.retirementEvent.annuityRate must be between 0 and 1.');
+  }
+
+  return {
+    lumpSumPct,
+    annuityFraction,
+    annuityRate
+  };
+}
+
+const NO_CHARGES = Object.freeze({ amc: 0, contributionCharge: 0, policyFee: 0 });
+
+function normalizeChargeFields(rawValue, fieldPrefix, defaults) {
+  if (typeof rawValue === 'undefined' || rawValue === null) {
+    return { ...defaults };
+  }
+
+  if (typeof rawValue !== 'object' || Array.isArray(rawValue)) {
+    throw new Error(`generated.pensionInputs.${fieldPrefix} must be an object when provided.`);
+  }
+
+  const amc = optionalFiniteNumber(rawValue.amc, defaults.amc, `${fieldPrefix}.amc`);
+  if (amc < 0 || amc >= 1) {
+    throw new Error(`generated.pensionInputs.${fieldPrefix}.amc must be between 0 and 1.`);
+  }
+
+  const contributionCharge = optionalFiniteNumber(
+    rawValue.contributionCharge,
+    defaults.contributionCharge,
+    `${fieldPrefix}.contributionCharge`
+  );
+  if (contributionCharge < 0 || contributionCharge >= 1) {
+    throw new Error(`generated.pensionInputs.${fieldPrefix}.contributionCharge must be between 0 and 1.`);
+  }
+
+  const policyFee = optionalFiniteNumber(rawValue.policyFee, defaults.policyFee, `${fieldPrefix}.policyFee`);
+  if (policyFee < 0) {
+    throw new Error(`generated.pensionInputs.${fieldPrefix}.policyFee must not be negative.`);
+  }
+
+  return { amc, contributionCharge, policyFee };
+}
+
+function normalizePensionChargesInputs(rawValue) {
+  const charges = normalizeChargeFields(rawValue, 'charges', NO_CHARGES);
+  const showGrossComparison = rawValue?.showGrossComparison;
+  if (typeof showGrossComparison !== 'undefined' && typeof showGrossComparison !== 'boolean') {
+    throw new Error('generated.pensionInputs.charges.showGrossComparison must be a boolean when provided.');
+  }
+
+  return {
+    ...charges,
+    showGrossComparison: showGrossComparison === true
+  };
+}
+
+function hasAnyCharges(charges) {
+  return charges.amc > 0 || charges.contributionCharge > 0 || charges.policyFee > 0;
+}
+
+function describeCharges(charges) {
+  return [
+    `AMC ${toPercentText(charges.amc, 2)}`,
+    ...(charges.contributionCharge > 0 ? [`contribution charge ${toPercentText(charges.contributionCharge, 1)}`] : []),
+    ...(charges.policyFee > 0 ? [`policy fee ${toEuroText(charges.policyFee)}/yr`] : [])
+  ].join(', ');
+}
+
+function withoutCharges(inputs) {
+  return {
+    ...inputs,
+    charges: { ...inputs.charges, ...NO_CHARGES },
+    pots: inputs.pots.map((pot) => ({ ...pot, charges: { ...NO_CHARGES } }))
+  };
+}
+
+function normalizePensionPots(rawValue, { growthRate, charges }) {
+  if (typeof rawValue === 'undefined' || rawValue === null) {
+    return null;
+  }
+
+  if (!Array.isArray(rawValue) || rawValue.length === 0) {
+    throw new Error('generated.pensionInputs.pots must be a non-empty array when provided.');
+  }
+
+  return rawValue.map((rawPot, index) => {
+    const fieldPrefix = `pots[${index}]`;
+    if (!rawPot || typeof rawPot !== 'object' || Array.isArray(rawPot)) {
+      throw new Error(`generated.pensionInputs.${fieldPrefix} must be an object.`);
+    }
+
+    const type = typeof rawPot.type === 'string' ? rawPot.type.trim().toLowerCase() : '';
+    if (!Object.prototype.hasOwnProperty.call(PENSION_POT_TYPE_LABELS, type)) {
+      throw new Error(
+        `generated.pensionInputs.${fieldPrefix}.type must be one of: ${Object.keys(PENSION_POT_TYPE_LABELS).join(', ')}.`
+      );
+    }
+
+    const balance = requireFiniteNumber(rawPot.balance, `${fieldPrefix}.balance`);
+    const personalPct = optionalFiniteNumber(rawPot.personalPct, 0, `${fieldPrefix}.personalPct`);
+    const employerPct = optionalFiniteNumber(rawPot.employerPct, 0, `${fieldPrefix}.employerPct`);
+    if (balance < 0 || personalPct < 0 || employerPct < 0) {
+      throw new Error(`generated.pensionInputs.${fieldPrefix} balance and contributions must not be negative.`);
+    }
+
+    if (type === 'prb' && (personalPct > 0 || employerPct > 0)) {
+      throw new Error(`generated.pensionInputs.${fieldPrefix} is a PRB, which cannot receive contributions.`);
+    }
+
+    const potGrowthRate = optionalFiniteNumber(rawPot.growthRate, growthRate, `${fieldPrefix}.growthRate`);
+    if (potGrowthRate <= -1) {
+      throw new Error(`generated.pensionInputs.${fieldPrefix}.growthRate must be greater than -1.`);
+    }
+
+    const name = typeof rawPot.name === 'string' && rawPot.name.trim()
+      ? rawPot.name.trim()
+      : `${PENSION_POT_TYPE_LABELS[type]} ${index + 1}`;
+
+    return {
+      id: typeof rawPot.id === 'string' && rawPot.id.trim() ? rawPot.id.trim() : `pot-${index + 1}`,
+      name,
+      type,
+      balance,
+      personalPct,
+      employerPct,
+      growthRate: potGrowthRate,
+      charges: normalizeChargeFields(rawPot.charges, `${fieldPrefix}.charges`, charges)
+    };
+  });
+}
+
+function normalizeIncomeTaxInputs(rawValue, { currentYear }) {
+  if (typeof rawValue !== 'undefined' && rawValue !== null
+    && (typeof rawValue !== 'object' || Array.isArray(rawValue))) {
+    throw new Error('generated.pensionInputs.incomeTax must be an object when provided.');
+  }
+
+  const raw = rawValue || {};
+  const taxYear = typeof raw.taxYear === 'undefined' || raw.taxYear === null
+    ? currentYear
+    : requireFiniteInteger(raw.taxYear, 'incomeTax.taxYear');
+
+  const maritalStatus = typeof raw.maritalStatus === 'string'
+    ? raw.maritalStatus.trim().toLowerCase()
+    : 'single';
+  if (!INCOME_TAX_MARITAL_STATUSES.includes(maritalStatus)) {
+    throw new Error('generated.pensionInputs.incomeTax.maritalStatus must be "single" or "married".');
+  }
+
+  if (typeof raw.payeCreditEligible !== 'undefined' && typeof raw.payeCreditEligible !== 'boolean') {
+    throw new Error('generated.pensionInputs.incomeTax.payeCreditEligible must be a boolean when provided.');
+  }
+
+  const targetBasis = typeof raw.targetBasis === 'string'
+    ? raw.targetBasis.trim().toLowerCase()
+    : 'gross';
+  if (!INCOME_TAX_TARGET_BASES.includes(targetBasis)) {
+    throw new Error('generated.pensionInputs.incomeTax.targetBasis must be "gross" or "net".');
+  }
+
+  return {
+    taxYear,
+    maritalStatus,
+    payeCreditEligible: raw.payeCreditEligible === true,
+    targetBasis
+  };
+}
+
 function toPercentText(decimal, digits = 1) {
   return `${(decimal * 100).toFixed(digits)}%`;
 }
@@ -120,58 +429,77 @@ function floorSeriesToZero(values) {
   return values.map((value) => (Math.abs(value) < 1e-6 ? 0 : clampToZero(value)));
 }
 
-function ageBandPct(age) {
-  if (age < 30) {
-    return 0.15;
+export function resolvePensionRules(version = DEFAULT_PENSION_RULES_VERSION) {
+  const rules = PENSION_RULES[version];
+  if (!rules) {
+    throw new Error(`Unknown pension rules version "${version}".`);
   }
-  if (age <= 39) {
-    return 0.20;
+
+  return rules;
+}
+
+function validatePensionRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Pension rules must be an object.');
   }
-  if (age <= 49) {
-    return 0.25;
+
+  if (typeof rules.version !== 'string' || !rules.version.trim()) {
+    throw new Error('Pension rules must include a version.');
+  }
+
+  if (!isFiniteNumber(rules.earningsCap) || rules.earningsCap <= 0) {
+    throw new Error(`Pension rules ${rules.version}: earningsCap must be a positive number.`);
   }
-  if (age <= 54) {
-    return 0.30;
+
+  if (!Array.isArray(rules.ageReliefBands) || rules.ageReliefBands.length === 0) {
+    throw new Error(`Pension rules ${rules.version}: ageReliefBands must be a non-empty array.`);
   }
-  if (age <= 59) {
-    return 0.35;
+
+  if (!Array.isArray(rules.sftSchedule) || rules.sftSchedule.length === 0) {
+    throw new Error(`Pension rules ${rules.version}: sftSchedule must be a non-empty array.`);
   }
-  return 0.40;
-}
 
-function maxRelievablePersonalContribution(age, salaryAtAge) {
-  return ageBandPct(age) * Math.min(salaryAtAge, 115000);
+  return rules;
 }
 
-export function computeSft(retirementYear) {
-  if (retirementYear <= 2026) {
-    return {
-      sftValue: 2200000,
-      sftYearUsed: 2026,
-      heldConstantBeyond2029: false
-    };
-  }
+function ageBandPct(age, rules) {
+  const band = rules.ageReliefBands.find((entry) => entry.maxAge === null || age <= entry.maxAge);
+  return band ? band.pct : rules.ageReliefBands[rules.ageReliefBands.length - 1].pct;
+}
 
-  if (retirementYear === 2027) {
-    return {
-      sftValue: 2400000,
-      sftYearUsed: 2027,
-      heldConstantBeyond2029: false
-    };
-  }
+function maxRelievablePersonalContribution(age, salaryAtAge, rules) {
+  return ageBandPct(age, rules) * Math.min(salaryAtAge, rules.earningsCap);
+}
 
-  if (retirementYear === 2028) {
+export function computeSft(
+  retirementYear,
+  rules = resolvePensionRules(),
+  { indexationRate = 0 } = {}
+) {
+  const schedule = [...rules.sftSchedule].sort((left, right) => left.year - right.year);
+  const lastEntry = schedule[schedule.length - 1];
+  const scheduled = schedule.filter((entry) => entry.year <= retirementYear);
+  const entry = scheduled.length > 0 ? scheduled[scheduled.length - 1] : schedule[0];
+  const beyondSchedule = retirementYear > lastEntry.year;
+
+  if (beyondSchedule && indexationRate !== 0) {
     return {
-      sftValue: 2600000,
-      sftYearUsed: 2028,
-      heldConstantBeyond2029: false
+      sftValue: lastEntry.value * Math.pow(1 + indexationRate, retirementYear - lastEntry.year),
+      sftYearUsed: retirementYear,
+      lastScheduledYear: lastEntry.year,
+      indexationRate,
+      indexedBeyondSchedule: true,
+      heldConstantBeyondSchedule: false
     };
   }
 
   return {
-    sftValue: 2800000,
-    sftYearUsed: 2029,
-    heldConstantBeyond2029: retirementYear > 2029
+    sftValue: entry.value,
+    sftYearUsed: entry.year,
+    lastScheduledYear: lastEntry.year,
+    indexationRate,
+    indexedBeyondSchedule: false,
+    heldConstantBeyondSchedule: beyondSchedule
   };
 }
 
@@ -200,9 +528,12 @@ export function buildSftSummarySentence(flags, sftMeta) {
 
   const sftText = formatCurrencyEUR(sftMeta.sftValue);
   const yearText = sftMeta.sftYearUsed;
-  const suffix = sftMeta.heldConstantBeyond2029
-    ? ' (held at the 2029 level; future indexation isn’t modelled).'
-    : '.';
+  let suffix = '.';
+  if (sftMeta.indexedBeyondSchedule) {
+    suffix = ` (the ${sftMeta.lastScheduledYear} level indexed at ${toPercentText(sftMeta.indexationRate)} a year).`;
+  } else if (sftMeta.heldConstantBeyondSchedule) {
+    suffix = ` (held at the ${sftMeta.lastScheduledYear} level, with no indexation assumed).`;
+  }
 
   let baseSentence = '';
 
@@ -222,15 +553,7 @@ export function buildSftSummarySentence(flags, sftMeta) {
     baseSentence = `Across both projections and the pot required to meet the target income, the fund at retirement may exceed the Standard Fund Threshold (SFT) of ${sftText} for ${yearText}${suffix}`;
   }
 
-  if (!baseSentence) {
-    return '';
-  }
-
-  if (!sftMeta.heldConstantBeyond2029) {
-    return baseSentence;
-  }
-
-  return `${baseSentence} Future SFT increases may apply but aren’t predictable, so we’ve held the threshold constant beyond 2029.`;
+  return baseSentence;
 }
 
 function buildAgeRange(startAge, endAge) {
@@ -241,42 +564,230 @@ function buildAgeRange(startAge, endAge) {
   return labels;
 }
 
+function potGrowthRateAtAge(inputs, pot, age) {
+  const index = age - inputs.currentAge;
+  if (Array.isArray(inputs.returnPath) && isFiniteNumber(inputs.returnPath[index])) {
+    return pot.growthRate + (inputs.returnPath[index] - inputs.growthRate);
+  }
+
+  return pot.growthRate;
+}
+
+function allocatePersonalContribution(pots, personalEur) {
+  const weightTotal = pots.reduce((sum, pot) => sum + pot.personalPct, 0);
+  if (weightTotal > 0) {
+    return pots.map((pot) => personalEur * (pot.personalPct / weightTotal));
+  }
+
+  const fallbackIndex = pots.findIndex((pot) => pot.type !== 'prb');
+  return pots.map((_pot, index) => (index === fallbackIndex ? personalEur : 0));
+}
+
+function growthRateAtAge(inputs, age) {
+  if (!Array.isArray(inputs.returnPath)) {
+    return inputs.growthRate;
+  }
+
+  const pathRate = inputs.returnPath[age - inputs.currentAge];
+  return isFiniteNumber(pathRate) ? pathRate : inputs.growthRate;
+}
+
 function targetIncomeNominalAtAge(inputs, age) {
   const yearsFromToday = Math.max(0, age - inputs.currentAge);
   const nominal = inputs.targetIncomeToday * Math.pow(1 + inputs.inflationRate, yearsFromToday);
   return Number.isFinite(nominal) ? nominal : 0;
 }
 
+function statePensionAnnualTodayValue(inputs) {
+  if (!inputs.statePension) {
+    return 0;
+  }
+
+  return inputs.statePension.weeklyRate * WEEKS_PER_YEAR * inputs.statePension.qualifyingFraction;
+}
+
+function statePensionNominalAtAge(inputs, age) {
+  if (!inputs.statePension || age < inputs.statePension.startAge) {
+    return 0;
+  }
+
+  const yearsFromToday = Math.max(0, age - inputs.currentAge);
+  const nominal = statePensionAnnualTodayValue(inputs)
+    * Math.pow(1 + inputs.statePension.indexationRate, yearsFromToday);
+  return Number.isFinite(nominal) ? nominal : 0;
+}
+
+function inflationFactorAtAge(inputs, age) {
+  return Math.pow(1 + inputs.inflationRate, Math.max(0, age - inputs.currentAge));
+}
+
+function incomeTaxOptionsAtAge(inputs, age) {
+  return {
+    age,
+    maritalStatus: inputs.incomeTax.maritalStatus,
+    payeCreditEligible: inputs.incomeTax.payeCreditEligible,
+    taxYear: inputs.incomeTax.taxYear
+  };
+}
+
+function isNetTargetBasis(inputs) {
+  return inputs.incomeTax?.targetBasis === 'net';
+}
+
+// Keyed by the normalized incomeTax object, which scenario clones share by reference.
+const pensionIncomeForNetCache = new WeakMap();
+
+function pensionIncomeTodayForNet(inputs, age, netIncomeToday, statePensionToday) {
+  let cache = pensionIncomeForNetCache.get(inputs.incomeTax);
+  if (!cache) {
+    cache = new Map();
+    pensionIncomeForNetCache.set(inputs.incomeTax, cache);
+  }
+
+  const key = `${age}|${netIncomeToday}|${statePensionToday}`;
+  if (!cache.has(key)) {
+    cache.set(key, solvePensionIncomeForNet({
+      ...incomeTaxOptionsAtAge(inputs, age),
+      netIncome: netIncomeToday,
+      statePensionIncome: statePensionToday
+    }));
+  }
+
+  return cache.get(key);
+}
+
+// Tax is assessed in today's money (bands and credits assumed to rise with inflation).
+function grossIncomeNeedNominalAtAge(inputs, age) {
+  const targetNominal = targetIncomeNominalAtAge(inputs, age);
+  if (!isNetTargetBasis(inputs)) {
+    return targetNominal;
+  }
+
+  const factor = inflationFactorAtAge(inputs, age);
+  const statePensionToday = statePensionNominalAtAge(inputs, age) / factor;
+  const pensionIncomeToday = pensionIncomeTodayForNet(inputs, age, targetNominal / factor, statePensionToday);
+
+  return (pensionIncomeToday + statePensionToday) * factor;
+}
+
+function computeNetIncomeAtAge(inputs, age, grossIncomeNominal) {
+  const factor = inflationFactorAtAge(inputs, age);
+  const safeGross = clampToZero(grossIncomeNominal);
+  const statePensionNominal = Math.min(safeGross, statePensionNominalAtAge(inputs, age));
+  const result = computeIrishIncomeTax({
+    ...incomeTaxOptionsAtAge(inputs, age),
+    pensionIncome: (safeGross - statePensionNominal) / factor,
+    statePensionIncome: statePensionNominal / factor
+  });
+
+  return {
+    age,
+    ...result,
+    netIncomeNominal: result.netIncome * factor
+  };
+}
+
+function drawdownNeedNominalAtAge(inputs, age, annuityIncome = 0) {
+  return clampToZero(
+    grossIncomeNeedNominalAtAge(inputs, age) - statePensionNominalAtAge(inputs, age) - annuityIncome
+  );
+}
+
+function computeRetirementLumpSumTax(lumpSum) {
+  let tax = 0;
+  let bandFloor = 0;
+
+  RETIREMENT_LUMP_SUM_TAX_BANDS.forEach((band) => {
+    const taxableInBand = Math.min(lumpSum, band.upTo) - bandFloor;
+    if (taxableInBand > 0) {
+      tax += taxableInBand * band.rate;
+    }
+    bandFloor = band.upTo;
+  });
+
+  return tax;
+}
+
+function splitRetirementPot(inputs, pot) {
+  const safePot = clampToZero(Number.isFinite(pot) ? pot : 0);
+  if (!inputs.retirementEvent) {
+    return {
+      pot: safePot,
+      lumpSum: 0,
+      lumpSumTax: 0,
+      netLumpSum: 0,
+      annuityPurchase: 0,
+      annuityIncome: 0,
+      drawdownPot: safePot
+    };
+  }
+
+  const { lumpSumPct, annuityFraction, annuityRate } = inputs.retirementEvent;
+  const lumpSum = safePot * lumpSumPct;
+  const lumpSumTax = computeRetirementLumpSumTax(lumpSum);
+  const annuityPurchase = (safePot - lumpSum) * annuityFraction;
+
+  return {
+    pot: safePot,
+    lumpSum,
+    lumpSumTax,
+    netLumpSum: lumpSum - lumpSumTax,
+    annuityPurchase,
+    annuityIncome: annuityPurchase * annuityRate,
+    drawdownPot: safePot - lumpSum - annuityPurchase
+  };
+}
+
 function simulateAccumulation(inputs, personalContributionFn) {
+  const pots = inputs.pots;
   const labels = [inputs.currentAge];
   const balances = [inputs.currentPot];
+  const potBalanceSeries = pots.map((pot) => [pot.balance]);
   const personalEurSeries = [];
   const employerEurSeries = [];
   const contribEurSeries = [];
   const growthEurSeries = [];
-  let balance = inputs.currentPot;
+  const chargesEurSeries = [];
+  const potBalances = pots.map((pot) => pot.balance);
 
   for (let age = inputs.currentAge; age < inputs.retirementAge; age += 1) {
-    const startBalance = balance;
     const salaryAtAge = inputs.currentSalary * Math.pow(1 + inputs.wageGrowthRate, age - inputs.currentAge);
     const personalEurRaw = personalContributionFn(age, salaryAtAge);
     const personalEur = Number.isFinite(personalEurRaw) ? personalEurRaw : 0;
-    const employerEurRaw = inputs.employerPct * salaryAtAge;
-    const employerEur = Number.isFinite(employerEurRaw) ? employerEurRaw : 0;
-    const contribEur = personalEur + employerEur;
-    const preGrowth = startBalance + contribEur;
-    const endBalance = preGrowth * (1 + inputs.growthRate);
-    const growthEurRaw = endBalance - preGrowth;
-    const growthEur = Number.isFinite(growthEurRaw) ? growthEurRaw : 0;
-
-    balance = Number.isFinite(endBalance) ? endBalance : preGrowth;
+    const personalByPot = allocatePersonalContribution(pots, personalEur);
+    let employerEur = 0;
+    let growthEur = 0;
+    let chargesEur = 0;
+
+    pots.forEach((pot, potIndex) => {
+      const employerEurRaw = pot.employerPct * salaryAtAge;
+      const potEmployerEur = Number.isFinite(employerEurRaw) ? employerEurRaw : 0;
+      const potContribEur = personalByPot[potIndex] + potEmployerEur;
+      const contributionChargeEur = potContribEur * pot.charges.contributionCharge;
+      const preGrowth = potBalances[potIndex] + potContribEur - contributionChargeEur;
+      const grownBalance = preGrowth * (1 + potGrowthRateAtAge(inputs, pot, age));
+      const amcEur = grownBalance * pot.charges.amc;
+      const policyFeeEur = Math.min(pot.charges.policyFee, Math.max(0, grownBalance - amcEur));
+      const endBalance = grownBalance - amcEur - policyFeeEur;
+      // Growth is reported net of every charge so contributions + growth = change in pot.
+      const growthEurRaw = endBalance - (potBalances[potIndex] + potContribEur);
+      const chargesEurRaw = contributionChargeEur + amcEur + policyFeeEur;
+
+      potBalances[potIndex] = Number.isFinite(endBalance) ? endBalance : preGrowth;
+      potBalanceSeries[potIndex].push(potBalances[potIndex]);
+      employerEur += potEmployerEur;
+      growthEur += Number.isFinite(growthEurRaw) ? growthEurRaw : 0;
+      chargesEur += Number.isFinite(chargesEurRaw) ? chargesEurRaw : 0;
+    });
+
     personalEurSeries.push(personalEur);
     employerEurSeries.push(employerEur);
-    contribEurSeries.push(contribEur);
+    contribEurSeries.push(personalEur + employerEur);
     growthEurSeries.push(growthEur);
+    chargesEurSeries.push(chargesEur);
 
     labels.push(age + 1);
-    balances.push(balance);
+    balances.push(potBalances.reduce((sum, value) => sum + value, 0));
   }
 
   while (personalEurSeries.length < labels.length) {
@@ -302,21 +813,65 @@ function simulateAccumulation(inputs, personalContributionFn) {
     employerEurSeries,
     contribEurSeries,
     growthEurSeries,
+    chargesEurSeries,
+    totalCharges: chargesEurSeries.reduce((sum, value) => sum + value, 0),
+    potSeries: pots.map((pot, potIndex) => ({
+      id: pot.id,
+      name: pot.name,
+      type: pot.type,
+      balances: potBalanceSeries[potIndex],
+      retirementPot: potBalanceSeries[potIndex][potBalanceSeries[potIndex].length - 1]
+    })),
     retirementPot: balances[balances.length - 1]
   };
 }
 
-function computeRequiredPotAtRetirement(inputs) {
+function computeRequiredDrawdownPot(inputs, annuityIncome) {
   let requiredBalance = 0;
 
   for (let age = inputs.horizonEndAge - 1; age >= inputs.retirementAge; age -= 1) {
-    const withdrawalAtAge = targetIncomeNominalAtAge(inputs, age);
-    requiredBalance = withdrawalAtAge + (requiredBalance / (1 + inputs.growthRate));
+    const withdrawalAtAge = drawdownNeedNominalAtAge(inputs, age, annuityIncome);
+    requiredBalance = withdrawalAtAge
+      + ((requiredBalance + inputs.charges.policyFee) / ((1 + inputs.growthRate) * (1 - inputs.charges.amc)));
   }
 
   return clampToZero(requiredBalance);
 }
 
+function computeRequiredPotAtRetirement(inputs) {
+  if (!inputs.retirementEvent) {
+    return computeRequiredDrawdownPot(inputs, 0);
+  }
+
+  const { lumpSumPct, annuityFraction, annuityRate } = inputs.retirementEvent;
+  const drawdownShare = (1 - lumpSumPct) * (1 - annuityFraction);
+  const annuityIncomePerEuro = (1 - lumpSumPct) * annuityFraction * annuityRate;
+  const shortfallAt = (pot) => computeRequiredDrawdownPot(inputs, annuityIncomePerEuro * pot) - (drawdownShare * pot);
+
+  const requiredWithoutAnnuity = computeRequiredDrawdownPot(inputs, 0);
+  if (requiredWithoutAnnuity <= 0) {
+    return 0;
+  }
+
+  let low = 0;
+  let high = requiredWithoutAnnuity / (1 - lumpSumPct);
+  for (let expansion = 0; expansion < 60 && shortfallAt(high) > 0; expansion += 1) {
+    low = high;
+    high *= 2;
+  }
+
+  for (let iteration = 0; iteration < 60; iteration += 1) {
+    const mid = (low + high) / 2;
+    if (shortfallAt(mid) > 0) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return clampToZero(high);
+}
+
 function computeRequiredPotForIncomeToday(inputs, incomeToday, horizonEndAge) {
   const cloned = {
     ...inputs,
@@ -388,18 +943,60 @@ function goalSeekAffordableIncomeToday(inputs, retirementPot, horizonEndAge) {
   };
 }
 
+function applyDrawdownCharges(inputs, grownBalance) {
+  const safeBalance = clampToZero(grownBalance);
+  const amcEur = safeBalance * inputs.charges.amc;
+  const policyFeeEur = Math.min(inputs.charges.policyFee, safeBalance - amcEur);
+  return {
+    balance: clampToZero(safeBalance - amcEur - policyFeeEur),
+    chargesEur: amcEur + policyFeeEur
+  };
+}
+
+// Pots are pooled into one drawdown fund at retirement, so drawdown grows and is charged at
+// the blend of the pots weighted by their balances then. Without pots the module-level
+// growth rate and charges are the pot's own, so nothing changes.
+function withDrawdownAssumptions(inputs, potsAtRetirement) {
+  if (!inputs.potsProvided) {
+    return inputs;
+  }
+
+  const balances = inputs.pots.map((pot, index) => clampToZero(potsAtRetirement[index]?.retirementPot ?? 0));
+  const totalBalance = balances.reduce((sum, value) => sum + value, 0);
+  const weights = totalBalance > 0
+    ? balances.map((value) => value / totalBalance)
+    : inputs.pots.map(() => 1 / inputs.pots.length);
+  const blend = (readValue) => inputs.pots.reduce((sum, pot, index) => sum + (readValue(pot) * weights[index]), 0);
+
+  return {
+    ...inputs,
+    growthRate: blend((pot) => pot.growthRate),
+    charges: {
+      ...inputs.charges,
+      amc: blend((pot) => pot.charges.amc),
+      // Nothing is contributed in drawdown.
+      contributionCharge: 0,
+      policyFee: blend((pot) => pot.charges.policyFee)
+    },
+    defaultGrowthRate: inputs.growthRate,
+    defaultCharges: inputs.charges
+  };
+}
+
 function simulateRetirementBalances(inputs, startBalance) {
   const labels = buildAgeRange(inputs.retirementAge, inputs.horizonEndAge);
   const balances = [];
   const withdrawals = [];
-  let balance = clampToZero(startBalance);
+  const split = splitRetirementPot(inputs, startBalance);
+  let balance = split.drawdownPot;
+  let totalCharges = 0;
 
   labels.forEach((age) => {
     const currentBalance = clampToZero(balance);
     balances.push(currentBalance);
 
     const withdrawalAtAge = age <= (inputs.horizonEndAge - 1)
-      ? targetIncomeNominalAtAge(inputs, age)
+      ? drawdownNeedNominalAtAge(inputs, age, split.annuityIncome)
       : 0;
     withdrawals.push(withdrawalAtAge);
 
@@ -409,13 +1006,17 @@ function simulateRetirementBalances(inputs, startBalance) {
       return;
     }
 
-    balance = clampToZero(postWithdrawal * (1 + inputs.growthRate));
+    const grown = applyDrawdownCharges(inputs, postWithdrawal * (1 + growthRateAtAge(inputs, age)));
+    totalCharges += grown.chargesEur;
+    balance = grown.balance;
   });
 
   return {
     labels,
     balances,
     withdrawals,
+    split,
+    totalCharges,
     endingBalanceAfterHorizon: clampToZero(balance)
   };
 }
@@ -424,13 +1025,13 @@ function simulateMinimumDrawdown(inputs, startBalance) {
   const labels = buildAgeRange(inputs.retirementAge, inputs.horizonEndAge);
   const minDrawdowns = [];
   const targets = [];
-  let balance = clampToZero(startBalance);
+  let balance = splitRetirementPot(inputs, startBalance).drawdownPot;
 
   labels.forEach((age) => {
     const currentBalance = clampToZero(balance);
     const drawdownRate = age < 70 ? 0.04 : 0.05;
     const minimumDrawdown = drawdownRate * currentBalance;
-    const targetIncome = targetIncomeNominalAtAge(inputs, age);
+    const targetIncome = grossIncomeNeedNominalAtAge(inputs, age);
 
     minDrawdowns.push(minimumDrawdown);
     targets.push(targetIncome);
@@ -445,8 +1046,7 @@ function simulateMinimumDrawdown(inputs, startBalance) {
       return;
     }
 
-    balance = (currentBalance - minimumDrawdown) * (1 + inputs.growthRate);
-    balance = clampToZero(balance);
+    balance = applyDrawdownCharges(inputs, (currentBalance - minimumDrawdown) * (1 + inputs.growthRate)).balance;
   });
 
   return {
@@ -472,6 +1072,7 @@ function buildAffordableDrawdownSeries(inputs, startBalance, incomeToday, horizo
     labels: result.labels,
     balances: result.balances,
     withdrawals: result.withdrawals,
+    totalCharges: result.totalCharges,
     endingBalanceAfterHorizon: result.endingBalanceAfterHorizon
   };
 }
@@ -508,10 +1109,134 @@ function buildAffordableIncomeResult(inputs, retirementPot, endAge, fullLabels)
     requiredPotAtRetirement: goalSeek.requiredPotAtRetirementBest,
     gap: goalSeek.gap,
     endingBalanceAfterHorizon: drawdown.endingBalanceAfterHorizon,
+    drawdownCharges: drawdown.totalCharges,
     balancesPadded: paddedBalances
   };
 }
 
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let mixed = state;
+    mixed = Math.imul(mixed ^ (mixed >>> 15), mixed | 1);
+    mixed ^= mixed + Math.imul(mixed ^ (mixed >>> 7), mixed | 61);
+    return ((mixed ^ (mixed >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleStandardNormal(random) {
+  let uniform = 0;
+  while (uniform <= 0) {
+    uniform = random();
+  }
+
+  return Math.sqrt(-2 * Math.log(uniform)) * Math.cos(2 * Math.PI * random());
+}
+
+function percentileOfSorted(sortedValues, fraction) {
+  if (sortedValues.length === 0) {
+    return 0;
+  }
+
+  const position = (sortedValues.length - 1) * fraction;
+  const lowerIndex = Math.floor(position);
+  const upperIndex = Math.ceil(position);
+  const lower = sortedValues[lowerIndex];
+  const upper = sortedValues[upperIndex];
+  return lower + ((upper - lower) * (position - lowerIndex));
+}
+
+function buildPercentileBands(samplesByIndex) {
+  const bands = {
+    p10: [],
+    p50: [],
+    p90: []
+  };
+
+  samplesByIndex.forEach((samples) => {
+    const sorted = [...samples].sort((left, right) => left - right);
+    bands.p10.push(percentileOfSorted(sorted, 0.1));
+    bands.p50.push(percentileOfSorted(sorted, 0.5));
+    bands.p90.push(percentileOfSorted(sorted, 0.9));
+  });
+
+  return bands;
+}
+
+function simulateStochasticPaths(inputs, personalContributionFn, incomeToday, endAge) {
+  const { volatility, paths, seed, successAge } = inputs.stochastic;
+  const random = createSeededRandom(seed);
+  const drift = Math.log(1 + inputs.growthRate) - ((volatility * volatility) / 2);
+  const yearsCount = Math.max(0, endAge - inputs.currentAge);
+  const accumulationSamples = [];
+  const retirementSamples = [];
+  const retirementPots = [];
+  let accumulationLabels = [];
+  let retirementLabels = [];
+  let successCount = 0;
+
+  for (let pathIndex = 0; pathIndex < paths; pathIndex += 1) {
+    const returnPath = [];
+    for (let yearIndex = 0; yearIndex < yearsCount; yearIndex += 1) {
+      returnPath.push(Math.exp(drift + (volatility * sampleStandardNormal(random))) - 1);
+    }
+
+    const pathInputs = {
+      ...inputs,
+      returnPath,
+      targetIncomeToday: clampToZero(Number.isFinite(incomeToday) ? incomeToday : 0),
+      horizonEndAge: endAge
+    };
+    const accumulation = simulateAccumulation(pathInputs, personalContributionFn);
+    const retirement = simulateRetirementBalances(pathInputs, accumulation.retirementPot);
+    const flooredRetirement = floorSeriesToZero(retirement.balances);
+
+    accumulationLabels = accumulation.labels;
+    retirementLabels = retirement.labels;
+    retirementPots.push(accumulation.retirementPot);
+
+    accumulation.balances.forEach((value, index) => {
+      if (!accumulationSamples[index]) {
+        accumulationSamples[index] = [];
+      }
+      accumulationSamples[index].push(value);
+    });
+
+    flooredRetirement.forEach((value, index) => {
+      if (!retirementSamples[index]) {
+        retirementSamples[index] = [];
+      }
+      retirementSamples[index].push(value);
+    });
+
+    const successIndex = retirement.labels.indexOf(successAge);
+    if (successIndex >= 0 && flooredRetirement[successIndex] > STOCHASTIC_SUCCESS_EPSILON) {
+      successCount += 1;
+    }
+  }
+
+  const sortedRetirementPots = [...retirementPots].sort((left, right) => left - right);
+
+  return {
+    volatility,
+    paths,
+    seed,
+    successAge,
+    accumulationLabels,
+    accumulationBands: buildPercentileBands(accumulationSamples),
+    retirementLabels,
+    retirementBands: buildPercentileBands(retirementSamples),
+    retirementPotPercentiles: {
+      p10: percentileOfSorted(sortedRetirementPots, 0.1),
+      p50: percentileOfSorted(sortedRetirementPots, 0.5),
+      p90: percentileOfSorted(sortedRetirementPots, 0.9)
+    },
+    successProbability: paths > 0 ? successCount / paths : 0
+  };
+}
+
 export function normalizePensionInputs(raw) {
   if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
     throw new Error('generated.pensionInputs must be an object.');
@@ -523,9 +1248,6 @@ export function normalizePensionInputs(raw) {
     currentAge: requireFiniteInteger(raw.currentAge, 'currentAge'),
     retirementAge: requireFiniteInteger(raw.retirementAge, 'retirementAge'),
     currentSalary: requireFiniteNumber(raw.currentSalary, 'currentSalary'),
-    currentPot: requireFiniteNumber(raw.currentPot, 'currentPot'),
-    personalPct: requireFiniteNumber(raw.personalPct, 'personalPct'),
-    employerPct: requireFiniteNumber(raw.employerPct, 'employerPct'),
     growthRate: requireFiniteNumber(raw.growthRate, 'growthRate'),
     inflationRate: optionalFiniteNumber(raw.inflationRate, DEFAULT_INFLATION_RATE, 'inflationRate'),
     wageGrowthRate: optionalFiniteNumber(raw.wageGrowthRate, DEFAULT_WAGE_GROWTH_RATE, 'wageGrowthRate'),
@@ -538,6 +1260,38 @@ export function normalizePensionInputs(raw) {
     incomeMode: normalizeIncomeMode(raw.incomeMode)
   };
 
+  normalized.charges = normalizePensionChargesInputs(raw.charges);
+  const pots = normalizePensionPots(raw.pots, {
+    growthRate: normalized.growthRate,
+    charges: normalized.charges
+  });
+  if (pots) {
+    normalized.currentPot = pots.reduce((sum, pot) => sum + pot.balance, 0);
+    normalized.personalPct = pots.reduce((sum, pot) => sum + pot.personalPct, 0);
+    normalized.employerPct = pots.reduce((sum, pot) => sum + pot.employerPct, 0);
+    normalized.pots = pots;
+    normalized.potsProvided = true;
+  } else {
+    normalized.currentPot = requireFiniteNumber(raw.currentPot, 'currentPot');
+    normalized.personalPct = requireFiniteNumber(raw.personalPct, 'personalPct');
+    normalized.employerPct = requireFiniteNumber(raw.employerPct, 'employerPct');
+    normalized.pots = [{
+      id: 'pot-1',
+      name: 'Pension',
+      type: 'occupational',
+      balance: normalized.currentPot,
+      personalPct: normalized.personalPct,
+      employerPct: normalized.employerPct,
+      growthRate: normalized.growthRate,
+      charges: {
+        amc: normalized.charges.amc,
+        contributionCharge: normalized.charges.contributionCharge,
+        policyFee: normalized.charges.policyFee
+      }
+    }];
+    normalized.potsProvided = false;
+  }
+
   if (typeof raw.minDrawdownMode === 'undefined') {
     normalized.minDrawdownMode = false;
   } else if (typeof raw.minDrawdownMode !== 'boolean') {
@@ -593,12 +1347,107 @@ export function normalizePensionInputs(raw) {
     throw new Error('generated.pensionInputs.wageGrowthRate must be greater than -1.');
   }
 
+  const retirementEvent = normalizeRetirementEventInputs(raw.retirementEvent);
+  if (retirementEvent) {
+    normalized.retirementEvent = retirementEvent;
+  }
+
+  const statePension = normalizeStatePensionInputs(raw.statePension, {
+    inflationRate: normalized.inflationRate
+  });
+  if (statePension) {
+    normalized.statePension = statePension;
+  }
+
+  if (typeof raw.rulesVersion === 'undefined' || raw.rulesVersion === null) {
+    normalized.rulesVersion = DEFAULT_PENSION_RULES_VERSION;
+  } else if (typeof raw.rulesVersion !== 'string' || !PENSION_RULES[raw.rulesVersion.trim()]) {
+    throw new Error(
+      `generated.pensionInputs.rulesVersion must be one of: ${Object.keys(PENSION_RULES).join(', ')}.`
+    );
+  } else {
+    normalized.rulesVersion = raw.rulesVersion.trim();
+  }
+
+  normalized.sftIndexationRate = optionalFiniteNumber(raw.sftIndexationRate, 0, 'sftIndexationRate');
+  if (normalized.sftIndexationRate <= -1) {
+    throw new Error('generated.pensionInputs.sftIndexationRate must be greater than -1.');
+  }
+
+  const isAffordableMode = effectiveIncomeMode === 'affordable';
+  normalized.incomeTax = normalizeIncomeTaxInputs(raw.incomeTax, {
+    currentYear: normalized.currentYear
+  });
+  if (isAffordableMode && normalized.incomeTax.targetBasis === 'net') {
+    // Affordable mode goal-seeks gross income and reports the net view alongside, so a net
+    // basis would be ignored rather than honoured.
+    throw new Error(
+      'generated.pensionInputs.incomeTax.targetBasis must be "gross" when incomeMode is "affordable"; '
+      + 'the net income is reported alongside.'
+    );
+  }
+
+  const stochastic = normalizeStochasticInputs(raw.stochastic, {
+    retirementAge: normalized.retirementAge,
+    defaultSuccessAge: isAffordableMode
+      ? normalized.affordableEndAges[normalized.affordableEndAges.length - 1]
+      : normalized.horizonEndAge
+  });
+  if (stochastic) {
+    normalized.stochastic = stochastic;
+  }
+
   return normalized;
 }
 
-export function computePensionProjection(rawInputs) {
-  const inputs = normalizePensionInputs(rawInputs);
-  const isAffordableMode = inputs.incomeMode === 'affordable' && !inputs.minDrawdownMode;
+// Age-by-age cash flows of the current-contribution scenario for planners that fold the
+// pension into a wider picture. Drawdown follows the target income; amounts are nominal.
+export function computePensionCashflowSeries(rawInputs, options = {}) {
+  const normalizedInputs = normalizePensionInputs(rawInputs);
+  const rules = validatePensionRules(options.rules || resolvePensionRules(normalizedInputs.rulesVersion));
+  const accumulation = simulateAccumulation(
+    normalizedInputs,
+    (age, salaryAtAge) => Math.min(
+      normalizedInputs.personalPct * salaryAtAge,
+      maxRelievablePersonalContribution(age, salaryAtAge, rules)
+    )
+  );
+  const inputs = withDrawdownAssumptions(normalizedInputs, accumulation.potSeries);
+  const retirement = simulateRetirementBalances(inputs, accumulation.retirementPot);
+  const { split } = retirement;
+
+  const rows = buildAgeRange(inputs.currentAge, inputs.horizonEndAge).map((age) => {
+    const accumulationIndex = age - inputs.currentAge;
+    const retirementIndex = age - inputs.retirementAge;
+    const isRetired = age >= inputs.retirementAge;
+    const potBalance = isRetired
+      ? (retirement.balances[retirementIndex] ?? 0)
+      : accumulation.balances[accumulationIndex];
+
+    return {
+      age,
+      personalContribution: isRetired ? 0 : accumulation.personalEurSeries[accumulationIndex],
+      employerContribution: isRetired ? 0 : accumulation.employerEurSeries[accumulationIndex],
+      potBalance,
+      drawdown: isRetired ? Math.min(potBalance, retirement.withdrawals[retirementIndex] ?? 0) : 0,
+      annuityIncome: isRetired ? split.annuityIncome : 0,
+      statePension: statePensionNominalAtAge(inputs, age),
+      netLumpSum: age === inputs.retirementAge ? split.netLumpSum : 0
+    };
+  });
+
+  return {
+    inputs,
+    retirementPot: accumulation.retirementPot,
+    split,
+    rows
+  };
+}
+
+export function computePensionProjection(rawInputs, options = {}) {
+  const normalizedInputs = normalizePensionInputs(rawInputs);
+  const rules = validatePensionRules(options.rules || resolvePensionRules(normalizedInputs.rulesVersion));
+  const isAffordableMode = normalizedInputs.incomeMode === 'affordable' && !normalizedInputs.minDrawdownMode;
 
   const currentContributionCapStats = {
     wasCapped: false,
@@ -607,10 +1456,10 @@ export function computePensionProjection(rawInputs) {
   };
 
   const currentScenario = simulateAccumulation(
-    inputs,
+    normalizedInputs,
     (age, salaryAtAge) => {
-      const desired = inputs.personalPct * salaryAtAge;
-      const cap = maxRelievablePersonalContribution(age, salaryAtAge);
+      const desired = normalizedInputs.personalPct * salaryAtAge;
+      const cap = maxRelievablePersonalContribution(age, salaryAtAge, rules);
       if (desired > cap && !currentContributionCapStats.wasCapped) {
         currentContributionCapStats.wasCapped = true;
         currentContributionCapStats.firstCappedAge = age;
@@ -621,9 +1470,11 @@ export function computePensionProjection(rawInputs) {
   );
 
   const maxScenario = simulateAccumulation(
-    inputs,
-    (age, salaryAtAge) => maxRelievablePersonalContribution(age, salaryAtAge)
+    normalizedInputs,
+    (age, salaryAtAge) => maxRelievablePersonalContribution(age, salaryAtAge, rules)
   );
+  // Drawdown, the required pot and the stochastic paths all use the pooled fund at retirement.
+  const inputs = withDrawdownAssumptions(normalizedInputs, currentScenario.potSeries);
 
   const monotonicIssues = [];
   for (let index = 1; index < maxScenario.balances.length; index += 1) {
@@ -650,6 +1501,10 @@ export function computePensionProjection(rawInputs) {
     const rawValue = retirementSimulationProjectedCurrent.withdrawals?.[index];
     return clampToZero(Number.isFinite(rawValue) ? rawValue : 0);
   });
+  const hasStatePension = Boolean(inputs.statePension);
+  const hasRetirementEvent = Boolean(inputs.retirementEvent);
+  const retirementSplitCurrent = retirementSimulationProjectedCurrent.split;
+  const retirementSplitMax = retirementSimulationProjectedMax.split;
 
   const requiredPot = isAffordableMode ? null : computeRequiredPotAtRetirement(inputs);
   const retirementSimulationRequired = isAffordableMode ? null : simulateRetirementBalances(inputs, requiredPot);
@@ -692,8 +1547,28 @@ export function computePensionProjection(rawInputs) {
     ];
   }
 
+  let stochasticResult = null;
+  if (inputs.stochastic) {
+    const stochasticEndAge = isAffordableMode
+      ? inputs.affordableEndAges[inputs.affordableEndAges.length - 1]
+      : inputs.horizonEndAge;
+    const stochasticIncomeToday = isAffordableMode
+      ? affordableCurrentResults[affordableCurrentResults.length - 1]?.incomeToday
+      : inputs.targetIncomeToday;
+
+    stochasticResult = simulateStochasticPaths(
+      inputs,
+      (age, salaryAtAge) => Math.min(
+        inputs.personalPct * salaryAtAge,
+        maxRelievablePersonalContribution(age, salaryAtAge, rules)
+      ),
+      stochasticIncomeToday,
+      stochasticEndAge
+    );
+  }
+
   const retirementYear = inputs.currentYear + (inputs.retirementAge - inputs.currentAge);
-  const sftMeta = computeSft(retirementYear);
+  const sftMeta = computeSft(retirementYear, rules, { indexationRate: inputs.sftIndexationRate });
 
   const projectedPotCurrent = currentScenario.retirementPot;
   const projectedPotMaxPersonal = maxScenario.retirementPot;
@@ -734,23 +1609,147 @@ export function computePensionProjection(rawInputs) {
     ? `Your current personal contribution rate reaches the Irish max tax-relievable limit from age ${firstCappedAge}, so personal contributions are capped from that point.`
     : '';
 
+  const hasCharges = hasAnyCharges(inputs.charges) || inputs.pots.some((pot) => hasAnyCharges(pot.charges));
+  let chargesSummary = null;
+  if (hasCharges) {
+    const grossInputs = withoutCharges(inputs);
+    const grossScenario = simulateAccumulation(
+      grossInputs,
+      (age, salaryAtAge) => Math.min(
+        inputs.personalPct * salaryAtAge,
+        maxRelievablePersonalContribution(age, salaryAtAge, rules)
+      )
+    );
+    const referenceAffordable = isAffordableMode
+      ? affordableCurrentResults[affordableCurrentResults.length - 1]
+      : null;
+    const netDrawdown = referenceAffordable
+      ? buildAffordableDrawdownSeries(inputs, currentScenario.retirementPot, referenceAffordable.incomeToday, referenceAffordable.endAge)
+      : retirementSimulationProjectedCurrent;
+    const grossDrawdown = referenceAffordable
+      ? buildAffordableDrawdownSeries(
+        grossInputs,
+        grossScenario.retirementPot,
+        referenceAffordable.incomeToday,
+        referenceAffordable.endAge
+      )
+      : simulateRetirementBalances(grossInputs, grossScenario.retirementPot);
+
+    chargesSummary = {
+      accumulationCharges: currentScenario.totalCharges,
+      drawdownCharges: netDrawdown.totalCharges,
+      lifetimeCharges: currentScenario.totalCharges + netDrawdown.totalCharges,
+      grossRetirementPot: grossScenario.retirementPot,
+      potReductionAtRetirement: grossScenario.retirementPot - currentScenario.retirementPot,
+      labels: [...currentScenario.labels, ...netDrawdown.labels.slice(1)],
+      grossBalances: [...grossScenario.balances, ...floorSeriesToZero(grossDrawdown.balances).slice(1)],
+      netBalances: [...currentScenario.balances, ...floorSeriesToZero(netDrawdown.balances).slice(1)]
+    };
+  }
+
+  const taxTableMeta = resolveIrishTaxTable(inputs.incomeTax.taxYear);
+  const netTargetBasis = isNetTargetBasis(inputs);
+  const retirementInflationFactor = inflationFactorAtAge(inputs, inputs.retirementAge);
+  const formatNetIncomeBreakdown = (entry) => (
+    `${toEuroText(entry.netIncome)} p.a. (gross ${toEuroText(entry.grossIncome)}: `
+    + `income tax ${toEuroText(entry.incomeTax)}, USC ${toEuroText(entry.usc)}, PRSI ${toEuroText(entry.prsi)})`
+  );
+  const netIncomeByAge = isAffordableMode
+    ? []
+    : [...new Set([
+      inputs.retirementAge,
+      ...(hasStatePension ? [inputs.statePension.startAge] : []),
+      ...NET_INCOME_MILESTONE_AGES
+    ])]
+      .filter((age) => age >= inputs.retirementAge && age <= inputs.horizonEndAge - 1)
+      .sort((left, right) => left - right)
+      .map((age) => computeNetIncomeAtAge(inputs, age, grossIncomeNeedNominalAtAge(inputs, age)));
+  const buildAffordableNetIncome = (entry) => ({
+    endAge: entry.endAge,
+    ...computeNetIncomeAtAge(inputs, inputs.retirementAge, entry.incomeToday * retirementInflationFactor)
+  });
+  const affordableNetCurrent = affordableCurrentResults.map(buildAffordableNetIncome);
+  const affordableNetMax = affordableMaxResults.map(buildAffordableNetIncome);
+
   const assumptionsTable = {
     columns: ['Assumption', 'Value'],
     rows: [
       ['Current age', String(inputs.currentAge)],
       ['Retirement age', String(inputs.retirementAge)],
       ['Current salary', toEuroText(inputs.currentSalary)],
-      ['Current pension value', toEuroText(inputs.currentPot)],
-      ['Personal contribution', toPercentText(inputs.personalPct)],
-      ['Employer contribution', toPercentText(inputs.employerPct)],
-      ['Growth rate', toPercentText(inputs.growthRate)],
+      [
+        'Current pension value',
+        inputs.potsProvided
+          ? `${toEuroText(inputs.currentPot)} across ${inputs.pots.length} pot${inputs.pots.length === 1 ? '' : 's'}`
+          : toEuroText(inputs.currentPot)
+      ],
+      ...(inputs.potsProvided
+        ? inputs.pots.map((pot) => [
+          `${pot.name} (${PENSION_POT_TYPE_LABELS[pot.type]})`,
+          [
+            toEuroText(pot.balance),
+            `personal ${toPercentText(pot.personalPct)}`,
+            `employer ${toPercentText(pot.employerPct)}`,
+            `growth ${toPercentText(pot.growthRate)}`,
+            describeCharges(pot.charges)
+          ].join(', ')
+        ])
+        : []),
+      ['Personal contribution', `${toPercentText(inputs.personalPct)}${inputs.potsProvided ? ' (all pots)' : ''}`],
+      ['Employer contribution', `${toPercentText(inputs.employerPct)}${inputs.potsProvided ? ' (all pots)' : ''}`],
+      ...(inputs.potsProvided
+        ? [
+          ['Growth rate', `${toPercentText(inputs.defaultGrowthRate)} (pots without their own rate)`],
+          [
+            'Drawdown growth rate',
+            `${toPercentText(inputs.growthRate)} (pots weighted by balance at retirement${hasCharges ? ', before charges' : ''})`
+          ],
+          ...(hasCharges
+            ? [['Drawdown fund charges', `${describeCharges(inputs.charges)} (pots weighted by balance at retirement)`]]
+            : [])
+        ]
+        : [
+          ['Growth rate', `${toPercentText(inputs.growthRate)}${hasCharges ? ' (before charges)' : ''}`],
+          ...(hasCharges ? [['Fund charges', describeCharges(inputs.charges)]] : [])
+        ]),
       ['Wage growth', toPercentText(inputs.wageGrowthRate)],
       ['Inflation', toPercentText(inputs.inflationRate)],
       isAffordableMode
         ? ['Affordable income mode', 'Goal-seek (see outputs)']
-        : ['Target retirement income', toEuroText(inputs.targetIncomeToday)],
-      ['Earnings cap for max-relief maths', toEuroText(Math.min(inputs.currentSalary, 115000))],
-      ['Max personal age band %', `${toPercentText(ageBandPct(inputs.currentAge))} (steps with age)`],
+        : ['Target retirement income', `${toEuroText(inputs.targetIncomeToday)}${netTargetBasis ? ' (net of tax)' : ''}`],
+      [
+        'Income tax tables',
+        `${taxTableMeta.taxYearUsed}${taxTableMeta.heldConstantBeyondLatest ? ' (latest available)' : ''}, `
+        + `${inputs.incomeTax.maritalStatus}${inputs.incomeTax.payeCreditEligible ? ', PAYE credit' : ''}; `
+        + 'bands assumed to rise with inflation'
+      ],
+      ...(hasStatePension
+        ? [
+          [
+            'State Pension (Contributory)',
+            `${toEuroText(inputs.statePension.weeklyRate, 2)}/week from age ${inputs.statePension.startAge}`
+          ],
+          ['State Pension indexation', toPercentText(inputs.statePension.indexationRate)],
+          ['State Pension qualifying years', toPercentText(inputs.statePension.qualifyingFraction, 0)]
+        ]
+        : []),
+      ...(hasRetirementEvent
+        ? [
+          [
+            'Retirement lump sum',
+            `${toPercentText(inputs.retirementEvent.lumpSumPct)} of pot (first ${formatCurrencyEUR(RETIREMENT_LUMP_SUM_TAX_BANDS[0].upTo)} tax-free)`
+          ],
+          ['Annuity purchase', `${toPercentText(inputs.retirementEvent.annuityFraction)} of pot after lump sum`],
+          ['Annuity rate', `${toPercentText(inputs.retirementEvent.annuityRate, 2)} p.a.`]
+        ]
+        : []),
+      ['Pension rules version', `${rules.version}${rules.label ? ` (${rules.label})` : ''}`],
+      ['Earnings cap for max-relief maths', toEuroText(Math.min(inputs.currentSalary, rules.earningsCap))],
+      ['Max personal age band %', `${toPercentText(ageBandPct(inputs.currentAge, rules))} (steps with age)`],
+      [
+        `SFT indexation after ${sftMeta.lastScheduledYear}`,
+        inputs.sftIndexationRate !== 0 ? `${toPercentText(inputs.sftIndexationRate)} p.a.` : 'None (held constant)'
+      ],
       ...(currentPersonalWasCapped && Number.isInteger(firstCappedAge)
         ? [[
           'Current personal contributions capped?',
@@ -761,7 +1760,13 @@ export function computePensionProjection(rawInputs) {
       [
         'Horizon end age',
         isAffordableMode ? inputs.affordableEndAges.join(', ') : String(inputs.horizonEndAge)
-      ]
+      ],
+      ...(stochasticResult
+        ? [
+          ['Return volatility', toPercentText(stochasticResult.volatility)],
+          ['Simulated return paths', `${stochasticResult.paths} (seed ${stochasticResult.seed})`]
+        ]
+        : [])
     ]
   };
 
@@ -770,6 +1775,24 @@ export function computePensionProjection(rawInputs) {
     ['Projected pot at retirement (max personal)', toEuroText(projectedPotMaxPersonal)]
   ];
 
+  if (chargesSummary) {
+    outputsRows.push([
+      'Cost of charges over lifetime (current)',
+      `${toEuroText(chargesSummary.lifetimeCharges)} (${toEuroText(chargesSummary.accumulationCharges)} before retirement, `
+      + `${toEuroText(chargesSummary.drawdownCharges)} in drawdown)`
+    ]);
+    outputsRows.push([
+      'Pot at retirement before charges (current)',
+      `${toEuroText(chargesSummary.grossRetirementPot)} (charges reduce it by ${toEuroText(chargesSummary.potReductionAtRetirement)})`
+    ]);
+  }
+
+  if (inputs.potsProvided) {
+    currentScenario.potSeries.forEach((pot) => {
+      outputsRows.push([`Pot at retirement: ${pot.name} (current)`, toEuroText(pot.retirementPot)]);
+    });
+  }
+
   if (isAffordableMode && !inputs.minDrawdownMode) {
     affordableCurrentResults.forEach((entry) => {
       outputsRows.push([
@@ -783,16 +1806,71 @@ export function computePensionProjection(rawInputs) {
         `${toEuroText(entry.incomeToday)} p.a.`
       ]);
     });
+    affordableNetCurrent.forEach((entry) => {
+      outputsRows.push([
+        `Affordable income net of tax (current, deplete by ${entry.endAge})`,
+        formatNetIncomeBreakdown(entry)
+      ]);
+    });
+    affordableNetMax.forEach((entry) => {
+      outputsRows.push([
+        `Affordable income net of tax (max, deplete by ${entry.endAge})`,
+        formatNetIncomeBreakdown(entry)
+      ]);
+    });
   } else {
     outputsRows.push(['Required pot at retirement (Mode 1)', toEuroText(requiredPot)]);
     outputsRows.push(['Gap vs required (required - projected current)', toEuroText(requiredPot - projectedPotCurrent)]);
     outputsRows.push(['Target income (today\'s money)', toEuroText(inputs.targetIncomeToday)]);
     outputsRows.push(['Target income (nominal at retirement)', toEuroText(targetIncomeNominalAtRetirement)]);
+    if (netTargetBasis) {
+      outputsRows.push([
+        'Gross income needed for net target (today\'s money)',
+        toEuroText(grossIncomeNeedNominalAtAge(inputs, inputs.retirementAge) / retirementInflationFactor)
+      ]);
+    }
+    netIncomeByAge.forEach((entry) => {
+      outputsRows.push([`Net income at age ${entry.age} (today's money)`, formatNetIncomeBreakdown(entry)]);
+    });
+  }
+
+  if (hasRetirementEvent) {
+    outputsRows.push(['Retirement lump sum (current)', toEuroText(retirementSplitCurrent.lumpSum)]);
+    outputsRows.push([
+      'Lump sum tax (current)',
+      `${toEuroText(retirementSplitCurrent.lumpSumTax)} (0% to €200k, 20% to €500k, 40% above)`
+    ]);
+    outputsRows.push(['Net lump sum (current)', toEuroText(retirementSplitCurrent.netLumpSum)]);
+    outputsRows.push(['Drawdown (ARF) pot at retirement (current)', toEuroText(retirementSplitCurrent.drawdownPot)]);
+    if (inputs.retirementEvent.annuityFraction > 0) {
+      outputsRows.push(['Annuity purchase (current)', toEuroText(retirementSplitCurrent.annuityPurchase)]);
+      outputsRows.push([
+        'Guaranteed annuity income (current)',
+        `${toEuroText(retirementSplitCurrent.annuityIncome)} p.a.`
+      ]);
+    }
   }
 
+  if (hasStatePension) {
+    outputsRows.push([
+      'State Pension (today\'s money)',
+      `${toEuroText(statePensionAnnualTodayValue(inputs))} p.a.`
+    ]);
+    outputsRows.push([
+      `State Pension (nominal at age ${inputs.statePension.startAge})`,
+      `${toEuroText(statePensionNominalAtAge(inputs, inputs.statePension.startAge))} p.a.`
+    ]);
+  }
+
+  let sftThresholdNote = '';
+  if (sftMeta.indexedBeyondSchedule) {
+    sftThresholdNote = ` (indexed beyond ${sftMeta.lastScheduledYear})`;
+  } else if (sftMeta.heldConstantBeyondSchedule) {
+    sftThresholdNote = ` (held beyond ${sftMeta.lastScheduledYear})`;
+  }
   outputsRows.push([
     'SFT threshold used',
-    `${formatCurrencyEUR(sftMeta.sftValue)}${sftMeta.heldConstantBeyond2029 ? ' (held beyond 2029)' : ''}`
+    `${formatCurrencyEUR(sftMeta.sftValue)}${sftThresholdNote}`
   ]);
   outputsRows.push([
     'SFT breach?',
@@ -805,6 +1883,21 @@ export function computePensionProjection(rawInputs) {
       : 'No'
   ]);
 
+  if (stochasticResult) {
+    outputsRows.push([
+      'Pot at retirement (10th / 50th / 90th percentile)',
+      [
+        stochasticResult.retirementPotPercentiles.p10,
+        stochasticResult.retirementPotPercentiles.p50,
+        stochasticResult.retirementPotPercentiles.p90
+      ].map((value) => toEuroText(value)).join(' / ')
+    ]);
+    outputsRows.push([
+      `Probability the pot lasts to age ${stochasticResult.successAge}`,
+      toPercentText(stochasticResult.successProbability, 0)
+    ]);
+  }
+
   if (inputs.minDrawdownMode) {
     outputsRows.push(['First-year min drawdown amount', toEuroText(minDrawdownSimulation.firstYearMinimumDrawdown)]);
     outputsRows.push([
@@ -855,11 +1948,122 @@ export function computePensionProjection(rawInputs) {
         {
           label: 'Growth (max)',
           data: maxScenario.growthEurSeries
-        }
+        },
+        ...(inputs.potsProvided && inputs.pots.length > 1
+          ? currentScenario.potSeries.map((pot) => ({
+            label: `Pot: ${pot.name} (current)`,
+            data: pot.balances
+          }))
+          : []),
+        ...(stochasticResult
+          ? [
+            {
+              label: 'Pot 10th percentile (current)',
+              data: stochasticResult.accumulationBands.p10
+            },
+            {
+              label: 'Pot median (current)',
+              data: stochasticResult.accumulationBands.p50
+            },
+            {
+              label: 'Pot 90th percentile (current)',
+              data: stochasticResult.accumulationBands.p90
+            }
+          ]
+          : [])
       ]
     }
   ];
 
+  if (hasRetirementEvent) {
+    charts.push({
+      title: 'Pension Pot Split at Retirement',
+      type: 'bar',
+      labels: ['Net lump sum', 'Lump sum tax', 'Annuity purchase', 'Drawdown (ARF) pot'],
+      datasets: [
+        {
+          label: 'Current contributions',
+          data: [
+            retirementSplitCurrent.netLumpSum,
+            retirementSplitCurrent.lumpSumTax,
+            retirementSplitCurrent.annuityPurchase,
+            retirementSplitCurrent.drawdownPot
+          ]
+        },
+        {
+          label: 'Max personal contributions',
+          data: [
+            retirementSplitMax.netLumpSum,
+            retirementSplitMax.lumpSumTax,
+            retirementSplitMax.annuityPurchase,
+            retirementSplitMax.drawdownPot
+          ]
+        }
+      ]
+    });
+  }
+
+  if (chargesSummary && inputs.charges.showGrossComparison) {
+    charts.push({
+      title: 'Pension Pot: Gross vs Net of Charges',
+      type: 'line',
+      labels: chargesSummary.labels,
+      datasets: [
+        {
+          label: 'Before charges',
+          data: chargesSummary.grossBalances
+        },
+        {
+          label: 'After charges',
+          data: chargesSummary.netBalances
+        }
+      ]
+    });
+  }
+
+  const annuityIncomeDatasets = hasRetirementEvent && inputs.retirementEvent.annuityFraction > 0
+    ? [
+      {
+        label: 'Annuity income',
+        data: sustainabilityLabels.map((age) => (
+          age <= inputs.horizonEndAge - 1 || isAffordableMode
+            ? retirementSplitCurrent.annuityIncome
+            : 0
+        ))
+      }
+    ]
+    : [];
+
+  const statePensionDatasets = hasStatePension
+    ? [
+      {
+        label: 'State pension',
+        data: sustainabilityLabels.map((age) => (
+          age <= inputs.horizonEndAge - 1 || isAffordableMode
+            ? statePensionNominalAtAge(inputs, age)
+            : 0
+        ))
+      }
+    ]
+    : [];
+
+  const sustainabilityBandDatasets = stochasticResult
+    ? [
+      {
+        label: 'Balance 10th percentile (current)',
+        data: stochasticResult.retirementBands.p10
+      },
+      {
+        label: 'Balance median (current)',
+        data: stochasticResult.retirementBands.p50
+      },
+      {
+        label: 'Balance 90th percentile (current)',
+        data: stochasticResult.retirementBands.p90
+      }
+    ]
+    : [];
+
   if (inputs.minDrawdownMode) {
     charts.push({
       title: 'Minimum Drawdown vs Target Income',
@@ -882,7 +2086,12 @@ export function computePensionProjection(rawInputs) {
         title: 'Retirement Sustainability (Affordable Income)',
         type: 'line',
         labels: sustainabilityLabels,
-        datasets: affordableChartDatasets
+        datasets: [
+          ...affordableChartDatasets,
+          ...annuityIncomeDatasets,
+          ...statePensionDatasets,
+          ...sustainabilityBandDatasets
+        ]
       });
     } else {
       charts.push({
@@ -909,7 +2118,10 @@ export function computePensionProjection(rawInputs) {
           {
             label: 'Withdrawals',
             data: withdrawalsSeries
-          }
+          },
+          ...annuityIncomeDatasets,
+          ...statePensionDatasets,
+          ...sustainabilityBandDatasets
         ]
       });
     }
@@ -946,9 +2158,25 @@ export function computePensionProjection(rawInputs) {
       retirementYear,
       sftValue: sftMeta.sftValue,
       sftYearUsed: sftMeta.sftYearUsed,
-      sftHeldConstantBeyond2029: sftMeta.heldConstantBeyond2029,
+      sftHeldConstantBeyondSchedule: sftMeta.heldConstantBeyondSchedule,
+      sftIndexedBeyondSchedule: sftMeta.indexedBeyondSchedule,
+      sftIndexationRate: sftMeta.indexationRate,
+      rulesVersion: rules.version,
       sftBreaches,
       sftSentence,
+      charges: chargesSummary
+        ? {
+          accumulationCharges: chargesSummary.accumulationCharges,
+          drawdownCharges: chargesSummary.drawdownCharges,
+          lifetimeCharges: chargesSummary.lifetimeCharges,
+          grossRetirementPot: chargesSummary.grossRetirementPot,
+          potReductionAtRetirement: chargesSummary.potReductionAtRetirement
+        }
+        : null,
+      potsAtRetirement: {
+        current: currentScenario.potSeries.map(({ id, name, type, retirementPot }) => ({ id, name, type, retirementPot })),
+        max: maxScenario.potSeries.map(({ id, name, type, retirementPot }) => ({ id, name, type, retirementPot }))
+      },
       currentPersonalWasCapped,
       firstCappedAge,
       maxRelievableAtFirstCap,
@@ -965,6 +2193,40 @@ export function computePensionProjection(rawInputs) {
       retirementEndingBalanceFromProjected: retirementSimulationProjectedCurrent.endingBalanceAfterHorizon,
       retirementEndingBalanceFromProjectedMax: retirementSimulationProjectedMax.endingBalanceAfterHorizon,
       retirementEndingBalanceFromRequired: retirementSimulationRequired?.endingBalanceAfterHorizon ?? null,
+      incomeTax: {
+        taxYearUsed: taxTableMeta.taxYearUsed,
+        heldConstantBeyondLatest: taxTableMeta.heldConstantBeyondLatest,
+        maritalStatus: inputs.incomeTax.maritalStatus,
+        payeCreditEligible: inputs.incomeTax.payeCreditEligible,
+        targetBasis: inputs.incomeTax.targetBasis,
+        netIncomeByAge,
+        affordableNet: isAffordableMode
+          ? { current: affordableNetCurrent, max: affordableNetMax }
+          : null
+      },
+      retirementSplit: hasRetirementEvent
+        ? {
+          current: retirementSplitCurrent,
+          max: retirementSplitMax
+        }
+        : null,
+      statePension: hasStatePension
+        ? {
+          ...inputs.statePension,
+          annualTodayValue: statePensionAnnualTodayValue(inputs),
+          nominalAtStartAge: statePensionNominalAtAge(inputs, inputs.statePension.startAge)
+        }
+        : null,
+      stochastic: stochasticResult
+        ? {
+          volatility: stochasticResult.volatility,
+          paths: stochasticResult.paths,
+          seed: stochasticResult.seed,
+          successAge: stochasticResult.successAge,
+          successProbability: stochasticResult.successProbability,
+          retirementPotPercentiles: stochasticResult.retirementPotPercentiles
+        }
+        : null,
       affordableIncome: isAffordableMode
         ? {
           current: affordableCurrentResults.map((entry) => ({
@@ -0,0 +1,28 @@
+// Irish pension relief and Standard Fund Threshold (SFT) rules, keyed by rules version.
+// A Finance Act change is a new version: copy the latest entry, bump the version and edit
+// the figures. Sessions pin a version through pensionInputs.rulesVersion so saved
+// projections keep reproducing the numbers they were built with.
+// An age band with `maxAge: null` applies to all older ages.
+export const PENSION_RULES = Object.freeze({
+  'ie-2026.1': {
+    version: 'ie-2026.1',
+    label: 'Finance Act 2024',
+    earningsCap: 115000,
+    ageReliefBands: [
+      { maxAge: 29, pct: 0.15 },
+      { maxAge: 39, pct: 0.20 },
+      { maxAge: 49, pct: 0.25 },
+      { maxAge: 54, pct: 0.30 },
+      { maxAge: 59, pct: 0.35 },
+      { maxAge: null, pct: 0.40 }
+    ],
+    sftSchedule: [
+      { year: 2026, value: 2200000 },
+      { year: 2027, value: 2400000 },
+      { year: 2028, value: 2600000 },
+      { year: 2029, value: 2800000 }
+    ]
+  }
+});
+
+export const DEFAULT_PENSION_RULES_VERSION = 'ie-2026.1';
@@ -0,0 +1,344 @@
+import { computeAmortizationMonthlySchedule } from './mortgage_math.js';
+
+// Income protection insurers cap the benefit at 75% of earnings less any State illness benefit.
+const INCOME_PROTECTION_MAX_PCT = 0.75;
+// Personal rate of Illness Benefit from January 2026.
+const DEFAULT_STATE_ILLNESS_BENEFIT_WEEKLY = 254;
+const WEEKS_PER_YEAR = 52;
+
+const DEFAULT_INCOME_REPLACEMENT_PCT = 0.6;
+const DEFAULT_REAL_DISCOUNT_RATE = 0.01;
+const DEFAULT_EDUCATION_COST_PER_YEAR = 0;
+const DEFAULT_SERIOUS_ILLNESS_YEARS = 1;
+// Dependants are supported until they finish a four-year degree starting at 18.
+const EDUCATION_START_AGE = 18;
+const EDUCATION_END_AGE = 22;
+const SUPPORT_END_AGE = 23;
+const MAX_SUPPORT_YEARS = 50;
+const MAX_DEPENDANTS = 12;
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function requireFiniteNumber(value, fieldName) {
+  if (!isFiniteNumber(value)) {
+    throw new Error(`generated.protectionInputs.${fieldName} must be a finite number.`);
+  }
+
+  return value;
+}
+
+function optionalFiniteNumber(value, fallback, fieldName) {
+  if (typeof value === 'undefined' || value === null) {
+    return fallback;
+  }
+
+  if (!isFiniteNumber(value)) {
+    throw new Error(`generated.protectionInputs.${fieldName} must be a finite number when provided.`);
+  }
+
+  return value;
+}
+
+function requireNonNegative(value, fallback, fieldName) {
+  const amount = optionalFiniteNumber(value, fallback, fieldName);
+  if (amount < 0) {
+    throw new Error(`generated.protectionInputs.${fieldName} must be greater than or equal to 0.`);
+  }
+
+  return amount;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function formatEuro(amount) {
+  return new Intl.NumberFormat('en-IE', {
+    style: 'currency',
+    currency: 'EUR',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(isFiniteNumber(amount) ? amount : 0);
+}
+
+function formatPercent(decimal) {
+  return `${(decimal * 100).toFixed(2)}%`;
+}
+
+function normalizeDependants(rawDependants) {
+  if (typeof rawDependants === 'undefined' || rawDependants === null) {
+    return [];
+  }
+
+  if (!Array.isArray(rawDependants)) {
+    throw new Error('generated.protectionInputs.dependants must be an array when provided.');
+  }
+
+  if (rawDependants.length > MAX_DEPENDANTS) {
+    throw new Error(`generated.protectionInputs.dependants supports at most ${MAX_DEPENDANTS} entries.`);
+  }
+
+  return rawDependants.map((entry, index) => {
+    if (!isPlainObject(entry)) {
+      throw new Error(`generated.protectionInputs.dependants[${index}] must be an object.`);
+    }
+
+    const age = requireFiniteNumber(entry.age, `dependants[${index}].age`);
+    if (!Number.isInteger(age) || age < 0 || age > 30) {
+      throw new Error(`generated.protectionInputs.dependants[${index}].age must be a whole number between 0 and 30.`);
+    }
+
+    return {
+      name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : `Dependant ${index + 1}`,
+      age
+    };
+  });
+}
+
+function normalizeExistingCover(rawCover) {
+  if (typeof rawCover === 'undefined' || rawCover === null) {
+    return { lifeCover: 0, mortgageProtection: 0, incomeProtection: 0, seriousIllness: 0 };
+  }
+
+  if (!isPlainObject(rawCover)) {
+    throw new Error('generated.protectionInputs.existingCover must be an object when provided.');
+  }
+
+  return {
+    lifeCover: requireNonNegative(rawCover.lifeCover, 0, 'existingCover.lifeCover'),
+    mortgageProtection: requireNonNegative(rawCover.mortgageProtection, 0, 'existingCover.mortgageProtection'),
+    incomeProtection: requireNonNegative(rawCover.incomeProtection, 0, 'existingCover.incomeProtection'),
+    seriousIllness: requireNonNegative(rawCover.seriousIllness, 0, 'existingCover.seriousIllness')
+  };
+}
+
+export function normalizeProtectionInputs(raw) {
+  if (!isPlainObject(raw)) {
+    throw new Error('generated.protectionInputs must be an object.');
+  }
+
+  const grossSalary = requireFiniteNumber(raw.grossSalary, 'grossSalary');
+  if (grossSalary < 0) {
+    throw new Error('generated.protectionInputs.grossSalary must be greater than or equal to 0.');
+  }
+
+  const incomeReplacementPct = optionalFiniteNumber(raw.incomeReplacementPct, DEFAULT_INCOME_REPLACEMENT_PCT, 'incomeReplacementPct');
+  if (incomeReplacementPct < 0 || incomeReplacementPct > 1) {
+    throw new Error('generated.protectionInputs.incomeReplacementPct must be between 0 and 1.');
+  }
+
+  const realDiscountRate = optionalFiniteNumber(raw.realDiscountRate, DEFAULT_REAL_DISCOUNT_RATE, 'realDiscountRate');
+  if (realDiscountRate <= -1 || realDiscountRate > 0.2) {
+    throw new Error('generated.protectionInputs.realDiscountRate must be greater than -1 and at most 0.2.');
+  }
+
+  const dependants = normalizeDependants(raw.dependants);
+  const youngestAge = dependants.length > 0 ? Math.min(...dependants.map((entry) => entry.age)) : null;
+  const defaultSupportYears = youngestAge === null ? 0 : Math.max(0, SUPPORT_END_AGE - youngestAge);
+  const supportYears = optionalFiniteNumber(raw.supportYears, defaultSupportYears, 'supportYears');
+  if (!Number.isInteger(supportYears) || supportYears < 0 || supportYears > MAX_SUPPORT_YEARS) {
+    throw new Error(`generated.protectionInputs.supportYears must be a whole number between 0 and ${MAX_SUPPORT_YEARS}.`);
+  }
+
+  if (typeof raw.mortgage !== 'undefined' && raw.mortgage !== null && !isPlainObject(raw.mortgage)) {
+    throw new Error('generated.protectionInputs.mortgage must be an object when provided.');
+  }
+
+  return {
+    grossSalary,
+    incomeReplacementPct,
+    survivorIncome: requireNonNegative(raw.survivorIncome, 0, 'survivorIncome'),
+    supportYears,
+    supportYearsProvided: typeof raw.supportYears !== 'undefined' && raw.supportYears !== null,
+    realDiscountRate,
+    dependants,
+    educationCostPerYear: requireNonNegative(raw.educationCostPerYear, DEFAULT_EDUCATION_COST_PER_YEAR, 'educationCostPerYear'),
+    liquidAssets: requireNonNegative(raw.liquidAssets, 0, 'liquidAssets'),
+    stateIllnessBenefitWeekly: requireNonNegative(
+      raw.stateIllnessBenefitWeekly,
+      DEFAULT_STATE_ILLNESS_BENEFIT_WEEKLY,
+      'stateIllnessBenefitWeekly'
+    ),
+    seriousIllnessYears: requireNonNegative(raw.seriousIllnessYears, DEFAULT_SERIOUS_ILLNESS_YEARS, 'seriousIllnessYears'),
+    mortgage: isPlainObject(raw.mortgage) ? { ...raw.mortgage } : null,
+    existingCover: normalizeExistingCover(raw.existingCover)
+  };
+}
+
+// Lump sum that pays `annualAmount` at the start of each year for `years` years.
+function presentValueOfAnnuityDue(annualAmount, years, rate) {
+  if (years <= 0 || annualAmount <= 0) {
+    return 0;
+  }
+
+  if (Math.abs(rate) < 1e-12) {
+    return annualAmount * years;
+  }
+
+  return annualAmount * ((1 - Math.pow(1 + rate, -years)) / rate) * (1 + rate);
+}
+
+function resolveOutstandingMortgage(inputs) {
+  if (!inputs.mortgage) {
+    return 0;
+  }
+
+  try {
+    return computeAmortizationMonthlySchedule(inputs.mortgage).openingBalance;
+  } catch (error) {
+    throw new Error(String(error?.message || error).replace('generated.mortgageInputs', 'generated.protectionInputs.mortgage'));
+  }
+}
+
+function computeEducationNeed(inputs) {
+  return inputs.dependants.map((dependant) => {
+    const years = Math.max(0, EDUCATION_END_AGE - Math.max(dependant.age, EDUCATION_START_AGE));
+    return {
+      ...dependant,
+      years,
+      cost: years * inputs.educationCostPerYear
+    };
+  });
+}
+
+function buildNeedRow(label, need, existing, { perYear = false } = {}) {
+  return {
+    label,
+    perYear,
+    need,
+    existing,
+    gap: Math.max(0, need - existing),
+    surplus: Math.max(0, existing - need)
+  };
+}
+
+export function computeProtectionProjection(rawInputs) {
+  const inputs = normalizeProtectionInputs(rawInputs);
+  const { existingCover } = inputs;
+
+  const outstandingMortgage = resolveOutstandingMortgage(inputs);
+  const annualIncomeShortfall = Math.max(0, (inputs.grossSalary * inputs.incomeReplacementPct) - inputs.survivorIncome);
+  const incomeReplacementNeed = presentValueOfAnnuityDue(annualIncomeShortfall, inputs.supportYears, inputs.realDiscountRate);
+  const educationByDependant = computeEducationNeed(inputs);
+  const educationNeed = educationByDependant.reduce((sum, entry) => sum + entry.cost, 0);
+  const grossLifeNeed = outstandingMortgage + incomeReplacementNeed + educationNeed;
+  const lifeCoverNeed = Math.max(0, grossLifeNeed - inputs.liquidAssets);
+
+  const stateIllnessBenefitAnnual = inputs.stateIllnessBenefitWeekly * WEEKS_PER_YEAR;
+  const incomeProtectionMax = Math.max(0, (inputs.grossSalary * INCOME_PROTECTION_MAX_PCT) - stateIllnessBenefitAnnual);
+  const seriousIllnessNeed = inputs.grossSalary * inputs.seriousIllnessYears;
+
+  const life = buildNeedRow('Life cover', lifeCoverNeed, existingCover.lifeCover + existingCover.mortgageProtection);
+  const incomeProtection = buildNeedRow('Income protection', incomeProtectionMax, existingCover.incomeProtection, { perYear: true });
+  const seriousIllness = buildNeedRow('Serious illness', seriousIllnessNeed, existingCover.seriousIllness);
+  const needs = [life, incomeProtection, seriousIllness];
+
+  const supportNote = inputs.supportYearsProvided || inputs.dependants.length === 0
+    ? 'Years the income replacement is paid for'
+    : `Until the youngest dependant is ${SUPPORT_END_AGE}`;
+
+  const assumptionsTable = {
+    columns: ['Assumption', 'Value', 'Notes'],
+    rows: [
+      ['Gross salary', formatEuro(inputs.grossSalary), 'Basis for every need below'],
+      ['Income replacement', formatPercent(inputs.incomeReplacementPct), 'Share of salary dependants would need'],
+      ['Survivor income', formatEuro(inputs.survivorIncome), "A year; e.g. State survivor's pension or a partner's earnings"],
+      ['Support period', `${inputs.supportYears} years`, supportNote],
+      ['Real discount rate', formatPercent(inputs.realDiscountRate), 'Return on the payout above inflation'],
+      ['Dependants', String(inputs.dependants.length), inputs.dependants.map((entry) => `${entry.name} (${entry.age})`).join(', ') || 'None'],
+      ['Third-level cost', formatEuro(inputs.educationCostPerYear), `A year per dependant from age ${EDUCATION_START_AGE} to ${EDUCATION_END_AGE}`],
+      ['Liquid assets', formatEuro(inputs.liquidAssets), 'Savings that would offset the life cover need'],
+      [
+        'State Illness Benefit',
+        formatEuro(inputs.stateIllnessBenefitWeekly),
+        `A week; ${formatEuro(stateIllnessBenefitAnnual)} a year deducted from the income protection limit`
+      ],
+      ['Serious illness buffer', `${inputs.seriousIllnessYears} x salary`, 'Covers recovery time and one-off costs'],
+      [
+        'Existing cover',
+        formatEuro(existingCover.lifeCover + existingCover.mortgageProtection),
+        `Life ${formatEuro(existingCover.lifeCover)}, mortgage protection ${formatEuro(existingCover.mortgageProtection)}, `
+          + `income protection ${formatEuro(existingCover.incomeProtection)} a year, serious illness ${formatEuro(existingCover.seriousIllness)}`
+      ]
+    ]
+  };
+
+  const outputsTable = {
+    columns: ['Metric', 'Value', 'Notes'],
+    rows: [
+      ['Outstanding mortgage', formatEuro(outstandingMortgage), inputs.mortgage ? 'From the mortgage schedule' : 'No mortgage provided'],
+      ['Income replacement need', formatEuro(incomeReplacementNeed), `${formatEuro(annualIncomeShortfall)} a year for ${inputs.supportYears} years`],
+      ['Education need', formatEuro(educationNeed), `${educationByDependant.reduce((sum, entry) => sum + entry.years, 0)} years of third-level costs`],
+      ['Life cover need', formatEuro(life.need), `After ${formatEuro(inputs.liquidAssets)} of liquid assets`],
+      ['Life cover gap', formatEuro(life.gap), life.gap > 0 ? 'Additional cover needed' : `Covered with ${formatEuro(life.surplus)} to spare`],
+      [
+        'Income protection limit',
+        formatEuro(incomeProtection.need),
+        `${formatPercent(INCOME_PROTECTION_MAX_PCT)} of salary less State Illness Benefit`
+      ],
+      [
+        'Income protection gap',
+        formatEuro(incomeProtection.gap),
+        incomeProtection.gap > 0 ? 'A year of additional benefit available' : 'Existing benefit is at or above the limit'
+      ],
+      ['Serious illness need', formatEuro(seriousIllness.need), `${inputs.seriousIllnessYears} x gross salary`],
+      [
+        'Serious illness gap',
+        formatEuro(seriousIllness.gap),
+        seriousIllness.gap > 0 ? 'Additional cover needed' : `Covered with ${formatEuro(seriousIllness.surplus)} to spare`
+      ]
+    ]
+  };
+
+  const charts = [
+    {
+      id: 'protection-needs-vs-cover',
+      title: 'Protection Needs vs Existing Cover',
+      type: 'bar',
+      labels: needs.map((entry) => (entry.perYear ? `${entry.label} (a year)` : entry.label)),
+      datasets: [
+        { label: 'Need', data: needs.map((entry) => entry.need) },
+        { label: 'Existing cover', data: needs.map((entry) => entry.existing) },
+        { label: 'Gap', data: needs.map((entry) => entry.gap) }
+      ]
+    },
+    {
+      id: 'protection-life-cover-breakdown',
+      title: 'Life Cover Need Breakdown',
+      type: 'bar',
+      labels: ['Outstanding mortgage', 'Income replacement', 'Education', 'Less liquid assets'],
+      datasets: [
+        {
+          label: 'Amount',
+          data: [outstandingMortgage, incomeReplacementNeed, educationNeed, -Math.min(inputs.liquidAssets, grossLifeNeed)]
+        }
+      ]
+    }
+  ];
+
+  const gaps = needs.filter((entry) => entry.gap > 0);
+  const summaryHtml = gaps.length > 0
+    ? `<p>Gaps remain in ${gaps.map((entry) => `${entry.label.toLowerCase()} (${formatEuro(entry.gap)}${entry.perYear ? ' a year' : ''})`).join(', ')}. `
+      + `Life cover need is ${formatEuro(life.need)} against ${formatEuro(life.existing)} in place.</p>`
+    : `<p>Existing cover meets every need: life cover ${formatEuro(life.existing)} against a need of ${formatEuro(life.need)}.</p>`;
+
+  return {
+    assumptionsTable,
+    outputsTable,
+    charts,
+    summaryHtml,
+    debug: {
+      outstandingMortgage,
+      annualIncomeShortfall,
+      incomeReplacementNeed,
+      educationByDependant,
+      educationNeed,
+      stateIllnessBenefitAnnual,
+      lifeCover: life,
+      incomeProtection,
+      seriousIllness
+    }
+  };
+}
@@ -1,6 +1,7 @@
 import { computeGridPosition, applyOverviewLayout } from './layout.js';
 import { renderSvgDiagram, serializeSvg } from './education_svg.js';
 import { getReportChartBlocks, isReportModule } from './report.js';
+import { SENSITIVITY_CHART_ID, formatSensitivityInput, describeSensitivityRow } from './sensitivity.js';
 
 function formatLocalTime(isoString) {
   try {
@@ -437,6 +438,10 @@ function isMortgageModule(module) {
   return Boolean(getLoanEngineInputs(module));
 }
 
+function isSavingsModule(module) {
+  return Boolean(module?.generated?.savingsInputs);
+}
+
 function isEducationModule(module) {
   const education = module?.generated?.education;
   if (education && typeof education === 'object' && !Array.isArray(education)) {
@@ -655,7 +660,17 @@ function normalizeAssumptionLabelToken(value) {
 }
 
 function isInlineAssumptionsEditableModule(module) {
-  return isPensionModule(module) || isMortgageModule(module);
+  return isPensionModule(module) || isMortgageModule(module) || isSavingsModule(module);
+}
+
+function getInlineAssumptionsCalculator(module) {
+  if (isPensionModule(module)) {
+    return 'pension';
+  }
+  if (isSavingsModule(module)) {
+    return 'savings';
+  }
+  return 'mortgage';
 }
 
 function deriveRemainingTermMonths(mortgageInputs) {
@@ -932,6 +947,12 @@ function createEditableAssumptionCell({
       return null;
     }
 
+    const potFields = ['currentPot', 'personalPct', 'employerPct'];
+    if (Array.isArray(pensionInputs.pots) && pensionInputs.pots.length > 0 && potFields.includes(descriptor.field)) {
+      // Totals are derived from pensionInputs.pots, so editing them here would be ignored.
+      return null;
+    }
+
     return buildInlineAssumptionInputCell({
       module,
       calculator: 'pension',
@@ -945,6 +966,71 @@ function createEditableAssumptionCell({
     });
   }
 
+  if (isSavingsModule(module)) {
+    const savingsInputs = module.generated.savingsInputs;
+    const savingsFieldMap = {
+      targetamount: {
+        field: 'targetAmount',
+        value: draftValues.targetAmount ?? formatNumberForInput(savingsInputs.targetAmount, 2),
+        placeholder: '40000',
+        inputMode: 'decimal'
+      },
+      targetdate: {
+        field: 'targetDateIso',
+        value: draftValues.targetDateIso ?? String(savingsInputs.targetDateIso || ''),
+        placeholder: '2030-09-01',
+        inputMode: 'text'
+      },
+      startingbalance: {
+        field: 'startingBalance',
+        value: draftValues.startingBalance ?? formatNumberForInput(savingsInputs.startingBalance, 2),
+        placeholder: '5000',
+        inputMode: 'decimal'
+      },
+      monthlycontribution: {
+        field: 'monthlyContribution',
+        value: draftValues.monthlyContribution ?? formatNumberForInput(savingsInputs.monthlyContribution, 2),
+        placeholder: '400',
+        inputMode: 'decimal'
+      },
+      contributionescalation: {
+        field: 'contributionEscalation',
+        value: draftValues.contributionEscalation ?? formatRateForInput(savingsInputs.contributionEscalation),
+        placeholder: '3%',
+        inputMode: 'decimal'
+      },
+      growthrate: {
+        field: 'growthRate',
+        value: draftValues.growthRate ?? formatRateForInput(savingsInputs.growthRate),
+        placeholder: '5%',
+        inputMode: 'decimal'
+      },
+      inflation: {
+        field: 'inflationRate',
+        value: draftValues.inflationRate ?? formatRateForInput(savingsInputs.inflationRate),
+        placeholder: '2%',
+        inputMode: 'decimal'
+      }
+    };
+
+    const descriptor = savingsFieldMap[labelToken];
+    if (!descriptor) {
+      return null;
+    }
+
+    return buildInlineAssumptionInputCell({
+      module,
+      calculator: 'savings',
+      field: descriptor.field,
+      value: descriptor.value,
+      placeholder: descriptor.placeholder,
+      inputMode: descriptor.inputMode,
+      onPatchInputs,
+      error: errors[descriptor.field],
+      readOnly
+    });
+  }
+
   if (isMortgageModule(module)) {
     const mortgageInputs = getLoanEngineInputs(module);
     if (!mortgageInputs) {
@@ -1033,6 +1119,128 @@ function createEditableAssumptionCell({
   return null;
 }
 
+function buildSolveForPanel({
+  module,
+  solveFor,
+  onPatchInputs,
+  readOnly = false
+}) {
+  const calculator = getInlineAssumptionsCalculator(module);
+  const canInteract = !readOnly && typeof onPatchInputs === 'function';
+  const panel = document.createElement('div');
+  panel.className = 'assumptions-solve-for';
+  panel.dataset.assumptionsSolveFor = module.id;
+
+  const controls = document.createElement('div');
+  controls.className = 'assumptions-solve-for-controls';
+
+  const title = document.createElement('span');
+  title.className = 'assumptions-solve-for-title';
+  title.textContent = 'Solve for';
+  controls.appendChild(title);
+
+  const makeSelect = (key, options, selectedKey, label) => {
+    const select = document.createElement('select');
+    select.className = 'assumptions-solve-for-select';
+    select.setAttribute('aria-label', label);
+    select.disabled = !canInteract;
+    options.forEach((option) => {
+      const optionEl = document.createElement('option');
+      optionEl.value = option.key;
+      optionEl.textContent = option.label;
+      optionEl.selected = option.key === selectedKey;
+      select.appendChild(optionEl);
+    });
+    if (canInteract) {
+      select.addEventListener('change', (event) => {
+        onPatchInputs({
+          type: 'solve-for-draft',
+          moduleId: module.id,
+          calculator,
+          field: key,
+          value: event.target.value
+        });
+      });
+    }
+    return select;
+  };
+
+  const requestSolve = () => {
+    onPatchInputs({
+      type: 'solve-for',
+      moduleId: module.id,
+      calculator
+    });
+  };
+
+  controls.appendChild(makeSelect('field', solveFor.options.fields, solveFor.field, 'Assumption to solve for'));
+
+  const joiner = document.createElement('span');
+  joiner.className = 'assumptions-solve-for-joiner';
+  joiner.textContent = 'so that';
+  controls.appendChild(joiner);
+
+  controls.appendChild(makeSelect('metric', solveFor.options.metrics, solveFor.metric, 'Output to target'));
+
+  const metricOption = solveFor.options.metrics.find((option) => option.key === solveFor.metric);
+  const comparison = document.createElement('span');
+  comparison.className = 'assumptions-solve-for-joiner';
+  if (metricOption?.goal === 'atMost') {
+    comparison.textContent = metricOption.kind === 'year' ? 'is by' : 'is at most';
+  } else {
+    comparison.textContent = 'is at least';
+  }
+  controls.appendChild(comparison);
+
+  const targetInput = document.createElement('input');
+  targetInput.type = 'text';
+  targetInput.className = 'assumptions-inline-input assumptions-solve-for-target';
+  targetInput.placeholder = metricOption?.kind === 'year' ? '2040' : '1000000';
+  targetInput.inputMode = 'decimal';
+  targetInput.value = solveFor.target;
+  targetInput.disabled = !canInteract;
+  targetInput.setAttribute('aria-label', 'Target value');
+  if (canInteract) {
+    targetInput.addEventListener('input', (event) => {
+      onPatchInputs({
+        type: 'solve-for-draft',
+        moduleId: module.id,
+        calculator,
+        field: 'target',
+        value: event.target.value
+      });
+    });
+    targetInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        event.stopPropagation();
+        requestSolve();
+      }
+    });
+  }
+  controls.appendChild(targetInput);
+
+  const solveButton = document.createElement('button');
+  solveButton.type = 'button';
+  solveButton.className = 'assumptions-inline-mode-btn assumptions-solve-for-btn';
+  solveButton.textContent = 'Solve';
+  solveButton.disabled = !canInteract;
+  if (canInteract) {
+    solveButton.addEventListener('click', requestSolve);
+  }
+  controls.appendChild(solveButton);
+
+  panel.appendChild(controls);
+
+  const resultEl = document.createElement('div');
+  resultEl.className = 'assumptions-solve-for-result';
+  resultEl.classList.toggle('is-error', Boolean(solveFor.result && !solveFor.result.ok));
+  resultEl.textContent = solveFor.result?.message || '';
+  panel.appendChild(resultEl);
+
+  return panel;
+}
+
 function buildAssumptionsTableCard(module, {
   onPatchInputs = null,
   status = null,
@@ -1073,7 +1281,7 @@ function buildAssumptionsTableCard(module, {
       onPatchInputs({
         type: 'toggle-edit-mode',
         moduleId: module.id,
-        calculator: isPensionModule(module) ? 'pension' : 'mortgage'
+        calculator: getInlineAssumptionsCalculator(module)
       });
     });
     actions.appendChild(editButton);
@@ -1162,6 +1370,15 @@ function buildAssumptionsTableCard(module, {
   wrap.appendChild(table);
   card.appendChild(wrap);
 
+  if (editMode && hasInlineEditor && status?.solveFor) {
+    card.appendChild(buildSolveForPanel({
+      module,
+      solveFor: status.solveFor,
+      onPatchInputs,
+      readOnly
+    }));
+  }
+
   return card;
 }
 
@@ -1737,6 +1954,10 @@ function buildChartsCard(module, charts, { showPensionToggle = true, readOnly =
     list.appendChild(empty);
   } else {
     charts.forEach((chart, index) => {
+      if (chart?.id === SENSITIVITY_CHART_ID) {
+        return;
+      }
+
       list.appendChild(buildChartMountCard({
         title: chart.title || `Chart ${index + 1}`,
         chartIndex: index,
@@ -1750,6 +1971,90 @@ function buildChartsCard(module, charts, { showPensionToggle = true, readOnly =
   return card;
 }
 
+function getSensitivityChartIndex(module) {
+  const charts = Array.isArray(module?.generated?.charts) ? module.generated.charts : [];
+  return charts.findIndex((chart) => chart?.id === SENSITIVITY_CHART_ID);
+}
+
+function hasSensitivityResult(module) {
+  const rows = module?.generated?.sensitivity?.rows;
+  return Array.isArray(rows) && rows.length > 0 && getSensitivityChartIndex(module) >= 0;
+}
+
+function buildSensitivityDetails(sensitivity) {
+  const details = document.createElement('div');
+  details.className = 'generated-sensitivity-details';
+  details.dataset.sensitivityDetails = 'true';
+
+  const metricKind = sensitivity.metricKind || 'euro';
+  const intro = document.createElement('p');
+  intro.className = 'generated-sensitivity-intro';
+  intro.textContent = `${sensitivity.metricLabel || 'Result'} is `
+    + `${formatSensitivityInput(sensitivity.baseValue, metricKind)} in the base case. `
+    + 'Each row moves one input down and up with everything else held.';
+  details.appendChild(intro);
+
+  const wrap = document.createElement('div');
+  wrap.className = 'generated-table-wrap';
+
+  const table = document.createElement('table');
+  table.className = 'generated-table';
+
+  const thead = document.createElement('thead');
+  const headerRow = document.createElement('tr');
+  ['Input', 'Range tested', 'Lowered', 'Raised', 'Swing'].forEach((column) => {
+    const th = document.createElement('th');
+    th.textContent = column;
+    headerRow.appendChild(th);
+  });
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  sensitivity.rows.forEach((row) => {
+    const tr = document.createElement('tr');
+    [
+      row.label,
+      describeSensitivityRow(row),
+      formatSensitivityInput(row.lowValue, metricKind),
+      formatSensitivityInput(row.highValue, metricKind),
+      formatSensitivityInput(Math.abs(row.highValue - row.lowValue), metricKind)
+    ].forEach((value) => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+
+  wrap.appendChild(table);
+  details.appendChild(wrap);
+  return details;
+}
+
+// The tornado chart lives in generated.charts so the usual hydration and CSV export reach it;
+// this card mounts it apart from the other charts, next to the numbers behind each bar.
+function buildSensitivityCard(module) {
+  const card = document.createElement('section');
+  card.className = 'generated-card generated-sensitivity-card';
+  card.dataset.generatedCard = 'sensitivity';
+
+  const { header } = buildGeneratedCardHeader('Sensitivity');
+  card.appendChild(header);
+
+  const chartIndex = getSensitivityChartIndex(module);
+  const chart = module.generated.charts[chartIndex];
+  card.appendChild(buildChartMountCard({
+    title: chart.title,
+    chartIndex,
+    className: 'generated-chart-block generated-sensitivity-chart'
+  }));
+  card.appendChild(buildSensitivityDetails(module.generated.sensitivity));
+
+  return card;
+}
+
 function downloadSvgVisual(svgElement, filenameBase = 'diagram') {
   try {
     const serialized = serializeSvg(svgElement);
@@ -2660,6 +2965,9 @@ function buildGeneratedSection(module, {
       grid.appendChild(buildTableCard(title, table));
     });
   }
+  if (hasSensitivityResult(module)) {
+    grid.appendChild(buildSensitivityCard(module));
+  }
   grid.appendChild(buildChartsCard(module, generated.charts, { showPensionToggle, readOnly }));
 
   section.appendChild(heading);
@@ -2753,9 +3061,35 @@ export function patchFocusedGeneratedCards({
       selector: '[data-generated-card="outputs"], [data-generated-card="outputs-bucketed"]',
       replacement: outputCard
     });
+    patchSensitivityCard(grid, module);
   }
 }
 
+// Swaps only the numbers under an existing tornado so its canvas survives and the chart
+// update can animate in place.
+function patchSensitivityCard(grid, module) {
+  const existing = grid.querySelector('[data-generated-card="sensitivity"]');
+  if (!hasSensitivityResult(module)) {
+    existing?.remove();
+    return;
+  }
+
+  const existingChartBlock = existing?.querySelector('[data-chart-index]');
+  const existingDetails = existing?.querySelector('[data-sensitivity-details]');
+  if (existingDetails && existingChartBlock?.dataset.chartIndex === String(getSensitivityChartIndex(module))) {
+    existingDetails.replaceWith(buildSensitivityDetails(module.generated.sensitivity));
+    return;
+  }
+
+  const replacement = buildSensitivityCard(module);
+  if (existing) {
+    existing.replaceWith(replacement);
+    return;
+  }
+
+  grid.insertBefore(replacement, grid.querySelector('[data-generated-card="charts"]'));
+}
+
 export function getUiElements() {
   return {
     app: document.getElementById('app'),
@@ -2808,6 +3142,23 @@ export function getUiElements() {
     publishPinValue: document.getElementById('publishPinValue'),
     publishLinkValue: document.getElementById('publishLinkValue'),
     publishResult: document.getElementById('publishResult'),
+    sessionLibraryModal: document.getElementById('sessionLibraryModal'),
+    sessionLibraryCloseButton: document.getElementById('sessionLibraryCloseBtn'),
+    sessionLibraryList: document.getElementById('sessionLibraryList'),
+    sessionLibraryShowArchived: document.getElementById('sessionLibraryShowArchived'),
+    sessionLibraryImportButton: document.getElementById('sessionLibraryImportBtn'),
+    historyButton: document.getElementById('historyBtn'),
+    mobileOverflowHistoryButton: document.getElementById('mobileOverflowHistoryBtn'),
+    sessionHistoryModal: document.getElementById('sessionHistoryModal'),
+    sessionHistoryCloseButton: document.getElementById('sessionHistoryCloseBtn'),
+    sessionHistoryList: document.getElementById('sessionHistoryList'),
+    sessionHistoryUndoButton: document.getElementById('sessionHistoryUndoBtn'),
+    sessionHistoryRedoButton: document.getElementById('sessionHistoryRedoBtn'),
+    syncConflictModal: document.getElementById('syncConflictModal'),
+    syncConflictList: document.getElementById('syncConflictList'),
+    syncConflictKeepMineButton: document.getElementById('syncConflictKeepMineBtn'),
+    syncConflictKeepTheirsButton: document.getElementById('syncConflictKeepTheirsBtn'),
+    syncConflictMergeButton: document.getElementById('syncConflictMergeBtn'),
     newCallButton: document.getElementById('newCallBtn'),
     loadSessionButton: document.getElementById('loadSessionBtn'),
     sessionStatus: document.getElementById('sessionStatus'),
@@ -2829,6 +3180,289 @@ export function renderGreeting(ui, clientName) {
   }
 }
 
+function formatSnapshotNumber(value, { signed = false } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return value === null || typeof value === 'undefined' || value === '' ? '—' : String(value);
+  }
+
+  const formatted = Math.abs(value).toLocaleString('en-IE', {
+    maximumFractionDigits: Math.abs(value) >= 100 ? 0 : 4
+  });
+  if (!signed) {
+    return value < 0 ? `-${formatted}` : formatted;
+  }
+  return `${value > 0 ? '+' : value < 0 ? '-' : ''}${formatted}`;
+}
+
+function buildSnapshotDiffTable(columns, rows) {
+  const wrap = document.createElement('div');
+  wrap.className = 'generated-table-wrap';
+
+  const table = document.createElement('table');
+  table.className = 'generated-table snapshot-diff-table';
+
+  const thead = document.createElement('thead');
+  const headerRow = document.createElement('tr');
+  columns.forEach((column) => {
+    const th = document.createElement('th');
+    th.textContent = column;
+    headerRow.appendChild(th);
+  });
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  rows.forEach(({ cells, status }) => {
+    const tr = document.createElement('tr');
+    tr.className = `snapshot-diff-row is-${status}`;
+    cells.forEach((value) => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+
+  wrap.appendChild(table);
+  return wrap;
+}
+
+function buildSnapshotDiffSection(title, columns, rows) {
+  const section = document.createElement('div');
+  section.className = 'snapshot-diff-section';
+
+  const heading = document.createElement('h4');
+  heading.className = 'snapshot-diff-heading';
+  heading.textContent = title;
+  section.appendChild(heading);
+  section.appendChild(buildSnapshotDiffTable(columns, rows));
+  return section;
+}
+
+function describeTableChangeLabel(change) {
+  return change.column ? `${change.label} · ${change.column}` : change.label;
+}
+
+// The change list shown above two versions of one module in the compare view.
+export function buildSnapshotDiffCard(diff, { beforeLabel = 'Before', afterLabel = 'After' } = {}) {
+  const card = document.createElement('details');
+  card.className = 'snapshot-diff-card';
+  card.open = true;
+
+  const summary = document.createElement('summary');
+  summary.className = 'snapshot-diff-summary';
+  summary.textContent = diff.changeCount === 0
+    ? `No differences between ${beforeLabel} and ${afterLabel}`
+    : `${diff.changeCount} change${diff.changeCount === 1 ? '' : 's'} from ${beforeLabel} to ${afterLabel}`;
+  card.appendChild(summary);
+
+  if (diff.changeCount === 0) {
+    return card;
+  }
+
+  const body = document.createElement('div');
+  body.className = 'snapshot-diff-body';
+
+  if (diff.assumptions.length > 0) {
+    body.appendChild(buildSnapshotDiffSection('Assumptions', ['Assumption', beforeLabel, afterLabel, 'Change'], diff.assumptions.map((change) => ({
+      status: change.status,
+      cells: [describeTableChangeLabel(change), change.before || '—', change.after || '—', change.delta || '']
+    }))));
+  }
+
+  if (diff.inputs.length > 0) {
+    body.appendChild(buildSnapshotDiffSection('Calculator inputs', ['Field', beforeLabel, afterLabel, 'Change'], diff.inputs.map((change) => ({
+      status: change.status,
+      cells: [
+        change.label,
+        formatSnapshotNumber(change.before),
+        formatSnapshotNumber(change.after),
+        change.delta === null ? '' : formatSnapshotNumber(change.delta, { signed: true })
+      ]
+    }))));
+  }
+
+  if (diff.outputs.length > 0) {
+    body.appendChild(buildSnapshotDiffSection('Outputs', ['Output', beforeLabel, afterLabel, 'Change'], diff.outputs.map((change) => ({
+      status: change.status,
+      cells: [describeTableChangeLabel(change), change.before || '—', change.after || '—', change.delta || '']
+    }))));
+  }
+
+  if (diff.charts.length > 0) {
+    const rows = [];
+    diff.charts.forEach((chart) => {
+      chart.series.forEach((series) => {
+        const largestMove = series.status === 'changed' && series.maxShift !== 0
+          ? `${formatSnapshotNumber(series.maxShift, { signed: true })} at ${series.maxShiftAt}`
+          : series.status === 'added' ? 'New series' : series.status === 'removed' ? 'Series removed' : '';
+        rows.push({
+          status: series.status,
+          cells: [
+            `${chart.title} · ${series.label}`,
+            formatSnapshotNumber(series.beforeEnd),
+            formatSnapshotNumber(series.afterEnd),
+            largestMove
+          ]
+        });
+      });
+    });
+    body.appendChild(buildSnapshotDiffSection('Chart series', ['Series', `${beforeLabel} (end)`, `${afterLabel} (end)`, 'Largest move'], rows));
+  }
+
+  card.appendChild(body);
+  return card;
+}
+
+function formatSnapshotTime(isoString) {
+  const date = new Date(isoString);
+  if (Number.isNaN(date.getTime())) {
+    return '';
+  }
+
+  return date.toLocaleString([], {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+// Save the module's current outputs under a name, and pick two versions to compare.
+// "Current" is the live module; the newest snapshot is the default other side.
+function buildModuleSnapshotsCard(module, { onPatchInputs = null } = {}) {
+  const snapshots = Array.isArray(module.snapshots) ? module.snapshots : [];
+  const card = document.createElement('section');
+  card.className = 'generated-card module-snapshots-card';
+  card.dataset.moduleSnapshots = module.id;
+
+  const { header } = buildGeneratedCardHeader('Snapshots');
+  card.appendChild(header);
+
+  const emit = (type, value) => {
+    if (typeof onPatchInputs === 'function') {
+      onPatchInputs({ type, moduleId: module.id, value });
+    }
+  };
+
+  const saveRow = document.createElement('div');
+  saveRow.className = 'module-snapshots-save';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'module-snapshots-name-input';
+  nameInput.placeholder = 'Name, e.g. before overpayment';
+  nameInput.setAttribute('aria-label', 'Snapshot name');
+  nameInput.autocomplete = 'off';
+
+  const saveButton = document.createElement('button');
+  saveButton.type = 'button';
+  saveButton.className = 'ui-button module-snapshots-btn';
+  saveButton.textContent = 'Save snapshot';
+
+  const requestSave = () => emit('snapshot-save', nameInput.value);
+  saveButton.addEventListener('click', requestSave);
+  nameInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      requestSave();
+    }
+  });
+
+  saveRow.appendChild(nameInput);
+  saveRow.appendChild(saveButton);
+  card.appendChild(saveRow);
+
+  if (snapshots.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'module-snapshots-empty';
+    empty.textContent = 'Save a snapshot before changing assumptions to compare the two afterwards.';
+    card.appendChild(empty);
+    return card;
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'module-snapshots-list';
+  [...snapshots].reverse().forEach((snapshot) => {
+    const item = document.createElement('li');
+    item.className = 'module-snapshots-item';
+
+    const name = document.createElement('span');
+    name.className = 'module-snapshots-item-name';
+    name.textContent = snapshot.name;
+    item.appendChild(name);
+
+    const time = document.createElement('span');
+    time.className = 'module-snapshots-item-time';
+    time.textContent = formatSnapshotTime(snapshot.createdAt);
+    item.appendChild(time);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'ui-button module-snapshots-btn';
+    deleteButton.textContent = 'Delete';
+    deleteButton.setAttribute('aria-label', `Delete snapshot ${snapshot.name}`);
+    deleteButton.addEventListener('click', () => emit('snapshot-delete', snapshot.id));
+    item.appendChild(deleteButton);
+
+    list.appendChild(item);
+  });
+  card.appendChild(list);
+
+  const compareRow = document.createElement('div');
+  compareRow.className = 'module-snapshots-compare';
+
+  const makeVersionSelect = (label, selectedId) => {
+    const select = document.createElement('select');
+    select.className = 'module-snapshots-select';
+    select.setAttribute('aria-label', label);
+    [...snapshots.map((snapshot) => ({ id: snapshot.id, name: snapshot.name })), { id: '', name: 'Current' }]
+      .forEach((option) => {
+        const optionEl = document.createElement('option');
+        optionEl.value = option.id;
+        optionEl.textContent = option.name;
+        optionEl.selected = option.id === selectedId;
+        select.appendChild(optionEl);
+      });
+    return select;
+  };
+
+  const leftSelect = makeVersionSelect('Compare from', snapshots[snapshots.length - 1].id);
+  const rightSelect = makeVersionSelect('Compare to', '');
+
+  const joiner = document.createElement('span');
+  joiner.className = 'module-snapshots-joiner';
+  joiner.textContent = 'with';
+
+  const compareButton = document.createElement('button');
+  compareButton.type = 'button';
+  compareButton.className = 'ui-button module-snapshots-btn';
+  compareButton.textContent = 'Compare';
+  compareButton.addEventListener('click', () => emit('snapshot-compare', {
+    leftSnapshotId: leftSelect.value || null,
+    rightSnapshotId: rightSelect.value || null
+  }));
+
+  compareRow.appendChild(leftSelect);
+  compareRow.appendChild(joiner);
+  compareRow.appendChild(rightSelect);
+  compareRow.appendChild(compareButton);
+  card.appendChild(compareRow);
+
+  return card;
+}
+
+export function patchModuleSnapshotsCard(root, module, { onPatchInputs = null } = {}) {
+  const existing = root?.querySelector(`[data-module-snapshots="${module.id}"]`);
+  if (!existing) {
+    return false;
+  }
+
+  existing.replaceWith(buildModuleSnapshotsCard(module, { onPatchInputs }));
+  return true;
+}
+
 export function buildFocusedPane({
   module,
   moduleNumber,
@@ -2887,6 +3521,9 @@ export function buildFocusedPane({
     onPatchInputs,
     assumptionsEditorStatus
   }));
+  if (!readOnly && !isReportModule(module) && !isEducationModule(module)) {
+    card.appendChild(buildModuleSnapshotsCard(module, { onPatchInputs }));
+  }
   pane.appendChild(card);
 
   return pane;
@@ -3137,6 +3774,196 @@ export function updateSessionStatus(ui, isDirty) {
   ui.sessionStatus.classList.toggle('is-dirty', Boolean(isDirty));
 }
 
+function formatLibraryDate(isoString) {
+  const date = new Date(isoString);
+  if (Number.isNaN(date.getTime())) {
+    return '';
+  }
+
+  return date.toLocaleString([], {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+function buildSessionLibraryButton(label, action, sessionId, disabled = false) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'ui-button session-library-action';
+  button.textContent = label;
+  button.dataset.libraryAction = action;
+  button.dataset.sessionId = sessionId;
+  button.disabled = disabled;
+  return button;
+}
+
+// The open session cannot be archived or deleted from here; the advisor switches away first.
+export function renderSessionLibraryList(ui, { entries = [], currentSessionId = null, error = '' } = {}) {
+  const list = ui.sessionLibraryList;
+  if (!list) {
+    return;
+  }
+
+  list.replaceChildren();
+
+  if (error || entries.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'session-library-empty';
+    empty.textContent = error || 'No saved sessions yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  entries.forEach((entry) => {
+    const isCurrent = entry.sessionId === currentSessionId;
+    const item = document.createElement('li');
+    item.className = 'session-library-item';
+    item.classList.toggle('is-current', isCurrent);
+    item.classList.toggle('is-archived', entry.archived);
+
+    const details = document.createElement('div');
+    details.className = 'session-library-details';
+
+    const name = document.createElement('div');
+    name.className = 'session-library-name';
+    name.textContent = entry.clientName || 'Client';
+    if (isCurrent || entry.archived) {
+      const badge = document.createElement('span');
+      badge.className = 'session-library-badge';
+      badge.textContent = isCurrent ? 'Open now' : 'Archived';
+      name.appendChild(badge);
+    }
+    details.appendChild(name);
+
+    const meta = document.createElement('div');
+    meta.className = 'session-library-meta';
+    const moduleLabel = `${entry.moduleCount} module${entry.moduleCount === 1 ? '' : 's'}`;
+    meta.textContent = `Created ${formatLibraryDate(entry.createdAt)} · Updated ${formatLibraryDate(entry.updatedAt)} · ${moduleLabel}`;
+    details.appendChild(meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'session-library-actions';
+    actions.appendChild(buildSessionLibraryButton('Open', 'open', entry.sessionId, isCurrent));
+    actions.appendChild(buildSessionLibraryButton('Duplicate', 'duplicate', entry.sessionId));
+    actions.appendChild(entry.archived
+      ? buildSessionLibraryButton('Unarchive', 'unarchive', entry.sessionId)
+      : buildSessionLibraryButton('Archive', 'archive', entry.sessionId, isCurrent));
+    actions.appendChild(buildSessionLibraryButton('Delete', 'delete', entry.sessionId, isCurrent));
+
+    item.appendChild(details);
+    item.appendChild(actions);
+    list.appendChild(item);
+  });
+}
+
+function formatHistoryTime(timestamp) {
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) {
+    return '';
+  }
+
+  return date.toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+}
+
+// Newest step first. Undone steps stay listed, dimmed, until the next edit drops them.
+export function renderSessionHistoryList(ui, { entries = [], canUndo = false, canRedo = false } = {}) {
+  if (ui.sessionHistoryUndoButton) {
+    ui.sessionHistoryUndoButton.disabled = !canUndo;
+  }
+
+  if (ui.sessionHistoryRedoButton) {
+    ui.sessionHistoryRedoButton.disabled = !canRedo;
+  }
+
+  const list = ui.sessionHistoryList;
+  if (!list) {
+    return;
+  }
+
+  list.replaceChildren();
+
+  [...entries].reverse().forEach((entry) => {
+    const item = document.createElement('li');
+    item.className = 'session-history-item';
+    item.classList.toggle('is-current', entry.state === 'current');
+    item.classList.toggle('is-undone', entry.state === 'undone');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'session-history-step';
+    button.dataset.historyIndex = String(entry.index);
+    button.disabled = entry.state === 'current';
+    if (entry.state === 'current') {
+      button.setAttribute('aria-current', 'step');
+    }
+
+    const label = document.createElement('span');
+    label.className = 'session-history-label';
+    label.textContent = entry.label;
+    button.appendChild(label);
+
+    const time = document.createElement('span');
+    time.className = 'session-history-time';
+    time.textContent = formatHistoryTime(entry.at);
+    button.appendChild(time);
+
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+}
+
+const SYNC_CONFLICT_FIELD_LABELS = Object.freeze({
+  title: 'title',
+  notes: 'notes',
+  generated: 'content',
+  snapshots: 'snapshots'
+});
+
+function describeSyncConflict(conflict) {
+  if (conflict.kind === 'deleted-theirs') {
+    return 'Deleted in the other tab, edited here';
+  }
+
+  if (conflict.kind === 'deleted-mine') {
+    return 'Deleted here, edited in the other tab';
+  }
+
+  const fields = conflict.fields.map((field) => SYNC_CONFLICT_FIELD_LABELS[field] || field);
+  return `Both tabs changed the ${fields.join(', ')}`;
+}
+
+export function renderSyncConflictList(ui, conflicts = []) {
+  const list = ui.syncConflictList;
+  if (!list) {
+    return;
+  }
+
+  list.replaceChildren();
+  conflicts.forEach((conflict) => {
+    const item = document.createElement('li');
+    item.className = 'sync-conflict-item';
+
+    const title = document.createElement('span');
+    title.className = 'sync-conflict-title';
+    title.textContent = conflict.title;
+    item.appendChild(title);
+
+    const detail = document.createElement('span');
+    detail.className = 'sync-conflict-detail';
+    detail.textContent = describeSyncConflict(conflict);
+    item.appendChild(detail);
+
+    list.appendChild(item);
+  });
+}
+
 export function getFocusedCardElement(ui) {
   return ui.swipeStage.querySelector('#focusCard') || ui.swipeStage.querySelector('.focused-module-card');
 }
@@ -0,0 +1,307 @@
+import { computeAmortizationMonthlySchedule } from './mortgage_math.js';
+
+const DEFAULTS = Object.freeze({
+  rentInflation: 0.03,
+  housePriceGrowth: 0.03,
+  buyingCostsPct: 0.02,
+  sellingCostsPct: 0.02,
+  ownershipCostsPct: 0.01,
+  investmentReturn: 0.05
+});
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function requireFiniteNumber(value, fieldName) {
+  if (!isFiniteNumber(value)) {
+    throw new Error(`generated.rentVsBuyInputs.${fieldName} must be a finite number.`);
+  }
+
+  return value;
+}
+
+function optionalFiniteNumber(value, fallback, fieldName) {
+  if (typeof value === 'undefined' || value === null) {
+    return fallback;
+  }
+
+  if (!isFiniteNumber(value)) {
+    throw new Error(`generated.rentVsBuyInputs.${fieldName} must be a finite number when provided.`);
+  }
+
+  return value;
+}
+
+function requireRate(value, fallback, fieldName, { min = -0.5, max = 1 } = {}) {
+  const rate = optionalFiniteNumber(value, fallback, fieldName);
+  if (rate < min || rate > max) {
+    throw new Error(`generated.rentVsBuyInputs.${fieldName} must be between ${min} and ${max}.`);
+  }
+
+  return rate;
+}
+
+function formatEuro(amount) {
+  return new Intl.NumberFormat('en-IE', {
+    style: 'currency',
+    currency: 'EUR',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(isFiniteNumber(amount) ? amount : 0);
+}
+
+function formatPercent(decimal) {
+  return `${(decimal * 100).toFixed(2)}%`;
+}
+
+function toMonthlyRate(annualRate) {
+  return Math.pow(1 + annualRate, 1 / 12) - 1;
+}
+
+export function normalizeRentVsBuyInputs(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('generated.rentVsBuyInputs must be an object.');
+  }
+
+  const propertyPrice = requireFiniteNumber(raw.propertyPrice, 'propertyPrice');
+  if (propertyPrice <= 0) {
+    throw new Error('generated.rentVsBuyInputs.propertyPrice must be greater than 0.');
+  }
+
+  const deposit = requireFiniteNumber(raw.deposit, 'deposit');
+  if (deposit < 0 || deposit >= propertyPrice) {
+    throw new Error('generated.rentVsBuyInputs.deposit must be at least 0 and less than propertyPrice.');
+  }
+
+  const annualInterestRate = requireFiniteNumber(raw.annualInterestRate, 'annualInterestRate');
+  if (annualInterestRate < 0) {
+    throw new Error('generated.rentVsBuyInputs.annualInterestRate must be greater than or equal to 0.');
+  }
+
+  const termYears = requireFiniteNumber(raw.termYears, 'termYears');
+  if (termYears <= 0) {
+    throw new Error('generated.rentVsBuyInputs.termYears must be greater than 0.');
+  }
+
+  const horizonYears = optionalFiniteNumber(raw.horizonYears, termYears, 'horizonYears');
+  if (!Number.isInteger(horizonYears) || horizonYears <= 0 || horizonYears > 60) {
+    throw new Error('generated.rentVsBuyInputs.horizonYears must be a whole number of years between 1 and 60.');
+  }
+
+  const monthlyRent = requireFiniteNumber(raw.monthlyRent, 'monthlyRent');
+  if (monthlyRent < 0) {
+    throw new Error('generated.rentVsBuyInputs.monthlyRent must be greater than or equal to 0.');
+  }
+
+  if (typeof raw.startDateIso !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(raw.startDateIso.trim())) {
+    throw new Error('generated.rentVsBuyInputs.startDateIso must be a YYYY-MM-DD string.');
+  }
+
+  return {
+    propertyPrice,
+    deposit,
+    annualInterestRate,
+    termYears,
+    horizonYears,
+    startDateIso: raw.startDateIso.trim(),
+    monthlyRent,
+    rentInflation: requireRate(raw.rentInflation, DEFAULTS.rentInflation, 'rentInflation'),
+    housePriceGrowth: requireRate(raw.housePriceGrowth, DEFAULTS.housePriceGrowth, 'housePriceGrowth'),
+    buyingCostsPct: requireRate(raw.buyingCostsPct, DEFAULTS.buyingCostsPct, 'buyingCostsPct', { min: 0, max: 0.25 }),
+    sellingCostsPct: requireRate(raw.sellingCostsPct, DEFAULTS.sellingCostsPct, 'sellingCostsPct', { min: 0, max: 0.25 }),
+    ownershipCostsPct: requireRate(raw.ownershipCostsPct, DEFAULTS.ownershipCostsPct, 'ownershipCostsPct', { min: 0, max: 0.25 }),
+    investmentReturn: requireRate(raw.investmentReturn, DEFAULTS.investmentReturn, 'investmentReturn')
+  };
+}
+
+// Both households spend the same each month: whichever path costs less that month
+// invests the difference, so net wealth compares like with like. The renter starts by
+// investing the cash the buyer puts into the deposit and purchase costs.
+function simulateRentVsBuy(inputs) {
+  const mortgage = computeAmortizationMonthlySchedule({
+    currentBalance: inputs.propertyPrice - inputs.deposit,
+    annualInterestRate: inputs.annualInterestRate,
+    startDateIso: inputs.startDateIso,
+    remainingTermYears: inputs.termYears,
+    repaymentType: 'repayment'
+  });
+
+  const monthCount = inputs.horizonYears * 12;
+  const houseGrowthMonthly = toMonthlyRate(inputs.housePriceGrowth);
+  const investmentMonthly = toMonthlyRate(inputs.investmentReturn);
+  const buyingCosts = inputs.propertyPrice * inputs.buyingCostsPct;
+  const startYear = Number(inputs.startDateIso.slice(0, 4));
+  const startMonth = Number(inputs.startDateIso.slice(5, 7)) - 1;
+
+  let homeValue = inputs.propertyPrice;
+  let mortgageBalance = mortgage.openingBalance;
+  let rent = inputs.monthlyRent;
+  let renterPortfolio = inputs.deposit + buyingCosts;
+  let buyerPortfolio = 0;
+  let totalRent = 0;
+  let totalOwnershipCosts = 0;
+  let totalInterest = 0;
+  const yearly = [];
+
+  for (let monthIndex = 0; monthIndex < monthCount; monthIndex += 1) {
+    if (monthIndex > 0 && monthIndex % 12 === 0) {
+      rent *= 1 + inputs.rentInflation;
+    }
+
+    const mortgageMonth = mortgage.monthlySchedule[monthIndex] || null;
+    const mortgagePayment = mortgageMonth ? mortgageMonth.totalPaid : 0;
+    const ownershipCost = homeValue * inputs.ownershipCostsPct / 12;
+    const buyerOutflow = mortgagePayment + ownershipCost;
+
+    renterPortfolio *= 1 + investmentMonthly;
+    buyerPortfolio *= 1 + investmentMonthly;
+    if (buyerOutflow > rent) {
+      renterPortfolio += buyerOutflow - rent;
+    } else {
+      buyerPortfolio += rent - buyerOutflow;
+    }
+
+    homeValue *= 1 + houseGrowthMonthly;
+    if (mortgageMonth) {
+      mortgageBalance = mortgageMonth.balanceEnd;
+      totalInterest += mortgageMonth.interestPaid;
+    }
+    totalRent += rent;
+    totalOwnershipCosts += ownershipCost;
+
+    if ((monthIndex + 1) % 12 === 0) {
+      const homeEquity = (homeValue * (1 - inputs.sellingCostsPct)) - mortgageBalance;
+      yearly.push({
+        yearIndex: (monthIndex + 1) / 12,
+        year: startYear + Math.floor((startMonth + monthIndex) / 12),
+        homeValue,
+        mortgageBalance,
+        homeEquity,
+        buyerPortfolio,
+        buyNetWealth: homeEquity + buyerPortfolio,
+        rentNetWealth: renterPortfolio,
+        monthlyRent: rent
+      });
+    }
+  }
+
+  return {
+    mortgage,
+    buyingCosts,
+    yearly,
+    totalRent,
+    totalOwnershipCosts,
+    totalInterest
+  };
+}
+
+// First year-end from which buying stays ahead of renting for the rest of the horizon.
+function findCrossoverYear(yearly) {
+  let crossover = null;
+  yearly.forEach((row) => {
+    if (row.buyNetWealth >= row.rentNetWealth) {
+      if (crossover === null) {
+        crossover = row;
+      }
+    } else {
+      crossover = null;
+    }
+  });
+  return crossover;
+}
+
+export function computeRentVsBuyProjection(rawInputs) {
+  const inputs = normalizeRentVsBuyInputs(rawInputs);
+  const simulation = simulateRentVsBuy(inputs);
+  const { mortgage, yearly } = simulation;
+  const finalRow = yearly[yearly.length - 1];
+  const difference = finalRow.buyNetWealth - finalRow.rentNetWealth;
+  const crossover = findCrossoverYear(yearly);
+  const upfrontCash = inputs.deposit + simulation.buyingCosts;
+
+  let crossoverValue = 'Buying never pulls ahead';
+  let crossoverNote = `Renting and investing stays ahead for all ${inputs.horizonYears} years`;
+  if (crossover) {
+    crossoverValue = String(crossover.year);
+    crossoverNote = crossover.yearIndex === 1
+      ? 'Buying is ahead from the first year'
+      : `Buying pulls ahead after ${crossover.yearIndex} years and stays ahead`;
+  }
+
+  const assumptionsTable = {
+    columns: ['Assumption', 'Value', 'Notes'],
+    rows: [
+      ['Property price', formatEuro(inputs.propertyPrice), `Bought ${inputs.startDateIso}`],
+      ['Deposit', formatEuro(inputs.deposit), `Mortgage of ${formatEuro(mortgage.openingBalance)}`],
+      ['Annual interest rate', formatPercent(inputs.annualInterestRate), 'Repayment mortgage, monthly compounding'],
+      ['Mortgage term', `${inputs.termYears} years`, `${mortgage.termMonthsPlanned} monthly repayments`],
+      ['Monthly rent', formatEuro(inputs.monthlyRent), 'Rent for an equivalent home today'],
+      ['Rent inflation', formatPercent(inputs.rentInflation), 'Applied at each anniversary'],
+      ['House price growth', formatPercent(inputs.housePriceGrowth), 'Annual rate, compounded monthly'],
+      ['Buying costs', formatPercent(inputs.buyingCostsPct), 'Stamp duty, legal and survey fees at purchase'],
+      ['Selling costs', formatPercent(inputs.sellingCostsPct), 'Deducted from home value in net wealth'],
+      ['Ownership costs', formatPercent(inputs.ownershipCostsPct), 'Maintenance, insurance and property tax per year of home value'],
+      ['Investment return', formatPercent(inputs.investmentReturn), 'Earned on the deposit and monthly savings not spent on housing'],
+      ['Horizon', `${inputs.horizonYears} years`, 'Net wealth compared at each year-end']
+    ]
+  };
+
+  const outputsTable = {
+    columns: ['Metric', 'Value', 'Notes'],
+    rows: [
+      ['Monthly mortgage payment', formatEuro(mortgage.monthlyPaymentUsed), `Versus ${formatEuro(inputs.monthlyRent)} rent in the first year`],
+      ['Upfront cash to buy', formatEuro(upfrontCash), 'Deposit plus buying costs; invested instead when renting'],
+      [`Net wealth after ${inputs.horizonYears} years: buy`, formatEuro(finalRow.buyNetWealth), `Home equity after selling costs ${formatEuro(finalRow.homeEquity)} plus investments ${formatEuro(finalRow.buyerPortfolio)}`],
+      [`Net wealth after ${inputs.horizonYears} years: rent`, formatEuro(finalRow.rentNetWealth), 'Invested deposit plus monthly savings'],
+      ['Difference (buy minus rent)', formatEuro(difference), difference >= 0 ? 'Buying leaves more wealth' : 'Renting leaves more wealth'],
+      ['Crossover year', crossoverValue, crossoverNote],
+      ['Home value at horizon', formatEuro(finalRow.homeValue), `Mortgage balance ${formatEuro(finalRow.mortgageBalance)}`],
+      ['Total rent paid', formatEuro(simulation.totalRent), `Over ${inputs.horizonYears} years`],
+      ['Total mortgage interest', formatEuro(simulation.totalInterest), `Over ${inputs.horizonYears} years`],
+      ['Total ownership costs', formatEuro(simulation.totalOwnershipCosts), `Over ${inputs.horizonYears} years`]
+    ]
+  };
+
+  const charts = [
+    {
+      id: 'rent-vs-buy-net-wealth',
+      title: 'Net Wealth Over Time: Buy vs Rent',
+      type: 'line',
+      labels: yearly.map((row) => String(row.year)),
+      datasets: [
+        {
+          label: 'Buy: net wealth',
+          data: yearly.map((row) => row.buyNetWealth)
+        },
+        {
+          label: 'Rent: net wealth',
+          data: yearly.map((row) => row.rentNetWealth)
+        }
+      ]
+    }
+  ];
+
+  const summarySentences = [
+    `Buying at ${formatEuro(inputs.propertyPrice)} with a ${formatEuro(inputs.deposit)} deposit costs ${formatEuro(mortgage.monthlyPaymentUsed)} a month in mortgage repayments, against ${formatEuro(inputs.monthlyRent)} rent.`,
+    `After ${inputs.horizonYears} years, buying leaves net wealth of ${formatEuro(finalRow.buyNetWealth)} and renting ${formatEuro(finalRow.rentNetWealth)}.`,
+    crossover
+      ? `Buying pulls ahead for good in ${crossover.year}.`
+      : `On these assumptions renting and investing the difference stays ahead throughout.`
+  ];
+
+  return {
+    assumptionsTable,
+    outputsTable,
+    charts,
+    summaryHtml: `<p>${summarySentences.join(' ')}</p>`,
+    debug: {
+      monthlyPayment: mortgage.monthlyPaymentUsed,
+      upfrontCash,
+      crossoverYear: crossover ? crossover.year : null,
+      finalBuyNetWealth: finalRow.buyNetWealth,
+      finalRentNetWealth: finalRow.rentNetWealth,
+      yearly
+    }
+  };
+}
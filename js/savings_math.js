@@ -0,0 +1,394 @@
+const SAVINGS_VEHICLES = Object.freeze(['fund', 'deposit']);
+const VEHICLE_LABELS = Object.freeze({
+  fund: 'Investment fund',
+  deposit: 'Deposit account'
+});
+const EXIT_TAX_RATE = 0.41;
+const DIRT_RATE = 0.33;
+const DEEMED_DISPOSAL_YEARS = 8;
+const MAX_HORIZON_MONTHS = 600;
+const CONTRIBUTION_SOLVER_MAX_ITERATIONS = 80;
+const CONTRIBUTION_SOLVER_TOLERANCE = 0.005;
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function requireFiniteNumber(value, fieldName) {
+  if (!isFiniteNumber(value)) {
+    throw new Error(`generated.savingsInputs.${fieldName} must be a finite number.`);
+  }
+
+  return value;
+}
+
+function optionalFiniteNumber(value, fallback, fieldName) {
+  if (typeof value === 'undefined' || value === null) {
+    return fallback;
+  }
+
+  if (!isFiniteNumber(value)) {
+    throw new Error(`generated.savingsInputs.${fieldName} must be a finite number when provided.`);
+  }
+
+  return value;
+}
+
+function requireRate(value, fallback, fieldName, { min = -0.5, max = 1 } = {}) {
+  const rate = optionalFiniteNumber(value, fallback, fieldName);
+  if (rate < min || rate > max) {
+    throw new Error(`generated.savingsInputs.${fieldName} must be between ${min} and ${max}.`);
+  }
+
+  return rate;
+}
+
+function requireIsoDate(value, fieldName) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+    throw new Error(`generated.savingsInputs.${fieldName} must be a YYYY-MM-DD string.`);
+  }
+
+  return `${value.trim().slice(0, 7)}-01`;
+}
+
+function formatEuro(amount) {
+  return new Intl.NumberFormat('en-IE', {
+    style: 'currency',
+    currency: 'EUR',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(isFiniteNumber(amount) ? amount : 0);
+}
+
+function formatPercent(decimal) {
+  return `${(decimal * 100).toFixed(2)}%`;
+}
+
+function getMonthsBetween(fromDateIso, toDateIso) {
+  const [fromYear, fromMonth] = fromDateIso.split('-').map(Number);
+  const [toYear, toMonth] = toDateIso.split('-').map(Number);
+  return ((toYear - fromYear) * 12) + (toMonth - fromMonth);
+}
+
+function addMonthsIso(startDateIso, monthOffset) {
+  const [year, month] = startDateIso.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + monthOffset, 1)).toISOString().slice(0, 10);
+}
+
+function toMonthlyRate(annualRate) {
+  return Math.pow(1 + annualRate, 1 / 12) - 1;
+}
+
+export function normalizeSavingsInputs(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('generated.savingsInputs must be an object.');
+  }
+
+  const goalName = typeof raw.goalName === 'string' && raw.goalName.trim()
+    ? raw.goalName.trim()
+    : 'Savings goal';
+
+  const startDateIso = requireIsoDate(raw.startDateIso, 'startDateIso');
+  const targetDateIso = requireIsoDate(raw.targetDateIso, 'targetDateIso');
+  const horizonMonths = getMonthsBetween(startDateIso, targetDateIso);
+  if (horizonMonths < 1 || horizonMonths > MAX_HORIZON_MONTHS) {
+    throw new Error(`generated.savingsInputs.targetDateIso must be between 1 and ${MAX_HORIZON_MONTHS} months after startDateIso.`);
+  }
+
+  const targetAmount = requireFiniteNumber(raw.targetAmount, 'targetAmount');
+  if (targetAmount <= 0) {
+    throw new Error('generated.savingsInputs.targetAmount must be greater than 0.');
+  }
+
+  const startingBalance = optionalFiniteNumber(raw.startingBalance, 0, 'startingBalance');
+  if (startingBalance < 0) {
+    throw new Error('generated.savingsInputs.startingBalance must be greater than or equal to 0.');
+  }
+
+  const monthlyContribution = optionalFiniteNumber(raw.monthlyContribution, 0, 'monthlyContribution');
+  if (monthlyContribution < 0) {
+    throw new Error('generated.savingsInputs.monthlyContribution must be greater than or equal to 0.');
+  }
+
+  const vehicle = typeof raw.vehicle === 'undefined' || raw.vehicle === null
+    ? 'fund'
+    : String(raw.vehicle).trim();
+  if (!SAVINGS_VEHICLES.includes(vehicle)) {
+    throw new Error('generated.savingsInputs.vehicle must be "fund" or "deposit".');
+  }
+
+  return {
+    goalName,
+    startDateIso,
+    targetDateIso,
+    targetAmount,
+    startingBalance,
+    monthlyContribution,
+    contributionEscalation: requireRate(raw.contributionEscalation, 0, 'contributionEscalation', { min: 0, max: 0.5 }),
+    growthRate: requireRate(raw.growthRate, vehicle === 'deposit' ? 0.02 : 0.05, 'growthRate'),
+    inflationRate: requireRate(raw.inflationRate, 0.02, 'inflationRate', { min: -0.1, max: 0.5 }),
+    vehicle
+  };
+}
+
+// Month by month to the target date, contributions at the start of each month. Deposit
+// interest is credited net of DIRT. Fund holdings are tracked as units in tranches so each
+// subscription meets its own eighth-anniversary deemed disposal; the balance at the target
+// date is shown after exit tax on encashment.
+function simulateSavings(inputs, monthlyContribution) {
+  const horizonMonths = getMonthsBetween(inputs.startDateIso, inputs.targetDateIso);
+  const monthlyGrowth = toMonthlyRate(inputs.growthRate);
+  const monthlyInflation = toMonthlyRate(inputs.inflationRate);
+  const deemedDisposalMonths = DEEMED_DISPOSAL_YEARS * 12;
+
+  let unitPrice = 1;
+  const tranches = [];
+  let depositBalance = 0;
+  let totalContributions = 0;
+  let deemedDisposalTax = 0;
+  let firstDeemedDisposalMonth = null;
+  let dirtPaid = 0;
+
+  const buy = (amount, monthIndex) => {
+    if (amount <= 0) {
+      return;
+    }
+    if (inputs.vehicle === 'deposit') {
+      depositBalance += amount;
+      return;
+    }
+    tranches.push({ units: amount / unitPrice, costBase: amount, acquiredMonth: monthIndex });
+  };
+
+  const grossValue = () => (inputs.vehicle === 'deposit'
+    ? depositBalance
+    : tranches.reduce((sum, tranche) => sum + (tranche.units * unitPrice), 0));
+
+  const exitTaxDue = () => (inputs.vehicle === 'deposit'
+    ? 0
+    : tranches.reduce((sum, tranche) => (
+      sum + Math.max(0, (tranche.units * unitPrice) - tranche.costBase) * EXIT_TAX_RATE
+    ), 0));
+
+  buy(inputs.startingBalance, 0);
+  const yearly = [];
+  let contribution = monthlyContribution;
+
+  for (let monthIndex = 0; monthIndex < horizonMonths; monthIndex += 1) {
+    if (monthIndex > 0 && monthIndex % 12 === 0) {
+      contribution *= 1 + inputs.contributionEscalation;
+    }
+    buy(contribution, monthIndex);
+    totalContributions += contribution;
+
+    if (inputs.vehicle === 'deposit') {
+      const interest = depositBalance * monthlyGrowth;
+      const dirt = Math.max(0, interest) * DIRT_RATE;
+      dirtPaid += dirt;
+      depositBalance += interest - dirt;
+    } else {
+      unitPrice *= 1 + monthlyGrowth;
+      tranches.forEach((tranche) => {
+        const heldMonths = monthIndex + 1 - tranche.acquiredMonth;
+        if (heldMonths <= 0 || heldMonths % deemedDisposalMonths !== 0) {
+          return;
+        }
+        // Tax comes out of the holding and the base cost steps up to the value left.
+        const value = tranche.units * unitPrice;
+        const tax = Math.max(0, value - tranche.costBase) * EXIT_TAX_RATE;
+        if (tax > 0 && firstDeemedDisposalMonth === null) {
+          firstDeemedDisposalMonth = monthIndex + 1;
+        }
+        deemedDisposalTax += tax;
+        tranche.units -= tax / unitPrice;
+        tranche.costBase = tranche.units * unitPrice;
+      });
+    }
+
+    const monthsElapsed = monthIndex + 1;
+    if (monthsElapsed % 12 === 0 || monthsElapsed === horizonMonths) {
+      const gross = grossValue();
+      const netBalance = gross - exitTaxDue();
+      yearly.push({
+        label: addMonthsIso(inputs.startDateIso, monthsElapsed).slice(0, 7),
+        monthsElapsed,
+        grossBalance: gross,
+        netBalance,
+        realBalance: netBalance / Math.pow(1 + monthlyInflation, monthsElapsed),
+        totalContributions: inputs.startingBalance + totalContributions
+      });
+    }
+  }
+
+  const finalExitTax = exitTaxDue();
+  const netBalance = grossValue() - finalExitTax;
+  return {
+    horizonMonths,
+    finalMonthlyContribution: contribution,
+    totalContributions,
+    netBalance,
+    realBalance: netBalance / Math.pow(1 + monthlyInflation, horizonMonths),
+    targetNominal: inputs.targetAmount * Math.pow(1 + monthlyInflation, horizonMonths),
+    taxPaid: dirtPaid + deemedDisposalTax + finalExitTax,
+    dirtPaid,
+    deemedDisposalTax,
+    firstDeemedDisposalDateIso: firstDeemedDisposalMonth === null
+      ? null
+      : addMonthsIso(inputs.startDateIso, firstDeemedDisposalMonth),
+    finalExitTax,
+    yearly
+  };
+}
+
+// Lowest first-year monthly saving whose after-tax balance meets the inflated target.
+// More saving never lowers the balance, so bisection is safe.
+function solveRequiredMonthlyContribution(inputs, targetNominal) {
+  const reachesTarget = (contribution) => simulateSavings(inputs, contribution).netBalance >= targetNominal;
+  if (reachesTarget(0)) {
+    return 0;
+  }
+
+  let low = 0;
+  let high = Math.max(1, targetNominal / getMonthsBetween(inputs.startDateIso, inputs.targetDateIso));
+  while (!reachesTarget(high) && high < 1e9) {
+    high *= 2;
+  }
+
+  for (let iteration = 0; iteration < CONTRIBUTION_SOLVER_MAX_ITERATIONS; iteration += 1) {
+    if (high - low <= CONTRIBUTION_SOLVER_TOLERANCE) {
+      break;
+    }
+
+    const mid = (low + high) / 2;
+    if (reachesTarget(mid)) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+
+  return high;
+}
+
+export function computeSavingsProjection(rawInputs) {
+  const inputs = normalizeSavingsInputs(rawInputs);
+  const projection = simulateSavings(inputs, inputs.monthlyContribution);
+  const requiredMonthlyContribution = solveRequiredMonthlyContribution(inputs, projection.targetNominal);
+  const gap = projection.netBalance - projection.targetNominal;
+  const growthAfterTax = projection.netBalance - inputs.startingBalance - projection.totalContributions;
+  const isFund = inputs.vehicle === 'fund';
+
+  const assumptionsTable = {
+    columns: ['Assumption', 'Value', 'Notes'],
+    rows: [
+      ['Goal', inputs.goalName, `Saving from ${inputs.startDateIso}`],
+      ['Target amount', formatEuro(inputs.targetAmount), `In today's money; ${formatEuro(projection.targetNominal)} by the target date`],
+      ['Target date', inputs.targetDateIso, `${projection.horizonMonths} months of saving`],
+      ['Starting balance', formatEuro(inputs.startingBalance), 'Already set aside for this goal'],
+      ['Monthly contribution', formatEuro(inputs.monthlyContribution), 'Paid at the start of each month'],
+      ['Contribution escalation', formatPercent(inputs.contributionEscalation), 'Monthly contribution rises at each anniversary'],
+      ['Growth rate', formatPercent(inputs.growthRate), isFund ? 'Annual return before tax' : 'Annual deposit interest before DIRT'],
+      ['Inflation', formatPercent(inputs.inflationRate), "Used for the target and for today's money figures"],
+      [
+        'Savings vehicle',
+        VEHICLE_LABELS[inputs.vehicle],
+        isFund
+          ? `Exit tax ${formatPercent(EXIT_TAX_RATE)} with deemed disposal every ${DEEMED_DISPOSAL_YEARS} years`
+          : `DIRT ${formatPercent(DIRT_RATE)} on interest as credited`
+      ]
+    ]
+  };
+
+  const outputRows = [
+    ['Projected balance at target date', formatEuro(projection.netBalance), isFund ? 'After exit tax on encashment' : 'After DIRT'],
+    ["Projected balance in today's money", formatEuro(projection.realBalance), `Against a target of ${formatEuro(inputs.targetAmount)}`],
+    [
+      gap >= 0 ? 'Surplus over target' : 'Shortfall against target',
+      formatEuro(Math.abs(gap)),
+      `Target of ${formatEuro(projection.targetNominal)} at the target date`
+    ],
+    [
+      'Required monthly saving',
+      formatEuro(requiredMonthlyContribution),
+      inputs.contributionEscalation > 0
+        ? `First-year amount, rising ${formatPercent(inputs.contributionEscalation)} a year`
+        : 'Level monthly amount to reach the target'
+    ],
+    ['Total contributions', formatEuro(projection.totalContributions), `Final monthly contribution ${formatEuro(projection.finalMonthlyContribution)}`],
+    ['Growth after tax', formatEuro(growthAfterTax), 'Projected balance less starting balance and contributions']
+  ];
+
+  if (isFund) {
+    outputRows.push(
+      [
+        'Deemed disposal tax',
+        formatEuro(projection.deemedDisposalTax),
+        projection.firstDeemedDisposalDateIso
+          ? `Charged on each subscription's ${DEEMED_DISPOSAL_YEARS}th anniversary from ${projection.firstDeemedDisposalDateIso}`
+          : `No subscription reaches its ${DEEMED_DISPOSAL_YEARS}th anniversary before the target date`
+      ],
+      ['Exit tax on encashment', formatEuro(projection.finalExitTax), `${formatPercent(EXIT_TAX_RATE)} of remaining gains at the target date`]
+    );
+  } else {
+    outputRows.push(['DIRT paid', formatEuro(projection.dirtPaid), `${formatPercent(DIRT_RATE)} of interest credited`]);
+  }
+
+  const outputsTable = {
+    columns: ['Metric', 'Value', 'Notes'],
+    rows: outputRows
+  };
+
+  const charts = [
+    {
+      id: 'savings-goal-projection',
+      title: `${inputs.goalName}: Projected Balance vs Target`,
+      type: 'line',
+      labels: projection.yearly.map((row) => row.label),
+      datasets: [
+        {
+          label: 'Projected balance (after tax)',
+          data: projection.yearly.map((row) => row.netBalance)
+        },
+        {
+          label: "Projected balance (today's money)",
+          data: projection.yearly.map((row) => row.realBalance)
+        },
+        {
+          label: 'Total contributions',
+          data: projection.yearly.map((row) => row.totalContributions)
+        },
+        {
+          label: 'Target',
+          data: projection.yearly.map(() => projection.targetNominal)
+        }
+      ]
+    }
+  ];
+
+  const summarySentences = [
+    `Saving ${formatEuro(inputs.monthlyContribution)} a month into ${isFund ? 'an investment fund' : 'a deposit account'} grows to ${formatEuro(projection.netBalance)} after tax by ${inputs.targetDateIso}.`,
+    gap >= 0
+      ? `That meets the ${formatEuro(projection.targetNominal)} target with ${formatEuro(gap)} to spare.`
+      : `That is ${formatEuro(-gap)} short of the ${formatEuro(projection.targetNominal)} target; saving ${formatEuro(requiredMonthlyContribution)} a month would close the gap.`
+  ];
+
+  return {
+    assumptionsTable,
+    outputsTable,
+    charts,
+    summaryHtml: `<p>${summarySentences.join(' ')}</p>`,
+    debug: {
+      horizonMonths: projection.horizonMonths,
+      netBalance: projection.netBalance,
+      realBalance: projection.realBalance,
+      targetNominal: projection.targetNominal,
+      requiredMonthlyContribution,
+      taxPaid: projection.taxPaid,
+      deemedDisposalTax: projection.deemedDisposalTax,
+      firstDeemedDisposalDateIso: projection.firstDeemedDisposalDateIso,
+      finalExitTax: projection.finalExitTax,
+      dirtPaid: projection.dirtPaid,
+      yearly: projection.yearly
+    }
+  };
+}
@@ -0,0 +1,280 @@
+import { computePensionProjection } from './pension_math.js';
+import { computeMortgageProjection } from './mortgage_math.js';
+import {
+  pensionReadsTopLevelContributions,
+  pensionReadsTopLevelGrowthRate,
+  mortgageReadsRemainingTerm
+} from './goal_seek.js';
+
+export const SENSITIVITY_CHART_ID = 'sensitivity-tornado';
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function formatEuro(amount) {
+  return new Intl.NumberFormat('en-IE', {
+    style: 'currency',
+    currency: 'EUR',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(isFiniteNumber(amount) ? amount : 0);
+}
+
+function formatPercent(decimal) {
+  return `${(decimal * 100).toFixed(2)}%`;
+}
+
+export function formatSensitivityInput(value, kind) {
+  if (kind === 'euro') {
+    return formatEuro(value);
+  }
+
+  if (kind === 'percent') {
+    return formatPercent(value);
+  }
+
+  return String(value);
+}
+
+function roundToCents(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+// A rate schedule replaces the base rate from each of its dates, so an interest rate shock
+// moves every scheduled rate by the same step as the initial one.
+function withShiftedMortgageRate(inputs, movedRate) {
+  const step = movedRate - inputs.annualInterestRate;
+  return {
+    ...inputs,
+    annualInterestRate: movedRate,
+    ...(Array.isArray(inputs.rateSchedule)
+      ? {
+        rateSchedule: inputs.rateSchedule.map((entry) => ({
+          ...entry,
+          annualInterestRate: Math.max(0, Number((entry.annualInterestRate + step).toFixed(6)))
+        }))
+      }
+      : {})
+  };
+}
+
+// Inputs each engine can move. A shock is either an absolute step in the field's own units
+// (percentage points as decimals, whole years) or a relative step as a share of the base value;
+// `min`/`max` keep a moved input inside the range the engine accepts. `available` leaves out a
+// field the engine would ignore for these inputs, and `apply` builds the moved inputs when
+// the field is not the only value to change.
+export const SENSITIVITY_ENGINES = Object.freeze({
+  pension: {
+    compute: (inputs) => {
+      // The Monte Carlo fan does not feed the headline pot, so skip it on every rerun.
+      const { stochastic: _stochastic, ...deterministic } = inputs;
+      return computePensionProjection(deterministic);
+    },
+    metric: {
+      label: 'Pension pot at retirement',
+      kind: 'euro',
+      read: (projection) => projection.debug.projectedPotCurrent
+    },
+    fields: {
+      growthRate: {
+        label: 'Growth rate',
+        kind: 'percent',
+        shock: { type: 'absolute', amount: 0.01 },
+        available: pensionReadsTopLevelGrowthRate
+      },
+      personalPct: {
+        label: 'Personal contribution',
+        kind: 'percent',
+        shock: { type: 'absolute', amount: 0.02 },
+        min: 0,
+        available: pensionReadsTopLevelContributions
+      },
+      employerPct: {
+        label: 'Employer contribution',
+        kind: 'percent',
+        shock: { type: 'absolute', amount: 0.02 },
+        min: 0,
+        available: pensionReadsTopLevelContributions
+      },
+      wageGrowthRate: { label: 'Wage growth', kind: 'percent', shock: { type: 'absolute', amount: 0.01 } },
+      currentSalary: { label: 'Current salary', kind: 'euro', shock: { type: 'relative', amount: 0.1 }, min: 0 },
+      currentPot: {
+        label: 'Current pension value',
+        kind: 'euro',
+        shock: { type: 'relative', amount: 0.1 },
+        min: 0,
+        available: pensionReadsTopLevelContributions
+      },
+      retirementAge: {
+        label: 'Retirement age',
+        kind: 'integer',
+        shock: { type: 'absolute', amount: 2 },
+        min: (inputs) => (inputs.currentAge || 0) + 1,
+        max: () => 75
+      }
+    }
+  },
+  mortgage: {
+    compute: computeMortgageProjection,
+    metric: {
+      label: 'Total interest',
+      kind: 'euro',
+      read: (projection) => projection.debug.totalInterestLifetime
+    },
+    fields: {
+      annualInterestRate: {
+        label: 'Interest rate',
+        kind: 'percent',
+        shock: { type: 'absolute', amount: 0.01 },
+        min: 0,
+        apply: withShiftedMortgageRate
+      },
+      currentBalance: { label: 'Current balance', kind: 'euro', shock: { type: 'relative', amount: 0.1 }, min: 0 },
+      remainingTermYears: {
+        label: 'Remaining term',
+        kind: 'integer',
+        shock: { type: 'absolute', amount: 5 },
+        min: 1,
+        available: mortgageReadsRemainingTerm
+      },
+      fixedPaymentAmount: { label: 'Fixed monthly payment', kind: 'euro', shock: { type: 'relative', amount: 0.1 }, min: 0 },
+      annualOverpayment: { label: 'Annual overpayment', kind: 'euro', shock: { type: 'absolute', amount: 1000 }, min: 0 },
+      oneOffOverpayment: { label: 'One-off overpayment', kind: 'euro', shock: { type: 'absolute', amount: 5000 }, min: 0 }
+    }
+  }
+});
+
+function resolveLimit(limit, inputs) {
+  return typeof limit === 'function' ? limit(inputs) : limit;
+}
+
+function roundForKind(value, kind) {
+  if (kind === 'integer') {
+    return Math.round(value);
+  }
+
+  return kind === 'euro' ? roundToCents(value) : Number(value.toFixed(6));
+}
+
+function shiftInput(baseValue, spec, amount, direction, inputs) {
+  const step = spec.shock.type === 'relative' ? Math.abs(baseValue) * amount : amount;
+  let moved = roundForKind(baseValue + direction * step, spec.kind);
+  const min = resolveLimit(spec.min, inputs);
+  const max = resolveLimit(spec.max, inputs);
+  if (isFiniteNumber(min)) {
+    moved = Math.max(min, moved);
+  }
+  if (isFiniteNumber(max)) {
+    moved = Math.min(max, moved);
+  }
+  return moved;
+}
+
+function tryReadMetric(engine, inputs) {
+  try {
+    const value = engine.metric.read(engine.compute(inputs));
+    return isFiniteNumber(value) ? value : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+// Moves each input present in `inputs` down and up by its shock and reruns the projection,
+// holding everything else at the base case. `shocks` overrides the default amount per field
+// in that field's own shock units; a zero shock leaves the field out. Rows come back widest
+// swing first, which is the order a tornado chart draws them.
+export function computeSensitivity({ calculator, inputs, shocks = null }) {
+  const engine = SENSITIVITY_ENGINES[calculator];
+  if (!engine) {
+    throw new Error(`Sensitivity analysis is not available for the ${calculator} calculator.`);
+  }
+
+  if (!isPlainObject(inputs)) {
+    throw new Error('Sensitivity analysis needs the calculator inputs.');
+  }
+
+  const baseValue = tryReadMetric(engine, inputs);
+  if (baseValue === null) {
+    throw new Error('The base projection did not produce a value to compare against.');
+  }
+
+  const overrides = isPlainObject(shocks) ? shocks : {};
+  const resolvedShocks = {};
+  const rows = [];
+  Object.entries(engine.fields).forEach(([field, spec]) => {
+    const baseInput = inputs[field];
+    if (!isFiniteNumber(baseInput) || (spec.available && !spec.available(inputs))) {
+      return;
+    }
+
+    const amount = isFiniteNumber(overrides[field]) ? Math.abs(overrides[field]) : spec.shock.amount;
+    resolvedShocks[field] = amount;
+    if (amount === 0) {
+      return;
+    }
+
+    const lowInput = shiftInput(baseInput, spec, amount, -1, inputs);
+    const highInput = shiftInput(baseInput, spec, amount, 1, inputs);
+    const movedInputs = (value) => (spec.apply ? spec.apply(inputs, value) : { ...inputs, [field]: value });
+    const lowValue = lowInput === baseInput ? baseValue : tryReadMetric(engine, movedInputs(lowInput));
+    const highValue = highInput === baseInput ? baseValue : tryReadMetric(engine, movedInputs(highInput));
+    if (lowValue === null || highValue === null) {
+      return;
+    }
+
+    rows.push({
+      field,
+      label: spec.label,
+      kind: spec.kind,
+      baseInput,
+      lowInput,
+      highInput,
+      lowValue: roundToCents(lowValue),
+      highValue: roundToCents(highValue)
+    });
+  });
+
+  rows.sort((left, right) => (
+    Math.abs(right.highValue - right.lowValue) - Math.abs(left.highValue - left.lowValue)
+  ));
+
+  return {
+    calculator,
+    appliedShocks: resolvedShocks,
+    metricLabel: engine.metric.label,
+    metricKind: engine.metric.kind,
+    baseValue: roundToCents(baseValue),
+    rows
+  };
+}
+
+// Bars are changes from the base case, so the chart centres on zero and both directions of
+// each input sit on one row.
+export function buildSensitivityChart(result) {
+  const baseValue = result.baseValue;
+  return {
+    id: SENSITIVITY_CHART_ID,
+    title: `Sensitivity of ${result.metricLabel.toLowerCase()}`,
+    type: 'bar',
+    labels: result.rows.map((row) => row.label),
+    datasets: [
+      {
+        label: 'Input lowered',
+        data: result.rows.map((row) => roundToCents(row.lowValue - baseValue))
+      },
+      {
+        label: 'Input raised',
+        data: result.rows.map((row) => roundToCents(row.highValue - baseValue))
+      }
+    ]
+  };
+}
+
+export function describeSensitivityRow(row) {
+  return `${formatSensitivityInput(row.lowInput, row.kind)} to ${formatSensitivityInput(row.highInput, row.kind)}`;
+}
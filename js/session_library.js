@@ -0,0 +1,144 @@
+const DB_NAME = 'call_canvas_session_library';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('Session library request failed.'));
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error || new Error('Session library transaction aborted.'));
+    transaction.onerror = () => reject(transaction.error || new Error('Session library transaction failed.'));
+  });
+}
+
+function toSummary(record) {
+  return {
+    sessionId: record.sessionId,
+    clientName: record.clientName,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    moduleCount: record.moduleCount,
+    archived: Boolean(record.archived)
+  };
+}
+
+function buildRecord(session, archived) {
+  return {
+    sessionId: session.sessionId,
+    clientName: session.clientName,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    moduleCount: Array.isArray(session.modules) ? session.modules.length : 0,
+    archived: Boolean(archived),
+    session
+  };
+}
+
+// Every session the advisor has worked on, keyed by sessionId. Records carry a summary
+// alongside the full session so the library list never has to parse module content.
+// The database opens on first use, so read-only pages that load this module never touch it.
+export function createSessionLibrary({ indexedDBFactory = window.indexedDB } = {}) {
+  let dbPromise = null;
+
+  function isAvailable() {
+    return Boolean(indexedDBFactory && typeof indexedDBFactory.open === 'function');
+  }
+
+  function openDb() {
+    if (!isAvailable()) {
+      return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+    }
+
+    if (!dbPromise) {
+      const request = indexedDBFactory.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'sessionId' });
+        }
+      };
+      dbPromise = requestToPromise(request).catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+
+    return dbPromise;
+  }
+
+  async function withStore(mode, callback) {
+    const db = await openDb();
+    const transaction = db.transaction(STORE_NAME, mode);
+    const done = transactionDone(transaction);
+    let result;
+    try {
+      result = await callback(transaction.objectStore(STORE_NAME));
+    } catch (error) {
+      done.catch(() => {});
+      throw error;
+    }
+    await done;
+    return result;
+  }
+
+  async function listSessions({ includeArchived = false } = {}) {
+    const records = await withStore('readonly', (store) => requestToPromise(store.getAll()));
+    return records
+      .filter((record) => includeArchived || !record.archived)
+      .map(toSummary)
+      .sort((left, right) => String(right.updatedAt).localeCompare(String(left.updatedAt)));
+  }
+
+  async function getSession(sessionId) {
+    const record = await withStore('readonly', (store) => requestToPromise(store.get(sessionId)));
+    return record ? record.session : null;
+  }
+
+  async function hasSession(sessionId) {
+    const key = await withStore('readonly', (store) => requestToPromise(store.getKey(sessionId)));
+    return key !== undefined;
+  }
+
+  // Saving keeps whatever archive flag the record already had.
+  async function saveSession(session) {
+    return withStore('readwrite', async (store) => {
+      const existing = await requestToPromise(store.get(session.sessionId));
+      const record = buildRecord(session, existing?.archived);
+      await requestToPromise(store.put(record));
+      return toSummary(record);
+    });
+  }
+
+  async function setArchived(sessionId, archived) {
+    return withStore('readwrite', async (store) => {
+      const existing = await requestToPromise(store.get(sessionId));
+      if (!existing) {
+        throw new Error('Session not found in the library.');
+      }
+
+      const record = { ...existing, archived: Boolean(archived) };
+      await requestToPromise(store.put(record));
+      return toSummary(record);
+    });
+  }
+
+  async function deleteSession(sessionId) {
+    await withStore('readwrite', (store) => requestToPromise(store.delete(sessionId)));
+  }
+
+  return {
+    isAvailable,
+    listSessions,
+    getSession,
+    hasSession,
+    saveSession,
+    setArchived,
+    deleteSession
+  };
+}
@@ -1,5 +1,5 @@
 import { decryptSessionJson } from './crypto_session.js';
-import { importSession } from './state.js';
+import { importSessionWithReport } from './state.js';
 
 window.__CALL_CANVAS_AUTO_INIT__ = false;
 
@@ -79,7 +79,15 @@ async function unlockSession() {
   try {
     const encryptedPayload = await fetchEncryptedSession(sessionId);
     const plaintext = await decryptSessionJson(pin, encryptedPayload);
-    const importedSession = importSession(plaintext);
+    // Links published before a schema bump are upgraded on the way in, like any saved file.
+    const { session: importedSession, migration } = importSessionWithReport(plaintext);
+    if (migration.migrated) {
+      console.info('[CallCanvas] published session migrated', {
+        fromVersion: migration.fromVersion,
+        toVersion: migration.toVersion,
+        steps: migration.steps
+      });
+    }
 
     const { initApp } = await import('./app.js');
     await initApp({
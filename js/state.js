@@ -2,7 +2,71 @@ import { normalizeReport } from './report.js';
 
 const STORAGE_KEY = 'call_canvas_session_current';
 const LEGACY_STORAGE_KEY = 'call-template-session-v1';
-const SESSION_VERSION = 1;
+const MIGRATION_BACKUP_KEY_PREFIX = 'call_canvas_session_premigration:';
+const MIGRATION_BACKUP_LIMIT = 10;
+const SESSION_VERSION = 2;
+// Pension projections saved before the rules table existed used the figures that became
+// this version, whatever the default is now.
+const UNVERSIONED_PENSION_RULES_VERSION = 'ie-2026.1';
+
+function needsPensionRulesPin(generated) {
+  const pensionInputs = generated?.pensionInputs;
+  return isPlainObject(pensionInputs)
+    && !(typeof pensionInputs.rulesVersion === 'string' && pensionInputs.rulesVersion.trim());
+}
+
+function pinPensionRulesVersion(generated) {
+  return {
+    ...generated,
+    pensionInputs: { ...generated.pensionInputs, rulesVersion: UNVERSIONED_PENSION_RULES_VERSION }
+  };
+}
+
+// v1 to v2: pin the pension rules on modules and their snapshots, so a later Finance Act
+// version does not quietly change the numbers a client was shown.
+function migratePinPensionRules(raw) {
+  const changes = [];
+  const modules = Array.isArray(raw.modules)
+    ? raw.modules.map((module) => {
+      if (!isPlainObject(module)) {
+        return module;
+      }
+
+      const title = module.title || 'Untitled Module';
+      const next = { ...module };
+      if (needsPensionRulesPin(module.generated)) {
+        next.generated = pinPensionRulesVersion(module.generated);
+        changes.push(`Pinned pension rules ${UNVERSIONED_PENSION_RULES_VERSION} on "${title}".`);
+      }
+
+      if (Array.isArray(module.snapshots)) {
+        next.snapshots = module.snapshots.map((snapshot) => {
+          if (!isPlainObject(snapshot) || !needsPensionRulesPin(snapshot.generated)) {
+            return snapshot;
+          }
+          changes.push(`Pinned pension rules ${UNVERSIONED_PENSION_RULES_VERSION} on snapshot "${snapshot.name}" of "${title}".`);
+          return { ...snapshot, generated: pinPensionRulesVersion(snapshot.generated) };
+        });
+      }
+
+      return next;
+    })
+    : raw.modules;
+
+  return { session: { ...raw, modules }, changes };
+}
+
+// Upgrade steps between stored session versions, oldest first. Each step takes the raw JSON
+// at `fromVersion` and returns it at `toVersion` with a plain-English line per change.
+// Bump SESSION_VERSION together with the step that reaches it.
+export const SESSION_MIGRATIONS = Object.freeze([
+  {
+    fromVersion: 1,
+    toVersion: 2,
+    description: 'Pin pension rules on pension modules',
+    migrate: migratePinPensionRules
+  }
+]);
 
 function nowIso() {
   return new Date().toISOString();
@@ -62,6 +126,9 @@ function normalizeChartDataset(dataset, index) {
     : `Series ${index + 1}`;
   const data = Array.isArray(dataset?.data)
     ? dataset.data.map((value) => {
+      if (value === null) {
+        return null;
+      }
       const parsed = Number(value);
       return Number.isFinite(parsed) ? parsed : 0;
     })
@@ -300,6 +367,20 @@ function normalizeOutputsBucketed(outputsBucketed) {
   };
 }
 
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function pickFiniteNumberFields(source, keys) {
+  const picked = {};
+  keys.forEach((key) => {
+    if (typeof source[key] === 'number' && Number.isFinite(source[key])) {
+      picked[key] = source[key];
+    }
+  });
+  return picked;
+}
+
 function normalizePensionInputs(pensionInputs) {
   if (!pensionInputs || typeof pensionInputs !== 'object' || Array.isArray(pensionInputs)) {
     return null;
@@ -320,7 +401,8 @@ function normalizePensionInputs(pensionInputs) {
     'inflationRate',
     'wageGrowthRate',
     'horizonEndAge',
-    'currentYear'
+    'currentYear',
+    'sftIndexationRate'
   ].forEach((key) => {
     if (typeof pensionInputs[key] === 'number' && Number.isFinite(pensionInputs[key])) {
       normalized[key] = pensionInputs[key];
@@ -338,6 +420,72 @@ function normalizePensionInputs(pensionInputs) {
     normalized.incomeMode = incomeMode;
   }
 
+  if (isPlainObject(pensionInputs.stochastic)) {
+    const stochastic = pickFiniteNumberFields(pensionInputs.stochastic, ['volatility', 'paths', 'seed', 'successAge']);
+    if (Object.keys(stochastic).length > 0) {
+      normalized.stochastic = stochastic;
+    }
+  }
+
+  if (isPlainObject(pensionInputs.statePension)) {
+    normalized.statePension = pickFiniteNumberFields(pensionInputs.statePension, [
+      'weeklyRate',
+      'startAge',
+      'indexationRate',
+      'qualifyingFraction'
+    ]);
+  }
+
+  if (isPlainObject(pensionInputs.charges)) {
+    normalized.charges = pickFiniteNumberFields(pensionInputs.charges, ['amc', 'contributionCharge', 'policyFee']);
+    if (typeof pensionInputs.charges.showGrossComparison === 'boolean') {
+      normalized.charges.showGrossComparison = pensionInputs.charges.showGrossComparison;
+    }
+  }
+
+  if (Array.isArray(pensionInputs.pots)) {
+    normalized.pots = pensionInputs.pots
+      .filter((pot) => isPlainObject(pot))
+      .map((pot) => {
+        const normalizedPot = pickFiniteNumberFields(pot, ['balance', 'personalPct', 'employerPct', 'growthRate']);
+        ['id', 'name', 'type'].forEach((key) => {
+          if (typeof pot[key] === 'string') {
+            normalizedPot[key] = pot[key];
+          }
+        });
+        if (isPlainObject(pot.charges)) {
+          normalizedPot.charges = pickFiniteNumberFields(pot.charges, ['amc', 'contributionCharge', 'policyFee']);
+        }
+        return normalizedPot;
+      });
+  }
+
+  if (isPlainObject(pensionInputs.retirementEvent)) {
+    normalized.retirementEvent = pickFiniteNumberFields(pensionInputs.retirementEvent, [
+      'lumpSumPct',
+      'annuityFraction',
+      'annuityRate'
+    ]);
+  }
+
+  if (typeof pensionInputs.rulesVersion === 'string' && pensionInputs.rulesVersion.trim()) {
+    normalized.rulesVersion = pensionInputs.rulesVersion.trim();
+  }
+
+  if (isPlainObject(pensionInputs.incomeTax)) {
+    const incomeTax = pickFiniteNumberFields(pensionInputs.incomeTax, ['taxYear']);
+    if (typeof pensionInputs.incomeTax.maritalStatus === 'string') {
+      incomeTax.maritalStatus = pensionInputs.incomeTax.maritalStatus;
+    }
+    if (typeof pensionInputs.incomeTax.payeCreditEligible === 'boolean') {
+      incomeTax.payeCreditEligible = pensionInputs.incomeTax.payeCreditEligible;
+    }
+    if (typeof pensionInputs.incomeTax.targetBasis === 'string') {
+      incomeTax.targetBasis = pensionInputs.incomeTax.targetBasis;
+    }
+    normalized.incomeTax = incomeTax;
+  }
+
   if (Array.isArray(pensionInputs.affordableEndAges)) {
     const dedupedSorted = [...new Set(
       pensionInputs.affordableEndAges
@@ -352,6 +500,21 @@ function normalizePensionInputs(pensionInputs) {
   return Object.keys(normalized).length > 0 ? normalized : null;
 }
 
+function normalizeRateScheduleEntries(rateSchedule) {
+  return rateSchedule
+    .filter((entry) => (
+      isPlainObject(entry)
+      && typeof entry.fromDateIso === 'string'
+      && entry.fromDateIso.trim()
+      && typeof entry.annualInterestRate === 'number'
+      && Number.isFinite(entry.annualInterestRate)
+    ))
+    .map((entry) => ({
+      fromDateIso: entry.fromDateIso.trim(),
+      annualInterestRate: entry.annualInterestRate
+    }));
+}
+
 function normalizeMortgageInputs(mortgageInputs, { defaultLoanKind = 'mortgage' } = {}) {
   if (!mortgageInputs || typeof mortgageInputs !== 'object' || Array.isArray(mortgageInputs)) {
     return null;
@@ -364,7 +527,8 @@ function normalizeMortgageInputs(mortgageInputs, { defaultLoanKind = 'mortgage'
     'remainingTermYears',
     'fixedPaymentAmount',
     'oneOffOverpayment',
-    'annualOverpayment'
+    'annualOverpayment',
+    'interestOnlyPortion'
   ].forEach((key) => {
     if (typeof mortgageInputs[key] === 'number' && Number.isFinite(mortgageInputs[key])) {
       normalized[key] = mortgageInputs[key];
@@ -387,6 +551,56 @@ function normalizeMortgageInputs(mortgageInputs, { defaultLoanKind = 'mortgage'
     normalized.repaymentType = mortgageInputs.repaymentType.trim();
   }
 
+  if (Array.isArray(mortgageInputs.rateSchedule)) {
+    normalized.rateSchedule = normalizeRateScheduleEntries(mortgageInputs.rateSchedule);
+  }
+
+  if (Array.isArray(mortgageInputs.overpayments)) {
+    normalized.overpayments = mortgageInputs.overpayments
+      .filter((entry) => isPlainObject(entry) && typeof entry.amount === 'number' && Number.isFinite(entry.amount))
+      .map((entry) => {
+        const overpayment = { amount: entry.amount };
+        ['type', 'dateIso', 'fromDateIso', 'toDateIso', 'effect'].forEach((key) => {
+          if (typeof entry[key] === 'string' && entry[key].trim()) {
+            overpayment[key] = entry[key].trim();
+          }
+        });
+        return overpayment;
+      });
+  }
+
+  if (isPlainObject(mortgageInputs.earlyRepaymentCharge)) {
+    const charge = pickFiniteNumberFields(mortgageInputs.earlyRepaymentCharge, ['chargeRate', 'allowancePct']);
+    if (typeof mortgageInputs.earlyRepaymentCharge.fixedUntilDateIso === 'string') {
+      charge.fixedUntilDateIso = mortgageInputs.earlyRepaymentCharge.fixedUntilDateIso.trim();
+    }
+    normalized.earlyRepaymentCharge = charge;
+  }
+
+  if (Array.isArray(mortgageInputs.switchOffers)) {
+    normalized.switchOffers = mortgageInputs.switchOffers
+      .filter((offer) => isPlainObject(offer))
+      .map((offer) => {
+        const switchOffer = pickFiniteNumberFields(offer, [
+          'annualInterestRate',
+          'cashback',
+          'cashbackPct',
+          'legalCosts',
+          'valuationCosts'
+        ]);
+        if (typeof offer.name === 'string' && offer.name.trim()) {
+          switchOffer.name = offer.name.trim();
+        }
+        if (typeof offer.fixedUntilDateIso === 'string' && offer.fixedUntilDateIso.trim()) {
+          switchOffer.fixedUntilDateIso = offer.fixedUntilDateIso.trim();
+        }
+        if (Array.isArray(offer.rateSchedule)) {
+          switchOffer.rateSchedule = normalizeRateScheduleEntries(offer.rateSchedule);
+        }
+        return switchOffer;
+      });
+  }
+
   const loanKindRaw = typeof mortgageInputs.loanKind === 'string'
     ? mortgageInputs.loanKind.trim().toLowerCase()
     : '';
@@ -400,6 +614,322 @@ function normalizeMortgageInputs(mortgageInputs, { defaultLoanKind = 'mortgage'
   return Object.keys(normalized).length > 0 ? normalized : null;
 }
 
+function normalizeAffordabilityInputs(affordabilityInputs) {
+  if (!isPlainObject(affordabilityInputs)) {
+    return null;
+  }
+
+  const normalized = pickFiniteNumberFields(affordabilityInputs, [
+    'grossIncome',
+    'propertyPrice',
+    'savings',
+    'annualInterestRate',
+    'termYears',
+    'stressBuffer',
+    'maxRepaymentToIncome',
+    'existingMonthlyDebts',
+    'otherPurchaseCosts'
+  ]);
+
+  if (typeof affordabilityInputs.buyerType === 'string' && affordabilityInputs.buyerType.trim()) {
+    normalized.buyerType = affordabilityInputs.buyerType.trim();
+  }
+
+  return normalized;
+}
+
+function normalizeRentVsBuyInputs(rentVsBuyInputs) {
+  if (!isPlainObject(rentVsBuyInputs)) {
+    return null;
+  }
+
+  const normalized = pickFiniteNumberFields(rentVsBuyInputs, [
+    'propertyPrice',
+    'deposit',
+    'annualInterestRate',
+    'termYears',
+    'horizonYears',
+    'monthlyRent',
+    'rentInflation',
+    'housePriceGrowth',
+    'buyingCostsPct',
+    'sellingCostsPct',
+    'ownershipCostsPct',
+    'investmentReturn'
+  ]);
+
+  if (typeof rentVsBuyInputs.startDateIso === 'string' && rentVsBuyInputs.startDateIso.trim()) {
+    normalized.startDateIso = rentVsBuyInputs.startDateIso.trim();
+  }
+
+  return normalized;
+}
+
+function normalizeDebtPayoffInputs(debtPayoffInputs) {
+  if (!isPlainObject(debtPayoffInputs)) {
+    return null;
+  }
+
+  const normalized = pickFiniteNumberFields(debtPayoffInputs, ['monthlyBudget']);
+
+  if (typeof debtPayoffInputs.startDateIso === 'string' && debtPayoffInputs.startDateIso.trim()) {
+    normalized.startDateIso = debtPayoffInputs.startDateIso.trim();
+  }
+
+  if (Array.isArray(debtPayoffInputs.debts)) {
+    normalized.debts = debtPayoffInputs.debts
+      .filter((entry) => isPlainObject(entry))
+      .map((entry) => {
+        const debt = pickFiniteNumberFields(entry, ['balance', 'annualInterestRate', 'minimumPayment']);
+        ['name', 'kind'].forEach((key) => {
+          if (typeof entry[key] === 'string' && entry[key].trim()) {
+            debt[key] = entry[key].trim();
+          }
+        });
+        return debt;
+      });
+  }
+
+  if (isPlainObject(debtPayoffInputs.consolidation)) {
+    normalized.consolidation = pickFiniteNumberFields(debtPayoffInputs.consolidation, [
+      'annualInterestRate',
+      'termYears',
+      'arrangementFee'
+    ]);
+  }
+
+  return normalized;
+}
+
+function normalizeSavingsInputs(savingsInputs) {
+  if (!isPlainObject(savingsInputs)) {
+    return null;
+  }
+
+  const normalized = pickFiniteNumberFields(savingsInputs, [
+    'targetAmount',
+    'startingBalance',
+    'monthlyContribution',
+    'contributionEscalation',
+    'growthRate',
+    'inflationRate'
+  ]);
+
+  ['goalName', 'startDateIso', 'targetDateIso', 'vehicle'].forEach((key) => {
+    if (typeof savingsInputs[key] === 'string' && savingsInputs[key].trim()) {
+      normalized[key] = savingsInputs[key].trim();
+    }
+  });
+
+  return normalized;
+}
+
+function normalizeCashflowInputs(cashflowInputs) {
+  if (!isPlainObject(cashflowInputs)) {
+    return null;
+  }
+
+  const normalized = pickFiniteNumberFields(cashflowInputs, [
+    'startYear',
+    'currentAge',
+    'retirementAge',
+    'endAge',
+    'grossSalary',
+    'salaryGrowth',
+    'inflationRate',
+    'livingExpenses',
+    'retirementLivingExpenses',
+    'startingCash',
+    'cashReturn',
+    'propertyValue',
+    'propertyGrowth'
+  ]);
+
+  if (typeof cashflowInputs.maritalStatus === 'string' && cashflowInputs.maritalStatus.trim()) {
+    normalized.maritalStatus = cashflowInputs.maritalStatus.trim();
+  }
+
+  const mortgage = normalizeMortgageInputs(cashflowInputs.mortgage, { defaultLoanKind: 'mortgage' });
+  if (mortgage) {
+    normalized.mortgage = mortgage;
+  }
+
+  const pension = normalizePensionInputs(cashflowInputs.pension);
+  if (pension) {
+    normalized.pension = pension;
+  }
+
+  if (Array.isArray(cashflowInputs.lifeEvents)) {
+    normalized.lifeEvents = cashflowInputs.lifeEvents
+      .filter((entry) => isPlainObject(entry))
+      .map((entry) => {
+        const event = pickFiniteNumberFields(entry, ['age', 'amount']);
+        if (typeof entry.name === 'string' && entry.name.trim()) {
+          event.name = entry.name.trim();
+        }
+        if (typeof entry.inTodaysMoney === 'boolean') {
+          event.inTodaysMoney = entry.inTodaysMoney;
+        }
+        return event;
+      });
+  }
+
+  return normalized;
+}
+
+function normalizeProtectionInputs(protectionInputs) {
+  if (!isPlainObject(protectionInputs)) {
+    return null;
+  }
+
+  const normalized = pickFiniteNumberFields(protectionInputs, [
+    'grossSalary',
+    'incomeReplacementPct',
+    'survivorIncome',
+    'supportYears',
+    'realDiscountRate',
+    'educationCostPerYear',
+    'liquidAssets',
+    'stateIllnessBenefitWeekly',
+    'seriousIllnessYears'
+  ]);
+
+  if (Array.isArray(protectionInputs.dependants)) {
+    normalized.dependants = protectionInputs.dependants
+      .filter((entry) => isPlainObject(entry))
+      .map((entry) => {
+        const dependant = pickFiniteNumberFields(entry, ['age']);
+        if (typeof entry.name === 'string' && entry.name.trim()) {
+          dependant.name = entry.name.trim();
+        }
+        return dependant;
+      });
+  }
+
+  const mortgage = normalizeMortgageInputs(protectionInputs.mortgage, { defaultLoanKind: 'mortgage' });
+  if (mortgage) {
+    normalized.mortgage = mortgage;
+  }
+
+  if (isPlainObject(protectionInputs.existingCover)) {
+    normalized.existingCover = pickFiniteNumberFields(protectionInputs.existingCover, [
+      'lifeCover',
+      'mortgageProtection',
+      'incomeProtection',
+      'seriousIllness'
+    ]);
+  }
+
+  return normalized;
+}
+
+function normalizeCatInputs(catInputs) {
+  if (!isPlainObject(catInputs)) {
+    return null;
+  }
+
+  const normalized = {};
+
+  if (isPlainObject(catInputs.groupThresholds)) {
+    normalized.groupThresholds = pickFiniteNumberFields(catInputs.groupThresholds, ['A', 'B', 'C']);
+  }
+
+  if (Array.isArray(catInputs.beneficiaries)) {
+    normalized.beneficiaries = catInputs.beneficiaries
+      .filter((entry) => isPlainObject(entry))
+      .map((entry) => {
+        const beneficiary = pickFiniteNumberFields(entry, ['priorTaxableBenefits']);
+        ['name', 'group'].forEach((key) => {
+          if (typeof entry[key] === 'string' && entry[key].trim()) {
+            beneficiary[key] = entry[key].trim();
+          }
+        });
+        return beneficiary;
+      });
+  }
+
+  if (Array.isArray(catInputs.scenarios)) {
+    normalized.scenarios = catInputs.scenarios
+      .filter((entry) => isPlainObject(entry))
+      .map((entry) => {
+        const scenario = {};
+        if (typeof entry.name === 'string' && entry.name.trim()) {
+          scenario.name = entry.name.trim();
+        }
+        scenario.benefits = Array.isArray(entry.benefits)
+          ? entry.benefits
+            .filter((benefit) => isPlainObject(benefit))
+            .map((benefit) => {
+              const normalizedBenefit = pickFiniteNumberFields(benefit, ['amount']);
+              ['beneficiary', 'donor', 'type', 'dateIso'].forEach((key) => {
+                if (typeof benefit[key] === 'string' && benefit[key].trim()) {
+                  normalizedBenefit[key] = benefit[key].trim();
+                }
+              });
+              return normalizedBenefit;
+            })
+          : [];
+        return scenario;
+      });
+  }
+
+  return normalized;
+}
+
+// Shock overrides are kept as given; the last tornado run rides along so the card can render
+// without recomputing.
+function normalizeSensitivity(sensitivity) {
+  if (!isPlainObject(sensitivity)) {
+    return null;
+  }
+
+  const shocks = {};
+  if (isPlainObject(sensitivity.shocks)) {
+    Object.entries(sensitivity.shocks).forEach(([field, amount]) => {
+      if (typeof amount === 'number' && Number.isFinite(amount) && amount >= 0) {
+        shocks[field] = amount;
+      }
+    });
+  }
+
+  const normalized = { shocks };
+  if (typeof sensitivity.metricLabel === 'string' && sensitivity.metricLabel.trim()) {
+    normalized.metricLabel = sensitivity.metricLabel.trim();
+  }
+  if (typeof sensitivity.metricKind === 'string' && sensitivity.metricKind.trim()) {
+    normalized.metricKind = sensitivity.metricKind.trim();
+  }
+  if (typeof sensitivity.baseValue === 'number' && Number.isFinite(sensitivity.baseValue)) {
+    normalized.baseValue = sensitivity.baseValue;
+  }
+  if (Array.isArray(sensitivity.rows)) {
+    normalized.rows = sensitivity.rows
+      .filter((row) => isPlainObject(row) && typeof row.field === 'string')
+      .map((row) => ({
+        field: row.field,
+        label: typeof row.label === 'string' ? row.label : row.field,
+        kind: typeof row.kind === 'string' ? row.kind : 'number',
+        ...pickFiniteNumberFields(row, ['baseInput', 'lowInput', 'highInput', 'lowValue', 'highValue'])
+      }));
+  }
+
+  return normalized;
+}
+
+// Calculator inputs a module can carry; at most one is set at a time.
+export const ENGINE_INPUT_KEYS = Object.freeze([
+  'pensionInputs',
+  'mortgageInputs',
+  'loanInputs',
+  'affordabilityInputs',
+  'rentVsBuyInputs',
+  'debtPayoffInputs',
+  'savingsInputs',
+  'cashflowInputs',
+  'protectionInputs',
+  'catInputs'
+]);
+
 export function createEmptyGenerated() {
   return {
     summaryHtml: '',
@@ -415,8 +945,16 @@ export function createEmptyGenerated() {
     pensionInputs: null,
     mortgageInputs: null,
     loanInputs: null,
+    affordabilityInputs: null,
+    rentVsBuyInputs: null,
+    debtPayoffInputs: null,
+    savingsInputs: null,
+    cashflowInputs: null,
+    protectionInputs: null,
+    catInputs: null,
     education: null,
     report: null,
+    sensitivity: null,
     outputsBucketed: null,
     charts: []
   };
@@ -435,18 +973,27 @@ export function normalizeGenerated(generated) {
     pensionInputs: normalizePensionInputs(generated.pensionInputs),
     mortgageInputs: normalizeMortgageInputs(generated.mortgageInputs, { defaultLoanKind: 'mortgage' }),
     loanInputs: normalizeMortgageInputs(generated.loanInputs, { defaultLoanKind: 'loan' }),
+    affordabilityInputs: normalizeAffordabilityInputs(generated.affordabilityInputs),
+    rentVsBuyInputs: normalizeRentVsBuyInputs(generated.rentVsBuyInputs),
+    debtPayoffInputs: normalizeDebtPayoffInputs(generated.debtPayoffInputs),
+    savingsInputs: normalizeSavingsInputs(generated.savingsInputs),
+    cashflowInputs: normalizeCashflowInputs(generated.cashflowInputs),
+    protectionInputs: normalizeProtectionInputs(generated.protectionInputs),
+    catInputs: normalizeCatInputs(generated.catInputs),
     education: normalizeEducation(generated.education),
     report: normalizeReport(generated.report),
+    sensitivity: normalizeSensitivity(generated.sensitivity),
     outputsBucketed: normalizeOutputsBucketed(generated.outputsBucketed),
     charts: normalizeCharts(generated.charts)
   };
 
   if (normalized.report) {
-    normalized.pensionInputs = null;
-    normalized.mortgageInputs = null;
-    normalized.loanInputs = null;
+    ENGINE_INPUT_KEYS.forEach((key) => {
+      normalized[key] = null;
+    });
     normalized.education = null;
-  } else if (normalized.pensionInputs || normalized.mortgageInputs || normalized.loanInputs) {
+    normalized.sensitivity = null;
+  } else if (ENGINE_INPUT_KEYS.some((key) => normalized[key])) {
     normalized.education = null;
   }
 
@@ -510,6 +1057,27 @@ function normalizeModuleUi(ui) {
   };
 }
 
+export const MODULE_SNAPSHOT_LIMIT = 12;
+
+// Named copies of a module's generated content, oldest first, kept so a rerun can be compared
+// with what the client saw before it.
+function normalizeModuleSnapshots(snapshots) {
+  if (!Array.isArray(snapshots)) {
+    return [];
+  }
+
+  return snapshots
+    .filter((snapshot) => isPlainObject(snapshot) && typeof snapshot.id === 'string' && snapshot.id)
+    .slice(-MODULE_SNAPSHOT_LIMIT)
+    .map((snapshot) => ({
+      id: snapshot.id,
+      name: typeof snapshot.name === 'string' && snapshot.name.trim() ? snapshot.name.trim() : 'Snapshot',
+      createdAt: snapshot.createdAt || nowIso(),
+      title: typeof snapshot.title === 'string' ? snapshot.title : '',
+      generated: normalizeGenerated(snapshot.generated)
+    }));
+}
+
 function normalizeModules(modules) {
   if (!Array.isArray(modules)) {
     return [];
@@ -524,6 +1092,7 @@ function normalizeModules(modules) {
       title: typeof item.title === 'string' ? item.title : '',
       notes: typeof item.notes === 'string' ? item.notes : '',
       generated: normalizeGenerated(item.generated),
+      snapshots: normalizeModuleSnapshots(item.snapshots),
       ui: normalizeModuleUi(item.ui)
     }));
 }
@@ -586,31 +1155,204 @@ export function createFreshSession() {
   return newSession('Client');
 }
 
-export function loadSession() {
+// Same modules under a new identity, so the copy is its own entry in the session library.
+export function copySessionAsNew(session, { clientName } = {}) {
+  const copy = normalizeSession(JSON.parse(JSON.stringify(session)));
+  const timestamp = nowIso();
+  copy.sessionId = makeSessionId();
+  copy.createdAt = timestamp;
+  copy.updatedAt = timestamp;
+  if (typeof clientName === 'string' && clientName.trim()) {
+    copy.clientName = clientName.trim();
+  }
+  return copy;
+}
+
+function readSessionVersion(raw) {
+  // Files from before versioning carry no version and are v1 by definition.
+  if (typeof raw.version === 'undefined') {
+    return 1;
+  }
+
+  if (!Number.isInteger(raw.version) || raw.version < 1) {
+    throw new Error(`Invalid session: version must be a positive whole number, got ${JSON.stringify(raw.version)}.`);
+  }
+
+  return raw.version;
+}
+
+// Walks a raw session up one step at a time to `targetVersion`. The input is never mutated:
+// the report keeps a copy of it as `original` so a caller can put it back.
+export function migrateSession(raw, {
+  migrations = SESSION_MIGRATIONS,
+  targetVersion = SESSION_VERSION
+} = {}) {
+  if (!isPlainObject(raw)) {
+    throw new Error('Session file must contain a JSON object.');
+  }
+
+  const fromVersion = readSessionVersion(raw);
+  if (fromVersion > targetVersion) {
+    throw new Error(
+      `This session was saved by a newer version of the app (v${fromVersion}); this version reads up to v${targetVersion}.`
+    );
+  }
+
+  const original = JSON.parse(JSON.stringify(raw));
+  let current = JSON.parse(JSON.stringify(raw));
+  let version = fromVersion;
+  const steps = [];
+
+  while (version < targetVersion) {
+    const step = migrations.find((entry) => entry.fromVersion === version);
+    if (!step || step.toVersion <= version) {
+      throw new Error(`No migration from session v${version} towards v${targetVersion}.`);
+    }
+
+    const result = step.migrate(current);
+    if (!isPlainObject(result?.session)) {
+      throw new Error(`Migration v${step.fromVersion} to v${step.toVersion} did not return a session.`);
+    }
+
+    current = { ...result.session, version: step.toVersion };
+    steps.push({
+      fromVersion: step.fromVersion,
+      toVersion: step.toVersion,
+      description: step.description || '',
+      changes: Array.isArray(result.changes) ? result.changes.map((change) => String(change)) : []
+    });
+    version = step.toVersion;
+  }
+
+  return {
+    session: current,
+    report: {
+      fromVersion,
+      toVersion: version,
+      migrated: steps.length > 0,
+      steps,
+      original
+    }
+  };
+}
+
+export function describeMigrationReport(report) {
+  if (!report?.migrated) {
+    return '';
+  }
+
+  const changeCount = report.steps.reduce((total, step) => total + step.changes.length, 0);
+  return `Session upgraded from v${report.fromVersion} to v${report.toVersion}`
+    + ` (${changeCount} change${changeCount === 1 ? '' : 's'}).`;
+}
+
+// Backups are keyed by session and starting version, so upgrading one session (at startup or
+// when opened from the library) never overwrites the untouched copy of another.
+function migrationBackupKey(sessionId, fromVersion) {
+  return `${MIGRATION_BACKUP_KEY_PREFIX}${sessionId || 'unknown-session'}:v${fromVersion ?? 'unknown'}`;
+}
+
+export function listSessionMigrationBackups() {
+  const backups = [];
+  try {
+    for (let index = 0; index < localStorage.length; index += 1) {
+      const key = localStorage.key(index);
+      if (!key || !key.startsWith(MIGRATION_BACKUP_KEY_PREFIX)) {
+        continue;
+      }
+
+      try {
+        backups.push({ key, ...JSON.parse(localStorage.getItem(key)) });
+      } catch (_error) {
+        // An unreadable backup is skipped rather than failing the whole list.
+      }
+    }
+  } catch (_error) {
+    return [];
+  }
+
+  return backups.sort((left, right) => String(right.savedAt).localeCompare(String(left.savedAt)));
+}
+
+export function keepSessionMigrationBackup(report, reason = 'migrated') {
+  const sessionId = typeof report?.original?.sessionId === 'string' ? report.original.sessionId : null;
+  const fromVersion = report?.fromVersion ?? null;
+  const key = migrationBackupKey(sessionId, fromVersion);
+  try {
+    localStorage.setItem(key, JSON.stringify({
+      savedAt: nowIso(),
+      reason,
+      sessionId,
+      fromVersion,
+      toVersion: report?.toVersion ?? null,
+      steps: report?.steps || [],
+      payload: report?.original ?? null
+    }));
+    listSessionMigrationBackups()
+      .slice(MIGRATION_BACKUP_LIMIT)
+      .forEach((backup) => localStorage.removeItem(backup.key));
+  } catch (error) {
+    console.warn('[CallCanvas] could not keep the pre-migration session', error);
+    return null;
+  }
+
+  return { sessionId, fromVersion };
+}
+
+// The newest backup for a session, or the one taken from `fromVersion` when given.
+export function getSessionMigrationBackup(sessionId, fromVersion) {
+  return listSessionMigrationBackups().find((backup) => (
+    backup.sessionId === (sessionId || null)
+    && (typeof fromVersion === 'undefined' || backup.fromVersion === fromVersion)
+  )) || null;
+}
+
+// Puts a session's pre-migration payload back in the working slot, for use with an older build.
+export function rollbackSessionMigration(sessionId, fromVersion) {
+  const backup = getSessionMigrationBackup(sessionId, fromVersion);
+  if (!backup || !isPlainObject(backup.payload)) {
+    throw new Error('There is no pre-migration copy of this session to restore.');
+  }
+
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(backup.payload));
+  localStorage.removeItem(backup.key);
+  return backup.payload;
+}
+
+// A stored session that cannot be read is kept aside before the app starts fresh, since the
+// first save would otherwise overwrite it.
+export function loadSessionWithReport() {
+  let parsed = null;
   try {
     const raw = localStorage.getItem(STORAGE_KEY) || localStorage.getItem(LEGACY_STORAGE_KEY);
     if (!raw) {
-      return createFreshSession();
+      return { session: createFreshSession(), migration: null };
     }
 
-    const parsed = JSON.parse(raw);
-    if (!parsed || (typeof parsed.version === 'number' && parsed.version !== SESSION_VERSION)) {
-      return createFreshSession();
-    }
+    parsed = JSON.parse(raw);
+    const { session, report } = migrateSession(parsed);
+    const backup = report.migrated ? keepSessionMigrationBackup(report) : null;
 
-    return normalizeSession(parsed);
-  } catch (_error) {
-    return createFreshSession();
+    return { session: normalizeSession(session), migration: report, backup };
+  } catch (error) {
+    const backup = isPlainObject(parsed)
+      ? keepSessionMigrationBackup({ original: parsed, fromVersion: parsed.version ?? null }, error.message)
+      : null;
+    return { session: createFreshSession(), migration: null, error, keptOriginal: Boolean(backup), backup };
   }
 }
 
+export function loadSession() {
+  return loadSessionWithReport().session;
+}
+
 export function exportSession(session) {
   const normalized = normalizeSession(session);
   normalized.updatedAt = nowIso();
   return JSON.stringify(normalized, null, 2);
 }
 
-export function importSession(input) {
+export function importSessionWithReport(input) {
   let parsed = input;
 
   if (typeof input === 'string') {
@@ -621,23 +1363,29 @@ export function importSession(input) {
     throw new Error('Session file must contain a JSON object.');
   }
 
-  if (!Array.isArray(parsed.modules)) {
+  // Shape checks apply to the current schema, so they run on the migrated session.
+  const { session, report } = migrateSession(parsed);
+
+  if (!Array.isArray(session.modules)) {
     throw new Error('Invalid session: modules must be an array.');
   }
 
-  if (!Array.isArray(parsed.order)) {
+  if (!Array.isArray(session.order)) {
     throw new Error('Invalid session: order must be an array.');
   }
 
-  if (typeof parsed.clientName !== 'string') {
+  if (typeof session.clientName !== 'string') {
     throw new Error('Invalid session: clientName must be a string.');
   }
 
-  if (typeof parsed.version === 'number' && parsed.version !== SESSION_VERSION) {
-    throw new Error(`Unsupported session version: ${parsed.version}`);
-  }
+  return {
+    session: normalizeSession(session),
+    migration: report
+  };
+}
 
-  return normalizeSession(parsed);
+export function importSession(input) {
+  return importSessionWithReport(input).session;
 }
 
 export function createStateManager(delayMs = 300, options = {}) {
@@ -646,6 +1394,11 @@ export function createStateManager(delayMs = 300, options = {}) {
   const onDirtyChange = typeof options.onDirtyChange === 'function'
     ? options.onDirtyChange
     : null;
+  // The localStorage slot is the working copy the app restores on load; the library keeps
+  // every session, so each save is mirrored there too.
+  const library = options.library && typeof options.library.saveSession === 'function'
+    ? options.library
+    : null;
 
   function setDirty(nextDirty) {
     if (dirty === nextDirty) {
@@ -658,23 +1411,53 @@ export function createStateManager(delayMs = 300, options = {}) {
     }
   }
 
-  function persist(session) {
-    session.updatedAt = nowIso();
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  let pendingSession = null;
+  // The last session this tab and the working slot agreed on: what it wrote, or what another
+  // tab wrote and this tab took in. Remote changes are merged against it.
+  let syncBase = null;
+
+  function persist(session, { touch = true } = {}) {
+    if (touch) {
+      session.updatedAt = nowIso();
+    }
+    syncBase = JSON.stringify(session);
+    localStorage.setItem(STORAGE_KEY, syncBase);
     localStorage.removeItem(LEGACY_STORAGE_KEY);
+
+    // An untouched new call is not worth a library entry.
+    const pristine = session.modules.length === 0 && session.clientName === 'Client';
+    if (library && library.isAvailable() && !pristine) {
+      library.saveSession(session).catch((error) => {
+        console.warn('[CallCanvas] session library save failed', error);
+      });
+    }
   }
 
-  function saveNow(session, saveOptions = {}) {
+  function clearTimer() {
     if (timerId) {
       clearTimeout(timerId);
       timerId = null;
     }
+    pendingSession = null;
+  }
+
+  function saveNow(session, saveOptions = {}) {
+    clearTimer();
 
     if (saveOptions.markDirty) {
       setDirty(true);
     }
 
-    persist(session);
+    persist(session, { touch: saveOptions.touch !== false });
+  }
+
+  // Writes a debounced save straight away, before the app moves to another session.
+  function flush() {
+    const session = pendingSession;
+    clearTimer();
+    if (session) {
+      persist(session);
+    }
   }
 
   function scheduleSave(session) {
@@ -684,8 +1467,10 @@ export function createStateManager(delayMs = 300, options = {}) {
       clearTimeout(timerId);
     }
 
+    pendingSession = session;
     timerId = window.setTimeout(() => {
       timerId = null;
+      pendingSession = null;
       persist(session);
     }, delayMs);
   }
@@ -702,11 +1487,37 @@ export function createStateManager(delayMs = 300, options = {}) {
     return dirty;
   }
 
+  function setSyncBase(session) {
+    syncBase = session ? JSON.stringify(session) : null;
+  }
+
+  // Other tabs writing the working slot raise a storage event here; the writing tab gets none.
+  function watchRemoteChanges(onRemoteSession) {
+    const handleStorage = (event) => {
+      if (event.key !== STORAGE_KEY || !event.newValue) {
+        return;
+      }
+
+      let theirs;
+      try {
+        theirs = normalizeSession(migrateSession(JSON.parse(event.newValue)).session);
+      } catch (error) {
+        console.warn('[CallCanvas] ignored unreadable session from another tab', error);
+        return;
+      }
+
+      onRemoteSession({
+        theirs,
+        base: syncBase ? JSON.parse(syncBase) : null
+      });
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }
+
   function reset() {
-    if (timerId) {
-      clearTimeout(timerId);
-      timerId = null;
-    }
+    clearTimer();
 
     localStorage.removeItem(STORAGE_KEY);
     localStorage.removeItem(LEGACY_STORAGE_KEY);
@@ -716,13 +1527,271 @@ export function createStateManager(delayMs = 300, options = {}) {
   return {
     saveNow,
     scheduleSave,
+    flush,
     markDirty,
     markClean,
     isDirty,
+    setSyncBase,
+    watchRemoteChanges,
     reset
   };
 }
 
+const MERGED_MODULE_FIELDS = Object.freeze(['title', 'notes', 'generated', 'snapshots']);
+
+function fieldSignature(value) {
+  return JSON.stringify(value ?? null);
+}
+
+// Three-way merge of one module, field by field. A field changed on one side only takes that
+// side; a field changed differently on both sides is a conflict.
+function mergeModuleFields(baseModule, mineModule, theirsModule) {
+  const merged = { ...mineModule };
+  const conflictingFields = [];
+
+  MERGED_MODULE_FIELDS.forEach((field) => {
+    const mine = fieldSignature(mineModule[field]);
+    const theirs = fieldSignature(theirsModule[field]);
+    if (mine === theirs) {
+      return;
+    }
+
+    const base = baseModule ? fieldSignature(baseModule[field]) : null;
+    if (mine === base) {
+      merged[field] = theirsModule[field];
+    } else if (theirs !== base) {
+      conflictingFields.push(field);
+    }
+  });
+
+  if (conflictingFields.length === 0 && merged.updatedAt < theirsModule.updatedAt) {
+    merged.updatedAt = theirsModule.updatedAt;
+  }
+
+  return { merged, conflictingFields };
+}
+
+function moduleSignature(module) {
+  return fieldSignature(MERGED_MODULE_FIELDS.map((field) => module?.[field]));
+}
+
+function copyModuleFromOtherTab(module) {
+  const suffix = Math.random().toString(36).slice(2, 8);
+  return {
+    ...module,
+    id: `${module.id}-other-tab-${suffix}`,
+    title: `${module.title || 'Untitled Module'} (other tab)`
+  };
+}
+
+// Merges a session another tab saved (`theirs`) into this tab's session (`mine`), using the
+// last session both agreed on (`base`). Modules are matched by id. Edits to different
+// modules, or to different fields of one module, combine without asking. When both tabs
+// changed the same field, or one deleted a module the other edited, the module is reported
+// in `conflicts` and its conflicting fields are kept as mine until the caller passes a
+// `resolution`: 'mine' keeps this tab's value of each conflicting field, 'theirs' takes the
+// other tab's (or its deletion), and 'both' keeps this tab's and adds the other tab's version
+// as a copy next to it. Fields only one side changed stay merged whichever is chosen.
+// `changed` is false when the result holds nothing this tab does not already have.
+export function mergeSessions({ base = null, mine, theirs, resolution = null }) {
+  const baseById = new Map((base?.modules || []).map((module) => [module.id, module]));
+  const mineById = new Map(mine.modules.map((module) => [module.id, module]));
+  const theirsById = new Map(theirs.modules.map((module) => [module.id, module]));
+  const conflicts = [];
+  const mergedById = new Map();
+  const copiesAfter = new Map();
+
+  // `mergedModule` already holds both sides' non-conflicting edits, so a resolution only
+  // decides the conflicting fields.
+  const resolveConflict = (conflict, mineModule, theirsModule, mergedModule = mineModule) => {
+    conflicts.push(conflict);
+    if (resolution === 'theirs') {
+      if (!mergedModule || !theirsModule) {
+        return theirsModule;
+      }
+      const resolved = { ...mergedModule };
+      conflict.fields.forEach((field) => {
+        resolved[field] = theirsModule[field];
+      });
+      if (resolved.updatedAt < theirsModule.updatedAt) {
+        resolved.updatedAt = theirsModule.updatedAt;
+      }
+      return resolved;
+    }
+    if (resolution === 'both' && mineModule && theirsModule) {
+      copiesAfter.set(mineModule.id, copyModuleFromOtherTab(theirsModule));
+    }
+    return mergedModule || (resolution === 'both' ? theirsModule : null);
+  };
+
+  const ids = [...new Set([...mineById.keys(), ...theirsById.keys()])];
+  ids.forEach((moduleId) => {
+    const baseModule = baseById.get(moduleId) || null;
+    const mineModule = mineById.get(moduleId) || null;
+    const theirsModule = theirsById.get(moduleId) || null;
+    const title = (mineModule || theirsModule).title || 'Untitled Module';
+    let merged = null;
+
+    if (mineModule && theirsModule) {
+      const result = mergeModuleFields(baseModule, mineModule, theirsModule);
+      merged = result.conflictingFields.length === 0
+        ? result.merged
+        : resolveConflict({ moduleId, title, kind: 'edited', fields: result.conflictingFields }, mineModule, theirsModule, result.merged);
+    } else if (mineModule) {
+      // Missing from theirs: new here, or deleted there. A deletion only wins over an untouched module.
+      if (!baseModule) {
+        merged = mineModule;
+      } else if (moduleSignature(mineModule) !== moduleSignature(baseModule)) {
+        merged = resolveConflict({ moduleId, title, kind: 'deleted-theirs', fields: [] }, mineModule, null);
+      }
+    } else if (!baseModule) {
+      merged = theirsModule;
+    } else if (moduleSignature(theirsModule) !== moduleSignature(baseModule)) {
+      merged = resolveConflict({ moduleId, title, kind: 'deleted-mine', fields: [] }, null, theirsModule);
+    }
+
+    if (merged) {
+      mergedById.set(moduleId, merged);
+    }
+  });
+
+  const orderChangedHere = !base || fieldSignature(mine.order) !== fieldSignature(base.order);
+  const orderChangedThere = !base || fieldSignature(theirs.order) !== fieldSignature(base.order);
+  const preferredOrder = orderChangedThere && !orderChangedHere ? theirs.order : mine.order;
+  const order = [];
+  [...preferredOrder, ...theirs.order, ...mine.order].forEach((moduleId) => {
+    if (mergedById.has(moduleId) && !order.includes(moduleId)) {
+      order.push(moduleId);
+      if (copiesAfter.has(moduleId)) {
+        const copy = copiesAfter.get(moduleId);
+        mergedById.set(copy.id, copy);
+        order.push(copy.id);
+      }
+    }
+  });
+
+  const clientName = base && mine.clientName === base.clientName ? theirs.clientName : mine.clientName;
+  const session = {
+    ...mine,
+    clientName,
+    modules: order.map((moduleId) => mergedById.get(moduleId)),
+    order,
+    activeModuleId: order.includes(mine.activeModuleId) ? mine.activeModuleId : order[0] || null
+  };
+
+  const changed = clientName !== mine.clientName
+    || fieldSignature(order) !== fieldSignature(mine.order)
+    || session.modules.some((module) => moduleSignature(module) !== moduleSignature(mineById.get(module.id)));
+
+  return { session, conflicts, changed };
+}
+
+// Session-wide undo history. Each entry keeps the whole session as JSON as it stood after
+// a change, so undo and redo restore snapshots rather than replaying commands; the first
+// entry is the session as it was opened. Changes sharing a coalesceKey within coalesceMs
+// of each other fold into one entry, which keeps a burst of keystrokes to a single step.
+export function createSessionHistory({ limit = 50, coalesceMs = 1000, now = () => Date.now() } = {}) {
+  let entries = [];
+  let index = -1;
+  // Only an entry that was just recorded may absorb the next keystroke; after an undo the
+  // current entry stands for a past state and must stay as it was.
+  let coalesceOpen = false;
+
+  function reset(session, label = 'Session opened') {
+    entries = [{ label, at: now(), coalesceKey: null, moduleId: null, snapshot: JSON.stringify(session) }];
+    index = 0;
+    coalesceOpen = false;
+  }
+
+  function record(session, { label = 'Edit', coalesceKey = null, moduleId = null } = {}) {
+    if (index < 0) {
+      reset(session);
+      return false;
+    }
+
+    const snapshot = JSON.stringify(session);
+    if (snapshot === entries[index].snapshot) {
+      return false;
+    }
+
+    const at = now();
+    const head = entries[index];
+    entries = entries.slice(0, index + 1);
+
+    if (coalesceOpen && coalesceKey && index > 0 && head.coalesceKey === coalesceKey && at - head.at <= coalesceMs) {
+      head.snapshot = snapshot;
+      head.at = at;
+      return true;
+    }
+
+    entries.push({ label, at, coalesceKey, moduleId, snapshot });
+    if (entries.length > limit) {
+      entries = entries.slice(entries.length - limit);
+    }
+    index = entries.length - 1;
+    coalesceOpen = true;
+    return true;
+  }
+
+  function describe(entry, entryIndex) {
+    return {
+      index: entryIndex,
+      label: entry.label,
+      at: entry.at,
+      moduleId: entry.moduleId,
+      state: entryIndex === index ? 'current' : entryIndex < index ? 'done' : 'undone'
+    };
+  }
+
+  // Moving through history returns the session to restore and the entry that was crossed,
+  // so the caller can bring the affected module into view.
+  function goTo(targetIndex) {
+    if (!Number.isInteger(targetIndex) || targetIndex < 0 || targetIndex >= entries.length || targetIndex === index) {
+      return null;
+    }
+
+    const crossed = targetIndex < index ? entries[index] : entries[targetIndex];
+    const crossedIndex = targetIndex < index ? index : targetIndex;
+    index = targetIndex;
+    coalesceOpen = false;
+    return {
+      session: JSON.parse(entries[index].snapshot),
+      entry: describe(crossed, crossedIndex)
+    };
+  }
+
+  function undo() {
+    return goTo(index - 1);
+  }
+
+  function redo() {
+    return goTo(index + 1);
+  }
+
+  function canUndo() {
+    return index > 0;
+  }
+
+  function canRedo() {
+    return index >= 0 && index < entries.length - 1;
+  }
+
+  function getEntries() {
+    return entries.map((entry, entryIndex) => describe(entry, entryIndex));
+  }
+
+  return {
+    reset,
+    record,
+    undo,
+    redo,
+    goTo,
+    canUndo,
+    canRedo,
+    getEntries
+  };
+}
+
 export function getModuleById(session, moduleId) {
   return session.modules.find((module) => module.id === moduleId) || null;
 }
@@ -0,0 +1,39 @@
+import { computeAffordabilityProjection } from './affordability_math.js';
+import { computeMonthlyPayment } from './mortgage_math.js';
+import { assert, assertApprox, createCaseRunner, summarizeCases } from './tests_helpers.js';
+
+const runCase = createCaseRunner('AffordabilityTests');
+
+export function runAffordabilityMathTests() {
+  const cases = [];
+
+  cases.push(runCase('Affordability applies the tightest Central Bank limit and reports the deposit gap', () => {
+    const firstTime = computeAffordabilityProjection({
+      buyerType: 'firstTime',
+      grossIncome: 100000,
+      propertyPrice: 500000,
+      savings: 40000,
+      annualInterestRate: 0.04,
+      termYears: 30
+    });
+    const secondTime = computeAffordabilityProjection({
+      buyerType: 'secondTime',
+      grossIncome: 100000,
+      propertyPrice: 500000,
+      savings: 40000,
+      annualInterestRate: 0.04,
+      termYears: 30
+    });
+
+    assertApprox(firstTime.debug.limits.lti, 400000, 1e-6, 'First-time buyer LTI should be 4x');
+    assertApprox(firstTime.debug.limits.ltv, 450000, 1e-6, 'First-time buyer LTV should be 90%');
+    assert(firstTime.debug.bindingConstraint === 'lti', 'LTI should bind for the first-time buyer');
+    // €100k deposit + €5k stamp duty against €40k savings.
+    assertApprox(firstTime.debug.depositGap, 65000, 1e-6, 'First-time buyer deposit gap mismatch');
+    assertApprox(secondTime.debug.maxLoan, 350000, 1e-6, 'Second-time buyer should be capped at 3.5x');
+    const stressPayment = computeMonthlyPayment(firstTime.debug.limits.stress, 0.06, 360);
+    assertApprox(stressPayment, (100000 / 12) * 0.35, 1e-6, 'Stress limit should exhaust the repayment cap at rate + 2%');
+  }));
+
+  return summarizeCases('AffordabilityTests', cases);
+}
@@ -0,0 +1,39 @@
+import { computeCashflowProjection } from './cashflow_math.js';
+import { computeIrishIncomeTax } from './irish_tax_math.js';
+import { assert, assertApprox, createCaseRunner, summarizeCases } from './tests_helpers.js';
+
+const runCase = createCaseRunner('CashflowTests');
+
+export function runCashflowMathTests() {
+  const cases = [];
+
+  cases.push(runCase('Cashflow planner balances income, outgoings and net worth', () => {
+    const projection = computeCashflowProjection({
+      startYear: 2026,
+      currentAge: 60,
+      retirementAge: 62,
+      endAge: 63,
+      grossSalary: 50000,
+      salaryGrowth: 0,
+      inflationRate: 0,
+      livingExpenses: 30000,
+      retirementLivingExpenses: 20000,
+      startingCash: 10000,
+      cashReturn: 0,
+      propertyValue: 300000,
+      propertyGrowth: 0,
+      lifeEvents: [{ name: 'New car', age: 61, amount: -15000 }]
+    });
+    const [first, second, third] = projection.debug.years;
+    const netSalary = 50000 - computeIrishIncomeTax({ pensionIncome: 50000, age: 60, payeCreditEligible: true, taxYear: 2026 }).totalDeductions;
+
+    assertApprox(first.netSalary, netSalary, 0.01, 'Net salary should be gross less income tax, USC and PRSI');
+    assertApprox(first.cash, 10000 + netSalary - 30000, 0.01, 'Surplus should be added to cash');
+    assertApprox(second.surplus, netSalary - 45000, 0.01, 'One-off costs should land in their year');
+    assertApprox(third.surplus, -20000, 0.01, 'Retirement should stop salary and switch to retirement spending');
+    assertApprox(third.netWorth, third.cash + 300000, 0.01, 'Net worth should add cash and property');
+    assert(projection.debug.deficitYearCount === 3, 'Only the first working year should run a surplus');
+  }));
+
+  return summarizeCases('CashflowTests', cases);
+}
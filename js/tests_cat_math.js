@@ -0,0 +1,39 @@
+import { computeCatProjection } from './cat_math.js';
+import { assert, assertApprox, createCaseRunner, summarizeCases } from './tests_helpers.js';
+
+const runCase = createCaseRunner('CatTests');
+
+export function runCatMathTests() {
+  const cases = [];
+
+  cases.push(runCase('CAT engine aggregates by group and applies the small gift exemption', () => {
+    const projection = computeCatProjection({
+      beneficiaries: [
+        { name: 'Child', group: 'A', priorTaxableBenefits: 100000 },
+        { name: 'Nephew', group: 'B' }
+      ],
+      scenarios: [
+        {
+          name: 'Plan',
+          benefits: [
+            { beneficiary: 'Nephew', donor: 'Aunt', type: 'gift', amount: 5000, dateIso: '2026-03-01' },
+            { beneficiary: 'Nephew', donor: 'Aunt', type: 'gift', amount: 2000, dateIso: '2026-09-01' },
+            { beneficiary: 'Nephew', donor: 'Aunt', type: 'inheritance', amount: 40000, dateIso: '2030-01-01' },
+            { beneficiary: 'Child', donor: 'Parent', type: 'inheritance', amount: 350000, dateIso: '2030-01-01' }
+          ]
+        }
+      ]
+    });
+    const [scenario] = projection.debug.scenarios;
+    const [child, nephew] = scenario.beneficiaries;
+
+    assertApprox(nephew.smallGiftExemption, 3000, 0.01, 'One exemption should apply per donor per calendar year');
+    assertApprox(nephew.taxableBenefits, 44000, 0.01, 'Inheritances should not get the small gift exemption');
+    assertApprox(nephew.taxDue, 4000 * 0.33, 0.01, 'Tax should apply above the Group B threshold');
+    assertApprox(child.taxDue, 50000 * 0.33, 0.01, 'Earlier benefits should aggregate against the Group A threshold');
+    assertApprox(scenario.events[2].taxDue, 4000 * 0.33, 0.01, 'Tax should fall on the benefit that crosses the threshold');
+    assert(projection.tables[0].rows.length === 2, 'Each beneficiary should get a row');
+  }));
+
+  return summarizeCases('CatTests', cases);
+}
@@ -0,0 +1,75 @@
+import { computeAmortizationMonthlySchedule } from './mortgage_math.js';
+import { computeDebtPayoffProjection } from './debt_payoff_math.js';
+import { assert, assertApprox, createCaseRunner, summarizeCases } from './tests_helpers.js';
+
+const runCase = createCaseRunner('DebtPayoffTests');
+
+export function runDebtPayoffMathTests() {
+  const cases = [];
+
+  cases.push(runCase('Debt planner rolls freed payments on and ranks avalanche against snowball', () => {
+    // Interest-free: €300/month clears €1,500 in five months whichever debt goes first.
+    const flat = computeDebtPayoffProjection({
+      startDateIso: '2026-01-01',
+      monthlyBudget: 300,
+      debts: [
+        { name: 'Loan', balance: 1000, annualInterestRate: 0, minimumPayment: 100 },
+        { name: 'Card', balance: 500, annualInterestRate: 0, minimumPayment: 50 }
+      ]
+    });
+    assert(flat.debug.avalanche.monthsToClear === 5, 'Interest-free debts should clear in five months');
+    assert(flat.debug.avalanche.debtFreeDateIso === '2026-05-01', 'Debt-free date should be the fifth payment month');
+    // Card gets €50 minimum plus €150 spare for two months, then its last €100.
+    assert(flat.debug.snowball.payoffDatesIso[1] === '2026-03-01', 'Snowball should clear the smaller card in month three');
+
+    const mixed = computeDebtPayoffProjection({
+      startDateIso: '2026-01-01',
+      monthlyBudget: 800,
+      debts: [
+        { name: 'Credit card', kind: 'creditCard', balance: 4000, annualInterestRate: 0.22, minimumPayment: 120 },
+        { name: 'Car loan', balance: 12000, annualInterestRate: 0.08, minimumPayment: 290 },
+        { name: 'Credit union', balance: 2500, annualInterestRate: 0.1, minimumPayment: 80 }
+      ],
+      consolidation: { annualInterestRate: 0.085, termYears: 5, arrangementFee: 200 }
+    });
+    const { avalanche, snowball, consolidation } = mixed.debug;
+    assert(avalanche.totalInterest < snowball.totalInterest, 'Avalanche should cost less interest than snowball');
+    assert(avalanche.payoffDatesIso[0] < snowball.payoffDatesIso[0], 'Avalanche should clear the credit card first');
+    assertApprox(consolidation.totalPaid, 18700 + consolidation.totalInterest, 0.01, 'Consolidation should repay the balance, fee and interest');
+    assert(consolidation.monthsToClear < 60, 'Overpaying the budget surplus should shorten the consolidation loan');
+    const stacked = mixed.charts.find((chart) => chart.id === 'debt-payoff-balances-avalanche');
+    assert(stacked.datasets.length === 3, 'Stacked chart should carry one series per debt');
+
+    // A lone debt takes the whole budget, so it should match the loan engine paying that amount.
+    const single = computeDebtPayoffProjection({
+      startDateIso: '2026-01-01',
+      monthlyBudget: 450,
+      debts: [{ name: 'Car loan', balance: 12000, annualInterestRate: 0.08, minimumPayment: 290 }]
+    }).debug.avalanche;
+    const loan = computeAmortizationMonthlySchedule({
+      loanKind: 'loan',
+      currentBalance: 12000,
+      annualInterestRate: 0.08,
+      startDateIso: '2026-01-01',
+      remainingTermYears: 10,
+      repaymentType: 'repayment',
+      fixedPaymentAmount: 450
+    }, { defaultLoanKind: 'loan' });
+    assert(single.monthsToClear === loan.monthsSimulated, 'A lone debt should clear when the loan engine says');
+    assertApprox(single.totalInterest, loan.totalInterestLifetime, 1e-6, 'A lone debt should accrue the loan engine interest');
+
+    let interestOnlyMinimum = '';
+    try {
+      computeDebtPayoffProjection({
+        startDateIso: '2026-01-01',
+        monthlyBudget: 500,
+        debts: [{ name: 'Card', balance: 10000, annualInterestRate: 0.24, minimumPayment: 150 }]
+      });
+    } catch (error) {
+      interestOnlyMinimum = error.message;
+    }
+    assert(interestOnlyMinimum.includes('minimumPayment'), 'A minimum that does not cover the interest should be rejected');
+  }));
+
+  return summarizeCases('DebtPayoffTests', cases);
+}
@@ -0,0 +1,84 @@
+import { computeMortgageProjection } from './mortgage_math.js';
+import { goalSeek, solveForTarget, listGoalSeekOptions } from './goal_seek.js';
+import { assert, assertApprox, createCaseRunner, summarizeCases } from './tests_helpers.js';
+
+const runCase = createCaseRunner('GoalSeekTests');
+
+export function runGoalSeekTests() {
+  const cases = [];
+
+  cases.push(runCase('Goal seek finds the smallest input that meets a target', () => {
+    const squareRoot = solveForTarget({
+      evaluate: (value) => value * value,
+      low: 0,
+      high: 10,
+      target: 2,
+      tolerance: 1e-9,
+      inputTolerance: 1e-9
+    });
+    assert(squareRoot.converged, 'A bracketed target should converge');
+    assertApprox(squareRoot.value, Math.SQRT2, 1e-6, 'Bisection should land on the crossing');
+
+    const unreachable = solveForTarget({ evaluate: (value) => value, low: 0, high: 1, target: 5 });
+    assert(unreachable.status === 'unreachable' && unreachable.value === null, 'Targets outside the bounds should be reported');
+
+    const inputs = {
+      currentBalance: 200000,
+      annualInterestRate: 0.04,
+      startDateIso: '2026-01-01',
+      remainingTermYears: 30,
+      repaymentType: 'repayment'
+    };
+    const result = goalSeek({ calculator: 'mortgage', inputs, field: 'fixedPaymentAmount', metric: 'payoffYear', target: 2040 });
+    assert(result.converged, 'Mortgage payment goal seek should converge');
+    const clearsBy = (payment) => computeMortgageProjection({ ...inputs, fixedPaymentAmount: payment }).debug.annualSchedule
+      .find((row) => row.balanceEnd <= 0)?.year;
+    assert(clearsBy(result.value) <= 2040, 'Solved payment should clear the mortgage by the target year');
+    assert(clearsBy(result.value - 0.01) > 2040, 'One cent less should miss the target year');
+  }));
+
+  cases.push(runCase('Goal seek only varies pension fields the engine reads, and reports engine errors', () => {
+    const pension = {
+      currentAge: 40,
+      retirementAge: 66,
+      currentSalary: 80000,
+      growthRate: 0.05,
+      targetIncomeToday: 40000,
+      currentPot: 100000,
+      personalPct: 0.1,
+      employerPct: 0.05
+    };
+    const multiPot = {
+      ...pension,
+      pots: [
+        { type: 'occupational', name: 'Occ', balance: 80000, personalPct: 0.1, employerPct: 0.05 },
+        { type: 'avc', name: 'AVC', balance: 20000 }
+      ]
+    };
+    const singleFields = listGoalSeekOptions('pension', pension).fields.map((field) => field.key);
+    const multiFields = listGoalSeekOptions('pension', multiPot).fields.map((field) => field.key);
+    assert(singleFields.includes('personalPct') && singleFields.includes('currentPot'), 'A single pot should offer every field');
+    assert(!['personalPct', 'employerPct', 'currentPot'].some((key) => multiFields.includes(key)), 'Pot-derived fields should be hidden on a multi-pot module');
+    assert(multiFields.includes('growthRate') && multiFields.includes('retirementAge'), 'Fields the engine still reads should stay');
+
+    let lockedError = '';
+    try {
+      goalSeek({ calculator: 'pension', inputs: multiPot, field: 'personalPct', metric: 'retirementPot', target: 1500000 });
+    } catch (error) {
+      lockedError = error.message;
+    }
+    assert(lockedError.includes('individual pots'), 'Solving a pot-derived field should be refused with a reason');
+
+    const rejected = solveForTarget({
+      evaluate: () => {
+        throw new Error('currentSalary must be positive.');
+      },
+      low: 0,
+      high: 1,
+      target: 1
+    });
+    assert(rejected.status === 'error' && rejected.message.includes('currentSalary must be positive'), 'An engine validation error should be reported, not called unreachable');
+  }));
+
+  return summarizeCases('GoalSeekTests', cases);
+}
@@ -0,0 +1,47 @@
+// Shared by the tests_*.js runners. Each runner logs under its own tag so a failure in one
+// engine reads on its own in the console.
+
+export function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+export function assertApprox(actual, expected, tolerance, message) {
+  const delta = Math.abs(actual - expected);
+  if (delta > tolerance) {
+    throw new Error(`${message} (expected ${expected}, got ${actual}, delta ${delta})`);
+  }
+}
+
+export function createCaseRunner(tag) {
+  return function runCase(name, testFn) {
+    try {
+      testFn();
+      console.info(`[${tag}] PASS: ${name}`);
+      return { name, pass: true };
+    } catch (error) {
+      console.error(`[${tag}] FAIL: ${name}`, error);
+      return { name, pass: false, error: error?.message || String(error) };
+    }
+  };
+}
+
+export function summarizeCases(tag, cases) {
+  const passed = cases.filter((entry) => entry.pass).length;
+  const failed = cases.length - passed;
+  const summary = {
+    total: cases.length,
+    passed,
+    failed,
+    results: cases
+  };
+
+  if (failed > 0) {
+    console.warn(`[${tag}] Completed with failures`, summary);
+  } else {
+    console.info(`[${tag}] All tests passed`, summary);
+  }
+
+  return summary;
+}
@@ -1,32 +1,12 @@
 import {
   computeMonthlyPayment,
   computeAmortizationMonthlySchedule,
-  computeMortgageProjection
+  computeMortgageProjection,
+  computeMortgageSwitchComparison
 } from './mortgage_math.js';
+import { assert, assertApprox, createCaseRunner, summarizeCases } from './tests_helpers.js';
 
-function assert(condition, message) {
-  if (!condition) {
-    throw new Error(message);
-  }
-}
-
-function assertApprox(actual, expected, tolerance, message) {
-  const delta = Math.abs(actual - expected);
-  if (delta > tolerance) {
-    throw new Error(`${message} (expected ${expected}, got ${actual}, delta ${delta})`);
-  }
-}
-
-function runCase(name, testFn) {
-  try {
-    testFn();
-    console.info(`[MortgageTests] PASS: ${name}`);
-    return { name, pass: true };
-  } catch (error) {
-    console.error(`[MortgageTests] FAIL: ${name}`, error);
-    return { name, pass: false, error: error?.message || String(error) };
-  }
-}
+const runCase = createCaseRunner('MortgageTests');
 
 export function runMortgageMathTests() {
   const cases = [];
@@ -148,20 +128,169 @@ export function runMortgageMathTests() {
     );
   }));
 
-  const passed = cases.filter((entry) => entry.pass).length;
-  const failed = cases.length - passed;
-  const summary = {
-    total: cases.length,
-    passed,
-    failed,
-    results: cases
-  };
-
-  if (failed > 0) {
-    console.warn('[MortgageTests] Completed with failures', summary);
-  } else {
-    console.info('[MortgageTests] All tests passed', summary);
-  }
-
-  return summary;
+  cases.push(runCase('Interest-only keeps the balance and leaves a bullet at term end', () => {
+    const projection = computeMortgageProjection({
+      currentBalance: 300000,
+      annualInterestRate: 0.048,
+      startDateIso: '2026-01-01',
+      remainingTermYears: 10,
+      repaymentType: 'interestOnly'
+    });
+
+    assertApprox(projection.debug.paymentUsedMonthly, 1200, 1e-9, 'Interest-only payment should equal monthly interest');
+    assertApprox(projection.debug.bulletBalanceDue, 300000, 1e-6, 'Bullet should equal the full balance');
+    assertApprox(projection.debug.totalInterestLifetime, 1200 * 120, 1e-6, 'Interest-only lifetime interest mismatch');
+    const bulletDataset = projection.charts[0].datasets.find((dataset) => dataset.label === 'Bullet repayment due (term end)');
+    assert(bulletDataset, 'Expected a bullet repayment dataset on the mixed chart');
+    assertApprox(bulletDataset.data[bulletDataset.data.length - 1], 300000, 1e-6, 'Bullet should sit in the final year');
+  }));
+
+  cases.push(runCase('Split mortgage pays amortising payment plus interest-only interest', () => {
+    const schedule = computeAmortizationMonthlySchedule({
+      currentBalance: 400000,
+      annualInterestRate: 0.04,
+      startDateIso: '2026-01-01',
+      remainingTermYears: 25,
+      repaymentType: 'split',
+      interestOnlyPortion: 100000
+    });
+    const amortisingPayment = computeMonthlyPayment(300000, 0.04, 300);
+
+    assertApprox(schedule.monthlyPaymentUsed, amortisingPayment + (100000 * 0.04 / 12), 1e-9, 'Split payment mismatch');
+    assertApprox(schedule.bulletBalanceDue, 100000, 1e-6, 'Split bullet should equal the interest-only portion');
+  }));
+
+  cases.push(runCase('Rate schedule recalculates the payment over the remaining term', () => {
+    const schedule = computeAmortizationMonthlySchedule({
+      currentBalance: 300000,
+      annualInterestRate: 0.035,
+      startDateIso: '2026-01-01',
+      remainingTermYears: 25,
+      repaymentType: 'repayment',
+      rateSchedule: [{ fromDateIso: '2029-01-15', annualInterestRate: 0.045 }]
+    });
+    const fixedPayment = computeMonthlyPayment(300000, 0.035, 300);
+    const balanceAtReset = schedule.monthlySchedule[35].balanceEnd;
+    const resetPayment = computeMonthlyPayment(balanceAtReset, 0.045, 264);
+
+    assert(schedule.paymentStages.length === 2, 'Expected two payment stages');
+    assert(schedule.paymentStages[1].fromDateIso === '2029-01-01', 'Rate change should start at the month boundary');
+    assertApprox(schedule.paymentStages[0].monthlyPayment, fixedPayment, 1e-9, 'Initial stage payment mismatch');
+    assertApprox(schedule.paymentStages[1].monthlyPayment, resetPayment, 1e-9, 'Reset stage payment mismatch');
+    assertApprox(schedule.monthlySchedule[36].interestPaid, balanceAtReset * 0.045 / 12, 1e-9, 'Interest should use the new rate');
+    assertApprox(schedule.balanceRemaining, 0, 1e-6, 'Loan should still clear by term end');
+
+    const projection = computeMortgageProjection({
+      currentBalance: 300000,
+      annualInterestRate: 0.035,
+      startDateIso: '2026-01-01',
+      remainingTermYears: 25,
+      repaymentType: 'repayment',
+      rateSchedule: [{ fromDateIso: '2029-01-15', annualInterestRate: 0.045 }]
+    });
+    const markerDataset = projection.charts[0].datasets.find((dataset) => dataset.label === 'Rate change (%)');
+    assert(markerDataset, 'Expected a rate change marker dataset on the mixed chart');
+    assertApprox(markerDataset.data[projection.charts[0].labels.indexOf('2029')], 4.5, 1e-9, 'Marker should sit in 2029');
+    assert(markerDataset.data[projection.charts[0].labels.indexOf('2028')] === null, 'Years without a rate change should be left empty');
+    const toZero = computeMortgageProjection({
+      currentBalance: 250000,
+      annualInterestRate: 0.035,
+      startDateIso: '2026-01-01',
+      remainingTermYears: 25,
+      repaymentType: 'repayment',
+      rateSchedule: [{ fromDateIso: '2029-01-01', annualInterestRate: 0 }]
+    });
+    const zeroMarkers = toZero.charts[0].datasets.find((dataset) => dataset.label === 'Rate change (%)');
+    assert(zeroMarkers.data[toZero.charts[0].labels.indexOf('2029')] === 0, 'A change down to 0% should still be marked');
+    assert(
+      projection.outputsTable.rows.some((row) => row[0] === 'Monthly payment from 2029-01-01'),
+      'Expected a payment row for the new rate stage'
+    );
+  }));
+
+  cases.push(runCase('Scheduled overpayments report savings against a no-overpayment baseline', () => {
+    const baseInputs = {
+      currentBalance: 200000,
+      annualInterestRate: 0.04,
+      startDateIso: '2026-01-01',
+      remainingTermYears: 20,
+      repaymentType: 'repayment'
+    };
+    const baseline = computeAmortizationMonthlySchedule(baseInputs);
+    const reduceTerm = computeAmortizationMonthlySchedule({
+      ...baseInputs,
+      overpayments: [{ type: 'lumpSum', dateIso: '2027-01-01', amount: 30000 }],
+      earlyRepaymentCharge: { fixedUntilDateIso: '2029-01-01', chargeRate: 0.02 }
+    });
+    const reducePayment = computeAmortizationMonthlySchedule({
+      ...baseInputs,
+      overpayments: [{ type: 'lumpSum', dateIso: '2027-01-01', amount: 30000, effect: 'reducePayment' }]
+    });
+
+    assertApprox(reduceTerm.baseline.totalInterestLifetime, baseline.totalInterestLifetime, 1e-6, 'Baseline interest mismatch');
+    assertApprox(reduceTerm.interestSaved, baseline.totalInterestLifetime - reduceTerm.totalInterestLifetime, 1e-6, 'Interest saved mismatch');
+    assert(reduceTerm.monthsSaved > 0, 'Reduce-term lump sum should shorten the term');
+    assert(reducePayment.monthsSaved === 0, 'Reduce-payment lump sum should keep the term');
+    assert(reducePayment.finalMonthlyPayment < reducePayment.monthlyPaymentUsed, 'Reduce-payment lump sum should lower the payment');
+    assert(reduceTerm.interestSaved > reducePayment.interestSaved, 'Reducing the term should save more interest');
+
+    const balanceBeforeLump = reduceTerm.monthlySchedule[12].balanceStart;
+    const expectedCharge = (30000 - (balanceBeforeLump * 0.10)) * 0.02;
+    assertApprox(reduceTerm.earlyRepaymentChargeTotal, expectedCharge, 1e-6, 'Early repayment charge should apply above the 10% allowance');
+
+    const lumpSumError = (dateIso) => {
+      try {
+        computeAmortizationMonthlySchedule({ ...baseInputs, overpayments: [{ type: 'lumpSum', dateIso, amount: 1000 }] });
+        return '';
+      } catch (error) {
+        return error.message;
+      }
+    };
+    assert(lumpSumError('2025-12-01').includes('overpayments[0].dateIso'), 'A lump sum before the start should be rejected');
+    assert(lumpSumError('2046-01-01').includes('overpayments[0].dateIso'), 'A lump sum after the last month of the term should be rejected');
+    assert(lumpSumError('2045-12-01') === '', 'A lump sum in the last month of the term should be accepted');
+  }));
+
+  cases.push(runCase('Switching comparison nets cashback against costs and finds break-even', () => {
+    const comparison = computeMortgageSwitchComparison({
+      currentBalance: 250000,
+      annualInterestRate: 0.045,
+      startDateIso: '2026-01-01',
+      remainingTermYears: 20,
+      repaymentType: 'repayment',
+      switchOffers: [
+        { name: 'Cheaper', annualInterestRate: 0.035, legalCosts: 2000, valuationCosts: 200, fixedUntilDateIso: '2029-01-01' },
+        { name: 'Dearer', annualInterestRate: 0.05, cashback: 1000 }
+      ]
+    });
+    const [cheaper, dearer] = comparison.offers;
+    const stay = computeAmortizationMonthlySchedule({
+      currentBalance: 250000,
+      annualInterestRate: 0.045,
+      startDateIso: '2026-01-01',
+      remainingTermYears: 20,
+      repaymentType: 'repayment'
+    });
+    const offer = computeAmortizationMonthlySchedule({
+      currentBalance: 250000,
+      annualInterestRate: 0.035,
+      startDateIso: '2026-01-01',
+      remainingTermYears: 20,
+      repaymentType: 'repayment'
+    });
+
+    assertApprox(cheaper.upfrontCost, 2200, 1e-9, 'Upfront cost should be legal plus valuation');
+    assertApprox(
+      cheaper.savingOverLife,
+      stay.totalInterestLifetime - offer.totalInterestLifetime - 2200,
+      1e-6,
+      'Lifetime saving should be the interest difference less costs'
+    );
+    assert(cheaper.breakEvenMonthIndex > 0 && cheaper.breakEvenMonthIndex < 12, 'Cheaper offer should break even within a year');
+    assert(cheaper.savingOverFixedPeriod > 0, 'Cheaper offer should save money over its fixed period');
+    assert(dearer.breakEvenMonthIndex === 0, 'Cashback should put the dearer offer ahead in month one');
+    assert(dearer.savingOverLife < 0, 'Dearer offer should cost more over the life of the loan');
+  }));
+
+  return summarizeCases('MortgageTests', cases);
 }
@@ -0,0 +1,177 @@
+import { computePensionProjection, computeSft, resolvePensionRules } from './pension_math.js';
+import { assert, assertApprox, createCaseRunner, summarizeCases } from './tests_helpers.js';
+
+const runCase = createCaseRunner('PensionTests');
+
+export function runPensionMathTests() {
+  const cases = [];
+
+  const pensionBase = {
+    currentAge: 40,
+    retirementAge: 66,
+    currentSalary: 80000,
+    growthRate: 0.05,
+    inflationRate: 0.02,
+    targetIncomeToday: 40000,
+    currentPot: 100000,
+    personalPct: 0.1,
+    employerPct: 0.05,
+    currentYear: 2026
+  };
+
+  cases.push(runCase('Seeded Monte Carlo repeats exactly and orders its percentiles', () => {
+    const run = (stochastic) => computePensionProjection({ ...pensionBase, stochastic }).debug;
+    const first = run({ volatility: 0.12, paths: 200, seed: 7 }).stochastic;
+    const second = run({ volatility: 0.12, paths: 200, seed: 7 }).stochastic;
+    const reseeded = run({ volatility: 0.12, paths: 200, seed: 8 }).stochastic;
+
+    assert(JSON.stringify(first) === JSON.stringify(second), 'The same seed should reproduce every percentile and the success rate');
+    assert(reseeded.retirementPotPercentiles.p50 !== first.retirementPotPercentiles.p50, 'A different seed should draw different paths');
+    const { p10, p50, p90 } = first.retirementPotPercentiles;
+    assert(p10 < p50 && p50 < p90, 'Percentiles should be ordered p10 < p50 < p90');
+    assert(first.successProbability >= 0 && first.successProbability <= 1, 'Success probability should be a share of paths');
+
+    const flat = run({ volatility: 0, paths: 5, seed: 7 });
+    assertApprox(flat.stochastic.retirementPotPercentiles.p10, flat.projectedPotCurrent, 0.01, 'Zero volatility should collapse onto the deterministic pot');
+    assertApprox(flat.stochastic.retirementPotPercentiles.p90, flat.projectedPotCurrent, 0.01, 'Zero volatility should leave no spread');
+  }));
+
+  cases.push(runCase('State Pension offsets the drawdown the pot has to fund', () => {
+    const withoutStatePension = computePensionProjection(pensionBase).debug;
+    const fullStatePension = computePensionProjection({ ...pensionBase, statePension: {} }).debug;
+    const halfStatePension = computePensionProjection({ ...pensionBase, statePension: { qualifyingFraction: 0.5 } }).debug;
+    const zeroRate = computePensionProjection({ ...pensionBase, statePension: { weeklyRate: 0 } }).debug;
+
+    assert(fullStatePension.requiredPot < halfStatePension.requiredPot, 'A full State Pension should need a smaller pot than a half one');
+    assert(halfStatePension.requiredPot < withoutStatePension.requiredPot, 'Any State Pension should reduce the pot needed');
+    assertApprox(zeroRate.requiredPot, withoutStatePension.requiredPot, 0.01, 'A zero State Pension should change nothing');
+    assertApprox(fullStatePension.statePension.annualTodayValue, 299.3 * 52, 0.01, 'The annual State Pension should be the weekly rate over 52 weeks');
+    assertApprox(fullStatePension.projectedPotCurrent, withoutStatePension.projectedPotCurrent, 0.01, 'The State Pension should not change accumulation');
+  }));
+
+  cases.push(runCase('Retirement lump sum is taxed 0% to €200k, 20% to €500k and 40% above', () => {
+    // Retiring now means the pot at retirement is exactly the current pot.
+    const splitFor = (pot) => computePensionProjection({
+      ...pensionBase,
+      currentAge: 66,
+      currentPot: pot,
+      retirementEvent: { lumpSumPct: 0.25 }
+    }).debug.retirementSplit.current;
+
+    const atFirstEdge = splitFor(800000);
+    assertApprox(atFirstEdge.lumpSum, 200000, 0.001, 'A quarter of €800k should be a €200k lump sum');
+    assertApprox(atFirstEdge.lumpSumTax, 0, 0.001, 'The first €200k should be tax-free');
+    assertApprox(splitFor(800004).lumpSumTax, 0.2, 0.001, 'One euro over €200k should be taxed at 20%');
+    assertApprox(splitFor(2000000).lumpSumTax, 60000, 0.001, 'A €500k lump sum should pay 20% on €300k');
+    assertApprox(splitFor(2000004).lumpSumTax, 60000.4, 0.001, 'One euro over €500k should be taxed at 40%');
+
+    const split = splitFor(2000000);
+    assertApprox(split.netLumpSum, 440000, 0.001, 'The net lump sum should be after tax');
+    assertApprox(split.drawdownPot, 1500000, 0.001, 'The rest of the pot should go to drawdown');
+  }));
+
+  cases.push(runCase('Net income target solves the gross drawdown back to the net figure', () => {
+    const gross = computePensionProjection(pensionBase).debug;
+    const net = computePensionProjection({ ...pensionBase, statePension: {}, incomeTax: { targetBasis: 'net' } }).debug;
+
+    assert(net.incomeTax.targetBasis === 'net', 'The net basis should be kept in target mode');
+    assert(net.incomeTax.netIncomeByAge.length >= 2, 'Net income should be reported at retirement and the State Pension age milestones');
+    net.incomeTax.netIncomeByAge.forEach((entry) => {
+      assertApprox(entry.netIncome, 40000, 1, `Net income at ${entry.age} should match the target in today's money`);
+      assert(entry.grossIncome > entry.netIncome, `Gross drawdown at ${entry.age} should exceed the net target`);
+    });
+    gross.incomeTax.netIncomeByAge.forEach((entry) => {
+      assertApprox(entry.grossIncome, 40000, 0.01, `A gross target at ${entry.age} should be drawn as is`);
+    });
+
+    let affordableError = '';
+    try {
+      computePensionProjection({ ...pensionBase, incomeMode: 'affordable', incomeTax: { targetBasis: 'net' } });
+    } catch (error) {
+      affordableError = error.message;
+    }
+    assert(affordableError.includes('targetBasis'), 'Affordable mode should reject a net basis instead of ignoring it');
+  }));
+
+  cases.push(runCase('Pension rules table is pinned by version and sets the SFT for each year', () => {
+    const rules = resolvePensionRules();
+    assert(rules.version === 'ie-2026.1', 'The default rules version should be ie-2026.1');
+    assert(computePensionProjection(pensionBase).debug.rulesVersion === rules.version, 'Projections should report the rules version they used');
+    const pinned = computePensionProjection({ ...pensionBase, rulesVersion: 'ie-2026.1' }).debug;
+    assert(pinned.rulesVersion === 'ie-2026.1', 'A pinned rules version should be used as given');
+
+    [[2026, 2200000], [2027, 2400000], [2028, 2600000], [2029, 2800000]].forEach(([year, value]) => {
+      const sft = computeSft(year, rules);
+      assert(sft.sftValue === value && sft.sftYearUsed === year, `The SFT for ${year} should be ${value}`);
+    });
+    const beyond = computeSft(2040, rules);
+    assert(beyond.sftValue === 2800000 && beyond.heldConstantBeyondSchedule, 'Years past the schedule should hold the last value');
+    assertApprox(computeSft(2031, rules, { indexationRate: 0.02 }).sftValue, 2800000 * 1.02 * 1.02, 0.01, 'Indexation should compound past the last scheduled year');
+
+    let unknownError = '';
+    try {
+      computePensionProjection({ ...pensionBase, rulesVersion: 'ie-1999.1' });
+    } catch (error) {
+      unknownError = error.message;
+    }
+    assert(unknownError.includes('rulesVersion'), 'An unknown rules version should be rejected');
+  }));
+
+  cases.push(runCase('Pots share one age-related relief cap across their personal contributions', () => {
+    // Age 40 on €80k: the 25% band caps relievable personal contributions at €20k a year.
+    const projection = computePensionProjection({
+      ...pensionBase,
+      pots: [
+        { type: 'occupational', name: 'Occupational', balance: 60000, personalPct: 0.2, employerPct: 0.05 },
+        { type: 'prsa', name: 'PRSA', balance: 40000, personalPct: 0.1 },
+        { type: 'prb', name: 'PRB', balance: 10000 }
+      ]
+    }).debug;
+
+    assert(projection.currentPersonalWasCapped && projection.firstCappedAge === 40, 'Combined 30% contributions should hit the cap at 40');
+    assertApprox(projection.currentScenario.personalEurSeries[0], 20000, 0.01, 'The cap should apply to the pots together, not each pot');
+    assertApprox(projection.currentScenario.employerEurSeries[0], 4000, 0.01, 'Employer contributions should not count towards the cap');
+
+    const pots = projection.potsAtRetirement.current;
+    assert(pots.length === 3, 'Each pot should be reported at retirement');
+    assertApprox(pots.reduce((sum, pot) => sum + pot.retirementPot, 0), projection.projectedPotCurrent, 0.01, 'Pots should add up to the projected pot');
+    assertApprox(pots[2].retirementPot, 10000 * Math.pow(1.05, 26), 0.01, 'A PRB should only grow');
+
+    // Pots pooled at retirement draw down at their own rate and charges, not the module default.
+    const pooled = computePensionProjection({
+      ...pensionBase,
+      growthRate: 0.07,
+      charges: { amc: 0.015 },
+      pots: [{ type: 'occupational', balance: 100000, personalPct: 0.1, employerPct: 0.05, growthRate: 0.04, charges: { amc: 0.005 } }]
+    }).debug;
+    const single = computePensionProjection({ ...pensionBase, growthRate: 0.04, charges: { amc: 0.005 } }).debug;
+    assertApprox(pooled.projectedPotCurrent, single.projectedPotCurrent, 0.01, 'The pot should accumulate at its own rate');
+    assertApprox(pooled.requiredPot, single.requiredPot, 0.01, 'The required pot should use the pooled drawdown rate and charges');
+  }));
+
+  cases.push(runCase('Fund charges lower the projected pot and are totalled over the lifetime', () => {
+    const uncharged = computePensionProjection(pensionBase).debug;
+    const charged = computePensionProjection({ ...pensionBase, charges: { amc: 0.01, contributionCharge: 0.02, policyFee: 60 } }).debug;
+
+    assert(charged.projectedPotCurrent < uncharged.projectedPotCurrent, 'Charges should lower the pot at retirement');
+    assertApprox(charged.charges.grossRetirementPot, uncharged.projectedPotCurrent, 0.01, 'The gross comparison should match the uncharged projection');
+    assertApprox(
+      charged.charges.potReductionAtRetirement,
+      uncharged.projectedPotCurrent - charged.projectedPotCurrent,
+      0.01,
+      'The reported reduction should be the gap between gross and net pots'
+    );
+    assert(charged.charges.accumulationCharges > 0 && charged.charges.drawdownCharges > 0, 'Charges should be counted before and after retirement');
+    assert(charged.requiredPot > uncharged.requiredPot, 'Drawdown charges should raise the pot needed');
+
+    const cheaperPot = computePensionProjection({
+      ...pensionBase,
+      charges: { amc: 0.01 },
+      pots: [{ type: 'occupational', balance: 100000, personalPct: 0.1, employerPct: 0.05, charges: { amc: 0.005 } }]
+    }).debug;
+    const defaultPot = computePensionProjection({ ...pensionBase, charges: { amc: 0.01 } }).debug;
+    assert(cheaperPot.projectedPotCurrent > defaultPot.projectedPotCurrent, 'A pot with its own lower AMC should beat the module default');
+  }));
+
+  return summarizeCases('PensionTests', cases);
+}
@@ -0,0 +1,40 @@
+import { computeProtectionProjection } from './protection_math.js';
+import { assert, assertApprox, createCaseRunner, summarizeCases } from './tests_helpers.js';
+
+const runCase = createCaseRunner('ProtectionTests');
+
+export function runProtectionMathTests() {
+  const cases = [];
+
+  cases.push(runCase('Protection engine sizes life cover and caps income protection', () => {
+    const projection = computeProtectionProjection({
+      grossSalary: 60000,
+      incomeReplacementPct: 0.5,
+      realDiscountRate: 0,
+      dependants: [{ name: 'Child', age: 20 }],
+      educationCostPerYear: 5000,
+      liquidAssets: 10000,
+      stateIllnessBenefitWeekly: 250,
+      mortgage: {
+        currentBalance: 200000,
+        annualInterestRate: 0.04,
+        startDateIso: '2026-01-01',
+        remainingTermYears: 20,
+        repaymentType: 'repayment'
+      },
+      existingCover: { mortgageProtection: 200000, incomeProtection: 40000 }
+    });
+    const { debug } = projection;
+
+    assertApprox(debug.outstandingMortgage, 200000, 0.01, 'Mortgage balance should come from the schedule');
+    assertApprox(debug.incomeReplacementNeed, 30000 * 3, 0.01, 'Support should run until the dependant is 23');
+    assertApprox(debug.educationNeed, 10000, 0.01, 'Two years of third-level costs should remain');
+    assertApprox(debug.lifeCover.need, 200000 + 90000 + 10000 - 10000, 0.01, 'Liquid assets should offset the need');
+    assertApprox(debug.lifeCover.gap, 90000, 0.01, 'Mortgage protection should count as existing cover');
+    assertApprox(debug.incomeProtection.need, (60000 * 0.75) - (250 * 52), 0.01, 'Income protection should be capped at 75% less State benefit');
+    assertApprox(debug.incomeProtection.gap, 0, 0.01, 'Existing benefit above the cap should leave no gap');
+    assertApprox(debug.seriousIllness.gap, 60000, 0.01, 'Serious illness should default to a year of salary');
+  }));
+
+  return summarizeCases('ProtectionTests', cases);
+}
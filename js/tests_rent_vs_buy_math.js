@@ -0,0 +1,48 @@
+import { computeRentVsBuyProjection } from './rent_vs_buy_math.js';
+import { assert, assertApprox, createCaseRunner, summarizeCases } from './tests_helpers.js';
+
+const runCase = createCaseRunner('RentVsBuyTests');
+
+export function runRentVsBuyMathTests() {
+  const cases = [];
+
+  cases.push(runCase('Rent vs buy tracks equity against the invested deposit and finds the crossover', () => {
+    // Zero rates and costs: rent equals the €1,000 repayment, so only principal repaid separates the two.
+    const flat = computeRentVsBuyProjection({
+      propertyPrice: 400000,
+      deposit: 40000,
+      annualInterestRate: 0,
+      termYears: 30,
+      horizonYears: 2,
+      startDateIso: '2026-01-01',
+      monthlyRent: 1000,
+      rentInflation: 0,
+      housePriceGrowth: 0,
+      buyingCostsPct: 0,
+      sellingCostsPct: 0,
+      ownershipCostsPct: 0,
+      investmentReturn: 0
+    });
+    const [firstYear, secondYear] = flat.debug.yearly;
+
+    assert(firstYear.year === 2026, 'First year-end should be labelled 2026');
+    assertApprox(firstYear.buyNetWealth, 52000, 1e-6, 'Buyer should hold deposit plus a year of principal');
+    assertApprox(secondYear.buyNetWealth, 64000, 1e-6, 'Buyer equity should grow by a year of principal');
+    assertApprox(secondYear.rentNetWealth, 40000, 1e-6, 'Renter should keep the uninvested deposit');
+    assert(flat.debug.crossoverYear === 2026, 'Buying should be ahead from the first year');
+
+    const dearRent = computeRentVsBuyProjection({
+      propertyPrice: 400000,
+      deposit: 40000,
+      annualInterestRate: 0.04,
+      termYears: 30,
+      horizonYears: 25,
+      startDateIso: '2026-01-01',
+      monthlyRent: 2000
+    });
+    assert(dearRent.debug.crossoverYear === 2027, 'Buying should pull ahead after buying costs are recovered');
+    assert(dearRent.debug.finalBuyNetWealth > dearRent.debug.finalRentNetWealth, 'Buying should finish ahead');
+  }));
+
+  return summarizeCases('RentVsBuyTests', cases);
+}
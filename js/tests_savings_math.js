@@ -0,0 +1,52 @@
+import { computeSavingsProjection } from './savings_math.js';
+import { assert, assertApprox, createCaseRunner, summarizeCases } from './tests_helpers.js';
+
+const runCase = createCaseRunner('SavingsTests');
+
+export function runSavingsMathTests() {
+  const cases = [];
+
+  cases.push(runCase('Savings engine applies DIRT, deemed disposal and goal-seeks the monthly saving', () => {
+    const deposit = computeSavingsProjection({
+      startDateIso: '2026-01-01',
+      targetDateIso: '2027-01-01',
+      targetAmount: 1000,
+      startingBalance: 1000,
+      growthRate: 0.03,
+      inflationRate: 0,
+      vehicle: 'deposit'
+    });
+    // 3% a year less 33% DIRT on each monthly credit leaves about 2.00%.
+    assertApprox(deposit.debug.netBalance, 1020.01, 0.01, 'Deposit should grow at the after-DIRT rate');
+
+    const fund = computeSavingsProjection({
+      startDateIso: '2026-01-01',
+      targetDateIso: '2034-01-01',
+      targetAmount: 1000,
+      startingBalance: 1000,
+      growthRate: 0.1,
+      inflationRate: 0,
+      vehicle: 'fund'
+    });
+    const gain = (1000 * Math.pow(1.1, 8)) - 1000;
+    assertApprox(fund.debug.deemedDisposalTax, gain * 0.41, 0.01, 'Deemed disposal should tax the eight-year gain at 41%');
+    assertApprox(fund.debug.netBalance, 1000 + (gain * 0.59), 0.01, 'Fund should keep 59% of the gain');
+    assert(fund.debug.finalExitTax < 0.01, 'No gain should remain after the deemed disposal');
+
+    const goal = {
+      startDateIso: '2026-01-01',
+      targetDateIso: '2038-09-01',
+      targetAmount: 60000,
+      startingBalance: 5000,
+      monthlyContribution: 250,
+      contributionEscalation: 0.03,
+      growthRate: 0.05,
+      inflationRate: 0.02
+    };
+    const { requiredMonthlyContribution, targetNominal } = computeSavingsProjection(goal).debug;
+    const solved = computeSavingsProjection({ ...goal, monthlyContribution: requiredMonthlyContribution });
+    assertApprox(solved.debug.netBalance, targetNominal, 2, 'Required saving should land on the inflated target');
+  }));
+
+  return summarizeCases('SavingsTests', cases);
+}
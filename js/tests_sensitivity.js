@@ -0,0 +1,102 @@
+import { computeMortgageProjection } from './mortgage_math.js';
+import { computeSensitivity, buildSensitivityChart } from './sensitivity.js';
+import { assert, assertApprox, createCaseRunner, summarizeCases } from './tests_helpers.js';
+
+const runCase = createCaseRunner('SensitivityTests');
+
+export function runSensitivityTests() {
+  const cases = [];
+
+  cases.push(runCase('Sensitivity moves each mortgage input and ranks the widest swing first', () => {
+    const inputs = {
+      currentBalance: 320000,
+      annualInterestRate: 0.0425,
+      startDateIso: '2026-01-01',
+      remainingTermYears: 25,
+      repaymentType: 'repayment',
+      annualOverpayment: 0
+    };
+    const result = computeSensitivity({ calculator: 'mortgage', inputs, shocks: { annualInterestRate: 0.005, remainingTermYears: 0 } });
+    const baseInterest = computeMortgageProjection(inputs).debug.totalInterestLifetime;
+    assertApprox(result.baseValue, baseInterest, 0.01, 'Base value should match the unshocked projection');
+    assert(!result.rows.some((row) => row.field === 'remainingTermYears'), 'A zero shock should leave the field out');
+
+    const rate = result.rows.find((row) => row.field === 'annualInterestRate');
+    assertApprox(rate.lowInput, 0.0375, 1e-9, 'Rate shock override should apply');
+    assertApprox(
+      rate.highValue,
+      computeMortgageProjection({ ...inputs, annualInterestRate: 0.0475 }).debug.totalInterestLifetime,
+      0.01,
+      'Raised rate should rerun the projection'
+    );
+
+    const overpayment = result.rows.find((row) => row.field === 'annualOverpayment');
+    assert(overpayment.lowInput === 0, 'Overpayment should not drop below zero');
+    assert(overpayment.highValue < result.baseValue, 'Overpaying should cut total interest');
+
+    const swings = result.rows.map((row) => Math.abs(row.highValue - row.lowValue));
+    assert(swings.every((swing, index) => index === 0 || swings[index - 1] >= swing), 'Rows should be sorted by swing');
+
+    const chart = buildSensitivityChart(result);
+    assert(chart.labels.length === result.rows.length && chart.datasets.length === 2, 'Tornado should have one bar pair per input');
+    assertApprox(chart.datasets[1].data[chart.labels.indexOf('Annual overpayment')], overpayment.highValue - result.baseValue, 0.01, 'Bars should be changes from the base case');
+
+    const scheduled = { ...inputs, rateSchedule: [{ fromDateIso: '2029-01-01', annualInterestRate: 0.05 }] };
+    const scheduledRate = computeSensitivity({ calculator: 'mortgage', inputs: scheduled, shocks: { annualInterestRate: 0.005 } })
+      .rows.find((row) => row.field === 'annualInterestRate');
+    assertApprox(
+      scheduledRate.highValue,
+      computeMortgageProjection({
+        ...scheduled,
+        annualInterestRate: 0.0475,
+        rateSchedule: [{ fromDateIso: '2029-01-01', annualInterestRate: 0.055 }]
+      }).debug.totalInterestLifetime,
+      0.01,
+      'A rate shock should move the scheduled rates too'
+    );
+
+    const { remainingTermYears: _term, ...fixedEnd } = inputs;
+    const endDated = computeSensitivity({ calculator: 'mortgage', inputs: { ...fixedEnd, endDateIso: '2050-12-01', remainingTermYears: 25 } });
+    assert(!endDated.rows.some((row) => row.field === 'remainingTermYears'), 'An end date should leave the remaining term out');
+  }));
+
+  cases.push(runCase('Sensitivity leaves out pension fields a multi-pot module reads from its pots', () => {
+    const multiPot = computeSensitivity({
+      calculator: 'pension',
+      inputs: {
+        currentAge: 40,
+        retirementAge: 66,
+        currentSalary: 80000,
+        growthRate: 0.05,
+        inflationRate: 0.02,
+        targetIncomeToday: 40000,
+        currentPot: 100000,
+        personalPct: 0.1,
+        employerPct: 0.05,
+        currentYear: 2026,
+        pots: [{ type: 'occupational', balance: 100000, personalPct: 0.1, employerPct: 0.05 }]
+      }
+    });
+    assert(
+      !multiPot.rows.some((row) => ['personalPct', 'employerPct', 'currentPot'].includes(row.field)),
+      'Fields read from the pots should not be shocked on a multi-pot module'
+    );
+    assert(multiPot.rows.some((row) => row.field === 'growthRate'), 'A pot without its own rate should still follow the shared growth rate');
+
+    const ownRates = computeSensitivity({
+      calculator: 'pension',
+      inputs: {
+        currentAge: 40,
+        retirementAge: 66,
+        currentSalary: 80000,
+        growthRate: 0.05,
+        targetIncomeToday: 40000,
+        currentYear: 2026,
+        pots: [{ type: 'occupational', balance: 100000, personalPct: 0.1, employerPct: 0.05, growthRate: 0.04 }]
+      }
+    });
+    assert(!ownRates.rows.some((row) => row.field === 'growthRate'), 'The shared growth rate should be left out when every pot has its own');
+  }));
+
+  return summarizeCases('SensitivityTests', cases);
+}
@@ -0,0 +1,252 @@
+import {
+  migrateSession,
+  importSessionWithReport,
+  createSessionHistory,
+  mergeSessions,
+  copySessionAsNew
+} from './state.js';
+import { createModuleSnapshot, buildSnapshotModule, diffModuleVersions } from './module_snapshots.js';
+import { assert, createCaseRunner, summarizeCases } from './tests_helpers.js';
+
+const runCase = createCaseRunner('SessionTests');
+
+export function runSessionStateTests() {
+  const cases = [];
+
+  cases.push(runCase('Duplicating a session keeps its modules under a new library identity', () => {
+    const { session: original } = importSessionWithReport({
+      sessionId: 'session-original',
+      clientName: 'Aoife',
+      createdAt: '2026-01-01T09:00:00.000Z',
+      updatedAt: '2026-01-02T09:00:00.000Z',
+      modules: [{ id: 'module-1', title: 'Pension', generated: {} }],
+      order: ['module-1']
+    });
+    const copy = copySessionAsNew(original, { clientName: '  Aoife (copy)  ' });
+
+    assert(copy.sessionId !== original.sessionId, 'The copy should get its own session id');
+    assert(copy.clientName === 'Aoife (copy)', 'The copy should take the trimmed new name');
+    assert(copy.createdAt === copy.updatedAt && copy.createdAt !== original.createdAt, 'The copy should be dated now');
+    assert(copy.order.join(',') === original.order.join(',') && copy.modules[0].title === 'Pension', 'The copy should keep the modules');
+    copy.modules[0].title = 'Changed';
+    assert(original.modules[0].title === 'Pension', 'Editing the copy should not touch the original');
+    assert(copySessionAsNew(original).clientName === original.clientName, 'Without a new name the copy keeps the client name');
+  }));
+
+  cases.push(runCase('Session migrations step through each version and keep the original', () => {
+    const stored = {
+      sessionId: 'session-migration-test',
+      clientName: 'Aoife',
+      modules: [],
+      order: [],
+      customerName: 'legacy'
+    };
+    const migrations = [
+      {
+        fromVersion: 1,
+        toVersion: 2,
+        description: 'Rename customerName',
+        migrate: ({ customerName, ...rest }) => ({ session: { ...rest, legacyName: customerName }, changes: ['Renamed customerName to legacyName'] })
+      },
+      {
+        fromVersion: 2,
+        toVersion: 3,
+        description: 'Drop legacyName',
+        migrate: ({ legacyName: _legacyName, ...rest }) => ({ session: rest, changes: ['Removed legacyName'] })
+      }
+    ];
+
+    const { session, report } = migrateSession(stored, { migrations, targetVersion: 3 });
+    assert(session.version === 3 && !('legacyName' in session) && !('customerName' in session), 'Both steps should run in order');
+    assert(report.fromVersion === 1 && report.toVersion === 3 && report.migrated, 'Report should cover the whole path');
+    assert(report.steps.map((step) => step.changes[0]).join('|') === 'Renamed customerName to legacyName|Removed legacyName', 'Each step should report its changes');
+    assert(report.original.customerName === 'legacy' && stored.customerName === 'legacy', 'Original payload should be kept untouched');
+
+    let newerError = '';
+    try {
+      migrateSession({ ...stored, version: 4 }, { migrations, targetVersion: 3 });
+    } catch (error) {
+      newerError = error.message;
+    }
+    assert(newerError.includes('newer version'), 'A session from a newer build should be refused');
+
+    let gapError = '';
+    try {
+      migrateSession(stored, { migrations: migrations.slice(1), targetVersion: 3 });
+    } catch (error) {
+      gapError = error.message;
+    }
+    assert(gapError.includes('No migration from session v1'), 'A missing step should be reported');
+
+    const current = importSessionWithReport(JSON.stringify({ ...stored, version: 2 }));
+    assert(!current.migration.migrated && current.session.clientName === 'Aoife', 'Current-version sessions should import unchanged');
+  }));
+
+  cases.push(runCase('Sessions from before pension rules were versioned are pinned to the rules they used', () => {
+    const pensionInputs = { currentAge: 40, retirementAge: 66, currentSalary: 80000, growthRate: 0.05, targetIncomeToday: 40000 };
+    const stored = {
+      sessionId: 'session-rules-pin-test',
+      clientName: 'Ciara',
+      modules: [
+        {
+          id: 'pension',
+          title: 'Pension',
+          generated: { pensionInputs },
+          snapshots: [{ id: 'snapshot-1', name: 'First call', createdAt: '2026-01-01T00:00:00.000Z', generated: { pensionInputs } }]
+        },
+        { id: 'pinned', title: 'Pinned', generated: { pensionInputs: { ...pensionInputs, rulesVersion: 'ie-2026.1' } } },
+        { id: 'mortgage', title: 'Mortgage', generated: { mortgageInputs: { currentBalance: 200000 } } }
+      ],
+      order: ['pension', 'pinned', 'mortgage']
+    };
+
+    const { session, report } = migrateSession(stored);
+    const [pension, pinned, mortgage] = session.modules;
+    assert(session.version === 2 && report.fromVersion === 1 && report.migrated, 'An unversioned session should upgrade to v2');
+    assert(pension.generated.pensionInputs.rulesVersion === 'ie-2026.1', 'Pension inputs without rules should be pinned');
+    assert(pension.snapshots[0].generated.pensionInputs.rulesVersion === 'ie-2026.1', 'Snapshots should be pinned too');
+    assert(report.steps[0].changes.length === 2, 'Each pinned module and snapshot should be listed once');
+    assert(pinned.generated.pensionInputs.rulesVersion === 'ie-2026.1', 'A module that names its rules should keep them');
+    assert(!('rulesVersion' in mortgage.generated.mortgageInputs), 'Other engines should be left alone');
+    assert(!('rulesVersion' in stored.modules[0].generated.pensionInputs), 'The stored session should not be mutated');
+
+    const imported = importSessionWithReport(JSON.stringify(stored));
+    assert(imported.migration.migrated && imported.session.modules[0].generated.pensionInputs.rulesVersion === 'ie-2026.1', 'Importing should run the upgrade');
+  }));
+
+  cases.push(runCase('Session history coalesces keystrokes and drops the redo branch on a new edit', () => {
+    let clock = 0;
+    const history = createSessionHistory({ limit: 4, coalesceMs: 1000, now: () => clock });
+    const session = { clientName: 'Client', order: ['a'] };
+    history.reset(session);
+
+    ['S', 'Sa', 'Sam'].forEach((name) => {
+      clock += 200;
+      session.clientName = name;
+      history.record(session, { label: 'Rename client', coalesceKey: 'clientName' });
+    });
+    assert(history.getEntries().length === 2, 'Rapid keystrokes should fold into one step');
+
+    clock += 5000;
+    session.clientName = 'Sami';
+    history.record(session, { label: 'Rename client', coalesceKey: 'clientName' });
+    assert(history.getEntries().length === 3, 'A pause should start a new step');
+
+    assert(history.undo().session.clientName === 'Sam', 'Undo should restore the previous snapshot');
+    clock += 100;
+    assert(history.undo().session.clientName === 'Client', 'Undo should reach the opened session');
+    assert(!history.canUndo() && history.undo() === null, 'Nothing is left to undo');
+    assert(history.redo().session.clientName === 'Sam', 'Redo should move forward again');
+
+    clock += 100;
+    session.clientName = 'Sam';
+    session.order = ['b', 'a'];
+    history.record(session, { label: 'Reorder modules' });
+    assert(!history.canRedo(), 'A new edit should drop the undone steps');
+    assert(history.getEntries().map((entry) => entry.label).join('|') === 'Session opened|Rename client|Reorder modules', 'History should list each step');
+
+    ['x', 'y'].forEach((id) => {
+      session.order = [...session.order, id];
+      history.record(session, { label: 'New module' });
+    });
+    const entries = history.getEntries();
+    assert(entries.length === 4 && entries[0].label === 'Rename client', 'The oldest steps should fall off past the limit');
+    assert(entries[3].state === 'current' && entries[0].state === 'done', 'Entries should report where the session sits');
+  }));
+
+  cases.push(runCase('Module snapshots diff assumptions, outputs and chart series field by field', () => {
+    const module = {
+      id: 'module-snapshot-test',
+      title: 'Mortgage',
+      snapshots: [],
+      generated: {
+        assumptions: { columns: ['Assumption', 'Value'], rows: [['Interest rate', '4.00%'], ['Overpayment', '€0']] },
+        outputs: { columns: ['Output', 'Value'], rows: [['Total interest', '€120,000.00'], ['Term', '25 years']] },
+        mortgageInputs: { annualInterestRate: 0.04, annualOverpayment: 0 },
+        charts: [{ id: 'balance', title: 'Balance', labels: ['2025', '2026'], datasets: [{ label: 'Balance', data: [300000, 290000] }] }]
+      }
+    };
+    const before = createModuleSnapshot(module, 'before overpayment', { id: 'snapshot-1' });
+    module.snapshots.push(before);
+
+    let duplicateError = '';
+    try {
+      createModuleSnapshot(module, 'Before overpayment', { id: 'snapshot-2' });
+    } catch (error) {
+      duplicateError = error.message;
+    }
+    assert(duplicateError.includes('already a snapshot'), 'Snapshot names should be unique per module');
+
+    module.generated.assumptions.rows[1] = ['Overpayment', '€5,000'];
+    module.generated.outputs.rows = [['Total interest', '€98,500.00'], ['Term', '25 years']];
+    module.generated.mortgageInputs.annualOverpayment = 5000;
+    module.generated.charts[0].datasets[0].data = [300000, 284000];
+    assert(before.generated.mortgageInputs.annualOverpayment === 0, 'Snapshots should not share state with the live module');
+
+    const diff = diffModuleVersions(buildSnapshotModule(module, before), module);
+    assert(diff.assumptions.length === 1 && diff.assumptions[0].delta === '+€5,000', 'Assumption rows should carry a formatted delta');
+    assert(diff.inputs.length === 1 && diff.inputs[0].label === 'Annual overpayment' && diff.inputs[0].delta === 5000, 'Calculator inputs should diff field by field');
+    assert(diff.outputs.length === 1 && diff.outputs[0].delta === '-€21,500.00', 'Unchanged outputs should be left out');
+    const series = diff.charts[0].series[0];
+    assert(series.endDelta === -6000 && series.maxShift === -6000 && series.maxShiftAt === '2026', 'Chart series should report how far they moved');
+    assert(diff.changeCount === 4, 'Change count should cover every section');
+  }));
+
+  cases.push(runCase('Sessions from two tabs merge by module and field, and report real conflicts', () => {
+    const makeModule = (id, title, notes = '') => ({ id, title, notes, updatedAt: '2026-01-01T00:00:00.000Z', generated: { outputs: { columns: [], rows: [] } }, snapshots: [] });
+    const base = {
+      sessionId: 'session-sync-test',
+      clientName: 'Niamh',
+      modules: [makeModule('a', 'Pension'), makeModule('b', 'Mortgage'), makeModule('c', 'Savings')],
+      order: ['a', 'b', 'c'],
+      activeModuleId: 'a'
+    };
+    const clone = (value) => JSON.parse(JSON.stringify(value));
+
+    const mine = clone(base);
+    mine.modules[0].notes = 'Wants to retire at 60';
+    const theirs = clone(base);
+    theirs.modules[0].title = 'Pension review';
+    theirs.modules[1].notes = 'Fixed until 2027';
+    theirs.modules.push(makeModule('d', 'Protection'));
+    theirs.order.push('d');
+
+    const clean = mergeSessions({ base, mine, theirs });
+    const [pension, mortgage] = clean.session.modules;
+    assert(clean.conflicts.length === 0 && clean.changed, 'Edits to different fields should merge without asking');
+    assert(pension.title === 'Pension review' && pension.notes === 'Wants to retire at 60', 'Both tabs\' fields should survive on one module');
+    assert(mortgage.notes === 'Fixed until 2027' && clean.session.order.join(',') === 'a,b,c,d', 'Modules added in the other tab should be taken');
+
+    const unchanged = mergeSessions({ base, mine: clone(base), theirs: clone(base) });
+    assert(!unchanged.changed, 'An identical save from another tab should change nothing');
+
+    const mineClash = clone(base);
+    mineClash.modules[1].title = 'Mortgage (switch)';
+    mineClash.modules[1].notes = 'Quote from the new lender';
+    mineClash.modules[2].notes = 'Top up monthly';
+    const theirsClash = clone(base);
+    theirsClash.modules[1].title = 'Mortgage (overpay)';
+    theirsClash.modules[1].generated.outputs.rows = [['Overpayment', '€200']];
+    theirsClash.modules = theirsClash.modules.filter((module) => module.id !== 'c');
+    theirsClash.order = ['a', 'b'];
+
+    const pending = mergeSessions({ base, mine: mineClash, theirs: theirsClash });
+    assert(pending.conflicts.map((conflict) => conflict.kind).join(',') === 'edited,deleted-theirs', 'Same-field edits and edit-vs-delete should be conflicts');
+    assert(pending.session.modules[1].title === 'Mortgage (switch)', 'Conflicting modules stay as mine until resolved');
+
+    const keptTheirs = mergeSessions({ base, mine: mineClash, theirs: theirsClash, resolution: 'theirs' });
+    assert(keptTheirs.session.modules.length === 2 && keptTheirs.session.modules[1].title === 'Mortgage (overpay)', 'Keep theirs should take the other tab\'s edit and deletion');
+    assert(keptTheirs.session.modules[1].notes === 'Quote from the new lender', 'Keep theirs should not drop this tab\'s edit to another field');
+
+    const keptMine = mergeSessions({ base, mine: mineClash, theirs: theirsClash, resolution: 'mine' });
+    const keptMineMortgage = keptMine.session.modules[1];
+    assert(keptMineMortgage.title === 'Mortgage (switch)', 'Keep mine should keep this tab\'s value of the conflicting field');
+    assert(keptMineMortgage.generated.outputs.rows.length === 1, 'Keep mine should not drop the other tab\'s edit to another field');
+
+    const keptBoth = mergeSessions({ base, mine: mineClash, theirs: theirsClash, resolution: 'both' });
+    const titles = keptBoth.session.order.map((moduleId) => keptBoth.session.modules.find((module) => module.id === moduleId).title);
+    assert(titles.join('|') === 'Pension|Mortgage (switch)|Mortgage (overpay) (other tab)|Savings', 'Merge should keep both versions side by side');
+  }));
+
+  return summarizeCases('SessionTests', cases);
+}